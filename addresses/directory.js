@@ -0,0 +1,129 @@
+// Built-in dispute mailing addresses. Bureaus and collectors move their P.O.
+// boxes from time to time: correct an entry through POST /api/admin/addresses
+// (stored in recipient_addresses) and update it here in the next release.
+//
+// type: 'bureau' (nationwide CRA), 'specialty' (specialty CRA) or 'collector'
+
+const DIRECTORY_UPDATED = '2026-10-19';
+
+const DIRECTORY = [
+  {
+    key: 'equifax',
+    name: 'Equifax Information Services LLC',
+    type: 'bureau',
+    aliases: ['equifax', 'efx', 'equifax information services'],
+    address: { line1: 'P.O. Box 740256', city: 'Atlanta', state: 'GA', zip: '30374-0256' },
+    phone: '866-349-5191',
+    website: 'https://www.equifax.com'
+  },
+  {
+    key: 'experian',
+    name: 'Experian',
+    type: 'bureau',
+    aliases: ['experian', 'exp', 'xpn', 'experian information solutions'],
+    address: { line1: 'P.O. Box 4500', city: 'Allen', state: 'TX', zip: '75013' },
+    phone: '888-397-3742',
+    website: 'https://www.experian.com'
+  },
+  {
+    key: 'transunion',
+    name: 'TransUnion Consumer Solutions',
+    type: 'bureau',
+    aliases: ['transunion', 'trans union', 'tu', 'tuc'],
+    address: { line1: 'P.O. Box 2000', city: 'Chester', state: 'PA', zip: '19016-2000' },
+    phone: '800-916-8800',
+    website: 'https://www.transunion.com'
+  },
+  {
+    key: 'innovis',
+    name: 'Innovis Consumer Assistance',
+    type: 'bureau',
+    aliases: ['innovis', 'innovis data solutions'],
+    address: { line1: 'P.O. Box 1689', city: 'Pittsburgh', state: 'PA', zip: '15230-1689' },
+    phone: '800-540-2505',
+    website: 'https://www.innovis.com'
+  },
+  {
+    key: 'chexsystems',
+    name: 'ChexSystems, Inc.',
+    type: 'specialty',
+    aliases: ['chexsystems', 'chex systems', 'chex'],
+    address: { line1: 'Attn: Consumer Relations', line2: '7805 Hudson Road, Suite 100', city: 'Woodbury', state: 'MN', zip: '55125' },
+    phone: '800-428-9623',
+    website: 'https://www.chexsystems.com'
+  },
+  {
+    key: 'lexisnexis',
+    name: 'LexisNexis Risk Solutions Consumer Center',
+    type: 'specialty',
+    aliases: ['lexisnexis', 'lexis nexis', 'lexisnexis risk solutions'],
+    address: { line1: 'P.O. Box 105108', city: 'Atlanta', state: 'GA', zip: '30348-5108' },
+    phone: '888-497-0011',
+    website: 'https://consumer.risk.lexisnexis.com'
+  },
+  {
+    key: 'midland',
+    name: 'Midland Credit Management, Inc.',
+    type: 'collector',
+    aliases: ['midland credit management', 'midland credit', 'midland funding', 'mcm', 'encore capital'],
+    address: { line1: 'P.O. Box 2037', city: 'Warren', state: 'MI', zip: '48090' }
+  },
+  {
+    key: 'portfolio_recovery',
+    name: 'Portfolio Recovery Associates, LLC',
+    type: 'collector',
+    aliases: ['portfolio recovery associates', 'portfolio recovery', 'pra'],
+    address: { line1: '120 Corporate Boulevard', city: 'Norfolk', state: 'VA', zip: '23502' }
+  },
+  {
+    key: 'lvnv',
+    name: 'LVNV Funding, LLC',
+    type: 'collector',
+    aliases: ['lvnv funding', 'lvnv', 'resurgent capital services', 'resurgent'],
+    address: { line1: 'P.O. Box 1269', city: 'Greenville', state: 'SC', zip: '29602' }
+  },
+  {
+    key: 'cavalry',
+    name: 'Cavalry Portfolio Services, LLC',
+    type: 'collector',
+    aliases: ['cavalry portfolio services', 'cavalry spv', 'cavalry'],
+    address: { line1: '500 Summit Lake Drive, Suite 400', city: 'Valhalla', state: 'NY', zip: '10595' }
+  },
+  {
+    key: 'jefferson_capital',
+    name: 'Jefferson Capital Systems, LLC',
+    type: 'collector',
+    aliases: ['jefferson capital systems', 'jefferson capital', 'jcap'],
+    address: { line1: '16 McLeland Road', city: 'Saint Cloud', state: 'MN', zip: '56303' }
+  },
+  {
+    key: 'ic_system',
+    name: 'I.C. System, Inc.',
+    type: 'collector',
+    aliases: ['ic system', 'i c system', 'ics'],
+    address: { line1: 'P.O. Box 64378', city: 'Saint Paul', state: 'MN', zip: '55164-0378' }
+  },
+  {
+    key: 'transworld',
+    name: 'Transworld Systems Inc.',
+    type: 'collector',
+    aliases: ['transworld systems', 'transworld', 'tsi'],
+    address: { line1: '500 Virginia Drive, Suite 514', city: 'Fort Washington', state: 'PA', zip: '19034' }
+  },
+  {
+    key: 'erc',
+    name: 'Enhanced Recovery Company, LLC',
+    type: 'collector',
+    aliases: ['enhanced recovery company', 'enhanced recovery', 'erc'],
+    address: { line1: '8014 Bayberry Road', city: 'Jacksonville', state: 'FL', zip: '32256' }
+  },
+  {
+    key: 'convergent',
+    name: 'Convergent Outsourcing, Inc.',
+    type: 'collector',
+    aliases: ['convergent outsourcing', 'convergent'],
+    address: { line1: '800 SW 39th Street', city: 'Renton', state: 'WA', zip: '98057' }
+  }
+];
+
+module.exports = { DIRECTORY, DIRECTORY_UPDATED };
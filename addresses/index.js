@@ -0,0 +1,186 @@
+/**
+ * Recipient address directory: the built-in bureau and collector addresses in
+ * addresses/directory.js merged with admin overrides from the
+ * recipient_addresses table (see sql/create_recipient_addresses_table.sql).
+ *
+ * Lookups accept any spelling a report or user might use ("EQUIFAX INFORMATION
+ * SERVICES LLC", "TransUnion", "Midland Funding") and return the entry's mailing
+ * name and address. Functions return `{ error, status }` for invalid input.
+ */
+const { DIRECTORY, DIRECTORY_UPDATED } = require('./directory');
+
+const RECIPIENT_TYPES = ['bureau', 'specialty', 'collector', 'furnisher'];
+const CACHE_TTL_MS = 5 * 60 * 1000;
+// Aliases shorter than this only match the whole name, never part of it ("tu", "pra")
+const MIN_PARTIAL_ALIAS = 5;
+const KEY_RE = /^[a-z0-9_]{2,40}$/;
+
+const COMPANY_SUFFIXES = /\b(inc|llc|l l c|corp|corporation|co|company|ltd|lp|na|n a)\b/g;
+
+let cache = null;
+
+// Lowercase words only, without punctuation or company suffixes
+function normalizeRecipientName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(COMPANY_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Best entry for a name: an exact name/alias match, otherwise the entry whose
+ * longest alias appears as whole words in the name.
+ * @param {Array} entries
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function matchRecipient(entries, name) {
+  const query = normalizeRecipientName(name);
+  if (!query) return null;
+  let best = null;
+  for (const entry of entries) {
+    const aliases = [entry.name, entry.key.replace(/_/g, ' '), ...(entry.aliases || [])].map(normalizeRecipientName);
+    if (aliases.includes(query)) return entry;
+    for (const alias of aliases) {
+      if (alias.length < MIN_PARTIAL_ALIAS || !` ${query} `.includes(` ${alias} `)) continue;
+      if (!best || alias.length > best.length) best = { entry, length: alias.length };
+    }
+  }
+  return best ? best.entry : null;
+}
+
+// Built-in entries with overrides applied; inactive overrides hide an entry
+function mergeOverrides(rows) {
+  const byKey = new Map(DIRECTORY.map(entry => [entry.key, { ...entry, source: 'builtin' }]));
+  for (const row of rows || []) {
+    if (row.active === false) {
+      byKey.delete(row.key);
+      continue;
+    }
+    byKey.set(row.key, {
+      key: row.key,
+      name: row.name,
+      type: row.type,
+      aliases: row.aliases || [],
+      address: row.address,
+      phone: row.phone || null,
+      website: row.website || null,
+      notes: row.notes || null,
+      source: 'override',
+      updated_at: row.updated_at || null
+    });
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * The merged directory, cached for a few minutes. Falls back to the built-in
+ * entries when the overrides table cannot be read.
+ */
+async function loadDirectory(supabase) {
+  if (!supabase) return mergeOverrides([]);
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.entries;
+  const { data, error } = await supabase.from('recipient_addresses').select('*');
+  if (error) console.warn('⚠️ Using built-in address directory:', error.message);
+  cache = { entries: mergeOverrides(error ? [] : data), loadedAt: Date.now() };
+  return cache.entries;
+}
+
+function clearDirectoryCache() {
+  cache = null;
+}
+
+/**
+ * Look up a recipient by name or alias.
+ * @returns {Promise<Object|null>} { key, name, type, address, phone, website, source }
+ */
+async function findRecipient(supabase, name) {
+  if (!name) return null;
+  return matchRecipient(await loadDirectory(supabase), name);
+}
+
+/**
+ * Directory entries, optionally filtered by type or a name to look up.
+ */
+async function listRecipients(supabase, { type, q } = {}) {
+  if (type && !RECIPIENT_TYPES.includes(type)) return { error: `type must be one of: ${RECIPIENT_TYPES.join(', ')}`, status: 400 };
+  const entries = await loadDirectory(supabase);
+  if (q) {
+    const match = matchRecipient(entries, q);
+    return { recipients: match && (!type || match.type === type) ? [match] : [], updated: DIRECTORY_UPDATED };
+  }
+  return { recipients: type ? entries.filter(e => e.type === type) : entries, updated: DIRECTORY_UPDATED };
+}
+
+function validateEntry(input) {
+  if (!KEY_RE.test(String(input.key || ''))) return 'key must be 2-40 lowercase letters, digits or underscores';
+  if (input.active === false) return null;
+  if (!input.name || typeof input.name !== 'string') return 'Missing name';
+  if (!RECIPIENT_TYPES.includes(input.type)) return `type must be one of: ${RECIPIENT_TYPES.join(', ')}`;
+  const address = input.address || {};
+  if (!address.line1 || !address.city || !address.state || !address.zip) return 'address needs line1, city, state and zip';
+  if (input.aliases !== undefined && (!Array.isArray(input.aliases) || input.aliases.some(a => typeof a !== 'string'))) {
+    return 'aliases must be an array of strings';
+  }
+  return null;
+}
+
+/**
+ * Add an entry or override a built-in one (same key). `active: false` hides
+ * the built-in entry instead.
+ * @param {Object} input - { key, name, type, aliases, address: { line1, line2, city, state, zip }, phone, website, notes, active }
+ * @param {string} adminId - User making the change
+ */
+async function saveRecipient(supabase, input = {}, adminId = null) {
+  // Fields left out of an override keep the built-in values
+  const builtin = DIRECTORY.find(e => e.key === input.key);
+  const entry = { ...(builtin || {}), ...input };
+  const invalid = validateEntry(entry);
+  if (invalid) return { error: invalid, status: 400 };
+
+  const row = {
+    key: entry.key,
+    name: entry.name || entry.key,
+    type: entry.type || 'collector',
+    aliases: entry.aliases || [],
+    address: entry.address || {},
+    phone: entry.phone || null,
+    website: entry.website || null,
+    notes: entry.notes || null,
+    active: entry.active !== false,
+    updated_by: adminId,
+    updated_at: new Date().toISOString()
+  };
+  const { data, error } = await supabase.from('recipient_addresses')
+    .upsert(row, { onConflict: 'key' }).select('*').limit(1);
+  if (error) return { error: error.message, status: 500 };
+  clearDirectoryCache();
+  return { recipient: data && data[0] ? data[0] : row, overridesBuiltin: !!builtin };
+}
+
+/**
+ * Remove an override; a built-in entry with the same key applies again.
+ */
+async function deleteRecipientOverride(supabase, key) {
+  if (!KEY_RE.test(String(key || ''))) return { error: 'Invalid key', status: 400 };
+  const { data, error } = await supabase.from('recipient_addresses').delete().eq('key', key).select('key');
+  if (error) return { error: error.message, status: 500 };
+  if (!data || !data.length) return { error: `No override for ${key}`, status: 404 };
+  clearDirectoryCache();
+  return { deleted: key, builtin: DIRECTORY.some(e => e.key === key) };
+}
+
+module.exports = {
+  findRecipient,
+  listRecipients,
+  saveRecipient,
+  deleteRecipientOverride,
+  matchRecipient,
+  normalizeRecipientName,
+  clearDirectoryCache,
+  RECIPIENT_TYPES,
+  DIRECTORY
+};
@@ -1,15 +1,7 @@
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { chatWithFallback } = require('./aiUtils');
+const llm = require('./llm');
 const { TavilySearch } = require('@langchain/tavily');
 const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
 
-// Initialize the model with Gemini
-const model = new ChatGoogleGenerativeAI({
-  apiKey: process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY,
-  model: 'gemini-2.5-flash',
-  temperature: 0.7,
-});
-
 // Initialize tools
 const searchTool = new TavilySearch({
   maxResults: 5,
@@ -20,13 +12,12 @@ const searchTool = new TavilySearch({
 async function createLegalAgent() {
   return {
     name: 'legal',
-    model,
     tools: [searchTool],
     async invoke(input) {
-      const { response } = await chatWithFallback([
+      const { response } = await llm.chat([
         new SystemMessage('You are a legal research assistant specializing in consumer law. Use tools to find current legal information and provide accurate guidance.'),
         new HumanMessage(input)
-      ]);
+      ], { task: 'chat' });
       return { content: response && (response.content || response) ? (response.content || response) : '' };
     }
   };
@@ -35,14 +26,13 @@ async function createLegalAgent() {
 async function createSearchAgent() {
   return {
     name: 'search',
-    model,
     tools: [searchTool],
     async invoke(input) {
       const searchResults = await searchTool.invoke(input);
-      const { response } = await chatWithFallback([
+      const { response } = await llm.chat([
         new SystemMessage('You are a research assistant. Use the provided search results to answer user questions accurately.'),
         new HumanMessage(`Search results: ${searchResults}\n\nQuestion: ${input}`)
-      ]);
+      ], { task: 'chat' });
       return { content: response && (response.content || response) ? (response.content || response) : '' };
     }
   };
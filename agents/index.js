@@ -1,18 +1,10 @@
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-const { chatWithFallback } = require('../aiUtils');
+const llm = require('../llm');
 const { TavilySearch } = require('@langchain/tavily');
 const axios = require('axios');
 const { DynamicTool } = require('@langchain/core/tools');
 const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
 const nodemailer = require('nodemailer');
 
-// Initialize model with Gemini
-const model = new ChatGoogleGenerativeAI({
-  apiKey: process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY,
-  model: 'gemini-2.5-flash',
-  temperature: 0.7,
-});
-
 // Initialize tools
 const searchTool = new TavilySearch({
   maxResults: 5,
@@ -111,10 +103,10 @@ async function reportAgent(state) {
             return `${i + 1}. ${f.file_name || 'unknown'} (${when})\nAnalysis: ${shortAnalysis}`;
           }).join('\n\n');
 
-          const { response } = await chatWithFallback([
+          const { response } = await llm.chat([
             new SystemMessage(`User recent files context:\n${filesSummary}\n\nAnalyze credit reports for FCRA violations and errors.`),
             new HumanMessage(message)
-          ]);
+          ], { task: 'chat' });
           const content = response && (response.content || response) ? (response.content || response) : '';
           return {
             messages: [{ role: 'assistant', content }],
@@ -128,10 +120,10 @@ async function reportAgent(state) {
     }
 
     // Fallback to text analysis via centralized multi-provider fallback
-    const { response } = await chatWithFallback([
+    const { response } = await llm.chat([
       new SystemMessage('Analyze credit reports for FCRA violations and errors.'),
       new HumanMessage(message)
-    ]);
+    ], { task: 'chat' });
     const content = response && (response.content || response) ? (response.content || response) : '';
     return {
       messages: [{ role: 'assistant', content }],
@@ -142,10 +134,10 @@ async function reportAgent(state) {
 
 async function letterAgent(state) {
   const message = state.messages[state.messages.length - 1].content;
-  const { response } = await chatWithFallback([
+  const { response } = await llm.chat([
     new SystemMessage('Generate FDCPA/FCRA dispute letters with proper legal formatting.'),
     new HumanMessage(message)
-  ]);
+  ], { task: 'chat' });
   const content = response && (response.content || response) ? (response.content || response) : '';
   return {
     messages: [{ role: 'assistant', content }],
@@ -155,10 +147,10 @@ async function letterAgent(state) {
 
 async function calendarAgent(state) {
   const message = state.messages[state.messages.length - 1].content;
-  const { response } = await chatWithFallback([
+  const { response } = await llm.chat([
     new SystemMessage('Set legal deadline reminders and calendar events.'),
     new HumanMessage(message)
-  ]);
+  ], { task: 'chat' });
   const content = response && (response.content || response) ? (response.content || response) : '';
   return {
     messages: [{ role: 'assistant', content }],
@@ -170,10 +162,10 @@ async function legalAgent(state) {
   const message = state.messages[state.messages.length - 1].content;
   const { enhancedLegalSearch } = require('../legalSearch');
   const legalInfo = await enhancedLegalSearch(message);
-  const { response } = await chatWithFallback([
+  const { response } = await llm.chat([
     new SystemMessage(`Legal context: ${legalInfo}`),
     new HumanMessage(message)
-  ]);
+  ], { task: 'chat' });
   const content = response && (response.content || response) ? (response.content || response) : '';
   return {
     messages: [{ role: 'assistant', content }],
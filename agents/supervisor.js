@@ -3,26 +3,9 @@ const { ChatPromptTemplate, MessagesPlaceholder } = require('@langchain/core/pro
 const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
 const { z } = require('zod');
 
-// Import dependencies
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
-let chatWithFallback;
-try {
-  chatWithFallback = require('../temp/aiUtils').chatWithFallback;
-} catch (error) {
-  console.warn('Failed to load ../temp/aiUtils, trying ../aiUtils:', error.message);
-  try {
-    chatWithFallback = require('../aiUtils').chatWithFallback;
-  } catch (fallbackError) {
-    console.error('Failed to load aiUtils from both locations:', fallbackError.message);
-    // Provide a minimal fallback function
-    chatWithFallback = async (messages) => {
-      throw new Error('AI utilities not available - check aiUtils.js file');
-    };
-  }
-}
-
-// Import LangSmith configuration
-const { configureTracingForModels } = require('../langsmithConfig');
+// Model calls go through the LLM gateway
+const llm = require('../llm');
+const { getPrompt, renderPrompt } = require('../prompts');
 
 // Define state
 const AgentState = Annotation.Root({
@@ -42,87 +25,49 @@ const AgentState = Annotation.Root({
     reducer: (x, y) => y ?? x,
     default: () => null,
   }),
+  // Optional (token, agent) callback used to stream agent output to the client
+  onToken: Annotation({
+    reducer: (x, y) => y ?? x,
+    default: () => null,
+  }),
 });
 
-// Initialize Google AI with Gemini 2.5 Flash model
-let model = null;
-if ((process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY) && ChatGoogleGenerativeAI) {
-  try {
-    console.log('[Supervisor] Initializing ChatGoogleGenerativeAI with LangSmith tracing...');
-    model = new ChatGoogleGenerativeAI({
-      apiKey: process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY,
-      model: 'gemini-2.5-flash',
-      temperature: 0.7,
-      maxRetries: 2,
-      maxOutputTokens: 2048,
-      topP: 0.95,
-      safetySettings: [
-        {
-          category: 'HARM_CATEGORY_HARASSMENT',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_HATE_SPEECH',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        }
-      ]
-    });
-    
-    // Apply LangSmith configuration for tracing
-    configureTracingForModels(model);
-    console.log('[Supervisor] ✅ ChatGoogleGenerativeAI initialized with LangSmith enabled');
-  } catch (error) {
-    console.warn('❌ Failed to initialize ChatGoogleGenerativeAI:', error.message);
-  }
-}
-
-// AI call using unified fallback (Mistral/HF/MuleRouter then Google)
-async function callAI(messages) {
+// AI call through the gateway's `chat` policy (timeouts and provider fallback live there).
+// When `onToken` is given the reply is streamed and each chunk is forwarded.
+async function callAI(messages, onToken = null) {
   try {
-    console.log('[Supervisor] callAI called, using unified fallback with LangSmith tracing');
     await delay(100); // Minimal delay for rate limiting
-    console.log('[Supervisor] Calling chatWithFallback...');
+    console.log(onToken ? '[Supervisor] Streaming response...' : '[Supervisor] Calling LLM gateway...');
 
-    const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error('AI timeout')), 30000));
-    const responseObj = await Promise.race([chatWithFallback(messages), timeoutPromise]);
-
-    // chatWithFallback returns { response, model }
-    if (responseObj && responseObj.response) {
-      console.log('[Supervisor] AI call successful with model:', responseObj.model);
-      return responseObj.response;
-    }
-
-    console.warn('[Supervisor] chatWithFallback returned unexpected result:', responseObj);
-    return { content: 'AI service returned unexpected response format.' };
+    const responseObj = await llm.chat(messages, { task: 'chat', onToken });
+    console.log(`[Supervisor] AI call successful with ${responseObj.provider} ${responseObj.model}`);
+    return responseObj.response;
   } catch (error) {
     console.error('[Supervisor] AI request failed:', error.message);
     return { content: `AI service unavailable: ${error.message}` };
   }
 }
 
+// Tag streamed chunks with the agent node that produced them
+function tokenHandler(state, agent) {
+  return state && typeof state.onToken === 'function' ? (token) => state.onToken(token, agent) : null;
+}
+
 // Simple delay function
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 // Define agents
 const members = ['search', 'report', 'letter', 'legal', 'email', 'calendar'];
 
-// Supervisor prompt focused on consumer law (FCRA & FDCPA)
-const systemPrompt = `CONSUMERAI SUPERVISOR - Consumer law specialist
-
-You coordinate a small set of agents focused on consumer credit law (FCRA & FDCPA).
+// Messages about collector harassment or the user's call/contact log
+const CONTACT_LOG_RE = /harass|contact log|call log|keeps? calling|calling me|called me|stop calling/i;
+// Questions about what a dispute case is worth or how strong it is
+const CASE_ASSESSMENT_RE = /damages|how much (can|could|would) i (get|recover|win|sue)|worth suing|case (strength|worth)|strong (is my )?case|assess (my|the) case/i;
+// Requests to file or draft a CFPB complaint
+const CFPB_COMPLAINT_RE = /cfpb|consumer financial protection|file a complaint|complaint against/i;
 
-Agent capabilities and context:
-- ` + "state.supabase" + `: Supabase client for DB access
-- ` + "state.userId" + `: Authenticated user's UUID
-- Utilities available: require('../utils/consumerLawDeadlines') for deadline calculations
-
-Routing summary:
-- 'report' for document/report analysis and uploaded files
-- 'letter' for dispute/validation/cease & desist letters
-- 'legal' for statutes, deadlines, mailed timelines, SOL, and legal rights
-- 'search' for general research
-
-When asked about mailing dates or timelines, calculate exact deadlines using the consumerLawDeadlines utility and provide concise next steps. Keep responses factual, cite dates, and avoid unnecessary legalese.`;
+// Supervisor prompt focused on consumer law (FCRA & FDCPA), versioned in prompts/supervisor
+const systemPrompt = getPrompt('supervisor').template;
 
 
 
@@ -140,6 +85,13 @@ async function supervisor(state) {
     console.log('[Supervisor] userId:', state.userId);
     console.log('[Supervisor] supabase available:', !!state.supabase);
     
+    // Cross-bureau comparison of the user's uploaded reports
+    if (message.includes('compare') && (message.includes('bureau') || message.includes('equifax') ||
+        message.includes('experian') || message.includes('transunion') || message.includes('reports'))) {
+      console.log('[Supervisor] Routing to report agent for bureau comparison');
+      return { next: 'report' };
+    }
+
     // Priority routing for specific requests
     // High priority for document analysis - ONLY for specific analysis requests with possessive pronouns
     if ((message.includes('analyze my') || message.includes('review my') || message.includes('check my report')) ||
@@ -162,9 +114,19 @@ async function supervisor(state) {
       console.log('[Supervisor] Routing to legal for timeline/mailing question');
       return { next: 'legal' };
     }
+    // CFPB complaints are drafted from the user's dispute case by `legal`
+    if (CFPB_COMPLAINT_RE.test(message)) {
+      console.log('[Supervisor] Routing to legal for CFPB complaint');
+      return { next: 'legal' };
+    }
     if (message.includes('letter') || message.includes('dispute')) {
       return { next: 'letter' };
     }
+    // Collector harassment, the contact log and case assessments are handled by `legal`
+    if (CONTACT_LOG_RE.test(message) || CASE_ASSESSMENT_RE.test(message)) {
+      console.log('[Supervisor] Routing to legal for contact log or case review');
+      return { next: 'legal' };
+    }
     if (message.includes('search') || message.includes('find')) {
       return { next: 'search' };
     }
@@ -178,26 +140,16 @@ async function supervisor(state) {
       return { next: 'calendar' };
     }
     
-    // Fallback to AI routing using centralized fallback
+    // Fallback to AI routing through the gateway's quick `routing` policy
     try {
-      let fallbackChatWithFallback;
-      try {
-        fallbackChatWithFallback = require('../temp/aiUtils').chatWithFallback;
-      } catch (error) {
-        try {
-          fallbackChatWithFallback = require('../aiUtils').chatWithFallback;
-        } catch (fallbackError) {
-          console.error('Cannot load aiUtils for routing fallback:', fallbackError.message);
-          return { next: 'legal' }; // Default to legal agent
-        }
-      }
-      
+      const routingPrompt = renderPrompt('supervisor', {}, { key: state.userId });
+      console.log(`[Supervisor] prompt ${routingPrompt.name}@${routingPrompt.version} (${routingPrompt.variant})`);
       const routingMessages = [
-        new SystemMessage(systemPrompt),
+        new SystemMessage(routingPrompt.text),
         ...state.messages,
         new HumanMessage(`Who should act next? Select one of: ${members.join(', ')}`)
       ];
-      const { response } = await fallbackChatWithFallback(routingMessages);
+      const { response } = await llm.chat(routingMessages, { task: 'routing' });
       const content = response && (response.content || response) ? String(response.content || response).toLowerCase() : '';
       for (const member of members) {
         if (content.includes(member)) return { next: member };
@@ -278,6 +230,19 @@ async function reportAgent(state) {
   const msg = message.toLowerCase();
   console.log(`[ReportAgent] Checking message: "${msg}" for analysis keywords`);
   console.log(`[ReportAgent] userId: ${userId}, supabase available: ${!!supabase}`);
+
+  // Compare bureau reports before the single-report analysis below picks up "my reports"
+  if (msg.includes('compare') && userId && supabase) {
+    try {
+      const { createCompareReportsTool } = require('../reportComparison');
+      const result = await createCompareReportsTool(supabase, userId).invoke('');
+      return {
+        messages: [new HumanMessage({ content: result, name: 'ReportAgent' })],
+      };
+    } catch (error) {
+      console.error('[ReportAgent] Bureau comparison error:', error.message || error);
+    }
+  }
   
   if ((msg.includes('analyze') || msg.includes('review') || msg.includes('my report') || 
        msg.includes('credit report') || msg.includes('document')) && userId && supabase) {
@@ -653,7 +618,7 @@ Be professional, helpful, and focus on actionable information.`;
     const analysis = await callAI([
       new SystemMessage(systemPrompt),
       new HumanMessage(message)
-    ]);
+    ], tokenHandler(state, 'report'));
     return {
       messages: [new HumanMessage({ content: analysis.content, name: 'ReportAgent' })],
     };
@@ -665,6 +630,41 @@ Be professional, helpful, and focus on actionable information.`;
   }
 }
 
+// "letter to Experian about ...", "send it to Midland Credit Management", "dispute this with Equifax" -> the addressee
+const EXPLICIT_RECIPIENT_RE = /\b(?:(?:letter|write|send|mail|address(?:ed)?)\s+(?:it\s+|this\s+|one\s+)?to|dispute\s+(?:it\s+|this\s+)?with)\s+(?:the\s+)?(.+?)(?=\s+(?:about|regarding|re|for|because|on|over|that|and|asking|saying|disputing|to)\b|[.,;:!?()]|$)/gi;
+
+/**
+ * Directory entry for a chat letter's addressee: a recipient the message names
+ * explicitly, otherwise the collector (FDCPA) or bureau (FCRA) in the user's latest
+ * analysis. The whole message is never looked up, since any bureau or collector
+ * mentioned in passing ("my Experian report shows a Midland collection") would match.
+ */
+async function letterRecipient(state, message, letterType) {
+  const { findRecipient } = require('../addresses');
+  for (const match of message.matchAll(EXPLICIT_RECIPIENT_RE)) {
+    const entry = await findRecipient(state.supabase, match[1]);
+    if (entry) return entry;
+  }
+
+  if (!state.supabase || !state.userId) return null;
+  try {
+    const { data, error } = await state.supabase.from('report_analyses').select('analysis')
+      .eq('user_id', state.userId).order('processed_at', { ascending: false }).limit(1);
+    if (error || !data || !data[0] || !data[0].analysis) return null;
+    const { unwrapAnalysis } = require('../reportComparison');
+    const { analysis } = unwrapAnalysis(data[0]);
+    const asList = (value) => (Array.isArray(value) ? value.filter(v => v && typeof v === 'object') : []);
+    const name = letterType === 'fdcpa'
+      ? asList(analysis.collection_accounts).map(c => c.collection_agency || c.creditor_name).find(Boolean)
+      : analysis.bureau || (analysis.tradelines && analysis.tradelines.bureau) ||
+        asList(analysis.fcra_violations).map(v => v.cra_responsible).find(Boolean);
+    return name ? await findRecipient(state.supabase, name) : null;
+  } catch (error) {
+    console.warn('[LetterAgent] Could not read latest analysis for the recipient:', error.message);
+    return null;
+  }
+}
+
 async function letterAgent(state) {
   const message = state.messages[state.messages.length - 1].content;
   const USPSIntegration = require('../utils/uspsIntegration');
@@ -672,11 +672,39 @@ async function letterAgent(state) {
   try {
     const { FDCPA_TEMPLATE, FCRA_TEMPLATE } = require('./templates');
     const msg = message.toLowerCase();
+
+    // Letters built from the user's own analyzed findings go through the letter service
+    if (state.userId && state.supabase && (msg.includes('my report') || msg.includes('my findings') ||
+        msg.includes('my violations') || msg.includes('my analysis'))) {
+      const { createGenerateLetterTool } = require('../letters');
+      const letterType = (msg.includes('validation') || msg.includes('fdcpa') || msg.includes('debt')) ? 'fdcpa_validation' : 'fcra_dispute';
+      const result = await createGenerateLetterTool(state.supabase, state.userId).invoke(letterType);
+      if (result.startsWith('Unable to generate letter')) {
+        return {
+          messages: [new HumanMessage({ content: result, name: 'LetterAgent' })],
+        };
+      }
+      const letter = JSON.parse(result);
+      let content = `📝 **${letter.law} Letter to ${letter.recipient.name}**\n\n---\n\n${letter.text}\n\n---\n\n`;
+      content += `📮 **How to Send This Letter**: ${letter.mailing.advice}`;
+      if (letter.warnings.length) content += `\n\n⚠️ ${letter.warnings.join('\n⚠️ ')}`;
+      return {
+        messages: [new HumanMessage({ content, name: 'LetterAgent' })],
+      };
+    }
     
+    // The addressee's directory entry fills the template's recipient block
+    const { formatAddress } = require('../letters/template');
+    const isValidation = msg.includes('validation') || msg.includes('fdcpa') || msg.includes('debt');
+    const recipientEntry = await letterRecipient(state, message, isValidation ? 'fdcpa' : 'fcra');
+    const recipientNote = recipientEntry
+      ? `\n\nAddress the letter to:\n${[recipientEntry.name, ...formatAddress(recipientEntry.address)].join('\n')}`
+      : '';
+
     let response = "";
     
     // Determine letter type and provide specific guidance
-    if (msg.includes('validation') || msg.includes('fdcpa') || msg.includes('debt')) {
+    if (isValidation) {
       response = `📝 **FDCPA Debt Validation Letter**\n\n`;
       response += `Here's your validation request letter:\n\n`;
       response += `---\n\n`;
@@ -685,9 +713,9 @@ async function letterAgent(state) {
       const letter = await callAI([
         new SystemMessage(`Generate a professional FDCPA debt validation letter. Use this template as a base but personalize it based on the user's situation: ${FDCPA_TEMPLATE}. 
         
-        Make it firm but professional. Include all required validation elements. Format it properly for mailing.`),
+        Make it firm but professional. Include all required validation elements. Format it properly for mailing.${recipientNote}`),
         new HumanMessage(message)
-      ]);
+      ], tokenHandler(state, 'letter'));
       
       response += letter.content;
       response += `\n\n---\n\n`;
@@ -714,9 +742,9 @@ async function letterAgent(state) {
       const letter = await callAI([
         new SystemMessage(`Generate a professional FCRA credit dispute letter. Use this template as a base: ${FCRA_TEMPLATE}. 
         
-        Personalize it based on the specific credit report errors mentioned. Be specific about what's wrong and why. Include request for investigation and removal.`),
+        Personalize it based on the specific credit report errors mentioned. Be specific about what's wrong and why. Include request for investigation and removal.${recipientNote}`),
         new HumanMessage(message)
-      ]);
+      ], tokenHandler(state, 'letter'));
       
       response += letter.content;
       response += `\n\n---\n\n`;
@@ -746,7 +774,7 @@ async function letterAgent(state) {
         4. Be dated and include account information if provided
         5. Be professional but firm in tone`),
         new HumanMessage(message)
-      ]);
+      ], tokenHandler(state, 'letter'));
       
       response += letter.content;
       response += `\n\n---\n\n`;
@@ -802,31 +830,80 @@ async function letterAgent(state) {
 async function legalAgent(state) {
   const message = state.messages[state.messages.length - 1].content;
   const ConsumerLawDeadlines = require('../utils/consumerLawDeadlines');
+  const moment = require('moment');
   
   try {
     const msg = message.toLowerCase();
     let response = "";
-    
+
+    // Damages and case-strength questions are answered from the user's dispute case
+    if (state.userId && state.supabase && CASE_ASSESSMENT_RE.test(msg)) {
+      try {
+        const { createCaseAssessmentTool } = require('../disputes');
+        const caseId = (message.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i) || [''])[0];
+        const assessment = await createCaseAssessmentTool(state.supabase, state.userId).invoke(caseId);
+        if (!assessment.startsWith('No dispute cases') && !assessment.startsWith('Unable')) {
+          return { messages: [new HumanMessage({ content: assessment, name: 'LegalAgent' })] };
+        }
+      } catch (error) {
+        console.error('[LegalAgent] Case assessment error:', error.message || error);
+      }
+    }
+
+    // CFPB complaints are drafted from the dispute case the bureau or collector has not resolved
+    if (state.userId && state.supabase && CFPB_COMPLAINT_RE.test(msg)) {
+      try {
+        const { createCfpbComplaintTool } = require('../complaints');
+        const caseId = (message.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i) || [''])[0];
+        const draft = await createCfpbComplaintTool(state.supabase, state.userId).invoke(caseId);
+        if (!draft.startsWith('No sent dispute cases') && !draft.startsWith('Unable')) {
+          return { messages: [new HumanMessage({ content: draft, name: 'LegalAgent' })] };
+        }
+      } catch (error) {
+        console.error('[LegalAgent] CFPB complaint error:', error.message || error);
+      }
+    }
+
+    // Harassment questions cite the user's own contact log when they keep one
+    if (state.userId && state.supabase && CONTACT_LOG_RE.test(msg)) {
+      try {
+        const { createContactLogTool } = require('../contacts');
+        const review = await createContactLogTool(state.supabase, state.userId).invoke('');
+        if (!review.startsWith('No contact log') && !review.startsWith('Unable')) {
+          response = review + `\n\n📝 **Next steps**: keep logging every contact with the time and where you were, send a cease & desist letter by certified mail, and keep the green card. Ask me to draft the letter.`;
+          return { messages: [new HumanMessage({ content: response, name: 'LegalAgent' })] };
+        }
+      } catch (error) {
+        console.error('[LegalAgent] Contact log review error:', error.message || error);
+      }
+    }
+
     // Handle mailing/timeline deadline questions (use consumerLawDeadlines)
     if (msg.includes('mailed') || msg.includes('sent') || msg.includes('certified mail') ||
         msg.includes('timeline') || msg.includes('deadline') || msg.includes('days left') || msg.includes('when did')) {
       const dateMatch = message.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})|(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/);
       if (dateMatch) {
         const mailingDate = dateMatch[0];
+        const method = msg.includes('certified') ? 'certified' : (msg.includes('online') ? 'online' : 'mail');
+        const received = /\b(delivered|received)\b/.test(msg);
         // Determine whether this is a credit (FCRA) or debt (FDCPA) question
         if (msg.includes('credit') || msg.includes('fcra') || msg.includes('bureau') || msg.includes('equifax') || msg.includes('experian') || msg.includes('transunion')) {
-          const deadlines = ConsumerLawDeadlines.calculateFCRADeadlines(mailingDate, msg.includes('certified') ? 'certified' : 'mail');
-          response = `📅 FCRA Timeline based on mailing date ${mailingDate}\n\n`;
-          response += `• Investigation deadline: ${deadlines.investigationDeadline}\n`;
+          const deadlines = ConsumerLawDeadlines.calculateFCRADeadlines(mailingDate, method, { received });
+          if (deadlines.error) return { messages: [new HumanMessage({ content: `📅 I couldn't read "${mailingDate}" as a date. Try MM/DD/YYYY.`, name: 'LegalAgent' })] };
+          response = `📅 FCRA Timeline based on ${received ? 'delivery' : 'mailing'} date ${mailingDate}\n\n`;
+          response += `• Bureau receives your dispute: ${deadlines.receivedDate}\n  ${deadlines.details.receivedDate.reasoning}\n`;
+          response += `• Investigation deadline: ${deadlines.investigationDeadline} (${deadlines.details.investigationDeadline.citation})\n`;
           response += `• Extended deadline (if applicable): ${deadlines.extendedDeadline}\n`;
-          response += `• Results deadline: ${deadlines.resultsDeadline}\n`;
+          response += `• Results deadline: ${deadlines.resultsDeadline}\n  ${deadlines.details.resultsDeadline.reasoning}\n`;
           response += `\n${deadlines.advice}`;
         } else {
           const fd = ConsumerLawDeadlines.calculateFDCPADeadlines(mailingDate, msg.includes('certified'));
-          response = `📅 FDCPA Timeline based on mailing date ${mailingDate}\n\n`;
+          if (fd.error) return { messages: [new HumanMessage({ content: `📅 I couldn't read "${mailingDate}" as a date. Try MM/DD/YYYY.`, name: 'LegalAgent' })] };
+          response = `📅 FDCPA Timeline based on ${mailingDate}\n\n`;
           response += `• Collector validation notice deadline: ${fd.validationNoticeDeadline}\n`;
-          response += `• Consumer validation period (you have until): ${fd.consumerValidationDeadline}\n`;
-          response += `• Effective deadline (with delivery buffer): ${fd.effectiveDeadline}\n`;
+          response += `• Notice assumed received: ${fd.noticeReceivedDate} (${fd.details.noticeReceivedDate.citation})\n`;
+          response += `• Consumer validation period (you have until): ${fd.consumerValidationDeadline}\n  ${fd.details.consumerValidationDeadline.reasoning}\n`;
+          response += `• Mail your dispute by: ${fd.effectiveDeadline}\n  ${fd.details.effectiveDeadline.reasoning}\n`;
           response += `\n${fd.advice}`;
         }
         return { messages: [new HumanMessage({ content: response, name: 'LegalAgent' })] };
@@ -838,24 +915,54 @@ async function legalAgent(state) {
     
     // Handle specific consumer law scenarios
     if (msg.includes('statute of limitations') || msg.includes('sol') || msg.includes('too old')) {
-      response = `⚖️ **Statute of Limitations (SOL) - Your Shield Against Old Debts**\n\n`;
-      response += `The SOL is like an expiration date on debts. Here's what you need to know:\n\n`;
-      response += `📅 **Common SOL Periods**:\n`;
-      response += `• Credit cards: 3-6 years (varies by state)\n`;
-      response += `• Medical debt: 3-6 years\n`;
-      response += `• Auto loans: 4-6 years\n`;
-      response += `• Student loans: No SOL (federal)\n\n`;
-      response += `🚨 **CRITICAL**: Don't make payments on old debts! This can restart the SOL clock.\n\n`;
-      response += `💡 **If contacted about old debt**: Ask for validation and check the SOL. If expired, you have a strong defense.`;
-      
-      // If they mention a specific date, calculate SOL
-      const dateMatch = message.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})|(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/);
-      if (dateMatch) {
-        const solInfo = ConsumerLawDeadlines.calculateSOL(dateMatch[0]);
-        response += `\n\n📊 **Your SOL Calculation**:\n`;
-        response += `• Original debt date: ${solInfo.originalDebtDate}\n`;
-        response += `• SOL expires: ${solInfo.solExpirationDate}\n`;
-        response += `• ${solInfo.advice}`;
+      const { findStateInText } = require('../utils/statuteOfLimitations');
+      const datePattern = /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})|(\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2})/g;
+      const dates = [...message.matchAll(datePattern)];
+      const stateCode = findStateInText(message);
+
+      // Debt type from everyday words; the calculator maps these to the legal categories
+      let debtType = null;
+      if (msg.includes('student loan')) debtType = msg.includes('private') ? 'private_student_loan' : 'federal_student_loan';
+      else if (msg.includes('credit card') || msg.includes('store card')) debtType = 'credit_card';
+      else if (msg.includes('medical') || msg.includes('hospital')) debtType = 'medical';
+      else if (msg.includes('auto loan') || msg.includes('car loan')) debtType = 'auto_loan';
+      else if (msg.includes('promissory') || msg.includes('personal loan')) debtType = 'personal_loan';
+      else if (msg.includes('oral') || msg.includes('verbal')) debtType = 'oral_contract';
+
+      if (dates.length) {
+        // "last payment"/"last paid" marks the date that follows it as the last payment
+        const lastPaymentAt = msg.search(/last (payment|paid|pay)/);
+        const lastPayment = lastPaymentAt >= 0 ? dates.find(d => d.index > lastPaymentAt) : null;
+        const debtDate = dates.find(d => d !== lastPayment) || dates[0];
+        const toIso = (text) => moment(text, ['MM/DD/YYYY', 'M/D/YYYY', 'MM-DD-YYYY', 'MM/DD/YY', 'YYYY-MM-DD', 'YYYY/MM/DD']).format('YYYY-MM-DD');
+        const solInfo = ConsumerLawDeadlines.calculateSOL(toIso(debtDate[0]), {
+          state: stateCode,
+          debtType,
+          lastPaymentDate: lastPayment && lastPayment !== debtDate ? toIso(lastPayment[0]) : null
+        });
+
+        if (solInfo.error) {
+          response = `⚖️ **Statute of Limitations**\n\nI couldn't read "${debtDate[0]}" as a date. Please give it as MM/DD/YYYY, e.g. "credit card in Ohio, defaulted 03/15/2020".`;
+        } else {
+          response = `⚖️ **Statute of Limitations${solInfo.stateName ? ` - ${solInfo.stateName}` : ''}**\n\n`;
+          response += `📌 **Rule**: ${solInfo.rule}${solInfo.citation ? ` (${solInfo.citation})` : ''}\n`;
+          if (solInfo.solExpirationDate) {
+            response += `• Clock started: ${solInfo.clockStart}${solInfo.clockRestarted ? ' (restarted by your last payment)' : ''}\n`;
+            response += `• SOL expires: ${solInfo.solExpirationDate}\n`;
+          }
+          if (solInfo.revival) response += `• Restarting the clock: ${solInfo.revival.note}${solInfo.revival.citation ? ` (${solInfo.revival.citation})` : ''}\n`;
+          response += `\n${solInfo.advice}\n\n`;
+          response += `📊 **Credit Report Limit**: negative entries must come off by ${solInfo.creditReporting.removalDate} (7 years from the first delinquency plus 180 days, ${solInfo.creditReporting.citation}), no matter what happens with the SOL.`;
+          if (!solInfo.state && solInfo.debtType !== 'federal_student_loan') {
+            response += `\n\n💡 Tell me your state (and the type of debt) for the exact limit - it ranges from 3 to 10 years.`;
+          }
+        }
+      } else {
+        response = `⚖️ **Statute of Limitations (SOL) - Your Shield Against Old Debts**\n\n`;
+        response += `The SOL is like an expiration date on debts. It depends on your state and the type of debt: 3 to 10 years, counted from the default or last payment. Federal student loans have no SOL.\n\n`;
+        response += `🚨 **CRITICAL**: In most states a payment or written acknowledgment restarts the SOL clock. A few (like New York and Texas) don't allow that for consumer debt.\n\n`;
+        response += `📊 **Credit reports are separate**: negative items come off 7 years after the first delinquency (plus 180 days) regardless of the SOL.\n\n`;
+        response += `💡 **Check your debt**: tell me your state, the type of debt and the date you defaulted (and your last payment date), e.g. "credit card in Ohio, defaulted 03/15/2020".`;
       }
     }
     
@@ -874,7 +981,7 @@ async function legalAgent(state) {
       response += `• Sue for violations ($1,000 + attorney fees)\n\n`;
       response += `📝 **Action Steps**:\n`;
       response += `1. Send validation request via certified mail\n`;
-      response += `2. Document all violations (dates, times, what was said)\n`;
+      response += `2. Log every call, text and visit (date, time, time zone, what was said); I'll check the log for violations\n`;
       response += `3. Keep records of all communications`;
     }
     
@@ -958,7 +1065,7 @@ async function legalAgent(state) {
       const aiResponse = await callAI([
         new SystemMessage(`You are a friendly consumer law expert. Use this legal context (do NOT invent facts beyond the source content):\n\n${legalContext}\n\nProvide practical, actionable advice in a conversational tone. Use emojis and formatting to make it engaging. Focus on what the user can actually DO, not just legal theory. Include specific steps and deadlines when relevant.`),
         new HumanMessage(message)
-      ]);
+      ], tokenHandler(state, 'legal'));
       response = aiResponse.content;
     }
     
@@ -1023,7 +1130,7 @@ async function calendarAgent(state) {
     const reminder = await callAI([
       new SystemMessage('Set legal deadline reminders and calendar events.'),
       new HumanMessage(message)
-    ]);
+    ], tokenHandler(state, 'calendar'));
     return {
       messages: [new HumanMessage({ content: reminder.content, name: 'CalendarAgent' })],
     };
@@ -1063,4 +1170,4 @@ const graph = workflow.compile({
   recursionLimit: 3 // Minimal steps to prevent loops
 });
 
-module.exports = { graph, AgentState, reportAgent, supervisor };
\ No newline at end of file
+module.exports = { graph, AgentState, reportAgent, letterAgent, legalAgent, searchAgent, supervisor };
\ No newline at end of file
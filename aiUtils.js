@@ -1,2 +0,0 @@
-// Small proxy to the temp implementation so legacy requires work
-module.exports = require('./temp/aiUtils');
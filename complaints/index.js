@@ -0,0 +1,303 @@
+/**
+ * CFPB complaint drafts built from a dispute case: the company, the portal's
+ * product / sub-product / issue choices (complaints/taxonomy.js), a narrative
+ * written from the case's findings and timeline, the desired resolution and the
+ * documents to attach. Drafts are returned as JSON and can be rendered to a
+ * printable PDF with the letter renderer; the user submits them through the
+ * CFPB portal, which has no consumer API.
+ *
+ * Functions return `{ error, status }` instead of throwing for invalid input
+ * and missing cases.
+ */
+const moment = require('moment');
+const { DynamicTool } = require('@langchain/core/tools');
+const { getCase, listCases, linkLetter, caseContactViolations } = require('../disputes');
+const { nextSteps } = require('../disputes/states');
+const { loadProfile } = require('../letters');
+const { formatAddress } = require('../letters/template');
+const { renderLetterPdf } = require('../letters/pdf');
+const { loadExhibits, storeLetterPdf } = require('../letters/files');
+const { PRODUCTS, TAXONOMY_REVIEWED, issuesFor, subProductFor } = require('./taxonomy');
+
+const FORMAT_VERSION = 1;
+const PORTAL_URL = 'https://www.consumerfinance.gov/complaint/';
+const MAX_NARRATIVE_ITEMS = 10;
+const VERIFIED_OUTCOME_RE = /verif|confirm|no change|unchanged|remain|accurate/i;
+
+const DESIRED_RESOLUTION = {
+  credit_reporting: 'Delete or correct each disputed item, complete a reasonable reinvestigation and send me the written results with a free updated copy of my report (15 U.S.C. § 1681i(a)(6)). Notify anyone who received my report in the last six months of the corrections (§ 1681i(d)).',
+  debt_collection: 'Stop collecting until the debt is validated, send the validation I requested (15 U.S.C. § 1692g(b)), stop contacting me except in writing, and remove any credit reporting of the disputed debt.'
+};
+
+const fmt = (date) => moment(date).format('MMMM D, YYYY');
+
+function productFor(disputeCase) {
+  return disputeCase.case_type === 'fdcpa' || disputeCase.recipient_type === 'collector' ? 'debt_collection' : 'credit_reporting';
+}
+
+// Why the case is going to the CFPB as of the draft's date: missed or late response, or an unfixed error
+function responseProblems(disputeCase, asOf) {
+  const types = [];
+  if (nextSteps(disputeCase, asOf).some(s => s.action === 'cfpb_complaint')) types.push('missed_investigation_deadline');
+  const response = (disputeCase.deadlines || {}).response;
+  if (response && response.onTime === false) types.push('late_investigation_results');
+  if (disputeCase.responded_at && VERIFIED_OUTCOME_RE.test(disputeCase.outcome || '')) types.push('verified_after_dispute');
+  return types;
+}
+
+function buildTimeline(disputeCase, contactViolations, contacts) {
+  const deadlines = disputeCase.deadlines || {};
+  const due = (deadlines.investigation && deadlines.investigation.investigationDeadline) ||
+    (deadlines.followUp && deadlines.followUp.responseDue);
+  const mailed = [disputeCase.mail_method === 'certified' || disputeCase.certified_mail_id ? 'by certified mail' : null,
+    disputeCase.tracking_number ? `tracking ${disputeCase.tracking_number}` : null].filter(Boolean).join(', ');
+  const entries = [
+    [disputeCase.sent_at, `Sent a written dispute to ${disputeCase.recipient}${mailed ? ` (${mailed})` : ''}`],
+    [disputeCase.delivered_at, `${disputeCase.recipient} received the dispute`],
+    [due, `Response due from ${disputeCase.recipient}`],
+    [disputeCase.responded_at, `${disputeCase.recipient} responded${disputeCase.outcome ? `: ${disputeCase.outcome}` : ''}`],
+    [disputeCase.escalated_at, 'Escalated the dispute']
+  ];
+  const byId = new Map(contacts.map(c => [c.id, c]));
+  for (const violation of contactViolations) {
+    const first = byId.get(violation.contact_ids[0]);
+    if (first) entries.push([first.occurred_at, violation.description]);
+  }
+  return entries.filter(([date]) => date)
+    .map(([date, event]) => ({ date: moment(date).format('YYYY-MM-DD'), event }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function buildNarrative(disputeCase, { productKey, contactViolations, problems, asOf }) {
+  const findings = disputeCase.findings || [];
+  const paragraphs = [];
+  const deadlines = disputeCase.deadlines || {};
+
+  if (disputeCase.sent_at) {
+    const how = disputeCase.mail_method === 'certified' || disputeCase.certified_mail_id ? ' by certified mail' : '';
+    const delivered = disputeCase.delivered_at ? `, and it was delivered on ${fmt(disputeCase.delivered_at)}` : '';
+    paragraphs.push(`On ${fmt(disputeCase.sent_at)}, I sent ${disputeCase.recipient} a written dispute${how}${delivered}.`);
+  } else {
+    paragraphs.push(`I am disputing information from ${disputeCase.recipient}.`);
+  }
+
+  if (findings.length) {
+    const items = findings.slice(0, MAX_NARRATIVE_ITEMS).map((f, i) => {
+      const accounts = (f.affected_accounts || []).join(', ');
+      return `${i + 1}. ${accounts ? `${accounts}: ` : ''}${String(f.description || f.type || 'Disputed item').replace(/\.$/, '')}.`;
+    });
+    if (findings.length > MAX_NARRATIVE_ITEMS) items.push(`…and ${findings.length - MAX_NARRATIVE_ITEMS} more items listed in the attached dispute letter.`);
+    paragraphs.push(`The disputed items are:\n${items.join('\n')}`);
+  }
+
+  if (problems.includes('missed_investigation_deadline')) {
+    const due = deadlines.investigation.investigationDeadline;
+    paragraphs.push(`Under the Fair Credit Reporting Act (15 U.S.C. § 1681i(a)), ${disputeCase.recipient} had to complete its reinvestigation by ${fmt(due)}. As of ${fmt(asOf)}, I have not received any results.`);
+  } else if (problems.includes('late_investigation_results')) {
+    paragraphs.push(`${disputeCase.recipient} did not respond until ${fmt(deadlines.response.received)}, after the ${fmt(deadlines.response.due)} deadline set by 15 U.S.C. § 1681i(a).`);
+  }
+  if (problems.includes('verified_after_dispute')) {
+    paragraphs.push(`${disputeCase.recipient} responded on ${fmt(disputeCase.responded_at)} (${disputeCase.outcome}) but did not correct the items, even though the dispute explained why each one is inaccurate.`);
+  }
+
+  if (contactViolations.length) {
+    const lines = contactViolations.slice(0, MAX_NARRATIVE_ITEMS).map(v => `- ${v.description} (${v.citation})`);
+    paragraphs.push(`I have kept a log of ${disputeCase.recipient}'s contacts. It shows:\n${lines.join('\n')}`);
+  }
+
+  paragraphs.push(productKey === 'debt_collection'
+    ? 'I am asking the CFPB to have this company respond and follow the Fair Debt Collection Practices Act and Regulation F.'
+    : 'I am asking the CFPB to have this company respond and correct my credit report as the Fair Credit Reporting Act requires.');
+  return paragraphs.join('\n\n');
+}
+
+function buildAttachments(disputeCase, contactViolations, problems) {
+  const attachments = (disputeCase.letters || []).filter(l => l.type !== 'cfpb_complaint').map(l => ({
+    kind: 'letter',
+    title: l.title || `Dispute letter${l.type ? ` (${l.type})` : ''}`,
+    storage_path: l.storage_path || null
+  }));
+  if (!attachments.length && disputeCase.sent_at) attachments.push({ kind: 'letter', title: 'Copy of the dispute letter sent', storage_path: null });
+  if (disputeCase.certified_mail_id || disputeCase.tracking_number) {
+    attachments.push({ kind: 'mail_receipt', title: `Certified mail receipt${disputeCase.tracking_number ? ` (tracking ${disputeCase.tracking_number})` : ''}`, storage_path: null });
+  }
+  if (disputeCase.delivered_at) attachments.push({ kind: 'delivery_confirmation', title: 'Delivery confirmation (return receipt or USPS tracking)', storage_path: null });
+  if (disputeCase.responded_at) attachments.push({ kind: 'response', title: `${disputeCase.recipient}'s response`, storage_path: null });
+  for (const ref of reportExhibits(disputeCase)) {
+    attachments.push({ kind: 'report_pages', title: `Credit report pages ${ref.pages.join(', ')}`, file_path: ref.file_path, pages: ref.pages });
+  }
+  if (contactViolations.length) attachments.push({ kind: 'contact_log', title: 'Contact log of the collector\'s calls and messages', storage_path: null });
+  if (problems.includes('missed_investigation_deadline')) attachments.push({ kind: 'note', title: 'No response was received; nothing to attach for the results', storage_path: null });
+  return attachments;
+}
+
+// Report pages holding the findings' evidence, grouped by report file
+function reportExhibits(disputeCase) {
+  const byFile = new Map();
+  for (const f of disputeCase.findings || []) {
+    const page = f.evidence_location && f.evidence_location.page;
+    if (!f.file_path || !page) continue;
+    if (!byFile.has(f.file_path)) byFile.set(f.file_path, new Set());
+    byFile.get(f.file_path).add(page);
+  }
+  return [...byFile].map(([filePath, pages]) => ({ file_path: filePath, pages: [...pages].sort((a, b) => a - b) }));
+}
+
+// The draft and the case it was built from
+async function draftComplaint(supabase, userId, input) {
+  if (!input.caseId) return { error: 'Missing caseId', status: 400 };
+  const asOf = input.date ? moment(input.date, 'YYYY-MM-DD', true) : moment();
+  if (!asOf.isValid()) return { error: 'date must be YYYY-MM-DD', status: 400 };
+
+  const { disputeCase, error, status } = await getCase(supabase, userId, input.caseId);
+  if (error) return { error, status };
+  if (disputeCase.state === 'draft') return { error: 'Send the dispute before filing a complaint; the CFPB expects the company to have had a chance to respond', status: 409 };
+
+  const collected = await caseContactViolations(supabase, userId, disputeCase);
+  if (collected.error) return collected;
+  const { contacts, contactViolations } = collected;
+
+  const productKey = productFor(disputeCase);
+  const problems = productKey === 'credit_reporting' ? responseProblems(disputeCase, asOf) : [];
+  const types = [...problems, ...(disputeCase.findings || []).map(f => f.type), ...contactViolations.map(v => v.violation_type)];
+  const issues = issuesFor(productKey, types.length ? types : [null]);
+  // A missed or failed investigation is the complaint itself; the reporting errors support it
+  const primary = issues.find(i => i.key.startsWith('investigation.')) || issues[0];
+
+  const profile = await loadProfile(supabase, userId);
+  const warnings = [];
+  if (!profile || !profile.name) warnings.push('Add your name and address to your profile; the portal asks for them');
+  if (!(disputeCase.letters || []).length) warnings.push('No letter is linked to this case; attach a copy of the dispute you sent');
+  warnings.push('Redact Social Security and full account numbers from attachments before uploading');
+
+  return {
+    disputeCase,
+    complaint: {
+      format_version: FORMAT_VERSION,
+      generated_at: new Date().toISOString(),
+      case_id: disputeCase.id,
+      submit_at: PORTAL_URL,
+      taxonomy_reviewed: TAXONOMY_REVIEWED,
+      consumer: profile ? { name: profile.name, address: formatAddress(profile.address), phone: profile.phone || null } : null,
+      company: { name: disputeCase.recipient, type: disputeCase.recipient_type, directory_key: disputeCase.recipient_key || null },
+      product: { product: PRODUCTS[productKey].product, sub_product: subProductFor(productKey, input.debtType) },
+      issue: { issue: primary.issue, sub_issue: primary.sub_issue },
+      additional_issues: issues.filter(i => i !== primary).map(({ issue, sub_issue }) => ({ issue, sub_issue })),
+      narrative: input.narrative || buildNarrative(disputeCase, { productKey, contactViolations, problems, asOf }),
+      desired_resolution: input.desiredResolution || DESIRED_RESOLUTION[productKey],
+      timeline: buildTimeline(disputeCase, contactViolations, contacts),
+      attachments: buildAttachments(disputeCase, contactViolations, problems),
+      warnings
+    }
+  };
+}
+
+/**
+ * Build a CFPB complaint draft from a dispute case.
+ * @param {Object} input - { caseId, debtType, narrative, desiredResolution, date }
+ *   narrative and desiredResolution replace the generated text; debtType picks the
+ *   debt collection sub-product ("credit_card", "medical", ...)
+ * @returns {Promise<{ complaint?: Object, error?: string, status?: number }>}
+ */
+async function buildCfpbComplaint(supabase, userId, input = {}) {
+  const { complaint, error, status } = await draftComplaint(supabase, userId, input);
+  if (error) return { error, status };
+  return { complaint };
+}
+
+// Printable layout in the letter renderer's section format
+function complaintSections(complaint) {
+  const heading = (text) => ({ type: 'subject', text });
+  const list = (title, lines) => ({ type: 'list', text: [title, ...lines].join('\n') });
+  const sections = [
+    heading(`CFPB Complaint Draft: ${complaint.company.name}`),
+    { type: 'paragraph', text: `Prepared ${fmt(complaint.generated_at)}. Submit at ${complaint.submit_at}, copying each part into the matching step of the form.` },
+    list('What this complaint is about', [
+      `Product: ${complaint.product.product}`,
+      `Sub-product: ${complaint.product.sub_product}`,
+      `Issue: ${complaint.issue.issue}`,
+      `Sub-issue: ${complaint.issue.sub_issue}`,
+      ...complaint.additional_issues.map(i => `Also: ${i.issue} / ${i.sub_issue}`)
+    ]),
+    list('Company', [complaint.company.name]),
+    heading('What happened'),
+    ...complaint.narrative.split(/\n\s*\n/).map(text => ({ type: /^\S.*:\n/.test(text) ? 'list' : 'paragraph', text })),
+    heading('Desired resolution'),
+    { type: 'paragraph', text: complaint.desired_resolution }
+  ];
+  if (complaint.timeline.length) sections.push(list('Timeline', complaint.timeline.map(t => `${t.date}  ${t.event}`)));
+  return sections;
+}
+
+/**
+ * Build a complaint draft (same input as buildCfpbComplaint) and store a printable
+ * PDF, with the report pages holding the findings' evidence attached unless
+ * `attachExhibits` is false. The PDF is linked to the case.
+ * @returns {Promise<{ complaint?: Object, pdf?: Object, error?: string, status?: number }>}
+ */
+async function exportCfpbComplaintPdf(supabase, userId, input = {}) {
+  const { complaint, disputeCase, error, status } = await draftComplaint(supabase, userId, input);
+  if (error) return { error, status };
+
+  const loaded = await loadExhibits(supabase, userId, input.attachExhibits === false ? [] : reportExhibits(disputeCase));
+  const document = {
+    type: 'cfpb_complaint',
+    sender: complaint.consumer || {},
+    sections: complaintSections(complaint),
+    enclosures: complaint.attachments.filter(a => a.kind !== 'report_pages' && a.kind !== 'note').map(a => a.title)
+  };
+  const rendered = await renderLetterPdf(document, { exhibits: loaded.exhibits });
+  const stored = await storeLetterPdf(supabase, userId, rendered.buffer, 'cfpb_complaint');
+  if (stored.error) return stored;
+
+  const warnings = [...loaded.warnings, ...rendered.warnings];
+  const linked = await linkLetter(supabase, userId, input.caseId, { type: 'cfpb_complaint', title: `CFPB complaint draft: ${complaint.company.name}`, storagePath: stored.path });
+  if (linked.error) warnings.push(`Not linked to case: ${linked.error}`);
+  return { complaint, pdf: { ...stored, pageCount: rendered.pageCount, exhibits: rendered.exhibits, warnings } };
+}
+
+/**
+ * Chat-friendly summary of a draft.
+ */
+function formatComplaint(complaint) {
+  let text = `📝 **CFPB Complaint Draft: ${complaint.company.name}**\n\n`;
+  text += `**Product**: ${complaint.product.product} › ${complaint.product.sub_product}\n`;
+  text += `**Issue**: ${complaint.issue.issue} › ${complaint.issue.sub_issue}\n\n`;
+  text += `**What happened**\n${complaint.narrative}\n\n`;
+  text += `**Desired resolution**\n${complaint.desired_resolution}\n\n`;
+  if (complaint.attachments.length) text += `📎 **Attach**\n${complaint.attachments.map(a => `• ${a.title}`).join('\n')}\n\n`;
+  text += `Submit it at ${complaint.submit_at}. Ask me for a printable PDF to keep with your records.`;
+  return text;
+}
+
+/**
+ * Tool the legal agent uses to draft a complaint. Input: a dispute case id, or empty
+ * for the case whose next step is a CFPB complaint (else the most recent sent case).
+ */
+function createCfpbComplaintTool(supabase, userId) {
+  return new DynamicTool({
+    name: 'draft_cfpb_complaint',
+    description: 'Draft a CFPB complaint from one of the user\'s dispute cases: company, product and issue, narrative from the findings and timeline, desired resolution and attachments. Input: a dispute case id, or empty to pick the case that missed its response deadline.',
+    func: async (input) => {
+      let caseId = String(input || '').trim();
+      if (!caseId) {
+        const { cases, error } = await listCases(supabase, userId);
+        if (error) return `Unable to draft the complaint: ${error}`;
+        const candidate = cases.find(c => c.next_steps.some(s => s.action === 'cfpb_complaint')) || cases.find(c => c.state !== 'draft');
+        if (!candidate) return 'No sent dispute cases yet. Send a dispute first; the CFPB expects the company to have had a chance to respond.';
+        caseId = candidate.id;
+      }
+      const { complaint, error } = await buildCfpbComplaint(supabase, userId, { caseId });
+      if (error) return `Unable to draft the complaint: ${error}`;
+      return formatComplaint(complaint);
+    }
+  });
+}
+
+module.exports = {
+  buildCfpbComplaint,
+  exportCfpbComplaintPdf,
+  formatComplaint,
+  createCfpbComplaintTool,
+  PORTAL_URL
+};
@@ -0,0 +1,162 @@
+// CFPB complaint portal choices (product, sub-product, issue, sub-issue) for the
+// two products this app helps with, and the mapping from our finding types onto
+// them. The portal's wording changes from time to time; review the lists against
+// consumerfinance.gov/complaint when it does.
+
+const TAXONOMY_REVIEWED = '2026-10-19';
+
+const PRODUCTS = {
+  credit_reporting: {
+    product: 'Credit reporting or other personal consumer reports',
+    subProducts: ['Credit reporting', 'Other personal consumer report'],
+    issues: {
+      incorrect_information: {
+        issue: 'Incorrect information on your report',
+        subIssues: {
+          not_mine: 'Information belongs to someone else',
+          account_status: 'Account status incorrect',
+          account_information: 'Account information incorrect',
+          personal_information: 'Personal information incorrect',
+          old_information: 'Old information reappears or never goes away',
+          public_record: 'Public record information inaccurate'
+        }
+      },
+      investigation: {
+        issue: 'Problem with a company\'s investigation into an existing problem',
+        subIssues: {
+          not_fixed: 'Their investigation did not fix an error on your report',
+          too_long: 'Investigation took more than 30 days',
+          not_notified: 'Was not notified of investigation status or results'
+        }
+      },
+      improper_use: {
+        issue: 'Improper use of your report',
+        subIssues: {
+          unknown_inquiries: 'Credit inquiries on your report that you don\'t recognize',
+          improper_use: 'Reporting company used your report improperly'
+        }
+      }
+    }
+  },
+  debt_collection: {
+    product: 'Debt collection',
+    subProducts: ['Credit card debt', 'Medical debt', 'Auto debt', 'Mortgage debt', 'Payday loan debt',
+      'Private student loan debt', 'Federal student loan debt', 'Telecommunications debt', 'Rental debt', 'Other debt', 'I do not know'],
+    issues: {
+      not_owed: {
+        issue: 'Attempts to collect debt not owed',
+        subIssues: {
+          not_mine: 'Debt is not yours',
+          paid: 'Debt was paid',
+          identity_theft: 'Debt was result of identity theft',
+          bankruptcy: 'Debt was already discharged in bankruptcy and is no longer owed'
+        }
+      },
+      written_notification: {
+        issue: 'Written notification about debt',
+        subIssues: {
+          not_enough_information: 'Didn\'t receive enough information to verify debt',
+          no_dispute_notice: 'Didn\'t receive notice of right to dispute'
+        }
+      },
+      communication: {
+        issue: 'Communication tactics',
+        subIssues: {
+          repeated_calls: 'Frequent or repeated calls',
+          inconvenient_time: 'Called before 8am or after 9pm',
+          kept_contacting: 'You told them to stop contacting you, but they keep trying'
+        }
+      },
+      third_parties: {
+        issue: 'Threatened to contact someone or share information improperly',
+        subIssues: {
+          employer: 'Contacted your employer'
+        }
+      },
+      false_statements: {
+        issue: 'False statements or representation',
+        subIssues: {
+          wrong_amount: 'Attempted to collect wrong amount'
+        }
+      }
+    }
+  }
+};
+
+// Finding or violation type -> [issue key, sub-issue key]
+const CREDIT_REPORTING_ISSUES = {
+  obsolete_negative_item: ['incorrect_information', 'old_information'],
+  obsolete_bankruptcy: ['incorrect_information', 'old_information'],
+  outdated_inquiry: ['incorrect_information', 'old_information'],
+  duplicate_reporting: ['incorrect_information', 'account_information'],
+  inaccurate_balance: ['incorrect_information', 'account_information'],
+  inconsistent_dates: ['incorrect_information', 'account_information'],
+  re_aged_debt: ['incorrect_information', 'account_information'],
+  unauthorized_inquiry: ['improper_use', 'unknown_inquiries'],
+  missed_investigation_deadline: ['investigation', 'too_long'],
+  late_investigation_results: ['investigation', 'too_long'],
+  verified_after_dispute: ['investigation', 'not_fixed']
+};
+
+const DEBT_COLLECTION_ISSUES = {
+  inconvenient_time: ['communication', 'inconvenient_time'],
+  excessive_calls: ['communication', 'repeated_calls'],
+  call_after_conversation: ['communication', 'repeated_calls'],
+  contact_after_cease: ['communication', 'kept_contacting'],
+  workplace_contact_after_objection: ['third_parties', 'employer'],
+  re_aged_debt: ['false_statements', 'wrong_amount'],
+  inaccurate_balance: ['false_statements', 'wrong_amount'],
+  validation_notice: ['written_notification', 'no_dispute_notice']
+};
+
+// Debt types from utils/statuteOfLimitations.js aliases -> debt collection sub-product
+const DEBT_SUB_PRODUCTS = {
+  credit_card: 'Credit card debt',
+  store_card: 'Credit card debt',
+  medical: 'Medical debt',
+  auto_loan: 'Auto debt',
+  mortgage: 'Mortgage debt',
+  payday: 'Payday loan debt',
+  private_student_loan: 'Private student loan debt',
+  federal_student_loan: 'Federal student loan debt',
+  utility: 'Telecommunications debt',
+  telecom: 'Telecommunications debt',
+  rent: 'Rental debt'
+};
+
+function choice(productKey, [issueKey, subIssueKey]) {
+  const issue = PRODUCTS[productKey].issues[issueKey];
+  return { key: `${issueKey}.${subIssueKey}`, issue: issue.issue, sub_issue: issue.subIssues[subIssueKey] };
+}
+
+/**
+ * Portal issues for a list of finding types, most frequent first.
+ * @param {'credit_reporting'|'debt_collection'} productKey
+ * @param {string[]} types
+ * @returns {Array<{ key, issue, sub_issue, count }>}
+ */
+function issuesFor(productKey, types) {
+  const table = productKey === 'debt_collection' ? DEBT_COLLECTION_ISSUES : CREDIT_REPORTING_ISSUES;
+  const fallback = productKey === 'debt_collection' ? ['written_notification', 'not_enough_information'] : ['incorrect_information', 'account_information'];
+  const counts = new Map();
+  for (const type of types) {
+    const picked = choice(productKey, table[type] || fallback);
+    const entry = counts.get(picked.key) || { ...picked, count: 0 };
+    entry.count++;
+    counts.set(picked.key, entry);
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+function subProductFor(productKey, debtType) {
+  if (productKey === 'credit_reporting') return PRODUCTS.credit_reporting.subProducts[0];
+  const key = String(debtType || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return DEBT_SUB_PRODUCTS[key] || 'I do not know';
+}
+
+module.exports = {
+  PRODUCTS,
+  TAXONOMY_REVIEWED,
+  issuesFor,
+  subProductFor
+};
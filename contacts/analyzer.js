@@ -0,0 +1,287 @@
+// FDCPA / Regulation F checks over a user's contact log. Pure functions over the
+// logged contacts and the user's notices to collectors (cease letters, workplace
+// objections), so results are reproducible and each finding cites the log entries.
+const moment = require('moment');
+
+const ANALYZER_VERSION = 1;
+
+// Contacts the collector started through each channel; letters are mail, not calls
+const CHANNELS = ['call', 'voicemail', 'text', 'email', 'visit', 'letter'];
+const CALL_CHANNELS = ['call', 'voicemail'];
+const LOCATIONS = ['home', 'cell', 'work', 'other'];
+const NOTICE_TYPES = ['cease_communication', 'workplace_objection'];
+
+// Convenient hours are 8am to 9pm in the consumer's time zone
+const EARLIEST_MINUTE = 8 * 60;
+const LATEST_MINUTE = 21 * 60;
+// Reg F call frequency presumption: more than 7 calls within 7 consecutive days
+const MAX_CALLS = 7;
+const CALL_WINDOW_DAYS = 7;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone.
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(date));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+/**
+ * The UTC instant for a wall-clock time ("2026-10-01T07:12") in a time zone.
+ * @returns {Date|null}
+ */
+function zonedTimeToUtc(localTime, timeZone) {
+  const local = moment.utc(localTime, ['YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'], true);
+  if (!local.isValid() || !isValidTimeZone(timeZone)) return null;
+  // The zone's offset at the guess, applied twice to settle across DST changes
+  let instant = local.valueOf();
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(instant, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    instant = local.valueOf() - (asUtc - instant);
+  }
+  return new Date(instant);
+}
+
+function localLabel(contact) {
+  const p = localParts(contact.occurred_at, contact.timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)} ${contact.timezone}`;
+}
+
+const describeContact = (contact) =>
+  `${localLabel(contact)}: ${contact.channel} from ${contact.collector}${contact.location ? ` (${contact.location})` : ''}${contact.summary ? ` - "${contact.summary}"` : ''}`;
+
+// Contacts about the same collector share a key; directory matches use the directory key
+const collectorKey = (row) => row.collector_key || String(row.collector || '').trim().toLowerCase();
+
+function violation(rule, { description, contacts, severity, details }) {
+  return {
+    violation_type: rule.violation_type,
+    rule_id: rule.id,
+    citation: rule.citation,
+    severity: severity || rule.severity,
+    collector: contacts[0] ? contacts[0].collector : null,
+    description,
+    contact_ids: contacts.map(c => c.id),
+    evidence: contacts.map(describeContact),
+    dispute_strategy: rule.dispute_strategy,
+    ...(details ? { details } : {})
+  };
+}
+
+// Date a notice took effect: delivery of the certified letter, or the date the user gave
+function noticeEffectiveAt(notice) {
+  if (notice.certified_mail) {
+    return notice.certified_mail.status === 'delivered' && notice.certified_mail.date_delivered
+      ? moment(notice.certified_mail.date_delivered)
+      : null;
+  }
+  return notice.effective_at ? moment(notice.effective_at) : null;
+}
+
+// Notices of a type that cover a collector; a notice without a collector covers all of them
+function noticesFor(notices, type, key) {
+  return notices.filter(n => n.notice_type === type && (!n.collector || collectorKey(n) === key));
+}
+
+const RULES = [
+  {
+    id: 'FDCPA-805A1-TIME',
+    violation_type: 'inconvenient_time',
+    citation: '15 U.S.C. § 1692c(a)(1); 12 C.F.R. § 1006.6(b)(1)(i)',
+    severity: 'medium',
+    dispute_strategy: 'Note the time in a complaint to the CFPB and your state attorney general; each contact outside 8am-9pm local time is a separate violation.',
+    check(contacts) {
+      return contacts
+        .filter(c => c.channel !== 'letter')
+        .filter(c => {
+          const { hour, minute } = localParts(c.occurred_at, c.timezone);
+          const minuteOfDay = hour * 60 + minute;
+          return minuteOfDay < EARLIEST_MINUTE || minuteOfDay > LATEST_MINUTE;
+        })
+        .map(c => violation(this, {
+          description: `${c.collector} contacted you by ${c.channel} at ${localLabel(c)}, outside 8am-9pm your local time.`,
+          contacts: [c]
+        }));
+    }
+  },
+  {
+    id: 'REGF-1006.14-7IN7',
+    violation_type: 'excessive_calls',
+    citation: '12 C.F.R. § 1006.14(b)(2)(i)(A); 15 U.S.C. § 1692d(5)',
+    severity: 'high',
+    dispute_strategy: 'More than 7 calls in 7 days is presumed harassment. Send the log with a CFPB complaint and consider an FDCPA claim.',
+    check(contacts) {
+      const results = [];
+      const byCollector = groupBy(contacts.filter(c => CALL_CHANNELS.includes(c.channel)), collectorKey);
+      for (const calls of byCollector.values()) {
+        calls.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+        // Every 7-day window over the limit, merged where windows overlap so a
+        // stretch of heavy calling is reported once
+        const runs = [];
+        let start = 0;
+        for (let end = 0; end < calls.length; end++) {
+          while (moment(calls[end].occurred_at).diff(moment(calls[start].occurred_at), 'days', true) >= CALL_WINDOW_DAYS) start++;
+          if (end - start + 1 <= MAX_CALLS) continue;
+          const last = runs[runs.length - 1];
+          if (last && start <= last.end) last.end = end;
+          else runs.push({ start, end });
+        }
+        for (const run of runs) {
+          const slice = calls.slice(run.start, run.end + 1);
+          results.push(violation(this, {
+            description: `${slice[0].collector} called ${slice.length} times between ${localLabel(slice[0])} and ${localLabel(slice[slice.length - 1])}; more than ${MAX_CALLS} calls within ${CALL_WINDOW_DAYS} days is presumed harassment.`,
+            contacts: slice,
+            details: { calls: slice.length, window_days: CALL_WINDOW_DAYS }
+          }));
+        }
+      }
+      return results;
+    }
+  },
+  {
+    id: 'REGF-1006.14-AFTER-CONVERSATION',
+    violation_type: 'call_after_conversation',
+    citation: '12 C.F.R. § 1006.14(b)(2)(i)(B)',
+    severity: 'medium',
+    dispute_strategy: 'A call within 7 days after a phone conversation about the debt is presumed harassment. Include both log entries in a complaint.',
+    check(contacts) {
+      const results = [];
+      const byCollector = groupBy(contacts.filter(c => CALL_CHANNELS.includes(c.channel)), collectorKey);
+      for (const calls of byCollector.values()) {
+        calls.sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+        for (const conversation of calls.filter(c => c.conversation)) {
+          const next = calls.find(c => new Date(c.occurred_at) > new Date(conversation.occurred_at) &&
+            moment(c.occurred_at).diff(moment(conversation.occurred_at), 'days', true) < CALL_WINDOW_DAYS);
+          if (next) {
+            results.push(violation(this, {
+              description: `${next.collector} called again at ${localLabel(next)}, within ${CALL_WINDOW_DAYS} days of a phone conversation at ${localLabel(conversation)}.`,
+              contacts: [conversation, next]
+            }));
+          }
+        }
+      }
+      return results;
+    }
+  },
+  {
+    id: 'FDCPA-805C-CEASE',
+    violation_type: 'contact_after_cease',
+    citation: '15 U.S.C. § 1692c(c); 12 C.F.R. § 1006.6(c)',
+    severity: 'high',
+    dispute_strategy: 'Contact after a delivered cease letter is a violation. Keep the certified mail receipt with the log entry.',
+    check(contacts, notices) {
+      const results = [];
+      for (const c of contacts) {
+        const effective = noticesFor(notices, 'cease_communication', collectorKey(c))
+          .map(n => ({ notice: n, at: noticeEffectiveAt(n) }))
+          .filter(n => n.at && moment(c.occurred_at).isAfter(n.at, 'day'))
+          .sort((a, b) => a.at - b.at)[0];
+        if (!effective) continue;
+        // A letter may confirm that collection stops or announce a specific remedy
+        const letter = c.channel === 'letter';
+        results.push(violation(this, {
+          description: `${c.collector} contacted you by ${c.channel} at ${localLabel(c)}, after your cease letter took effect on ${effective.at.format('YYYY-MM-DD')}.` +
+            (letter ? ' Letters are allowed only to say collection has stopped or to announce a specific remedy; check what it says.' : ''),
+          contacts: [c],
+          severity: letter ? 'low' : undefined,
+          details: { notice_id: effective.notice.id, effective_at: effective.at.format('YYYY-MM-DD'), certified_mail_id: effective.notice.certified_mail_id || null }
+        }));
+      }
+      return results;
+    }
+  },
+  {
+    id: 'FDCPA-805A3-WORKPLACE',
+    violation_type: 'workplace_contact_after_objection',
+    citation: '15 U.S.C. § 1692c(a)(3); 12 C.F.R. § 1006.6(b)(3)',
+    severity: 'high',
+    dispute_strategy: 'Contact at work after you said your employer prohibits it is a violation. Note when and how you objected.',
+    check(contacts, notices) {
+      const results = [];
+      for (const c of contacts.filter(contact => contact.location === 'work' && contact.channel !== 'letter')) {
+        const effective = noticesFor(notices, 'workplace_objection', collectorKey(c))
+          .map(n => ({ notice: n, at: noticeEffectiveAt(n) }))
+          .filter(n => n.at && !moment(c.occurred_at).isBefore(n.at))
+          .sort((a, b) => a.at - b.at)[0];
+        if (!effective) continue;
+        results.push(violation(this, {
+          description: `${c.collector} contacted you at work by ${c.channel} at ${localLabel(c)}, after you objected on ${effective.at.format('YYYY-MM-DD')}.`,
+          contacts: [c],
+          details: { notice_id: effective.notice.id, effective_at: effective.at.format('YYYY-MM-DD') }
+        }));
+      }
+      return results;
+    }
+  }
+];
+
+function groupBy(rows, keyFn) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyFn(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Run every rule over a contact log. Only contacts the collector started are checked.
+ * @param {Array} contacts - contact_logs rows ({ id, collector, collector_key, channel, occurred_at, timezone, location, conversation, initiated_by })
+ * @param {Array} [notices] - collector_notices rows, with `certified_mail` attached when linked
+ * @returns {{ analyzer_version: number, violations: Object[], summary: Object }}
+ */
+function analyzeContactLog(contacts, notices = []) {
+  const collectorContacts = (contacts || []).filter(c => c.initiated_by !== 'consumer' && c.occurred_at && isValidTimeZone(c.timezone));
+  const violations = [];
+  for (const rule of RULES) {
+    try {
+      violations.push(...rule.check(collectorContacts, notices || []));
+    } catch (err) {
+      console.error(`Contact log rule ${rule.id} failed:`, err.message);
+    }
+  }
+  const byRule = {};
+  for (const v of violations) byRule[v.rule_id] = (byRule[v.rule_id] || 0) + 1;
+  return {
+    analyzer_version: ANALYZER_VERSION,
+    violations,
+    summary: { contacts: collectorContacts.length, violations: violations.length, by_rule: byRule }
+  };
+}
+
+module.exports = {
+  analyzeContactLog,
+  describeContact,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  localParts,
+  RULES,
+  CHANNELS,
+  LOCATIONS,
+  NOTICE_TYPES,
+  ANALYZER_VERSION
+};
@@ -0,0 +1,314 @@
+/**
+ * Collector contact log: calls, voicemails, texts, emails, visits and letters
+ * the user records, plus their cease-communication letters and workplace
+ * objections (see sql/create_contact_logs_tables.sql). contacts/analyzer.js
+ * checks the log for FDCPA / Regulation F violations.
+ *
+ * Functions return `{ error, status }` instead of throwing for invalid input
+ * and missing rows.
+ */
+const { DynamicTool } = require('@langchain/core/tools');
+const moment = require('moment');
+const { findRecipient } = require('../addresses');
+const {
+  analyzeContactLog,
+  describeContact,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  CHANNELS,
+  LOCATIONS,
+  NOTICE_TYPES
+} = require('./analyzer');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const INITIATORS = ['collector', 'consumer'];
+const OFFSET_RE = /(Z|[+-]\d{2}:?\d{2})$/i;
+const MAX_CONTACTS = 1000;
+
+// Fields a PATCH may change; occurredAt and timezone are converted together
+const EDITABLE_FIELDS = {
+  channel: 'channel',
+  initiatedBy: 'initiated_by',
+  location: 'location',
+  phoneNumber: 'phone_number',
+  conversation: 'conversation',
+  durationMinutes: 'duration_minutes',
+  summary: 'summary',
+  notes: 'notes',
+  disputeCaseId: 'dispute_case_id'
+};
+
+/**
+ * The UTC instant for a contact time. A time with an offset ("2026-10-01T07:12:00-05:00")
+ * is taken as given; one without is the wall-clock time in the user's time zone.
+ * @returns {string|null} ISO timestamp
+ */
+function toOccurredAt(occurredAt, timezone) {
+  const value = String(occurredAt || '').trim();
+  if (!value) return null;
+  if (OFFSET_RE.test(value)) {
+    const instant = moment(value, moment.ISO_8601, true);
+    return instant.isValid() ? instant.toISOString() : null;
+  }
+  const instant = zonedTimeToUtc(value, timezone);
+  return instant ? instant.toISOString() : null;
+}
+
+function validateFields(input) {
+  if (input.channel !== undefined && !CHANNELS.includes(input.channel)) return `channel must be one of: ${CHANNELS.join(', ')}`;
+  if (input.initiatedBy !== undefined && !INITIATORS.includes(input.initiatedBy)) return `initiatedBy must be one of: ${INITIATORS.join(', ')}`;
+  if (input.location !== undefined && input.location !== null && !LOCATIONS.includes(input.location)) return `location must be one of: ${LOCATIONS.join(', ')}`;
+  if (input.durationMinutes !== undefined && input.durationMinutes !== null &&
+    !(Number.isFinite(Number(input.durationMinutes)) && Number(input.durationMinutes) >= 0)) return 'durationMinutes must be a non-negative number';
+  if (input.disputeCaseId && !UUID_RE.test(String(input.disputeCaseId))) return 'Invalid disputeCaseId';
+  return null;
+}
+
+// Directory key so "Midland Credit Management" and "Midland Funding" are treated as one collector
+async function collectorKeyFor(supabase, collector) {
+  const entry = await findRecipient(supabase, collector);
+  return entry ? entry.key : null;
+}
+
+/**
+ * @param {{ collector?: string, since?: string }} [filters] - since is a date (YYYY-MM-DD)
+ */
+async function listContacts(supabase, userId, { collector, since } = {}) {
+  let query = supabase.from('contact_logs').select('*').eq('user_id', userId);
+  if (since) {
+    const from = moment(since, 'YYYY-MM-DD', true);
+    if (!from.isValid()) return { error: 'since must be a date (YYYY-MM-DD)', status: 400 };
+    query = query.gte('occurred_at', from.toISOString());
+  }
+  const { data, error } = await query.order('occurred_at', { ascending: false }).limit(MAX_CONTACTS);
+  if (error) return { error: error.message, status: 500 };
+  let contacts = data || [];
+  if (collector) {
+    const key = await collectorKeyFor(supabase, collector);
+    const name = String(collector).trim().toLowerCase();
+    contacts = contacts.filter(c => (key && c.collector_key === key) || String(c.collector).trim().toLowerCase() === name);
+  }
+  return { contacts };
+}
+
+/**
+ * Record a contact.
+ * @param {Object} input - { collector, channel, occurredAt, timezone, initiatedBy, location, phoneNumber,
+ *   conversation, durationMinutes, summary, notes, disputeCaseId }
+ */
+async function logContact(supabase, userId, input = {}) {
+  const { collector, channel, occurredAt, timezone } = input;
+  if (!collector || !channel || !occurredAt || !timezone) return { error: 'Missing collector, channel, occurredAt or timezone', status: 400 };
+  if (!isValidTimeZone(timezone)) return { error: `Unknown timezone: ${timezone} (use an IANA name like America/Chicago)`, status: 400 };
+  const invalid = validateFields(input);
+  if (invalid) return { error: invalid, status: 400 };
+  const occurred = toOccurredAt(occurredAt, timezone);
+  if (!occurred) return { error: `Invalid occurredAt: ${occurredAt}`, status: 400 };
+  if (moment(occurred).isAfter(moment().add(1, 'day'))) return { error: 'occurredAt is in the future', status: 400 };
+
+  const { data, error } = await supabase.from('contact_logs').insert({
+    user_id: userId,
+    collector,
+    collector_key: await collectorKeyFor(supabase, collector),
+    channel,
+    initiated_by: input.initiatedBy || 'collector',
+    occurred_at: occurred,
+    timezone,
+    location: input.location || null,
+    phone_number: input.phoneNumber || null,
+    conversation: !!input.conversation,
+    duration_minutes: input.durationMinutes != null ? Number(input.durationMinutes) : null,
+    summary: input.summary || null,
+    notes: input.notes || null,
+    dispute_case_id: input.disputeCaseId || null
+  }).select('*').limit(1);
+  if (error) return { error: error.message, status: 500 };
+  return { contact: data && data[0] };
+}
+
+async function fetchContact(supabase, userId, id) {
+  if (!UUID_RE.test(String(id))) return { contact: null };
+  const { data, error } = await supabase.from('contact_logs').select('*').eq('id', id).eq('user_id', userId).limit(1);
+  if (error) return { error: error.message, status: 500 };
+  return { contact: (data && data[0]) || null };
+}
+
+async function updateContact(supabase, userId, id, patch = {}) {
+  const { contact, error, status } = await fetchContact(supabase, userId, id);
+  if (error) return { error, status };
+  if (!contact) return { error: 'Contact not found', status: 404 };
+  const invalid = validateFields(patch);
+  if (invalid) return { error: invalid, status: 400 };
+
+  const updates = {};
+  for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+    if (patch[field] !== undefined) updates[column] = patch[field];
+  }
+  if (patch.collector !== undefined) {
+    if (!patch.collector) return { error: 'collector cannot be empty', status: 400 };
+    updates.collector = patch.collector;
+    updates.collector_key = await collectorKeyFor(supabase, patch.collector);
+  }
+  if (patch.timezone !== undefined) {
+    if (!isValidTimeZone(patch.timezone)) return { error: `Unknown timezone: ${patch.timezone}`, status: 400 };
+    updates.timezone = patch.timezone;
+  }
+  if (patch.occurredAt !== undefined) {
+    const occurred = toOccurredAt(patch.occurredAt, updates.timezone || contact.timezone);
+    if (!occurred) return { error: `Invalid occurredAt: ${patch.occurredAt}`, status: 400 };
+    updates.occurred_at = occurred;
+  }
+  if (!Object.keys(updates).length) return { error: 'Nothing to update', status: 400 };
+
+  updates.updated_at = new Date().toISOString();
+  const { data, error: updateError } = await supabase.from('contact_logs').update(updates)
+    .eq('id', id).eq('user_id', userId).select('*').limit(1);
+  if (updateError) return { error: updateError.message, status: 500 };
+  return { contact: data && data[0] ? data[0] : { ...contact, ...updates } };
+}
+
+async function deleteContact(supabase, userId, id) {
+  const { contact, error, status } = await fetchContact(supabase, userId, id);
+  if (error) return { error, status };
+  if (!contact) return { error: 'Contact not found', status: 404 };
+  const { error: deleteError } = await supabase.from('contact_logs').delete().eq('id', id).eq('user_id', userId);
+  if (deleteError) return { error: deleteError.message, status: 500 };
+  return { deleted: true };
+}
+
+/**
+ * The user's notices, each with its linked certified_mail row (delivery status and date).
+ */
+async function listNotices(supabase, userId) {
+  const { data, error } = await supabase.from('collector_notices').select('*').eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  if (error) return { error: error.message, status: 500 };
+  const notices = data || [];
+  const mailIds = notices.map(n => n.certified_mail_id).filter(Boolean);
+  if (!mailIds.length) return { notices };
+  const { data: mail, error: mailError } = await supabase.from('certified_mail')
+    .select('id, recipient, status, date_mailed, date_delivered, tracking_number').eq('user_id', userId).in('id', mailIds);
+  if (mailError) return { error: mailError.message, status: 500 };
+  const byId = new Map((mail || []).map(m => [m.id, m]));
+  return { notices: notices.map(n => ({ ...n, certified_mail: byId.get(n.certified_mail_id) || null })) };
+}
+
+/**
+ * Record a cease-communication letter or workplace objection. It takes effect when
+ * the linked certified mail is delivered, or on effectiveAt when there is none.
+ * @param {Object} input - { noticeType, collector, certifiedMailId, effectiveAt, notes }
+ *   Leave collector empty for a notice to every collector.
+ */
+async function addNotice(supabase, userId, input = {}) {
+  const { noticeType, collector, certifiedMailId, effectiveAt } = input;
+  if (!NOTICE_TYPES.includes(noticeType)) return { error: `noticeType must be one of: ${NOTICE_TYPES.join(', ')}`, status: 400 };
+  if (!certifiedMailId && !effectiveAt) return { error: 'Provide certifiedMailId or effectiveAt', status: 400 };
+  if (effectiveAt && !moment(effectiveAt, 'YYYY-MM-DD', true).isValid()) return { error: 'effectiveAt must be a date (YYYY-MM-DD)', status: 400 };
+
+  let certifiedMail = null;
+  if (certifiedMailId) {
+    if (!UUID_RE.test(String(certifiedMailId))) return { error: 'Certified mail not found', status: 404 };
+    const { data, error } = await supabase.from('certified_mail')
+      .select('id, recipient, status, date_mailed, date_delivered, tracking_number').eq('id', certifiedMailId).eq('user_id', userId).limit(1);
+    if (error) return { error: error.message, status: 500 };
+    certifiedMail = data && data[0];
+    if (!certifiedMail) return { error: 'Certified mail not found', status: 404 };
+  }
+
+  const { data, error } = await supabase.from('collector_notices').insert({
+    user_id: userId,
+    collector: collector || null,
+    collector_key: collector ? await collectorKeyFor(supabase, collector) : null,
+    notice_type: noticeType,
+    certified_mail_id: certifiedMailId || null,
+    effective_at: effectiveAt || null,
+    notes: input.notes || null
+  }).select('*').limit(1);
+  if (error) return { error: error.message, status: 500 };
+  return { notice: { ...(data && data[0]), certified_mail: certifiedMail } };
+}
+
+async function deleteNotice(supabase, userId, id) {
+  if (!UUID_RE.test(String(id))) return { error: 'Notice not found', status: 404 };
+  const { data, error } = await supabase.from('collector_notices').delete().eq('id', id).eq('user_id', userId).select('id');
+  if (error) return { error: error.message, status: 500 };
+  if (!data || !data.length) return { error: 'Notice not found', status: 404 };
+  return { deleted: true };
+}
+
+/**
+ * Check the user's contact log for FDCPA / Regulation F violations.
+ * @param {{ collector?: string, since?: string }} [filters]
+ * @returns {Promise<{ analysis?: Object, contacts?: Object[], error?: string, status?: number }>}
+ */
+async function analyzeContacts(supabase, userId, filters = {}) {
+  const { contacts, error, status } = await listContacts(supabase, userId, filters);
+  if (error) return { error, status };
+  const { notices, error: noticeError, status: noticeStatus } = await listNotices(supabase, userId);
+  if (noticeError) return { error: noticeError, status: noticeStatus };
+  return { analysis: analyzeContactLog(contacts, notices), contacts };
+}
+
+/**
+ * Chat-friendly summary of an analysis; each violation lists the log entries it rests on.
+ */
+function formatContactAnalysis(analysis, contacts) {
+  if (!contacts.length) return 'No contact log entries yet. Log each collector call, text, email or visit with its date, time and time zone to check them for FDCPA violations.';
+  const { violations, summary } = analysis;
+  let text = `📞 **Contact Log Review** (${summary.contacts} collector contacts)\n\n`;
+  if (!violations.length) {
+    text += '✅ No FDCPA / Regulation F violations found in the logged contacts. Keep logging every contact with the time and where you were.';
+    return text;
+  }
+  const order = { high: 0, medium: 1, low: 2 };
+  text += `${violations.length} possible violation${violations.length === 1 ? '' : 's'}:\n\n`;
+  text += [...violations].sort((a, b) => order[a.severity] - order[b.severity]).slice(0, 10).map((v, i) => {
+    const entries = v.evidence.slice(0, 3).map(e => `   - ${e}`).join('\n');
+    const more = v.evidence.length > 3 ? `\n   - …and ${v.evidence.length - 3} more entries` : '';
+    return `${i + 1}. ${v.severity === 'high' ? '🚨' : '⚠️'} ${v.description} (${v.citation})\n${entries}${more}`;
+  }).join('\n');
+  if (violations.length > 10) text += `\n…and ${violations.length - 10} more.`;
+  text += '\n\n💰 Each FDCPA violation can support statutory damages up to $1,000 per lawsuit plus actual damages and attorney fees (15 U.S.C. § 1692k).';
+  return text;
+}
+
+/**
+ * Tool the legal agent uses to cite the user's contact log. Input may be empty or
+ * JSON with collector and/or since (YYYY-MM-DD).
+ */
+function createContactLogTool(supabase, userId) {
+  return new DynamicTool({
+    name: 'check_contact_log',
+    description: 'Check the user\'s logged collector calls, texts, emails and visits for FDCPA / Regulation F violations (calls outside 8am-9pm, more than 7 calls in 7 days, contact after a cease letter or a workplace objection). Input: optional JSON {"collector": "...", "since": "YYYY-MM-DD"}',
+    func: async (input) => {
+      let filters = {};
+      if (input && input.trim().startsWith('{')) {
+        try {
+          filters = JSON.parse(input);
+        } catch (e) {
+          return 'Invalid input: expected JSON with collector or since.';
+        }
+      }
+      const { analysis, contacts, error } = await analyzeContacts(supabase, userId, filters);
+      if (error) return `Unable to check the contact log: ${error}`;
+      return formatContactAnalysis(analysis, contacts);
+    }
+  });
+}
+
+module.exports = {
+  listContacts,
+  logContact,
+  updateContact,
+  deleteContact,
+  listNotices,
+  addNotice,
+  deleteNotice,
+  analyzeContacts,
+  formatContactAnalysis,
+  createContactLogTool,
+  describeContact,
+  CHANNELS,
+  LOCATIONS,
+  NOTICE_TYPES
+};
@@ -0,0 +1,328 @@
+// Claim assessment for a dispute case: the FCRA / FDCPA sections its documented
+// findings support, statutory damage ranges, willfulness indicators, an evidence
+// strength score and what evidence is still missing. Pure over the case row, the
+// contact log analysis and the date, so it can be re-run as the case moves along.
+// An estimate for planning and for an attorney's first look, not a prediction.
+const moment = require('moment');
+
+const ASSESSOR_VERSION = 1;
+
+// Sections a claim can rest on
+const SECTIONS = {
+  '1681c': { statute: 'FCRA', citation: '15 U.S.C. § 1681c', basis: 'Reporting obsolete information' },
+  '1681e(b)': { statute: 'FCRA', citation: '15 U.S.C. § 1681e(b)', basis: 'No reasonable procedures to assure maximum possible accuracy' },
+  '1681i(a)': { statute: 'FCRA', citation: '15 U.S.C. § 1681i(a)', basis: 'No reasonable reinvestigation within the deadline' },
+  '1681s-2(b)': { statute: 'FCRA', citation: '15 U.S.C. § 1681s-2(b)', basis: 'Furnisher did not investigate a dispute forwarded by a bureau' },
+  '1692c(a)(1)': { statute: 'FDCPA', citation: '15 U.S.C. § 1692c(a)(1)', basis: 'Communication at an inconvenient time' },
+  '1692c(a)(3)': { statute: 'FDCPA', citation: '15 U.S.C. § 1692c(a)(3)', basis: 'Communication at work after the consumer objected' },
+  '1692c(c)': { statute: 'FDCPA', citation: '15 U.S.C. § 1692c(c)', basis: 'Communication after a cease request' },
+  '1692d(5)': { statute: 'FDCPA', citation: '15 U.S.C. § 1692d(5); 12 C.F.R. § 1006.14(b)', basis: 'Calling repeatedly to annoy or harass' },
+  '1692e': { statute: 'FDCPA', citation: '15 U.S.C. § 1692e', basis: 'False or misleading representation' },
+  '1692e(2)(A)': { statute: 'FDCPA', citation: '15 U.S.C. § 1692e(2)(A)', basis: 'Misrepresenting the character, amount or legal status of the debt' },
+  '1692f': { statute: 'FDCPA', citation: '15 U.S.C. § 1692f', basis: 'Unfair or unconscionable collection practice' },
+  '1692g': { statute: 'FDCPA', citation: '15 U.S.C. § 1692g; 12 C.F.R. § 1006.34', basis: 'Missing or defective validation notice' }
+};
+
+// Sections each known finding type supports. 1681s-2(a) has no private right of
+// action, so furnisher accuracy findings become 1681s-2(b) claims once disputed.
+const VIOLATION_SECTIONS = {
+  obsolete_negative_item: ['1681c', '1681e(b)'],
+  obsolete_bankruptcy: ['1681c', '1681e(b)'],
+  outdated_inquiry: ['1681e(b)'],
+  duplicate_reporting: ['1681e(b)'],
+  inaccurate_balance: ['1681e(b)', '1681s-2(b)'],
+  inconsistent_dates: ['1681e(b)', '1681s-2(b)'],
+  re_aged_debt: ['1681s-2(b)', '1692e(2)(A)'],
+  inconvenient_time: ['1692c(a)(1)'],
+  excessive_calls: ['1692d(5)'],
+  call_after_conversation: ['1692d(5)'],
+  contact_after_cease: ['1692c(c)'],
+  workplace_contact_after_objection: ['1692c(a)(3)']
+};
+
+// Errors the statute plainly forbids, so verifying them after a dispute looks reckless
+const OBJECTIVE_VIOLATIONS = ['obsolete_negative_item', 'obsolete_bankruptcy', 're_aged_debt'];
+
+const OPEN_STATES = ['sent', 'delivered', 'under_investigation'];
+const VERIFIED_OUTCOME_RE = /verif|confirm|no change|unchanged|remain|accurate/i;
+
+const DAMAGES = {
+  fdcpa: {
+    citation: '15 U.S.C. § 1692k(a)',
+    statutory: { min: 0, max: 1000, per: 'action' },
+    note: 'Up to $1,000 statutory damages per lawsuit (not per violation), plus actual damages and attorney fees. Courts weigh how frequent, persistent and intentional the violations were (§ 1692k(b)(1)).'
+  },
+  fcraWillful: {
+    citation: '15 U.S.C. § 1681n(a)',
+    statutory: { min: 100, max: 1000, per: 'consumer' },
+    note: 'Willful violations: actual damages or $100 to $1,000 statutory damages, plus punitive damages and attorney fees.'
+  },
+  fcraNegligent: {
+    citation: '15 U.S.C. § 1681o(a)',
+    statutory: null,
+    note: 'Negligent violations: actual damages and attorney fees only, so document credit denials, higher rates and distress.'
+  }
+};
+
+// Section key for a citation like "15 U.S.C. § 1681s-2(a)(1); § 1681e(b)"
+function sectionsFromCitation(citation) {
+  const found = [];
+  for (const match of String(citation || '').matchAll(/§+\s*(16(?:81|92)[a-z]?(?:-\d+)?(?:\([a-z0-9]+\))*)/gi)) {
+    let key = match[1];
+    // Trim sub-paragraphs until the section is one we know ("1692c(a)(1)" stays, "1681c(a)(4)" becomes "1681c")
+    while (!SECTIONS[key] && key !== '1681s-2(a)' && /\)$/.test(key)) key = key.replace(/\([a-z0-9]+\)$/i, '');
+    if (key === '1681s-2(a)') key = '1681s-2(b)';
+    if (SECTIONS[key] && !found.includes(key)) found.push(key);
+  }
+  return found;
+}
+
+function sectionsFor(item, caseType) {
+  const known = VIOLATION_SECTIONS[item.type];
+  if (known) return known;
+  const cited = sectionsFromCitation(item.citation);
+  if (cited.length) return cited;
+  return [caseType === 'fdcpa' ? '1692e' : '1681e(b)'];
+}
+
+// Findings, contact log violations and missed deadlines as one list of claim sources
+function collectSources(disputeCase, contactViolations, asOf) {
+  const sources = (disputeCase.findings || []).map((f, i) => ({
+    kind: 'finding',
+    ref: `findings[${i}]`,
+    type: f.type,
+    description: f.description,
+    citation: f.citation,
+    severity: f.severity,
+    deterministic: !!f.rule_id && !f.needs_review,
+    located: !!f.evidence_location
+  }));
+  for (const v of contactViolations || []) {
+    sources.push({
+      kind: 'contact_log',
+      ref: v.rule_id,
+      type: v.violation_type,
+      description: v.description,
+      citation: v.citation,
+      severity: v.severity,
+      deterministic: true,
+      contact_ids: v.contact_ids
+    });
+  }
+  for (const missed of missedDeadlines(disputeCase, asOf)) sources.push(missed);
+  return sources;
+}
+
+// FCRA reinvestigation deadlines the bureau or furnisher let pass
+function missedDeadlines(disputeCase, asOf) {
+  if (disputeCase.case_type === 'fdcpa') return [];
+  const deadlines = disputeCase.deadlines || {};
+  const due = deadlines.investigation && deadlines.investigation.investigationDeadline;
+  const missed = [];
+  if (due && OPEN_STATES.includes(disputeCase.state) && asOf.isAfter(due, 'day')) {
+    missed.push({
+      kind: 'deadline',
+      ref: 'deadlines.investigation',
+      type: 'missed_investigation_deadline',
+      description: `No investigation results from ${disputeCase.recipient} by the ${moment(due).format('MMMM D, YYYY')} deadline.`,
+      citation: '15 U.S.C. § 1681i(a)(1)',
+      severity: 'high',
+      deterministic: true,
+      due
+    });
+  } else if (deadlines.response && deadlines.response.onTime === false) {
+    missed.push({
+      kind: 'deadline',
+      ref: 'deadlines.response',
+      type: 'late_investigation_results',
+      description: `${disputeCase.recipient} responded on ${deadlines.response.received}, after the ${deadlines.response.due} deadline.`,
+      citation: '15 U.S.C. § 1681i(a)(1)',
+      severity: 'medium',
+      deterministic: true,
+      due: deadlines.response.due
+    });
+  }
+  return missed;
+}
+
+function groupClaims(sources, caseType) {
+  const claims = new Map();
+  for (const source of sources) {
+    const sections = source.kind === 'deadline' ? ['1681i(a)'] : sectionsFor(source, caseType);
+    for (const section of sections) {
+      if (!claims.has(section)) claims.set(section, { ...SECTIONS[section], section, sources: [] });
+      claims.get(section).sources.push({ kind: source.kind, ref: source.ref, description: source.description });
+    }
+  }
+  return [...claims.values()];
+}
+
+/**
+ * FCRA willfulness (knowing or reckless disregard, Safeco Ins. Co. v. Burr, 551 U.S. 47 (2007))
+ * and the FDCPA § 1692k(b)(1) intent factors.
+ */
+function assessWillfulness(disputeCase, sources, claims) {
+  const indicators = [];
+  const types = new Set(sources.map(s => s.type));
+  const hasFcra = claims.some(c => c.statute === 'FCRA');
+  const hasFdcpa = claims.some(c => c.statute === 'FDCPA');
+
+  if (hasFcra) {
+    const objective = OBJECTIVE_VIOLATIONS.filter(t => types.has(t));
+    if (objective.length) indicators.push({ statute: 'FCRA', indicator: `Reported information the statute plainly bars (${objective.join(', ')})`, weight: 'willful' });
+    if (types.has('re_aged_debt')) indicators.push({ statute: 'FCRA', indicator: 'Dates changed so a debt looks newer than it is', weight: 'willful' });
+    if (types.has('missed_investigation_deadline')) indicators.push({ statute: 'FCRA', indicator: 'Let the 30-day reinvestigation deadline pass', weight: 'willful' });
+    if (['responded', 'resolved', 'escalated'].includes(disputeCase.state) && VERIFIED_OUTCOME_RE.test(disputeCase.outcome || '')) {
+      indicators.push({ statute: 'FCRA', indicator: 'Verified the disputed items after a documented dispute', weight: 'willful' });
+    }
+    if ((disputeCase.letters || []).length > 1) indicators.push({ statute: 'FCRA', indicator: 'Disputed in writing more than once', weight: 'willful' });
+    if (!indicators.length) indicators.push({ statute: 'FCRA', indicator: 'Reporting errors without evidence the furnisher or bureau ignored a dispute', weight: 'negligent' });
+  }
+
+  if (hasFdcpa) {
+    const contacts = sources.filter(s => s.kind === 'contact_log');
+    if (types.has('contact_after_cease')) indicators.push({ statute: 'FDCPA', indicator: 'Kept contacting after a delivered cease letter', weight: 'intentional' });
+    if (types.has('workplace_contact_after_objection')) indicators.push({ statute: 'FDCPA', indicator: 'Called at work after being told not to', weight: 'intentional' });
+    if (types.has('excessive_calls')) indicators.push({ statute: 'FDCPA', indicator: 'More than 7 calls in 7 days', weight: 'persistent' });
+    if (contacts.length >= 3) indicators.push({ statute: 'FDCPA', indicator: `${contacts.length} separate contact log violations`, weight: 'frequent' });
+  }
+
+  const willful = indicators.filter(i => i.statute === 'FCRA' && i.weight === 'willful').length;
+  return {
+    fcra: hasFcra ? (willful >= 2 ? 'willful' : willful === 1 ? 'possibly_willful' : 'negligent') : null,
+    indicators
+  };
+}
+
+function scoreEvidence(disputeCase, sources) {
+  const factors = [];
+  const add = (factor, points, max) => factors.push({ factor, points: Math.min(points, max), max });
+  const findings = sources.filter(s => s.kind === 'finding');
+  const contacts = sources.filter(s => s.kind === 'contact_log');
+
+  add('Rule-checked findings', findings.filter(f => f.deterministic).length * 15, 30);
+  add('Model-only findings', findings.filter(f => !f.deterministic).length * 5, 10);
+  add('Findings located on a report page', findings.some(f => f.located) ? 10 : 0, 10);
+  add('Contact log violations', contacts.length * 5 + contacts.filter(c => c.severity === 'high').length * 5, 20);
+  add('Dispute letter on file', (disputeCase.letters || []).length ? 5 : 0, 5);
+  add('Sent by certified mail', disputeCase.certified_mail_id || disputeCase.mail_method === 'certified' ? 10 : 0, 10);
+  add('Delivery confirmed', disputeCase.delivered_at ? 5 : 0, 5);
+  add('Missed or late response documented', sources.some(s => s.kind === 'deadline') ? 10 : 0, 10);
+
+  const score = Math.min(100, factors.reduce((sum, f) => sum + f.points, 0));
+  return { score, level: score >= 70 ? 'strong' : score >= 40 ? 'moderate' : 'weak', factors };
+}
+
+function missingEvidence(disputeCase, sources, claims) {
+  const missing = [];
+  const need = (item, why) => missing.push({ item, why });
+  const findings = sources.filter(s => s.kind === 'finding');
+  const hasFcra = claims.some(c => c.statute === 'FCRA');
+  const hasFdcpa = claims.some(c => c.statute === 'FDCPA') || disputeCase.case_type === 'fdcpa';
+
+  if (!findings.length && !sources.length) need('Documented violations', 'Attach findings from an analyzed report or log the collector\'s contacts.');
+  if (findings.length && !findings.some(f => f.located)) need('Report pages showing each item', 'Re-run the analysis with OCR so each finding cites its page, or keep a marked-up copy.');
+  if (!(disputeCase.letters || []).length) need('Copy of the dispute letter', 'Link the letter you sent to the case.');
+  if (disputeCase.state === 'draft') {
+    need('Proof the dispute was sent', hasFcra
+      ? 'Send the letter by certified mail; FCRA reinvestigation claims start with a documented dispute.'
+      : 'Send a validation request or cease letter by certified mail so later contact is on record.');
+  }
+  else if (!disputeCase.certified_mail_id && disputeCase.mail_method !== 'certified') need('Certified mail receipt', 'Without it, the other side can deny receiving the dispute.');
+  if (disputeCase.sent_at && !disputeCase.delivered_at) need('Delivery confirmation', 'Record the green card or USPS tracking delivery date.');
+  if (hasFcra && disputeCase.recipient_type === 'furnisher') {
+    need('Dispute through the credit bureau', 'A furnisher is only liable for ignoring disputes a bureau forwarded (15 U.S.C. § 1681s-2(b)); dispute with the bureau too.');
+  }
+  if (hasFcra && OPEN_STATES.includes(disputeCase.state) && !sources.some(s => s.kind === 'deadline')) {
+    need('Investigation results', 'Keep the bureau\'s response, or its absence once the deadline passes.');
+  }
+  if (hasFdcpa && !sources.some(s => s.kind === 'contact_log')) need('Contact log', 'Log each collector call, text and visit with the date, time and time zone.');
+  if (hasFdcpa) need('Collector letters', 'Keep every letter and the envelope it came in; the validation notice sets the dispute period.');
+  need('Actual damages records', 'Credit denials, higher interest rates, lost time and distress support actual damages on top of statutory damages.');
+  return missing;
+}
+
+// Last day to sue: 1 year from an FDCPA violation, 2 years from discovering an FCRA one
+function filingDeadlines(disputeCase, claims, contacts) {
+  const deadlines = {};
+  if (claims.some(c => c.statute === 'FDCPA')) {
+    const dated = contacts.map(c => moment(c.occurred_at)).filter(d => d.isValid()).sort((a, b) => a - b);
+    const from = dated[0] || (disputeCase.created_at ? moment(disputeCase.created_at) : null);
+    deadlines.fdcpa = from ? {
+      date: from.clone().add(1, 'year').format('YYYY-MM-DD'),
+      from: from.format('YYYY-MM-DD'),
+      rule: '1 year from the violation',
+      citation: '15 U.S.C. § 1692k(d)',
+      reasoning: dated[0]
+        ? 'Counted from the earliest logged violation; each later violation has its own year.'
+        : 'Counted from when the case was opened; use the date of the violation itself.'
+    } : null;
+  }
+  if (claims.some(c => c.statute === 'FCRA')) {
+    const from = disputeCase.created_at ? moment(disputeCase.created_at) : null;
+    deadlines.fcra = from ? {
+      date: from.clone().add(2, 'years').format('YYYY-MM-DD'),
+      from: from.format('YYYY-MM-DD'),
+      rule: '2 years after discovering the violation, and no more than 5 years after it',
+      citation: '15 U.S.C. § 1681p',
+      reasoning: 'Counted from when the case was opened, taken as the discovery date.'
+    } : null;
+  }
+  return deadlines;
+}
+
+function damagesFor(claims, willfulness) {
+  const damages = { statutory_range: { min: 0, max: 0 } };
+  if (claims.some(c => c.statute === 'FDCPA')) {
+    damages.fdcpa = DAMAGES.fdcpa;
+    damages.statutory_range.max += DAMAGES.fdcpa.statutory.max;
+  }
+  if (claims.some(c => c.statute === 'FCRA')) {
+    const willful = willfulness.fcra !== 'negligent';
+    damages.fcra = { willful: DAMAGES.fcraWillful, negligent: DAMAGES.fcraNegligent, likely_basis: willful ? 'willful' : 'negligent' };
+    if (willful) {
+      damages.statutory_range.min += willfulness.fcra === 'willful' ? DAMAGES.fcraWillful.statutory.min : 0;
+      damages.statutory_range.max += DAMAGES.fcraWillful.statutory.max;
+    }
+  }
+  damages.note = 'Statutory damages only, per defendant. Actual damages, punitive damages (FCRA willful) and attorney fees come on top and are not estimated.';
+  return damages;
+}
+
+/**
+ * Assess the claims a dispute case supports.
+ * @param {Object} disputeCase - dispute_cases row
+ * @param {Object} [context]
+ * @param {Array} [context.contactViolations] - contacts/analyzer.js violations for this case's collector
+ * @param {Array} [context.contacts] - The contact_logs rows those violations cite
+ * @param {string|Date} [context.asOf] - Assessment date (default today)
+ */
+function assessCase(disputeCase, { contactViolations = [], contacts = [], asOf } = {}) {
+  const today = moment(asOf || undefined);
+  const sources = collectSources(disputeCase, contactViolations, today);
+  const claims = groupClaims(sources, disputeCase.case_type);
+  const willfulness = assessWillfulness(disputeCase, sources, claims);
+  const cited = new Set(contactViolations.flatMap(v => v.contact_ids || []));
+
+  return {
+    assessor_version: ASSESSOR_VERSION,
+    assessed_at: today.toISOString(),
+    case_id: disputeCase.id,
+    case_type: disputeCase.case_type,
+    claims,
+    damages: damagesFor(claims, willfulness),
+    willfulness,
+    evidence_strength: scoreEvidence(disputeCase, sources),
+    missing_evidence: missingEvidence(disputeCase, sources, claims),
+    filing_deadlines: filingDeadlines(disputeCase, claims, contacts.filter(c => cited.has(c.id))),
+    disclaimer: 'An estimate from the documents on file, not legal advice. A consumer attorney can confirm the claims; many take FCRA and FDCPA cases without upfront fees because the statutes shift fees to the violator.'
+  };
+}
+
+module.exports = {
+  assessCase,
+  sectionsFromCitation,
+  SECTIONS,
+  VIOLATION_SECTIONS,
+  ASSESSOR_VERSION
+};
@@ -0,0 +1,463 @@
+/**
+ * Dispute cases: one row per dispute tying together the findings it disputes,
+ * the letters sent, certified mail tracking, deadlines and an audit trail
+ * (see sql/create_dispute_cases_tables.sql).
+ *
+ * Functions return `{ error, status }` instead of throwing for invalid input,
+ * missing cases and disallowed transitions.
+ */
+const { DynamicTool } = require('@langchain/core/tools');
+const moment = require('moment');
+const { EVIDENCE_SECTIONS } = require('../utils/evidenceLocator');
+const { unwrapAnalysis } = require('../reportComparison');
+const { findRecipient } = require('../addresses');
+const contactLog = require('../contacts');
+const { analyzeContactLog } = require('../contacts/analyzer');
+const { assessCase } = require('./assessment');
+const {
+  CASE_STATES,
+  CASE_TYPES,
+  STATE_DATE_COLUMNS,
+  MAIL_METHODS,
+  validateTransition,
+  computeDeadlines,
+  calendarDeadlines,
+  nextSteps
+} = require('./states');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const RECIPIENT_TYPES = ['bureau', 'furnisher', 'collector'];
+
+// Fields a PATCH may change; state only changes through transitionCase
+const EDITABLE_FIELDS = {
+  title: 'title',
+  recipient: 'recipient',
+  recipientType: 'recipient_type',
+  notes: 'notes'
+};
+
+// Directory types map onto case recipient types; specialty CRAs are disputed like bureaus
+const DIRECTORY_RECIPIENT_TYPES = { bureau: 'bureau', specialty: 'bureau', collector: 'collector', furnisher: 'furnisher' };
+
+/**
+ * Recipient columns for a case. A directory match fills the mailing name,
+ * address and type unless the request gave its own.
+ */
+async function resolveRecipient(supabase, { recipient, recipientType, recipientAddress }, fallbackType = 'bureau') {
+  const entry = await findRecipient(supabase, recipient);
+  return {
+    recipient: entry ? entry.name : recipient,
+    recipient_type: recipientType || (entry && DIRECTORY_RECIPIENT_TYPES[entry.type]) || fallbackType,
+    recipient_key: entry ? entry.key : null,
+    recipient_address: recipientAddress || (entry && entry.address) || null
+  };
+}
+
+async function recordEvent(supabase, disputeCase, { action, fromState = null, toState = null, details = {} }) {
+  const { error } = await supabase.from('dispute_case_events').insert({
+    case_id: disputeCase.id,
+    user_id: disputeCase.user_id,
+    action,
+    from_state: fromState,
+    to_state: toState,
+    details
+  });
+  if (error) console.error('❌ Failed to record dispute case event:', error.message);
+}
+
+async function fetchCase(supabase, userId, id) {
+  if (!UUID_RE.test(String(id))) return { disputeCase: null };
+  const { data, error } = await supabase.from('dispute_cases').select('*').eq('id', id).eq('user_id', userId).limit(1);
+  if (error) return { error: error.message, status: 500 };
+  return { disputeCase: (data && data[0]) || null };
+}
+
+/**
+ * Snapshot findings from stored analyses so the case keeps them even if the
+ * analysis is re-run. Each reference is { analysisId, section, index }.
+ */
+async function resolveFindings(supabase, userId, references, defaultAnalysisId) {
+  if (!Array.isArray(references)) return { error: 'findings must be an array', status: 400 };
+  const analyses = new Map();
+  const findings = [];
+  for (const ref of references) {
+    const analysisId = (ref && ref.analysisId) || defaultAnalysisId;
+    const index = parseInt(ref && ref.index, 10);
+    if (!analysisId || !ref || !EVIDENCE_SECTIONS.includes(ref.section) || Number.isNaN(index)) {
+      return { error: `Each finding needs analysisId, section (${EVIDENCE_SECTIONS.join(', ')}) and index`, status: 400 };
+    }
+    if (!analyses.has(analysisId)) {
+      if (!UUID_RE.test(String(analysisId))) return { error: `Analysis not found: ${analysisId}`, status: 404 };
+      const { data, error } = await supabase.from('report_analyses').select('id, file_path, analysis')
+        .eq('id', analysisId).eq('user_id', userId).limit(1);
+      if (error) return { error: error.message, status: 500 };
+      if (!data || !data[0] || !data[0].analysis) return { error: `Analysis not found: ${analysisId}`, status: 404 };
+      analyses.set(analysisId, unwrapAnalysis(data[0]));
+    }
+    const row = analyses.get(analysisId);
+    const finding = (row.analysis[ref.section] || [])[index];
+    if (!finding) return { error: `No finding at ${ref.section}[${index}] in analysis ${analysisId}`, status: 404 };
+    findings.push({
+      analysis_id: analysisId,
+      file_path: row.file_path,
+      section: ref.section,
+      index,
+      type: finding.violation_type || finding.issue_type || finding.type || null,
+      description: finding.description || null,
+      affected_accounts: finding.affected_accounts || (finding.account_name ? [finding.account_name] : []),
+      evidence: finding.evidence || null,
+      evidence_location: finding.evidence_location || null,
+      rule_id: finding.rule_id || null,
+      needs_review: !!finding.needs_review,
+      citation: finding.citation || null,
+      severity: finding.severity || null
+    });
+  }
+  return { findings };
+}
+
+/**
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {{ state?: string }} [filters]
+ */
+async function listCases(supabase, userId, { state } = {}) {
+  let query = supabase.from('dispute_cases').select('*').eq('user_id', userId);
+  if (state) query = query.eq('state', state);
+  const { data, error } = await query.order('updated_at', { ascending: false }).limit(100);
+  if (error) return { error: error.message, status: 500 };
+  return { cases: (data || []).map(c => ({ ...c, next_steps: nextSteps(c) })) };
+}
+
+/**
+ * A case with its audit trail, oldest event first.
+ */
+async function getCase(supabase, userId, id) {
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+  const { data: events, error: eventsError } = await supabase.from('dispute_case_events').select('*')
+    .eq('case_id', id).order('created_at', { ascending: true });
+  if (eventsError) return { error: eventsError.message, status: 500 };
+  return { disputeCase, events: events || [], nextSteps: nextSteps(disputeCase) };
+}
+
+/**
+ * Create a draft case.
+ * @param {Object} input - { title, caseType, recipient, recipientType, recipientAddress, analysisId, findings, notes }
+ *   A recipient found in the address directory gets its mailing name, type and address.
+ */
+async function createCase(supabase, userId, input = {}) {
+  const { title, caseType = 'fcra', recipient, recipientType, recipientAddress, analysisId = null, notes = null } = input;
+  if (!title || !recipient) return { error: 'Missing title or recipient', status: 400 };
+  if (!CASE_TYPES.includes(caseType)) return { error: `caseType must be one of: ${CASE_TYPES.join(', ')}`, status: 400 };
+  if (recipientType && !RECIPIENT_TYPES.includes(recipientType)) return { error: `recipientType must be one of: ${RECIPIENT_TYPES.join(', ')}`, status: 400 };
+
+  const resolved = await resolveFindings(supabase, userId, input.findings || [], analysisId);
+  if (resolved.error) return resolved;
+
+  const { data, error } = await supabase.from('dispute_cases').insert({
+    user_id: userId,
+    title,
+    case_type: caseType,
+    ...await resolveRecipient(supabase, { recipient, recipientType, recipientAddress }),
+    state: CASE_STATES.DRAFT,
+    analysis_id: analysisId,
+    findings: resolved.findings,
+    letters: [],
+    deadlines: {},
+    notes
+  }).select('*').limit(1);
+  if (error) return { error: error.message, status: 500 };
+
+  const disputeCase = data[0];
+  await recordEvent(supabase, disputeCase, { action: 'created', toState: CASE_STATES.DRAFT, details: { findings: resolved.findings.length } });
+  return { disputeCase };
+}
+
+/**
+ * Edit descriptive fields and (re)link findings. State changes go through transitionCase.
+ */
+async function updateCase(supabase, userId, id, patch = {}) {
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+  if (patch.state !== undefined) return { error: 'Use POST /disputes/:id/transition to change state', status: 400 };
+
+  const updates = {};
+  for (const [key, column] of Object.entries(EDITABLE_FIELDS)) {
+    if (patch[key] !== undefined) updates[column] = patch[key];
+  }
+  if (updates.recipient_type && !RECIPIENT_TYPES.includes(updates.recipient_type)) {
+    return { error: `recipientType must be one of: ${RECIPIENT_TYPES.join(', ')}`, status: 400 };
+  }
+  if (patch.recipient !== undefined) {
+    Object.assign(updates, await resolveRecipient(supabase, {
+      recipient: patch.recipient,
+      recipientType: updates.recipient_type,
+      recipientAddress: patch.recipientAddress
+    }, disputeCase.recipient_type));
+  } else if (patch.recipientAddress !== undefined) {
+    updates.recipient_address = patch.recipientAddress;
+  }
+  if (patch.findings !== undefined) {
+    const resolved = await resolveFindings(supabase, userId, patch.findings, disputeCase.analysis_id);
+    if (resolved.error) return resolved;
+    updates.findings = resolved.findings;
+  }
+  if (!Object.keys(updates).length) return { error: 'Nothing to update', status: 400 };
+
+  const { data, error: updateError } = await supabase.from('dispute_cases')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id).eq('user_id', userId).select('*').limit(1);
+  if (updateError) return { error: updateError.message, status: 500 };
+
+  await recordEvent(supabase, disputeCase, { action: 'updated', details: { fields: Object.keys(updates) } });
+  return { disputeCase: data[0] };
+}
+
+// Only drafts can be deleted; anything sent is part of the paper trail
+async function deleteCase(supabase, userId, id) {
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+  if (disputeCase.state !== CASE_STATES.DRAFT) {
+    return { error: 'Only draft cases can be deleted', status: 409 };
+  }
+  const { error: deleteError } = await supabase.from('dispute_cases').delete().eq('id', id).eq('user_id', userId);
+  if (deleteError) return { error: deleteError.message, status: 500 };
+  return { deleted: true };
+}
+
+// Certified mail row for a sent letter, or the delivery update for one
+async function trackMail(supabase, disputeCase, to, { date, trackingNumber }) {
+  if (to === CASE_STATES.SENT && trackingNumber) {
+    const { data, error } = await supabase.from('certified_mail').insert({
+      user_id: disputeCase.user_id,
+      recipient: disputeCase.recipient,
+      description: `${disputeCase.title} (dispute case)`,
+      date_mailed: date,
+      status: 'mailed',
+      tracking_number: trackingNumber
+    }).select('id').limit(1);
+    if (error) {
+      console.error('❌ Failed to record certified mail:', error.message);
+      return {};
+    }
+    return { certified_mail_id: data && data[0] ? data[0].id : null, tracking_number: trackingNumber };
+  }
+  if (to === CASE_STATES.DELIVERED && disputeCase.certified_mail_id) {
+    const { error } = await supabase.from('certified_mail')
+      .update({ status: 'delivered', date_delivered: date, updated_at: new Date().toISOString() })
+      .eq('id', disputeCase.certified_mail_id).eq('user_id', disputeCase.user_id);
+    if (error) console.error('❌ Failed to update certified mail:', error.message);
+  }
+  return {};
+}
+
+async function addCalendarEvents(supabase, disputeCase, deadlines, to) {
+  const events = calendarDeadlines(deadlines, to).filter(([, date]) => date);
+  if (!events.length) return;
+  const { error } = await supabase.from('calendar_events').insert(events.map(([title, date]) => ({
+    user_id: disputeCase.user_id,
+    title: `${title}: ${disputeCase.title}`,
+    description: `Dispute with ${disputeCase.recipient}`,
+    event_date: moment(date).toISOString(),
+    event_type: 'deadline',
+    related_type: 'dispute_case'
+  })));
+  if (error) console.error('❌ Failed to add dispute deadlines to calendar:', error.message);
+}
+
+/**
+ * Move a case to a new state, stamping the date, recomputing deadlines through
+ * ConsumerLawDeadlines and recording an audit event.
+ * @param {Object} input - { to, date (YYYY-MM-DD, default today), method, trackingNumber, outcome, notes }
+ */
+async function transitionCase(supabase, userId, id, input = {}) {
+  const { to, method, trackingNumber, outcome, notes } = input;
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+
+  const invalid = validateTransition(disputeCase.state, to);
+  if (invalid) return { error: invalid, status: 409 };
+  if (method !== undefined && !MAIL_METHODS.includes(method)) {
+    return { error: `method must be one of: ${MAIL_METHODS.join(', ')}`, status: 400 };
+  }
+  const date = input.date ? moment(input.date, 'YYYY-MM-DD', true) : moment();
+  if (!date.isValid()) return { error: 'date must be YYYY-MM-DD', status: 400 };
+  const day = date.format('YYYY-MM-DD');
+
+  const deadlines = computeDeadlines(disputeCase, to, day, { method });
+  const updates = {
+    state: to,
+    [STATE_DATE_COLUMNS[to]]: day,
+    deadlines,
+    updated_at: new Date().toISOString()
+  };
+  if (method) updates.mail_method = method;
+  if (outcome !== undefined) updates.outcome = outcome;
+
+  // Guard on the current state so two concurrent transitions cannot both apply
+  const { data, error: updateError } = await supabase.from('dispute_cases').update(updates)
+    .eq('id', id).eq('user_id', userId).eq('state', disputeCase.state).select('*').limit(1);
+  if (updateError) return { error: updateError.message, status: 500 };
+  if (!data || !data.length) return { error: 'Case was changed by another request; reload and retry', status: 409 };
+
+  // Mail is tracked only after the transition applied, so a rejected one leaves no certified_mail row
+  let updated = data[0];
+  const mail = await trackMail(supabase, disputeCase, to, { date: day, trackingNumber });
+  if (Object.keys(mail).length) {
+    const { data: withMail, error: mailError } = await supabase.from('dispute_cases').update(mail)
+      .eq('id', id).eq('user_id', userId).select('*').limit(1);
+    if (mailError) console.error('❌ Failed to link certified mail to dispute case:', mailError.message);
+    else if (withMail && withMail[0]) updated = withMail[0];
+  }
+
+  await addCalendarEvents(supabase, disputeCase, deadlines, to);
+  await recordEvent(supabase, disputeCase, {
+    action: 'transition',
+    fromState: disputeCase.state,
+    toState: to,
+    details: { date: day, method: method || null, trackingNumber: trackingNumber || null, outcome: outcome || null, notes: notes || null }
+  });
+  return { disputeCase: updated };
+}
+
+/**
+ * Attach a letter to a case (generated letters, PDFs or uploaded copies).
+ * @param {Object} letter - { id, type, title, storagePath, createdAt }
+ */
+async function linkLetter(supabase, userId, id, letter = {}) {
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+  if (!letter.id && !letter.storagePath) return { error: 'Letter needs an id or storagePath', status: 400 };
+
+  const entry = {
+    id: letter.id || null,
+    type: letter.type || null,
+    title: letter.title || null,
+    storage_path: letter.storagePath || null,
+    linked_at: new Date().toISOString()
+  };
+  const letters = [...(disputeCase.letters || []).filter(l => !(entry.id && l.id === entry.id)), entry];
+  const { data, error: updateError } = await supabase.from('dispute_cases')
+    .update({ letters, updated_at: new Date().toISOString() })
+    .eq('id', id).eq('user_id', userId).select('*').limit(1);
+  if (updateError) return { error: updateError.message, status: 500 };
+
+  await recordEvent(supabase, disputeCase, { action: 'letter_linked', details: entry });
+  return { disputeCase: data[0] };
+}
+
+// Contacts logged against this case, or from its collector
+function contactsForCase(disputeCase, contacts) {
+  const name = String(disputeCase.recipient || '').trim().toLowerCase();
+  return contacts.filter(c => c.dispute_case_id === disputeCase.id ||
+    (disputeCase.recipient_key && c.collector_key === disputeCase.recipient_key) ||
+    String(c.collector || '').trim().toLowerCase() === name);
+}
+
+/**
+ * Claim assessment for a case (see disputes/assessment.js). Collector cases include
+ * the violations found in the user's contact log for that collector.
+ */
+async function getAssessment(supabase, userId, id) {
+  const { disputeCase, error, status } = await fetchCase(supabase, userId, id);
+  if (error) return { error, status };
+  if (!disputeCase) return { error: 'Dispute case not found', status: 404 };
+  return assessFetchedCase(supabase, userId, disputeCase);
+}
+
+/**
+ * Contact log violations for a collector case (none for bureau and furnisher cases).
+ * @returns {Promise<{ contacts?: Object[], contactViolations?: Object[], error?: string, status?: number }>}
+ */
+async function caseContactViolations(supabase, userId, disputeCase) {
+  if (disputeCase.case_type !== 'fdcpa' && disputeCase.recipient_type !== 'collector') return { contacts: [], contactViolations: [] };
+  const listed = await contactLog.listContacts(supabase, userId);
+  if (listed.error) return listed;
+  const notices = await contactLog.listNotices(supabase, userId);
+  if (notices.error) return notices;
+  const contacts = contactsForCase(disputeCase, listed.contacts);
+  return { contacts, contactViolations: analyzeContactLog(contacts, notices.notices).violations };
+}
+
+async function assessFetchedCase(supabase, userId, disputeCase) {
+  const { contacts, contactViolations, error, status } = await caseContactViolations(supabase, userId, disputeCase);
+  if (error) return { error, status };
+  return { assessment: assessCase(disputeCase, { contactViolations, contacts }) };
+}
+
+/**
+ * Chat-friendly summary of an assessment.
+ */
+function formatAssessment(disputeCase, assessment) {
+  const { claims, damages, willfulness, evidence_strength: strength, missing_evidence: missing, filing_deadlines: filing } = assessment;
+  let text = `⚖️ **Claim Assessment: ${disputeCase.title}** (${disputeCase.recipient})\n\n`;
+  if (!claims.length) {
+    text += 'No documented violations on this case yet. Attach findings from your report or log the collector\'s contacts, then ask again.';
+    return text;
+  }
+  text += `📚 **Claims**\n${claims.map(c => `• ${c.basis} (${c.citation}), ${c.sources.length} item${c.sources.length === 1 ? '' : 's'}`).join('\n')}\n\n`;
+  const range = damages.statutory_range;
+  text += `💰 **Statutory damages**: $${range.min.toLocaleString()} to $${range.max.toLocaleString()}`;
+  if (damages.fcra) text += `, FCRA ${damages.fcra.likely_basis === 'willful' ? `willful (${damages.fcra.willful.citation})` : `negligent (${damages.fcra.negligent.citation}), actual damages only`}`;
+  text += `\n${damages.note}\n\n`;
+  if (willfulness.indicators.length) {
+    text += `🔍 **Indicators**\n${willfulness.indicators.map(i => `• ${i.indicator} (${i.statute}, ${i.weight})`).join('\n')}\n\n`;
+  }
+  text += `📊 **Evidence strength**: ${strength.score}/100 (${strength.level})\n\n`;
+  if (missing.length) text += `📝 **Still needed**\n${missing.map(m => `• ${m.item}: ${m.why}`).join('\n')}\n\n`;
+  const deadlines = Object.values(filing).filter(Boolean);
+  if (deadlines.length) text += `⏰ **Filing deadlines**\n${deadlines.map(d => `• ${moment(d.date).format('MMMM D, YYYY')}: ${d.rule} (${d.citation})`).join('\n')}\n\n`;
+  text += `_${assessment.disclaimer}_`;
+  return text;
+}
+
+/**
+ * Tool the legal agent uses to assess a case. Input: a case id, or empty for the
+ * most recently updated case.
+ */
+function createCaseAssessmentTool(supabase, userId) {
+  return new DynamicTool({
+    name: 'assess_dispute_case',
+    description: 'Assess the FCRA / FDCPA claims a dispute case supports: statutes, statutory damage ranges, willfulness indicators, evidence strength and missing evidence. Input: a dispute case id, or empty for the user\'s most recent case.',
+    func: async (input) => {
+      const id = String(input || '').trim();
+      let disputeCase;
+      if (id) {
+        const fetched = await fetchCase(supabase, userId, id);
+        if (fetched.error) return `Unable to assess the case: ${fetched.error}`;
+        if (!fetched.disputeCase) return `Unable to assess the case: no dispute case ${id}`;
+        disputeCase = fetched.disputeCase;
+      } else {
+        const { cases, error } = await listCases(supabase, userId);
+        if (error) return `Unable to assess the case: ${error}`;
+        if (!cases.length) return 'No dispute cases yet. Open a case for a bureau or collector to get a claim assessment.';
+        disputeCase = cases[0];
+      }
+      const { assessment, error } = await assessFetchedCase(supabase, userId, disputeCase);
+      if (error) return `Unable to assess the case: ${error}`;
+      return formatAssessment(disputeCase, assessment);
+    }
+  });
+}
+
+module.exports = {
+  listCases,
+  getCase,
+  createCase,
+  updateCase,
+  deleteCase,
+  transitionCase,
+  linkLetter,
+  getAssessment,
+  caseContactViolations,
+  formatAssessment,
+  createCaseAssessmentTool,
+  CASE_STATES,
+  CASE_TYPES
+};
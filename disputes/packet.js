@@ -0,0 +1,311 @@
+/**
+ * Attorney referral packet: everything about one dispute case in a single ZIP
+ * for a consumer attorney. The uploaded reports, each analysis as JSON and as the
+ * /report/preview HTML, the linked letters, certified mail tracking, the contact
+ * log, calendar deadlines, the claim assessment and a chronological summary.
+ *
+ * Built by the `case-export` job (jobs/exportCasePacket.js); the ZIP is stored
+ * next to the user's letters with a signed download link.
+ *
+ * Functions return `{ error, status }` instead of throwing for missing cases.
+ */
+const path = require('path');
+const moment = require('moment');
+const archiver = require('archiver');
+const USPSIntegration = require('../utils/uspsIntegration');
+const { renderAnalysisPreview } = require('../utils/analysisPreview');
+const { unwrapAnalysis } = require('../reportComparison');
+const { localParts } = require('../contacts/analyzer');
+const contactLog = require('../contacts');
+const { downloadReport, LETTERS_BUCKET, SIGNED_URL_TTL } = require('../letters/files');
+const { getCase, caseContactViolations } = require('./index');
+const { assessCase } = require('./assessment');
+
+const PACKET_FORMAT_VERSION = 1;
+const exportPrefix = (userId) => `${userId}/exports/`;
+
+const fmt = (date) => moment(date).format('YYYY-MM-DD');
+const json = (value) => Buffer.from(JSON.stringify(value, null, 2));
+// Names inside the ZIP: keep the extension, drop anything a file system would choke on
+const safeName = (name) => String(name || 'file').replace(/[^a-z0-9._-]+/gi, '_').slice(-120);
+
+function zipFiles(files) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+    for (const file of files) archive.append(file.data, { name: file.name });
+    archive.finalize();
+  });
+}
+
+// Uploaded reports and their analyses, for the files the case's findings came from
+async function reportFiles(supabase, userId, disputeCase, warnings) {
+  const files = [];
+  const filePaths = [...new Set((disputeCase.findings || []).map(f => f.file_path).filter(Boolean))];
+  for (const filePath of filePaths) {
+    if (!filePath.replace(/^credit-reports\//, '').startsWith(`${userId}/`)) {
+      warnings.push(`Skipped a report outside your files: ${filePath}`);
+      continue;
+    }
+    const data = await downloadReport(supabase, userId, filePath);
+    if (data) files.push({ name: `reports/${safeName(path.basename(filePath))}`, data });
+    else warnings.push(`Report file not found: ${path.basename(filePath)}`);
+  }
+
+  const analysisIds = [...new Set((disputeCase.findings || []).map(f => f.analysis_id).filter(Boolean))];
+  if (!analysisIds.length) return files;
+  const { data, error } = await supabase.from('report_analyses').select('id, file_path, processed_at, analysis')
+    .eq('user_id', userId).in('id', analysisIds);
+  if (error) {
+    warnings.push(`Could not load the report analyses: ${error.message}`);
+    return files;
+  }
+  for (const row of (data || []).map(unwrapAnalysis)) {
+    if (!row.analysis) continue;
+    files.push({ name: `analyses/${row.id}.json`, data: json(row) });
+    files.push({ name: `analyses/${row.id}.html`, data: Buffer.from(renderAnalysisPreview(row.analysis).html) });
+  }
+  return files;
+}
+
+async function letterFiles(supabase, userId, disputeCase, warnings) {
+  const files = [];
+  for (const letter of disputeCase.letters || []) {
+    if (!letter.storage_path) continue;
+    if (!letter.storage_path.startsWith(`${userId}/`) || letter.storage_path.includes('..')) {
+      warnings.push(`Skipped a letter outside your files: ${letter.storage_path}`);
+      continue;
+    }
+    const data = await downloadReport(supabase, userId, letter.storage_path);
+    if (data) files.push({ name: `letters/${safeName(path.basename(letter.storage_path))}`, data });
+    else warnings.push(`Letter file not found: ${letter.title || path.basename(letter.storage_path)}`);
+  }
+  return files;
+}
+
+// Certified mail rows for the case and for cease / workplace notices to its collector,
+// with the USPS tracking events when the USPS API is configured
+async function mailHistory(supabase, userId, disputeCase, notices) {
+  const ids = [disputeCase.certified_mail_id, ...notices.map(n => n.certified_mail_id)].filter(Boolean);
+  if (!ids.length) return { mail: [] };
+  const { data, error } = await supabase.from('certified_mail').select('*').eq('user_id', userId).in('id', [...new Set(ids)]);
+  if (error) return { error: error.message, status: 500 };
+  const usps = new USPSIntegration();
+  const mail = [];
+  for (const row of data || []) {
+    const tracking = row.tracking_number && !row.tracking_number.startsWith('PENDING-')
+      ? await usps.trackPackage(row.tracking_number)
+      : null;
+    mail.push({ ...row, usps_tracking: tracking });
+  }
+  return { mail };
+}
+
+// Notices that cover the case's collector (a notice without a collector covers all of them)
+function noticesForCase(disputeCase, notices) {
+  const name = String(disputeCase.recipient || '').trim().toLowerCase();
+  return notices.filter(n => !n.collector ||
+    (disputeCase.recipient_key && n.collector_key === disputeCase.recipient_key) ||
+    String(n.collector).trim().toLowerCase() === name);
+}
+
+async function calendarDeadlines(supabase, userId, disputeCase) {
+  const { data, error } = await supabase.from('calendar_events').select('*')
+    .eq('user_id', userId).eq('related_type', 'dispute_case').order('event_date', { ascending: true });
+  if (error) return { error: error.message, status: 500 };
+  // Calendar rows carry the case title rather than its id (disputes/index.js addCalendarEvents)
+  return { events: (data || []).filter(e => String(e.title || '').endsWith(`: ${disputeCase.title}`)) };
+}
+
+function eventText(event) {
+  const details = event.details || {};
+  if (event.action === 'created') return 'Case opened';
+  if (event.action === 'letter_linked') return `Letter added to the case: ${details.title || details.type || details.storage_path || 'letter'}`;
+  if (event.action !== 'transition') return null;
+  const extras = [
+    details.method ? `by ${details.method}` : null,
+    details.trackingNumber ? `tracking ${details.trackingNumber}` : null,
+    details.outcome ? `outcome: ${details.outcome}` : null,
+    details.notes ? `notes: ${details.notes}` : null
+  ].filter(Boolean);
+  return `Case moved from ${event.from_state} to ${event.to_state}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+}
+
+/**
+ * Chronological entries ({ at, date, event }) from the audit trail, mail,
+ * notices, contacts and calendar deadlines.
+ */
+function buildChronology({ events, mail, notices, contacts, deadlines }) {
+  const entries = [];
+  const add = (at, event, date = at && fmt(at)) => { if (at && event) entries.push({ at: moment(at).toISOString(), date, event }); };
+
+  for (const event of events) {
+    const details = event.details || {};
+    add(event.action === 'transition' && details.date ? details.date : event.created_at, eventText(event));
+  }
+  for (const row of mail) {
+    const tracked = row.tracking_number && !row.tracking_number.startsWith('PENDING-');
+    add(row.date_mailed, `Certified mail sent to ${row.recipient}${tracked ? ` (tracking ${row.tracking_number})` : ''}`);
+    add(row.date_delivered, `Certified mail to ${row.recipient} delivered`);
+  }
+  for (const notice of notices) {
+    add(notice.effective_at || notice.created_at,
+      `${notice.notice_type === 'workplace_objection' ? 'Workplace objection' : 'Cease-communication notice'} to ${notice.collector || 'all collectors'}`);
+  }
+  for (const contact of contacts) {
+    const local = localParts(contact.occurred_at, contact.timezone || 'UTC');
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${local.year}-${pad(local.month)}-${pad(local.day)}`;
+    const who = contact.initiated_by === 'consumer' ? `to ${contact.collector}` : `from ${contact.collector}`;
+    add(contact.occurred_at, `${contact.channel} ${who} at ${pad(local.hour)}:${pad(local.minute)} ${contact.timezone || 'UTC'}` +
+      `${contact.location ? ` (${contact.location})` : ''}${contact.summary ? `: "${contact.summary}"` : ''}`, day);
+  }
+  for (const deadline of deadlines) add(deadline.event_date, `Deadline: ${deadline.title}`);
+  return entries.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+function buildSummary({ disputeCase, nextSteps, chronology, contactViolations, assessment, fileNames, warnings, generatedAt }) {
+  const lines = [
+    `Dispute case: ${disputeCase.title}`,
+    `Recipient: ${disputeCase.recipient}${disputeCase.recipient_type ? ` (${disputeCase.recipient_type})` : ''}`,
+    `Law: ${disputeCase.case_type === 'fdcpa' ? 'FDCPA' : 'FCRA'}`,
+    `State: ${disputeCase.state}${disputeCase.outcome ? `, outcome: ${disputeCase.outcome}` : ''}`,
+    `Case id: ${disputeCase.id}`,
+    `Packet generated: ${generatedAt}`,
+    ''
+  ];
+
+  const findings = disputeCase.findings || [];
+  if (findings.length) {
+    lines.push('DISPUTED ITEMS');
+    findings.forEach((f, i) => {
+      const accounts = (f.affected_accounts || []).join(', ');
+      const page = f.evidence_location && f.evidence_location.page ? `, report page ${f.evidence_location.page}` : '';
+      lines.push(`${i + 1}. ${accounts ? `${accounts}: ` : ''}${f.description || f.type || 'Disputed item'}${f.citation ? ` [${f.citation}]` : ''}${page}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('CHRONOLOGY');
+  if (!chronology.length) lines.push('No dated events yet.');
+  for (const entry of chronology) lines.push(`${entry.date}  ${entry.event}`);
+  lines.push('');
+
+  if (contactViolations.length) {
+    lines.push('CONTACT LOG VIOLATIONS');
+    for (const v of contactViolations) lines.push(`- ${v.description} (${v.citation})`);
+    lines.push('');
+  }
+
+  const { claims, damages, evidence_strength: strength, filing_deadlines: filing } = assessment;
+  lines.push('CLAIM ASSESSMENT');
+  if (!claims.length) lines.push('No documented violations on this case yet.');
+  for (const claim of claims) lines.push(`- ${claim.basis} (${claim.citation}), ${claim.sources.length} item${claim.sources.length === 1 ? '' : 's'}`);
+  if (claims.length) {
+    lines.push(`Statutory damages: $${damages.statutory_range.min} to $${damages.statutory_range.max}`);
+    lines.push(`Evidence strength: ${strength.score}/100 (${strength.level})`);
+  }
+  for (const deadline of Object.values(filing).filter(Boolean)) {
+    lines.push(`Filing deadline ${deadline.date}: ${deadline.rule} (${deadline.citation})`);
+  }
+  lines.push('');
+
+  if (nextSteps.length) {
+    lines.push('NEXT STEPS');
+    for (const step of nextSteps) lines.push(`- ${step.title}: ${step.reason}`);
+    lines.push('');
+  }
+
+  lines.push('FILES');
+  for (const name of fileNames) lines.push(`- ${name}`);
+  if (warnings.length) {
+    lines.push('', 'NOTES');
+    for (const warning of warnings) lines.push(`- ${warning}`);
+  }
+  lines.push('', `This summary was generated from the records the consumer keeps in the app. ${assessment.disclaimer}`);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Collect a case's records and zip them.
+ * @returns {Promise<{ buffer?: Buffer, manifest?: Object, error?: string, status?: number }>}
+ */
+async function buildCasePacket(supabase, userId, caseId) {
+  const { disputeCase, events, nextSteps, error, status } = await getCase(supabase, userId, caseId);
+  if (error) return { error, status };
+
+  const warnings = [];
+  const violations = await caseContactViolations(supabase, userId, disputeCase);
+  if (violations.error) return violations;
+  const { contacts, contactViolations } = violations;
+  const listed = await contactLog.listNotices(supabase, userId);
+  if (listed.error) return listed;
+  const notices = disputeCase.case_type === 'fdcpa' || disputeCase.recipient_type === 'collector'
+    ? noticesForCase(disputeCase, listed.notices)
+    : [];
+  const { mail, error: mailError, status: mailStatus } = await mailHistory(supabase, userId, disputeCase, notices);
+  if (mailError) return { error: mailError, status: mailStatus };
+  const { events: deadlines, error: calendarError, status: calendarStatus } = await calendarDeadlines(supabase, userId, disputeCase);
+  if (calendarError) return { error: calendarError, status: calendarStatus };
+
+  const assessment = assessCase(disputeCase, { contactViolations, contacts });
+  const chronology = buildChronology({ events, mail, notices, contacts, deadlines });
+  const generatedAt = new Date().toISOString();
+
+  const files = [
+    { name: 'case.json', data: json({ case: disputeCase, events, next_steps: nextSteps }) },
+    { name: 'assessment.json', data: json(assessment) },
+    { name: 'chronology.json', data: json(chronology) },
+    ...(await reportFiles(supabase, userId, disputeCase, warnings)),
+    ...(await letterFiles(supabase, userId, disputeCase, warnings))
+  ];
+  if (mail.length) files.push({ name: 'mail/certified-mail.json', data: json(mail) });
+  if (contacts.length || notices.length) {
+    files.push({ name: 'contacts/contact-log.json', data: json({ contacts, notices, violations: contactViolations }) });
+  }
+  files.push({ name: 'calendar/deadlines.json', data: json({ case_deadlines: disputeCase.deadlines || {}, calendar_events: deadlines }) });
+
+  const fileNames = ['summary.txt', ...files.map(f => f.name)];
+  files.unshift({
+    name: 'summary.txt',
+    data: Buffer.from(buildSummary({ disputeCase, nextSteps, chronology, contactViolations, assessment, fileNames, warnings, generatedAt }))
+  });
+
+  const manifest = { format_version: PACKET_FORMAT_VERSION, case_id: disputeCase.id, generated_at: generatedAt, files: fileNames, warnings };
+  files.push({ name: 'manifest.json', data: json(manifest) });
+  return { buffer: await zipFiles(files), manifest, disputeCase };
+}
+
+/**
+ * Build the packet, store it at <userId>/exports/<timestamp>-case-<id>.zip and sign it.
+ * @returns {Promise<{ bucket?, path?, url?, expiresAt?, size?, files?, warnings?, error?: string, status?: number }>}
+ */
+async function exportCasePacket(supabase, userId, caseId) {
+  const { buffer, manifest, error, status } = await buildCasePacket(supabase, userId, caseId);
+  if (error) return { error, status };
+
+  const storagePath = `${exportPrefix(userId)}${Date.now()}-case-${caseId}.zip`;
+  const { error: uploadError } = await supabase.storage.from(LETTERS_BUCKET)
+    .upload(storagePath, buffer, { contentType: 'application/zip', upsert: false });
+  if (uploadError) return { error: `Failed to store the packet: ${uploadError.message}`, status: 500 };
+
+  const { data, error: signError } = await supabase.storage.from(LETTERS_BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_TTL, { download: path.basename(storagePath) });
+  if (signError || !data) return { error: (signError && signError.message) || 'Failed to sign the packet link', status: 500 };
+
+  return {
+    bucket: LETTERS_BUCKET,
+    path: storagePath,
+    url: data.signedUrl,
+    expiresAt: new Date(Date.now() + SIGNED_URL_TTL * 1000).toISOString(),
+    size: buffer.length,
+    files: manifest.files,
+    warnings: manifest.warnings
+  };
+}
+
+module.exports = { buildCasePacket, exportCasePacket, buildChronology, PACKET_FORMAT_VERSION };
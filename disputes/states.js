@@ -0,0 +1,144 @@
+// Dispute case state machine and the deadlines each transition starts.
+const moment = require('moment');
+const ConsumerLawDeadlines = require('../utils/consumerLawDeadlines');
+
+const CASE_STATES = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  UNDER_INVESTIGATION: 'under_investigation',
+  RESPONDED: 'responded',
+  RESOLVED: 'resolved',
+  ESCALATED: 'escalated'
+};
+
+const CASE_TYPES = ['fcra', 'fdcpa'];
+
+// Allowed next states. Delivery confirmation and acknowledgement are optional steps,
+// and a case can be escalated whenever the other side stops responding.
+const TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['delivered', 'under_investigation', 'responded', 'escalated'],
+  delivered: ['under_investigation', 'responded', 'escalated'],
+  under_investigation: ['responded', 'escalated'],
+  responded: ['resolved', 'escalated'],
+  escalated: ['resolved'],
+  resolved: []
+};
+
+// Column stamped with the transition date
+const STATE_DATE_COLUMNS = {
+  sent: 'sent_at',
+  delivered: 'delivered_at',
+  under_investigation: 'investigation_started_at',
+  responded: 'responded_at',
+  resolved: 'resolved_at',
+  escalated: 'escalated_at'
+};
+
+const MAIL_METHODS = ['certified', 'mail', 'online'];
+
+/**
+ * @returns {string|null} Error message when the transition is not allowed
+ */
+function validateTransition(from, to) {
+  if (!TRANSITIONS[to]) return `Unknown state: ${to}`;
+  if (!(TRANSITIONS[from] || []).includes(to)) {
+    const allowed = (TRANSITIONS[from] || []).join(', ') || 'none (case is closed)';
+    return `Cannot move a ${from} case to ${to}. Allowed: ${allowed}`;
+  }
+  return null;
+}
+
+/**
+ * Deadlines after moving `disputeCase` to `to` on `date`. Returns the full
+ * deadlines object to store on the case (earlier entries are kept).
+ * @param {Object} disputeCase - Current case row
+ * @param {string} to - New state
+ * @param {string} date - YYYY-MM-DD of the transition
+ * @param {Object} [options] - { method }
+ */
+function computeDeadlines(disputeCase, to, date, { method } = {}) {
+  const deadlines = { ...(disputeCase.deadlines || {}) };
+  const isFcra = disputeCase.case_type !== 'fdcpa';
+  const mailMethod = method || disputeCase.mail_method || 'mail';
+
+  if (to === CASE_STATES.SENT || to === CASE_STATES.DELIVERED) {
+    // The investigation clock runs from receipt, so a delivery date replaces the
+    // mailbox-rule estimate made when the letter was sent
+    const basis = to === CASE_STATES.DELIVERED ? 'delivered' : 'sent';
+    const received = basis === 'delivered';
+    if (isFcra) {
+      deadlines.investigation = { basis, from: date, ...ConsumerLawDeadlines.calculateFCRADeadlines(date, mailMethod, { received }) };
+    } else {
+      deadlines.validation = { basis, from: date, ...ConsumerLawDeadlines.calculateFDCPADeadlines(date, mailMethod === 'certified') };
+    }
+    deadlines.followUp = {
+      basis,
+      from: date,
+      ...ConsumerLawDeadlines.calculateFollowUpDates(date, isFcra ? 'FCRA' : 'FDCPA', { method: mailMethod, received })
+    };
+  }
+
+  if (to === CASE_STATES.RESPONDED) {
+    const due = isFcra
+      ? deadlines.investigation && deadlines.investigation.investigationDeadline
+      : deadlines.followUp && deadlines.followUp.firstFollowUp;
+    deadlines.response = {
+      received: date,
+      due: due || null,
+      onTime: due ? !moment(date).isAfter(due, 'day') : null
+    };
+  }
+
+  return deadlines;
+}
+
+// Dated deadlines worth a calendar reminder, as [title, date] pairs
+function calendarDeadlines(deadlines, to) {
+  if (to !== CASE_STATES.SENT && to !== CASE_STATES.DELIVERED) return [];
+  const events = [];
+  if (deadlines.investigation) events.push(['Investigation deadline', deadlines.investigation.investigationDeadline]);
+  if (deadlines.validation) events.push(['Validation period ends', deadlines.validation.consumerValidationDeadline]);
+  if (deadlines.followUp) events.push(['Follow up if no response', deadlines.followUp.firstFollowUp]);
+  return events;
+}
+
+// States where the other side still owes a response
+const AWAITING_RESPONSE = [CASE_STATES.SENT, CASE_STATES.DELIVERED, CASE_STATES.UNDER_INVESTIGATION];
+
+/**
+ * Suggested next steps for a case. When an FCRA dispute's 30-day reinvestigation
+ * deadline has passed without an answer, a CFPB complaint is suggested.
+ * @param {Object} disputeCase
+ * @param {string|Date} [asOf] - default today
+ * @returns {Array<{ action: string, title: string, reason: string, due: string|null }>}
+ */
+function nextSteps(disputeCase, asOf) {
+  const today = moment(asOf || undefined);
+  const deadlines = disputeCase.deadlines || {};
+  const steps = [];
+  const due = deadlines.investigation && deadlines.investigation.investigationDeadline;
+  if (disputeCase.case_type !== 'fdcpa' && AWAITING_RESPONSE.includes(disputeCase.state) &&
+      due && today.isAfter(due, 'day')) {
+    steps.push({
+      action: 'cfpb_complaint',
+      title: 'File a CFPB complaint',
+      reason: `${disputeCase.recipient} has not answered the dispute; its reinvestigation was due ${moment(due).format('MMMM D, YYYY')} (15 U.S.C. § 1681i(a)(1)).`,
+      due: (deadlines.followUp && deadlines.followUp.legalAction) || null
+    });
+  }
+  return steps;
+}
+
+module.exports = {
+  CASE_STATES,
+  CASE_TYPES,
+  TRANSITIONS,
+  STATE_DATE_COLUMNS,
+  MAIL_METHODS,
+  validateTransition,
+  computeDeadlines,
+  calendarDeadlines,
+  nextSteps
+};
@@ -0,0 +1,152 @@
+// Offline evaluation of document classification and analysis quality.
+//
+// Each fixture is a directory under eval/fixtures with:
+// - document.txt    extracted text of the document
+// - gold.json       expected results: { type, collections, inquiries: { hard }, violations, fields }
+// - responses.json  recorded model replies by gateway task ({ routing, analysis, extraction }),
+//                   returned by the mock provider; an array is replayed in order
+//
+// By default every model call goes to the mock provider with the fixture's recorded replies,
+// so runs need no network or keys. With `live` the configured providers answer instead.
+const fs = require('fs');
+const path = require('path');
+const llm = require('../llm');
+const { validate } = require('../utils/ajvValidate');
+const { scoreCreditReport, scoreDebtLetter, summarize } = require('./metrics');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SCHEMAS = { 'credit-report': 'analysis.schema.json', 'debt-letter': 'debt-letter.schema.json' };
+
+function readJson(file, fallback) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : fallback;
+}
+
+/**
+ * @param {string} [dir]
+ * @param {Object} [options] - { only: fixture id }
+ * @returns {Array<{ id: string, text: string, gold: Object, responses: Object }>}
+ */
+function loadFixtures(dir = FIXTURES_DIR, { only = null } = {}) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && (!only || entry.name === only))
+    .map(entry => entry.name)
+    .sort()
+    .map(id => {
+      const fixtureDir = path.join(dir, id);
+      const gold = readJson(path.join(fixtureDir, 'gold.json'), null);
+      if (!gold || !gold.type) throw new Error(`Fixture ${id} has no gold.json with a type`);
+      return {
+        id,
+        text: fs.readFileSync(path.join(fixtureDir, 'document.txt'), 'utf8'),
+        gold,
+        responses: readJson(path.join(fixtureDir, 'responses.json'), {})
+      };
+    });
+}
+
+// Mock responder replaying a fixture's recorded replies for each task
+function recordedResponder(responses) {
+  const calls = {};
+  return (messages, { task }) => {
+    const recorded = responses[task];
+    if (recorded === undefined) throw new Error(`No recorded ${task} response`);
+    let reply = recorded;
+    if (Array.isArray(recorded)) {
+      const index = Math.min(calls[task] || 0, recorded.length - 1);
+      calls[task] = index + 1;
+      reply = recorded[index];
+    }
+    return typeof reply === 'string' ? reply : JSON.stringify(reply);
+  };
+}
+
+// The analyzers log every step; keep the report readable unless asked for the logs
+async function quietly(fn, quiet) {
+  if (!quiet) return fn();
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// Pass/total counts for one fixture, used to spot per-fixture regressions
+function countChecks(result) {
+  let passed = 0;
+  let total = 0;
+  const add = (ok) => { total++; if (ok) passed++; };
+  if (result.classification) add(result.classification.correct);
+  if (result.schema) add(result.schema.valid);
+  const scores = result.scores || {};
+  for (const category of ['collections', 'inquiries', 'violations']) {
+    if (!scores[category]) continue;
+    passed += scores[category].tp;
+    total += scores[category].tp + scores[category].fp + scores[category].fn;
+  }
+  if (scores.inquiry_count) add(scores.inquiry_count.exact);
+  for (const field of Object.values(scores.fields || {})) add(field.correct);
+  return { passed, total };
+}
+
+/**
+ * Classify and analyze one fixture and score the output. The analyzer is picked from the
+ * gold type, so a misclassified document is still scored on its analysis.
+ * @param {Object} fixture - from loadFixtures
+ * @param {Object} [options]
+ * @param {Object} [options.processor] - { classifyDocumentType, analyzeText, analyzeDebtLetter }; defaults to reportProcessor
+ * @param {boolean} [options.live] - Use the configured providers instead of recorded replies
+ * @param {boolean} [options.quiet=true] - Silence analyzer logs
+ */
+async function runFixture(fixture, { processor = require('../reportProcessor'), live = false, quiet = true } = {}) {
+  const { id, text, gold } = fixture;
+  const mock = llm.gateway.getProvider('mock');
+  if (!live) mock.setResponder(recordedResponder(fixture.responses));
+
+  const result = { id, type: gold.type };
+  const started = Date.now();
+  try {
+    await quietly(async () => {
+      const actual = await processor.classifyDocumentType(text);
+      result.classification = { expected: gold.type, actual, correct: actual === gold.type };
+
+      let analysis = null;
+      if (gold.type === 'credit-report') {
+        analysis = await processor.analyzeText(text, { promptKey: id });
+        result.scores = scoreCreditReport(analysis, gold);
+      } else if (gold.type === 'debt-letter') {
+        analysis = await processor.analyzeDebtLetter(text, { promptKey: id });
+        result.scores = scoreDebtLetter(analysis, gold);
+      }
+      if (analysis && SCHEMAS[gold.type]) {
+        result.schema = validate(SCHEMAS[gold.type], analysis);
+        if (analysis._parsing_failed || analysis.error) result.error = analysis.error || 'Model output could not be parsed';
+      }
+    }, quiet);
+  } catch (error) {
+    result.error = error.message;
+  } finally {
+    if (!live) mock.setResponder(null);
+  }
+  result.duration_ms = Date.now() - started;
+  result.checks = countChecks(result);
+  return result;
+}
+
+/**
+ * Run every fixture and summarize.
+ * @param {Object} [options] - { fixturesDir, only, live, quiet, processor }
+ * @returns {Promise<{ summary: Object, fixtures: Array<Object> }>}
+ */
+async function runEvaluation({ fixturesDir = FIXTURES_DIR, only = null, live = false, quiet = true, processor } = {}) {
+  if (!live) process.env.LLM_PROVIDER = 'mock';
+  const fixtures = loadFixtures(fixturesDir, { only });
+  const results = [];
+  for (const fixture of fixtures) {
+    results.push(await runFixture(fixture, { processor, live, quiet }));
+  }
+  return { summary: summarize(results), fixtures: results };
+}
+
+module.exports = { FIXTURES_DIR, loadFixtures, recordedResponder, runFixture, runEvaluation };
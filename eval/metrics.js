@@ -0,0 +1,215 @@
+// Scoring for the evaluation harness: what each analysis found compared with the
+// fixture's gold annotations, summed into precision/recall per finding category.
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Names match when one contains the other ("Midland" vs "Midland Credit Management LLC")
+function namesMatch(a, b) {
+  const x = normalize(a);
+  const y = normalize(b);
+  return !!x && !!y && (x.includes(y) || y.includes(x));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  const n = parseFloat(String(value || '').replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(n) ? null : n;
+}
+
+/**
+ * One-to-one matching of predicted against expected items.
+ * @returns {{ tp: number, fp: number, fn: number, missed: Array, extra: Array }}
+ */
+function matchSets(predicted, expected, matches = namesMatch) {
+  const remaining = [...expected];
+  const extra = [];
+  let tp = 0;
+  for (const item of predicted) {
+    const i = remaining.findIndex(e => matches(item, e));
+    if (i >= 0) {
+      tp++;
+      remaining.splice(i, 1);
+    } else {
+      extra.push(item);
+    }
+  }
+  return { tp, fp: extra.length, fn: remaining.length, missed: remaining, extra };
+}
+
+// The app reads the flattened sections (collection_accounts, inquiries); models that follow
+// the prompt's nested layout leave them empty, so fall back to the nested sections.
+function predictedCollections(analysis) {
+  const flat = Array.isArray(analysis.collection_accounts) ? analysis.collection_accounts : [];
+  const nested = (analysis.collection_accounts_analysis && analysis.collection_accounts_analysis.collection_accounts) || [];
+  const accounts = flat.length ? flat : nested;
+  return accounts.map(a => a.collection_agency || a.creditor_name || a.original_creditor).filter(Boolean);
+}
+
+function predictedInquiries(analysis) {
+  const nested = analysis.inquiry_analysis || {};
+  const flat = Array.isArray(analysis.inquiries) ? analysis.inquiries : [];
+  const hard = flat.length
+    ? flat.filter(i => !/soft/i.test(`${i.type || ''} ${i.purpose || ''}`))
+    : nested.hard_pull_details || [];
+  const names = hard.map(i => i.creditor_name).filter(Boolean);
+  const count = typeof nested.total_hard_pulls === 'number' && !flat.length ? nested.total_hard_pulls : names.length;
+  return { names, count };
+}
+
+function predictedViolations(analysis) {
+  return (analysis.fcra_violations || []).map(v => v.violation_type || v.type).filter(Boolean);
+}
+
+/**
+ * Score one credit report analysis against its gold annotations.
+ * Gold: { collections: [names], inquiries: { hard: [names] }, violations: [violation types] }
+ */
+function scoreCreditReport(analysis, gold) {
+  const scores = {};
+  if (gold.collections) {
+    scores.collections = matchSets(predictedCollections(analysis), gold.collections);
+  }
+  if (gold.inquiries) {
+    const expected = gold.inquiries.hard || [];
+    const predicted = predictedInquiries(analysis);
+    scores.inquiries = matchSets(predicted.names, expected);
+    scores.inquiry_count = { expected: expected.length, predicted: predicted.count, exact: predicted.count === expected.length };
+  }
+  if (gold.violations) {
+    scores.violations = matchSets(predictedViolations(analysis), gold.violations, (a, b) => normalize(a) === normalize(b));
+  }
+  return scores;
+}
+
+/**
+ * Score a debt letter extraction field by field. Gold: { fields: { name: expected } }.
+ * Amounts compare numerically, names by containment, other strings ignore case and punctuation.
+ */
+function scoreDebtLetter(analysis, gold) {
+  const fields = {};
+  for (const [field, expected] of Object.entries(gold.fields || {})) {
+    const actual = analysis[field];
+    let correct;
+    if (typeof expected === 'boolean' || expected === null) correct = actual === expected;
+    else if (typeof expected === 'number' || /balance|amount/.test(field)) correct = toNumber(actual) === toNumber(expected);
+    else if (/_name$|_creditor$/.test(field)) correct = namesMatch(actual, expected);
+    else correct = normalize(actual) === normalize(expected);
+    fields[field] = { expected, actual: actual === undefined ? null : actual, correct };
+  }
+  return { fields };
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const ratio = (a, b) => (b ? round(a / b) : null);
+
+function prf({ tp, fp, fn }) {
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? round((2 * precision * recall) / (precision + recall))
+    : null;
+  return { tp, fp, fn, precision, recall, f1 };
+}
+
+/**
+ * Micro-averaged metrics across fixture results.
+ * @param {Array<Object>} results - from harness.runFixture
+ */
+function summarize(results) {
+  const sums = {
+    collections: { tp: 0, fp: 0, fn: 0 },
+    inquiries: { tp: 0, fp: 0, fn: 0 },
+    violations: { tp: 0, fp: 0, fn: 0 }
+  };
+  const counts = { inquiry_counts: 0, inquiry_counts_exact: 0, fields: 0, fields_correct: 0, validated: 0, valid: 0, classified: 0, classified_correct: 0, errors: 0 };
+
+  for (const result of results) {
+    if (result.error) counts.errors++;
+    if (result.classification) {
+      counts.classified++;
+      if (result.classification.correct) counts.classified_correct++;
+    }
+    if (result.schema) {
+      counts.validated++;
+      if (result.schema.valid) counts.valid++;
+    }
+    const scores = result.scores || {};
+    for (const category of Object.keys(sums)) {
+      if (!scores[category]) continue;
+      for (const key of ['tp', 'fp', 'fn']) sums[category][key] += scores[category][key];
+    }
+    if (scores.inquiry_count) {
+      counts.inquiry_counts++;
+      if (scores.inquiry_count.exact) counts.inquiry_counts_exact++;
+    }
+    for (const field of Object.values(scores.fields || {})) {
+      counts.fields++;
+      if (field.correct) counts.fields_correct++;
+    }
+  }
+
+  return {
+    fixtures: results.length,
+    errors: counts.errors,
+    classification_accuracy: ratio(counts.classified_correct, counts.classified),
+    schema_validity_rate: ratio(counts.valid, counts.validated),
+    collections: prf(sums.collections),
+    inquiries: { ...prf(sums.inquiries), count_accuracy: ratio(counts.inquiry_counts_exact, counts.inquiry_counts) },
+    violations: prf(sums.violations),
+    debt_letter_field_accuracy: ratio(counts.fields_correct, counts.fields)
+  };
+}
+
+// Summary metrics compared against the baseline (higher is better for all of them)
+const TRACKED_METRICS = [
+  'classification_accuracy',
+  'schema_validity_rate',
+  'collections.precision',
+  'collections.recall',
+  'inquiries.precision',
+  'inquiries.recall',
+  'inquiries.count_accuracy',
+  'violations.precision',
+  'violations.recall',
+  'debt_letter_field_accuracy'
+];
+
+const metricAt = (summary, metric) => metric.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), summary);
+
+/**
+ * Metrics and fixtures that got worse than the saved baseline.
+ * @param {Object} current - { summary, fixtures: [{ id, checks: { passed, total } }] }
+ * @param {Object} baseline - Same shape, as saved by --update-baseline
+ * @param {number} [tolerance=0] - Allowed drop before a metric counts as a regression
+ * @returns {{ metrics: Array, fixtures: Array }}
+ */
+function compareToBaseline(current, baseline, tolerance = 0) {
+  const metrics = [];
+  for (const metric of TRACKED_METRICS) {
+    const before = metricAt(baseline.summary, metric);
+    const after = metricAt(current.summary, metric);
+    if (typeof before !== 'number') continue;
+    if (typeof after !== 'number' || after < before - tolerance) metrics.push({ metric, baseline: before, current: after === undefined ? null : after });
+  }
+
+  const previous = new Map((baseline.fixtures || []).map(f => [f.id, f]));
+  const fixtures = [];
+  for (const fixture of current.fixtures || []) {
+    const before = previous.get(fixture.id);
+    if (before && fixture.checks.passed < before.checks.passed) {
+      fixtures.push({ id: fixture.id, baseline: before.checks, current: fixture.checks });
+    }
+  }
+  return { metrics, fixtures };
+}
+
+module.exports = {
+  normalize,
+  namesMatch,
+  matchSets,
+  scoreCreditReport,
+  scoreDebtLetter,
+  summarize,
+  compareToBaseline,
+  TRACKED_METRICS
+};
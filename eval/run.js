@@ -0,0 +1,109 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { runEvaluation, FIXTURES_DIR } = require('./harness');
+const { compareToBaseline } = require('./metrics');
+
+const DEFAULT_BASELINE = path.join(__dirname, 'baseline.json');
+
+// Usage: node eval/run.js [--fixtures dir] [--only id] [--live] [--verbose]
+//          [--baseline file] [--update-baseline] [--tolerance 0.02] [--json out.json]
+// Exits 1 when a tracked metric or a fixture falls below the baseline.
+function parseArgs(argv) {
+  const args = { fixturesDir: FIXTURES_DIR, baseline: DEFAULT_BASELINE, tolerance: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fixtures') args.fixturesDir = path.resolve(argv[++i]);
+    else if (arg === '--only') args.only = argv[++i];
+    else if (arg === '--live') args.live = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--baseline') args.baseline = path.resolve(argv[++i]);
+    else if (arg === '--update-baseline') args.updateBaseline = true;
+    else if (arg === '--tolerance') args.tolerance = Number(argv[++i]) || 0;
+    else if (arg === '--json') args.json = path.resolve(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return args;
+}
+
+const pct = (value) => (value === null || value === undefined ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+// What a fixture got wrong, one line per category
+function describeMisses(result) {
+  const lines = [];
+  const scores = result.scores || {};
+  for (const category of ['collections', 'inquiries', 'violations']) {
+    const score = scores[category];
+    if (!score) continue;
+    if (score.missed.length) lines.push(`${category} missed: ${score.missed.join(', ')}`);
+    if (score.extra.length) lines.push(`${category} extra: ${score.extra.join(', ')}`);
+  }
+  if (scores.inquiry_count && !scores.inquiry_count.exact) {
+    lines.push(`hard inquiries counted ${scores.inquiry_count.predicted}, expected ${scores.inquiry_count.expected}`);
+  }
+  for (const [field, score] of Object.entries(scores.fields || {})) {
+    if (!score.correct) lines.push(`${field}: ${JSON.stringify(score.actual)}, expected ${JSON.stringify(score.expected)}`);
+  }
+  if (result.schema && !result.schema.valid) lines.push(`schema: ${result.schema.errors.slice(0, 3).join('; ')}`);
+  return lines;
+}
+
+function printReport({ summary, fixtures }) {
+  console.log('\n📋 Fixtures');
+  for (const f of fixtures) {
+    const status = f.error ? `❌ ${f.error}` : f.checks.passed === f.checks.total ? '✅' : '⚠️';
+    const classified = f.classification && !f.classification.correct ? ` (classified as ${f.classification.actual})` : '';
+    console.log(`  ${f.id.padEnd(34)} ${f.type.padEnd(14)} ${String(f.checks.passed).padStart(3)}/${String(f.checks.total).padEnd(3)} ${status}${classified}`);
+    for (const line of describeMisses(f)) console.log(`      ${line}`);
+  }
+
+  console.log('\n📊 Summary');
+  console.log(`  Classification accuracy   ${pct(summary.classification_accuracy)}`);
+  console.log(`  Schema validity           ${pct(summary.schema_validity_rate)}`);
+  console.log('  Category          precision  recall      f1');
+  for (const category of ['collections', 'inquiries', 'violations']) {
+    const m = summary[category];
+    console.log(`  ${category.padEnd(16)}   ${pct(m.precision)}  ${pct(m.recall)}  ${pct(m.f1)}   (tp ${m.tp}, fp ${m.fp}, fn ${m.fn})`);
+  }
+  console.log(`  Hard inquiry counts exact ${pct(summary.inquiries.count_accuracy)}`);
+  console.log(`  Debt letter fields        ${pct(summary.debt_letter_field_accuracy)}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  console.log(`🧪 Evaluating fixtures in ${path.relative(process.cwd(), args.fixturesDir) || '.'} (${args.live ? 'live providers' : 'recorded responses'})`);
+
+  const report = await runEvaluation({ fixturesDir: args.fixturesDir, only: args.only, live: args.live, quiet: !args.verbose });
+  printReport(report);
+
+  const saved = {
+    generated_at: new Date().toISOString(),
+    mode: args.live ? 'live' : 'recorded',
+    summary: report.summary,
+    fixtures: report.fixtures.map(({ id, type, checks }) => ({ id, type, checks }))
+  };
+  if (args.json) fs.writeFileSync(args.json, JSON.stringify({ ...saved, fixtures: report.fixtures }, null, 2));
+
+  if (args.updateBaseline) {
+    fs.writeFileSync(args.baseline, JSON.stringify(saved, null, 2) + '\n');
+    console.log(`\n💾 Baseline written to ${path.relative(process.cwd(), args.baseline)}`);
+    return;
+  }
+
+  if (!fs.existsSync(args.baseline)) {
+    console.log('\nℹ️ No baseline to compare against; run with --update-baseline to save one');
+    return;
+  }
+  const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8'));
+  const regressions = compareToBaseline(saved, baseline, args.tolerance);
+  if (!regressions.metrics.length && !regressions.fixtures.length) {
+    console.log('\n✅ No regressions against the baseline');
+    return;
+  }
+  console.log('\n❌ Regressions against the baseline');
+  for (const r of regressions.metrics) console.log(`  ${r.metric}: ${pct(r.baseline)} -> ${pct(r.current)}`);
+  for (const r of regressions.fixtures) console.log(`  ${r.id}: ${r.baseline.passed}/${r.baseline.total} -> ${r.current.passed}/${r.current.total} checks`);
+  process.exitCode = 1;
+}
+
+main().catch(err => { console.error(err); process.exit(1); });
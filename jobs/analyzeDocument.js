@@ -0,0 +1,114 @@
+// Job handler: OCR + analyze an uploaded document and store the result in report_analyses.
+// Replaces the fire-and-forget IIFEs in /upload, /report/analyze and the Supabase webhook.
+
+const { jobStatusUrl } = require('./queue');
+
+const JOB_TYPE = 'document-analysis';
+
+// One live analysis per file and user; once it completes or fails the file can be analyzed again
+function analysisIdempotencyKey(filePath, userId) {
+  return `${JOB_TYPE}:${userId || 'anonymous'}:${filePath}`;
+}
+
+/**
+ * Build the handler. `supabase` is read lazily so the handler sees the client
+ * api.js initialises (and any test override).
+ * @param {() => Object|null} getSupabase
+ */
+function createAnalyzeDocumentHandler(getSupabase) {
+  return async function analyzeDocument(job) {
+    const { filePath, bucket = null, fileName = null } = job.payload;
+    const userId = job.user_id;
+    const notify = (event, data) => {
+      if (userId && global.emitToUser) {
+        global.emitToUser(userId, event, {
+          jobId: job.id,
+          statusUrl: jobStatusUrl(job.id),
+          userId,
+          filePath,
+          fileName,
+          ...data,
+          timestamp: new Date().toISOString()
+        });
+      }
+    };
+
+    notify('analysis-started', {
+      attempt: job.attempts,
+      message: 'File analysis has begun. This may take a few moments...'
+    });
+
+    try {
+      const { processDocument } = require('../reportProcessor');
+      const result = await processDocument(filePath, userId);
+      // processDocument reports failures in the result instead of throwing
+      if (result.error) throw new Error(result.error);
+
+      const supabase = getSupabase();
+      let analysisId = null;
+      if (supabase && userId) {
+        const row = {
+          user_id: userId,
+          file_path: filePath,
+          ocr_artifact_id: result.ocr_artifact_id || null,
+          analysis: result.analysis,
+          processed_at: result.processedAt || new Date().toISOString()
+        };
+        // Uploads also record where the file lives and a text preview
+        if (bucket) {
+          Object.assign(row, {
+            bucket,
+            file_name: fileName,
+            extracted_text: result.extractedText?.substring(0, 2000),
+            violations_found: result.analysis?.violations?.length > 0,
+            errors_found: result.analysis?.errors?.length > 0
+          });
+        }
+        const { data, error } = await supabase.from('report_analyses').insert(row).select('id').limit(1);
+        if (error) throw new Error(`Failed to save analysis: ${error.message}`);
+        analysisId = Array.isArray(data) && data[0] ? data[0].id : null;
+        console.log('✅ File processed and analysis stored:', filePath);
+      }
+
+      notify('analysis-complete', { analysis: result.analysis });
+
+      // Let the user see what changed since their previous report from the same bureau
+      if (analysisId && result.docType === 'credit-report') {
+        try {
+          const { notifyReportDiff } = require('../reportHistory');
+          await notifyReportDiff(supabase, userId, {
+            id: analysisId,
+            file_path: filePath,
+            file_name: fileName,
+            processed_at: result.processedAt,
+            analysis: result.analysis,
+            extracted_text: result.extractedText
+          });
+        } catch (diffError) {
+          console.warn('⚠️ Report diff notification failed:', diffError.message);
+        }
+      }
+
+      // OCR pages are kept in ocr_artifacts; the job row only holds the analysis
+      return {
+        analysisId,
+        filePath,
+        docType: result.docType,
+        ocr_artifact_id: result.ocr_artifact_id || null,
+        extractedText: result.extractedText,
+        analysis: result.analysis,
+        processedAt: result.processedAt
+      };
+    } catch (error) {
+      console.error('❌ Error processing document job:', error.message);
+      notify('analysis-error', {
+        error: error.message,
+        attempt: job.attempts,
+        willRetry: job.attempts < job.max_attempts
+      });
+      throw error;
+    }
+  };
+}
+
+module.exports = { JOB_TYPE, analysisIdempotencyKey, createAnalyzeDocumentHandler };
@@ -0,0 +1,94 @@
+// In-memory job storage for tests and local runs without SUPABASE_POSTGRES_URL.
+// Jobs are lost on restart.
+const crypto = require('crypto');
+const { JOB_STATES, LIVE_STATES } = require('../queue');
+
+class MemoryJobDriver {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async insert({ type, payload, user_id, idempotency_key, max_attempts }) {
+    if (idempotency_key) {
+      for (const job of this.jobs.values()) {
+        if (job.idempotency_key === idempotency_key && LIVE_STATES.includes(job.state)) {
+          return { job: { ...job }, created: false };
+        }
+      }
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: JOB_STATES.QUEUED,
+      payload,
+      result: null,
+      error: null,
+      user_id,
+      idempotency_key,
+      attempts: 0,
+      max_attempts,
+      run_at: now,
+      locked_at: null,
+      created_at: now,
+      updated_at: now,
+      completed_at: null
+    };
+    this.jobs.set(job.id, job);
+    return { job: { ...job }, created: true };
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async claim(type, limit) {
+    const now = new Date().toISOString();
+    const due = [...this.jobs.values()]
+      .filter(job => job.type === type &&
+        (job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.RETRYING) &&
+        job.run_at <= now)
+      .sort((a, b) => a.run_at.localeCompare(b.run_at))
+      .slice(0, limit);
+
+    return due.map(job => {
+      Object.assign(job, { state: JOB_STATES.RUNNING, attempts: job.attempts + 1, locked_at: now, updated_at: now });
+      return { ...job };
+    });
+  }
+
+  update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    Object.assign(job, fields, { updated_at: new Date().toISOString() });
+    return { ...job };
+  }
+
+  async complete(id, result) {
+    return this.update(id, { state: JOB_STATES.COMPLETED, result, error: null, locked_at: null, completed_at: new Date().toISOString() });
+  }
+
+  async retry(id, error, runAt) {
+    return this.update(id, { state: JOB_STATES.RETRYING, error, locked_at: null, run_at: runAt.toISOString() });
+  }
+
+  async fail(id, error) {
+    return this.update(id, { state: JOB_STATES.FAILED, error, locked_at: null, completed_at: new Date().toISOString() });
+  }
+
+  async requeueStale(lockTimeoutMs) {
+    const cutoff = new Date(Date.now() - lockTimeoutMs).toISOString();
+    let count = 0;
+    for (const job of this.jobs.values()) {
+      if (job.state === JOB_STATES.RUNNING && job.locked_at < cutoff) {
+        this.update(job.id, { state: JOB_STATES.QUEUED, locked_at: null });
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+module.exports = { MemoryJobDriver };
@@ -0,0 +1,100 @@
+// Postgres job storage (see sql/create_jobs_table.sql). Jobs are claimed with
+// FOR UPDATE SKIP LOCKED so several server instances can share the table.
+const { JOB_STATES } = require('../queue');
+
+// INSERT/SELECT rounds before giving up on a key whose live job keeps changing
+const INSERT_ATTEMPTS = 3;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class PostgresJobDriver {
+  /**
+   * @param {import('pg').Pool} pool
+   */
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  async insert({ type, payload, user_id, idempotency_key, max_attempts }) {
+    // The live job that blocked the insert can finish before the SELECT; the key is then
+    // free again, so insert once more
+    for (let attempt = 1; ; attempt++) {
+      const { rows } = await this.pool.query(
+        `INSERT INTO jobs (type, state, payload, user_id, idempotency_key, max_attempts)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (idempotency_key) WHERE state IN ('queued', 'running', 'retrying') DO NOTHING
+         RETURNING *`,
+        [type, JOB_STATES.QUEUED, JSON.stringify(payload || {}), user_id, idempotency_key, max_attempts]
+      );
+      if (rows.length) return { job: rows[0], created: true };
+
+      const existing = await this.pool.query(
+        `SELECT * FROM jobs WHERE idempotency_key = $1 AND state IN ('queued', 'running', 'retrying') ORDER BY created_at DESC LIMIT 1`,
+        [idempotency_key]
+      );
+      if (existing.rows.length) return { job: existing.rows[0], created: false };
+      if (attempt >= INSERT_ATTEMPTS) throw new Error(`Could not enqueue ${type} job for idempotency key ${idempotency_key}`);
+    }
+  }
+
+  async get(id) {
+    if (!UUID_RE.test(String(id))) return null;
+    const { rows } = await this.pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return rows[0] || null;
+  }
+
+  async claim(type, limit) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs
+       SET state = $1, attempts = attempts + 1, locked_at = now(), updated_at = now()
+       WHERE id IN (
+         SELECT id FROM jobs
+         WHERE type = $2 AND state IN ($3, $4) AND run_at <= now()
+         ORDER BY run_at
+         LIMIT $5
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [JOB_STATES.RUNNING, type, JOB_STATES.QUEUED, JOB_STATES.RETRYING, limit]
+    );
+    return rows;
+  }
+
+  async complete(id, result) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET state = $2, result = $3, error = NULL, locked_at = NULL, completed_at = now(), updated_at = now()
+       WHERE id = $1 RETURNING *`,
+      [id, JOB_STATES.COMPLETED, JSON.stringify(result)]
+    );
+    return rows[0] || null;
+  }
+
+  async retry(id, error, runAt) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET state = $2, error = $3, locked_at = NULL, run_at = $4, updated_at = now()
+       WHERE id = $1 RETURNING *`,
+      [id, JOB_STATES.RETRYING, error, runAt]
+    );
+    return rows[0] || null;
+  }
+
+  async fail(id, error) {
+    const { rows } = await this.pool.query(
+      `UPDATE jobs SET state = $2, error = $3, locked_at = NULL, completed_at = now(), updated_at = now()
+       WHERE id = $1 RETURNING *`,
+      [id, JOB_STATES.FAILED, error]
+    );
+    return rows[0] || null;
+  }
+
+  async requeueStale(lockTimeoutMs) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE jobs SET state = $1, locked_at = NULL, updated_at = now()
+       WHERE state = $2 AND locked_at < now() - ($3 * interval '1 millisecond')`,
+      [JOB_STATES.QUEUED, JOB_STATES.RUNNING, lockTimeoutMs]
+    );
+    return rowCount;
+  }
+}
+
+module.exports = { PostgresJobDriver };
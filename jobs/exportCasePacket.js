@@ -0,0 +1,44 @@
+// Job handler: zip a dispute case into an attorney referral packet (disputes/packet.js)
+// and store it with a signed download link.
+
+const { jobStatusUrl } = require('./queue');
+
+const JOB_TYPE = 'case-export';
+// Repeat clicks within this window reuse the running export
+const EXPORT_DEDUPE_MS = 60 * 1000;
+
+function caseExportIdempotencyKey(caseId, userId, now = Date.now()) {
+  return `${JOB_TYPE}:${userId}:${caseId}:${Math.floor(now / EXPORT_DEDUPE_MS)}`;
+}
+
+/**
+ * @param {() => Object|null} getSupabase
+ */
+function createExportCasePacketHandler(getSupabase) {
+  return async function exportCasePacketJob(job) {
+    const { caseId } = job.payload;
+    const userId = job.user_id;
+    const notify = (event, data) => {
+      if (userId && global.emitToUser) {
+        global.emitToUser(userId, event, { jobId: job.id, statusUrl: jobStatusUrl(job.id), caseId, ...data, timestamp: new Date().toISOString() });
+      }
+    };
+
+    try {
+      const supabase = getSupabase();
+      if (!supabase) throw new Error('Database not configured');
+      const { exportCasePacket } = require('../disputes/packet');
+      const result = await exportCasePacket(supabase, userId, caseId);
+      if (result.error) throw new Error(result.error);
+      console.log(`✅ Case packet exported for case ${caseId}: ${result.path}`);
+      notify('case-export-complete', { url: result.url, expiresAt: result.expiresAt });
+      return result;
+    } catch (error) {
+      console.error('❌ Error exporting case packet:', error.message);
+      notify('case-export-error', { error: error.message, attempt: job.attempts, willRetry: job.attempts < job.max_attempts });
+      throw error;
+    }
+  };
+}
+
+module.exports = { JOB_TYPE, caseExportIdempotencyKey, createExportCasePacketHandler };
@@ -0,0 +1,98 @@
+/**
+ * Job queue setup
+ *
+ * Environment variables:
+ * - JOB_QUEUE_DRIVER: 'postgres' or 'memory'. Defaults to postgres when a pg
+ *   pool (SUPABASE_POSTGRES_URL) is available, otherwise memory.
+ * - JOB_CONCURRENCY: max jobs running per process (default 2)
+ * - JOB_MAX_ATTEMPTS: attempts before a job is marked failed (default 3)
+ * - JOB_RETRY_BASE_MS: first retry delay, doubled on each attempt (default 5000)
+ */
+const { JobQueue, JOB_STATES, TERMINAL_STATES, jobStatusUrl } = require('./queue');
+const { MemoryJobDriver } = require('./drivers/memory');
+const { PostgresJobDriver } = require('./drivers/postgres');
+const analyzeDocument = require('./analyzeDocument');
+const exportCasePacket = require('./exportCasePacket');
+
+function createDriver(pgPool) {
+  const requested = process.env.JOB_QUEUE_DRIVER;
+  if (requested === 'memory' || (!requested && !pgPool)) {
+    if (!pgPool) console.warn('⚠️ Job queue using in-memory driver - queued jobs will not survive a restart');
+    return new MemoryJobDriver();
+  }
+  if (!pgPool) throw new Error('JOB_QUEUE_DRIVER=postgres requires SUPABASE_POSTGRES_URL');
+  return new PostgresJobDriver(pgPool);
+}
+
+/**
+ * Create the queue and register the job handlers.
+ * @param {Object} deps
+ * @param {import('pg').Pool|null} deps.pgPool
+ * @param {() => Object|null} deps.getSupabase
+ * @param {Object} [deps.driver] - Override the storage driver (tests)
+ * @returns {JobQueue}
+ */
+function createJobQueue({ pgPool = null, getSupabase = () => null, driver = null } = {}) {
+  const queue = new JobQueue(driver || createDriver(pgPool), {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+    retryBaseMs: parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 5000
+  });
+
+  queue.register(analyzeDocument.JOB_TYPE, analyzeDocument.createAnalyzeDocumentHandler(getSupabase));
+  queue.register(exportCasePacket.JOB_TYPE, exportCasePacket.createExportCasePacketHandler(getSupabase));
+
+  return queue;
+}
+
+/**
+ * Queue analysis of a stored file, reusing a queued, running or retrying job for the same
+ * file and user.
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+function enqueueDocumentAnalysis(queue, { filePath, userId = null, bucket = null, fileName = null, source }) {
+  return queue.enqueue(analyzeDocument.JOB_TYPE, { filePath, bucket, fileName, source }, {
+    userId,
+    idempotencyKey: analyzeDocument.analysisIdempotencyKey(filePath, userId)
+  });
+}
+
+/**
+ * Queue an attorney referral packet export for a dispute case.
+ * @returns {Promise<{job: Object, created: boolean}>}
+ */
+function enqueueCaseExport(queue, { caseId, userId }) {
+  return queue.enqueue(exportCasePacket.JOB_TYPE, { caseId }, {
+    userId,
+    idempotencyKey: exportCasePacket.caseExportIdempotencyKey(caseId, userId)
+  });
+}
+
+// Shape returned by GET /jobs/:id and embedded in API responses
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    error: job.error,
+    result: job.result,
+    statusUrl: jobStatusUrl(job.id),
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  enqueueDocumentAnalysis,
+  enqueueCaseExport,
+  serializeJob,
+  JobQueue,
+  MemoryJobDriver,
+  PostgresJobDriver,
+  JOB_STATES,
+  TERMINAL_STATES
+};
@@ -0,0 +1,196 @@
+// Background job queue with retries, idempotency keys and concurrency limits.
+// Storage is delegated to a driver (Postgres in production, in-memory for tests).
+const EventEmitter = require('events');
+
+const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const TERMINAL_STATES = [JOB_STATES.COMPLETED, JOB_STATES.FAILED];
+
+// States in which a job holds its idempotency key
+const LIVE_STATES = [JOB_STATES.QUEUED, JOB_STATES.RUNNING, JOB_STATES.RETRYING];
+
+// Where clients poll a job's status
+const jobStatusUrl = (id) => `/api/jobs/${id}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} driver - MemoryJobDriver or PostgresJobDriver
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=2] - Max jobs running in this process
+   * @param {number} [options.pollIntervalMs=2000] - How often to look for due jobs
+   * @param {number} [options.maxAttempts=3] - Default attempts before a job fails
+   * @param {number} [options.retryBaseMs=5000] - First retry delay, doubled per attempt
+   * @param {number} [options.retryMaxMs=300000] - Retry delay cap
+   * @param {number} [options.lockTimeoutMs=900000] - Running jobs older than this are assumed lost
+   */
+  constructor(driver, options = {}) {
+    super();
+    this.driver = driver;
+    this.concurrency = options.concurrency || 2;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryBaseMs = options.retryBaseMs || 5000;
+    this.retryMaxMs = options.retryMaxMs || 5 * 60 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs || 15 * 60 * 1000;
+    this.handlers = new Map();
+    this.running = new Map(); // type -> count
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Register the handler for a job type.
+   * @param {string} type
+   * @param {(job: Object) => Promise<any>} handler - Resolves with the job result; throw to retry
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Per-type limit (defaults to the queue limit)
+   * @param {number} [options.maxAttempts]
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, ...options });
+    return this;
+  }
+
+  /**
+   * Add a job. When a queued, running or retrying job already holds the idempotency
+   * key, that job is returned instead and `created` is false.
+   * @returns {Promise<{job: Object, created: boolean}>}
+   */
+  async enqueue(type, payload = {}, { userId = null, idempotencyKey = null, maxAttempts } = {}) {
+    if (!this.handlers.has(type)) throw new Error(`No handler registered for job type: ${type}`);
+    const attempts = maxAttempts || this.handlers.get(type).maxAttempts || this.maxAttempts;
+    const { job, created } = await this.driver.insert({
+      type,
+      payload,
+      user_id: userId,
+      idempotency_key: idempotencyKey,
+      max_attempts: attempts
+    });
+    if (created) {
+      console.log(`📥 Job ${job.id} queued (${type})`);
+      this.kick();
+    } else {
+      console.log(`♻️ Job ${job.id} reused for idempotency key ${idempotencyKey} (state=${job.state})`);
+    }
+    return { job, created };
+  }
+
+  getJob(id) {
+    return this.driver.get(id);
+  }
+
+  /**
+   * Poll until the job reaches a terminal state or the timeout elapses.
+   * @returns {Promise<Object|null>} The latest job row
+   */
+  async waitFor(id, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+    let job = await this.driver.get(id);
+    while (job && !TERMINAL_STATES.includes(job.state) && Date.now() < deadline) {
+      await sleep(Math.min(1000, this.pollIntervalMs));
+      job = await this.driver.get(id);
+    }
+    return job;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+    // Pick up jobs a previous process left half-finished
+    this.driver.requeueStale(this.lockTimeoutMs)
+      .then(count => { if (count) console.log(`🔁 Requeued ${count} stale job(s)`); })
+      .catch(err => console.error('Failed to requeue stale jobs:', err.message))
+      .finally(() => this.poll());
+    console.log(`✅ Job queue started (concurrency=${this.concurrency})`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Poll soon without waiting for the next interval
+  kick() {
+    if (this.timer) setImmediate(() => this.poll());
+  }
+
+  totalRunning() {
+    let total = 0;
+    for (const count of this.running.values()) total += count;
+    return total;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      for (const [type, entry] of this.handlers) {
+        const typeLimit = entry.concurrency || this.concurrency;
+        const slots = Math.min(this.concurrency - this.totalRunning(), typeLimit - (this.running.get(type) || 0));
+        if (slots <= 0) continue;
+        const jobs = await this.driver.claim(type, slots);
+        for (const job of jobs) {
+          this.run(job, entry.handler).catch(err => console.error(`Job ${job.id} bookkeeping failed:`, err.message));
+        }
+      }
+    } catch (err) {
+      console.error('Job queue poll failed:', err.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+  }
+
+  async run(job, handler) {
+    this.running.set(job.type, (this.running.get(job.type) || 0) + 1);
+    this.emit('started', job);
+    try {
+      let result;
+      try {
+        result = await handler(job);
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        if (job.attempts < job.max_attempts) {
+          const delay = this.retryDelay(job.attempts);
+          const retried = await this.driver.retry(job.id, message, new Date(Date.now() + delay));
+          console.warn(`⚠️ Job ${job.id} attempt ${job.attempts}/${job.max_attempts} failed, retrying in ${delay}ms:`, message);
+          this.emit('retrying', retried || job, err);
+        } else {
+          const failed = await this.driver.fail(job.id, message);
+          console.error(`❌ Job ${job.id} failed after ${job.attempts} attempt(s):`, message);
+          this.emit('failed', failed || job, err);
+        }
+        return;
+      }
+
+      // The handler succeeded, so a failure to record it must not retry or fail the job
+      // and repeat its side effects
+      let done = null;
+      try {
+        done = await this.driver.complete(job.id, result === undefined ? null : result);
+      } catch (err) {
+        console.error(`❌ Job ${job.id} succeeded but could not be marked completed:`, err.message);
+        return;
+      }
+      console.log(`✅ Job ${job.id} completed (${job.type})`);
+      this.emit('completed', done || job);
+    } finally {
+      this.running.set(job.type, this.running.get(job.type) - 1);
+      this.kick();
+    }
+  }
+}
+
+module.exports = { JobQueue, JOB_STATES, TERMINAL_STATES, LIVE_STATES, jobStatusUrl };
@@ -2,23 +2,8 @@ const { DataAPIClient } = require('@datastax/astra-db-ts');
 const { GoogleGenerativeAIEmbeddings } = require('@langchain/google-genai');
 const { TavilySearch } = require('@langchain/tavily');
 const axios = require('axios');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
-let chatWithFallback;
-try {
-  chatWithFallback = require('./temp/aiUtils').chatWithFallback;
-} catch (error) {
-  console.warn('Failed to load ./temp/aiUtils, trying ./aiUtils:', error.message);
-  try {
-    chatWithFallback = require('./aiUtils').chatWithFallback;
-  } catch (fallbackError) {
-    console.error('Failed to load aiUtils from both locations:', fallbackError.message);
-    // Provide a minimal fallback function
-    chatWithFallback = async (messages) => {
-      throw new Error('AI utilities not available - check aiUtils.js file');
-    };
-  }
-}
+const llm = require('./llm');
 
 // Initialize AstraDB client (support multiple constructor styles)
 let astraClient = null;
@@ -96,16 +81,6 @@ if (process.env.TAVILY_API_KEY) {
 // Initialize Hyperbrowser (using axios directly)
 let hyperbrowserApiKey = process.env.HYPERBROWSER_API_KEY;
 
-// Initialize AI model for analysis
-let aiModel = null;
-if (process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY) {
-  aiModel = new ChatGoogleGenerativeAI({
-    apiKey: process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY,
-    model: 'gemini-2.5-flash',
-    temperature: 0.7,
-  });
-}
-
 const { getEmbedding } = require('./utils/embeddings');
 
 // Generate embedding using preferred local/remote providers (Mistral preferred)
@@ -441,14 +416,14 @@ async function scrapeAndAnalyze(url) {
   }
 
   // Analyze with AI
-  if (aiModel && scrapedContent) {
+  if (scrapedContent) {
     try {
       console.log('Analyzing content with AI...');
-      const response = await chatWithFallback([
+      const { response } = await llm.chat([
         new SystemMessage('You are a legal expert. Analyze this scraped legal content and provide a comprehensive summary, key points, and implications for consumers.'),
         new HumanMessage(scrapedContent.substring(0, 10000)) // Limit to 10k chars
-      ]);
-      analysis = response.content || response;
+      ], { task: 'summarization' });
+      analysis = response.content;
     } catch (error) {
       console.error('AI analysis failed:', error);
       analysis = 'Analysis unavailable due to error.';
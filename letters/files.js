@@ -0,0 +1,92 @@
+// Storage for rendered letters: report pages pulled in as exhibits, the stored
+// PDF next to the user's uploads, and signed download links.
+const path = require('path');
+
+const LETTERS_BUCKET = 'users-file-storage';
+const REPORT_BUCKETS = ['users-file-storage', 'credit-reports', 'uploads', 'documents'];
+const SIGNED_URL_TTL = 60 * 60 * 24; // seconds
+
+const EXHIBIT_TYPES = { '.pdf': 'application/pdf', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+const letterPrefix = (userId) => `${userId}/letters/`;
+
+/**
+ * Download an uploaded report. users-file-storage keeps uploads under
+ * credit-reports/<userId>/, so that prefix is tried as well.
+ * @returns {Promise<Buffer|null>}
+ */
+async function downloadReport(supabase, userId, filePath) {
+  const candidates = [filePath];
+  if (!filePath.startsWith('credit-reports/')) candidates.push(`credit-reports/${filePath}`);
+  for (const bucket of REPORT_BUCKETS) {
+    for (const candidate of candidates) {
+      try {
+        const { data, error } = await supabase.storage.from(bucket).download(candidate);
+        if (!error && data) return Buffer.from(await data.arrayBuffer());
+      } catch (error) {
+        console.log(`Skipping bucket ${bucket} for exhibit ${candidate}:`, error.message);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Exhibits for renderLetterPdf from `letter.exhibits` ([{ file_path, pages }]).
+ * Only the user's own files are read.
+ * @returns {Promise<{ exhibits: Array, warnings: string[] }>}
+ */
+async function loadExhibits(supabase, userId, references = []) {
+  const exhibits = [];
+  const warnings = [];
+  for (const ref of references) {
+    const name = path.basename(ref.file_path || '');
+    const contentType = EXHIBIT_TYPES[path.extname(name).toLowerCase()];
+    if (!ref.file_path || !ref.file_path.replace(/^credit-reports\//, '').startsWith(`${userId}/`)) {
+      warnings.push(`Skipped exhibit outside your files: ${ref.file_path}`);
+      continue;
+    }
+    if (!contentType) {
+      warnings.push(`Cannot attach ${name} as an exhibit`);
+      continue;
+    }
+    const data = await downloadReport(supabase, userId, ref.file_path);
+    if (!data) {
+      warnings.push(`Report file not found for exhibit: ${name}`);
+      continue;
+    }
+    exhibits.push({ title: `Copy of credit report ${name}`, data, contentType, pages: ref.pages || [] });
+  }
+  return { exhibits, warnings };
+}
+
+/**
+ * Signed download link for a stored letter.
+ * @returns {Promise<{ url?: string, expiresAt?: string, error?: string, status?: number }>}
+ */
+async function signLetterUrl(supabase, userId, storagePath, ttl = SIGNED_URL_TTL) {
+  if (typeof storagePath !== 'string' || !storagePath.startsWith(letterPrefix(userId)) || storagePath.includes('..')) {
+    return { error: 'Letter not found', status: 404 };
+  }
+  const { data, error } = await supabase.storage.from(LETTERS_BUCKET)
+    .createSignedUrl(storagePath, ttl, { download: path.basename(storagePath) });
+  if (error || !data) return { error: (error && error.message) || 'Letter not found', status: 404 };
+  return { url: data.signedUrl, expiresAt: new Date(Date.now() + ttl * 1000).toISOString() };
+}
+
+/**
+ * Store a rendered letter at <userId>/letters/<timestamp>-<type>.pdf and sign it.
+ * @returns {Promise<{ bucket?: string, path?: string, url?: string, expiresAt?: string, error?: string, status?: number }>}
+ */
+async function storeLetterPdf(supabase, userId, buffer, type = 'letter') {
+  const storagePath = `${letterPrefix(userId)}${Date.now()}-${String(type).replace(/[^a-z0-9_-]/gi, '_')}.pdf`;
+  const { error } = await supabase.storage.from(LETTERS_BUCKET)
+    .upload(storagePath, buffer, { contentType: 'application/pdf', upsert: false });
+  if (error) return { error: `Failed to store letter: ${error.message}`, status: 500 };
+
+  const signed = await signLetterUrl(supabase, userId, storagePath);
+  if (signed.error) return { error: signed.error, status: 500 };
+  return { bucket: LETTERS_BUCKET, path: storagePath, ...signed };
+}
+
+module.exports = { downloadReport, loadExhibits, storeLetterPdf, signLetterUrl, LETTERS_BUCKET, SIGNED_URL_TTL };
@@ -0,0 +1,369 @@
+/**
+ * Letter service: builds FCRA dispute and FDCPA validation letters from stored
+ * analysis findings (or a dispute case) and the user's profile.
+ *
+ * The template is filled deterministically (letters/template.js); the model only
+ * writes the one-sentence dispute reason for each item, and a reason built from
+ * the finding itself is used if the model is unavailable. Letters can also be
+ * rendered to PDF (letters/pdf.js) and stored with a signed link (letters/files.js).
+ */
+const moment = require('moment');
+const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const { DynamicTool } = require('@langchain/core/tools');
+const USPSIntegration = require('../utils/uspsIntegration');
+const { unwrapAnalysis } = require('../reportComparison');
+const { getCase, linkLetter } = require('../disputes');
+const { findRecipient } = require('../addresses');
+const { LETTER_TYPES, fillTemplate, toSections, formatAddress } = require('./template');
+const { renderLetterPdf } = require('./pdf');
+const { loadExhibits, storeLetterPdf, signLetterUrl } = require('./files');
+const llm = require('../llm');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FINDING_SECTIONS = ['fcra_violations', 'account_issues', 'collection_accounts', 'personal_info_issues', 'dispute_letters_needed'];
+const MAX_ITEMS = 10;
+
+/**
+ * Turn one finding into letter items. dispute_letters_needed entries expand to one
+ * item per account involved.
+ */
+function itemsFromFinding(finding, section) {
+  if (section === 'dispute_letters_needed') {
+    const accounts = Array.isArray(finding.accounts_involved) && finding.accounts_involved.length
+      ? finding.accounts_involved
+      : [finding.target];
+    return accounts.map(creditor => ({
+      creditor,
+      account_number: null,
+      type: finding.type || null,
+      description: `${String(finding.type || 'dispute').replace(/_/g, ' ')} for ${creditor}`,
+      evidence: null,
+      enclosures: Array.isArray(finding.evidence_needed) ? finding.evidence_needed : []
+    }));
+  }
+  const accounts = Array.isArray(finding.affected_accounts) ? finding.affected_accounts : [];
+  return [{
+    creditor: finding.account_name || finding.collection_agency || finding.creditor_name || accounts[0] ||
+      (section === 'personal_info_issues' ? 'Personal information' : null),
+    account_number: finding.account_number || null,
+    type: finding.violation_type || finding.issue_type || finding.type || null,
+    description: finding.description || finding.recommended_action || null,
+    evidence: finding.evidence || null,
+    enclosures: []
+  }];
+}
+
+// Bureau or collector named by the findings, used when no recipient is given
+function suggestedRecipient(findings, letterType) {
+  for (const { finding } of findings) {
+    const name = letterType === 'fdcpa_validation'
+      ? finding.collection_agency || (finding.type === 'fdpca_complaint' && finding.target)
+      : finding.cra_responsible || (finding.type !== 'fdpca_complaint' && finding.target);
+    if (name && typeof name === 'string') return name;
+  }
+  return null;
+}
+
+/**
+ * Findings selected by `{ analysisId, findings: [{ section, index }] }` or a
+ * dispute case (`caseId`), whose snapshotted findings are used.
+ */
+async function collectFindings(supabase, userId, { analysisId, findings, caseId }) {
+  if (caseId) {
+    const { disputeCase, error, status } = await getCase(supabase, userId, caseId);
+    if (error) return { error, status };
+    return {
+      findings: (disputeCase.findings || []).map(f => ({ section: f.section, finding: f, filePath: f.file_path || null })),
+      disputeCase
+    };
+  }
+
+  if (!analysisId || !Array.isArray(findings) || !findings.length) {
+    return { error: 'Provide caseId, or analysisId with findings ([{ section, index }])', status: 400 };
+  }
+  if (!UUID_RE.test(String(analysisId))) return { error: `Analysis not found: ${analysisId}`, status: 404 };
+  const { data, error } = await supabase.from('report_analyses').select('id, file_path, analysis')
+    .eq('id', analysisId).eq('user_id', userId).limit(1);
+  if (error) return { error: error.message, status: 500 };
+  if (!data || !data[0] || !data[0].analysis) return { error: `Analysis not found: ${analysisId}`, status: 404 };
+  const { analysis } = unwrapAnalysis(data[0]);
+
+  const selected = [];
+  for (const ref of findings) {
+    const index = parseInt(ref && ref.index, 10);
+    if (!ref || !FINDING_SECTIONS.includes(ref.section) || Number.isNaN(index)) {
+      return { error: `Each finding needs section (${FINDING_SECTIONS.join(', ')}) and index`, status: 400 };
+    }
+    const finding = (analysis[ref.section] || [])[index];
+    if (!finding) return { error: `No finding at ${ref.section}[${index}]`, status: 404 };
+    selected.push({ section: ref.section, finding, filePath: data[0].file_path || null });
+  }
+  return { findings: selected };
+}
+
+// Report pages the findings' evidence was located on, grouped by report file
+function exhibitReferences(findings) {
+  const byFile = new Map();
+  for (const { finding, filePath } of findings) {
+    const page = finding.evidence_location && finding.evidence_location.page;
+    if (!filePath || !page) continue;
+    if (!byFile.has(filePath)) byFile.set(filePath, new Set());
+    byFile.get(filePath).add(page);
+  }
+  return [...byFile].map(([filePath, pages]) => ({ file_path: filePath, pages: [...pages].sort((a, b) => a - b) }));
+}
+
+/**
+ * Load name/address/phone from the `profiles` row when the request has no profile.
+ */
+async function loadProfile(supabase, userId) {
+  const { data, error } = await supabase.from('profiles').select('*').eq('id', userId).maybeSingle();
+  if (error || !data) return null;
+  const name = data.full_name || data.name || [data.first_name, data.last_name].filter(Boolean).join(' ');
+  const address = {
+    line1: data.address_line1 || data.address || data.street,
+    line2: data.address_line2,
+    city: data.city,
+    state: data.state,
+    zip: data.zip || data.zip_code || data.postal_code
+  };
+  return { name, address, phone: data.phone || null };
+}
+
+// Used when the model is unavailable or skips an item
+function fallbackReason(item, law) {
+  const detail = item.description ? item.description.replace(/\.$/, '') : 'This information is inaccurate';
+  return law === 'FDCPA'
+    ? `${detail}. I dispute this debt and request validation.`
+    : `${detail}. Please verify this information or delete it from my file.`;
+}
+
+/**
+ * Ask the model for one dispute reason per item.
+ * @returns {Promise<{ reasons: string[], source: 'llm'|'fallback', model: string|null }>}
+ */
+async function generateReasons(items, law, { chat = (messages) => llm.chat(messages, { task: 'extraction' }) } = {}) {
+  const fallback = items.map(item => fallbackReason(item, law));
+  const list = items.map((item, i) => `${i + 1}. Account: ${item.creditor || 'unknown'}${item.account_number ? ` (${item.account_number})` : ''}
+   Finding: ${item.type || 'issue'} - ${item.description || 'no description'}
+   Evidence from report: ${item.evidence || 'none'}`).join('\n');
+
+  try {
+    const { response, model } = await chat([
+      new SystemMessage(`You write the reason column of a consumer's ${law} dispute letter. For each numbered item, write ONE or TWO sentences in the first person stating what is inaccurate, incomplete or unverified and what the consumer wants done. Be factual, cite only the finding and evidence given, no legal threats, no markdown, no emoji.
+Return ONLY a JSON array of strings, one per item, in order.`),
+      new HumanMessage(list)
+    ]);
+    const text = String((response && (response.content || response)) || '').replace(/```json\n?|\n?```/g, '').trim();
+    const parsed = JSON.parse(text.slice(text.indexOf('['), text.lastIndexOf(']') + 1));
+    if (!Array.isArray(parsed)) throw new Error('Reasons response is not an array');
+    const reasons = items.map((item, i) => (typeof parsed[i] === 'string' && parsed[i].trim() ? parsed[i].trim() : fallback[i]));
+    return { reasons, source: 'llm', model: model || null };
+  } catch (error) {
+    console.warn('⚠️ Letter reasons fell back to finding text:', error.message);
+    return { reasons: fallback, source: 'fallback', model: null };
+  }
+}
+
+/**
+ * Generate a letter.
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {Object} input
+ * @param {string} input.letterType - 'fcra_dispute' or 'fdcpa_validation'
+ * @param {string} [input.analysisId] - with `findings: [{ section, index }]`
+ * @param {string} [input.caseId] - use a dispute case's findings and recipient instead
+ * @param {{ name: string, address: Object|string, phone?: string }} [input.profile] - defaults to the profiles row
+ * @param {{ name?: string, address?: Object|string }} [input.recipient] - defaults to the address directory entry
+ * @param {string[]} [input.enclosures]
+ * @param {string} [input.date] - YYYY-MM-DD, default today
+ * @param {string} [input.noticeDate] - FDCPA: date of the collector's notice
+ * @param {Object} [options] - { chat } to override the model call
+ * @returns {Promise<{ letter?: Object, error?: string, status?: number }>}
+ */
+async function generateLetter(supabase, userId, input = {}, options = {}) {
+  const letterType = input.letterType || 'fcra_dispute';
+  const type = LETTER_TYPES[letterType];
+  if (!type) return { error: `letterType must be one of: ${Object.keys(LETTER_TYPES).join(', ')}`, status: 400 };
+
+  const date = input.date ? moment(input.date, 'YYYY-MM-DD', true) : moment();
+  if (!date.isValid()) return { error: 'date must be YYYY-MM-DD', status: 400 };
+
+  const collected = await collectFindings(supabase, userId, input);
+  if (collected.error) return collected;
+
+  const items = collected.findings.flatMap(({ finding, section }) => itemsFromFinding(finding, section)).filter(i => i.creditor);
+  if (!items.length) return { error: 'The selected findings name no accounts to dispute', status: 400 };
+  if (items.length > MAX_ITEMS) return { error: `A letter can dispute at most ${MAX_ITEMS} items`, status: 400 };
+
+  const profile = input.profile || await loadProfile(supabase, userId);
+  if (!profile || !profile.name || !formatAddress(profile.address).length) {
+    return { error: 'A profile with name and address is required', status: 400 };
+  }
+
+  const recipientName = (input.recipient && input.recipient.name) ||
+    (collected.disputeCase && collected.disputeCase.recipient) ||
+    suggestedRecipient(collected.findings, letterType);
+  if (!recipientName) return { error: 'Missing recipient (name and address)', status: 400 };
+  // The address directory fills the mailing name and address the request or case leaves out
+  const entry = await findRecipient(supabase, recipientName);
+  const recipient = {
+    name: (input.recipient && input.recipient.name) || (entry ? entry.name : recipientName),
+    address: (input.recipient && input.recipient.address) ||
+      (collected.disputeCase && collected.disputeCase.recipient_address) ||
+      (entry && entry.address) || null,
+    key: entry ? entry.key : null
+  };
+
+  const { reasons, source, model } = await generateReasons(items, type.law, options);
+  items.forEach((item, i) => { item.reason = reasons[i]; });
+
+  const enclosures = [...new Set([
+    ...(Array.isArray(input.enclosures) ? input.enclosures : []),
+    ...items.flatMap(i => i.enclosures)
+  ])];
+
+  let text;
+  try {
+    text = fillTemplate(letterType, { date: date.format('YYYY-MM-DD'), profile, recipient, items, enclosures, noticeDate: input.noticeDate });
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
+
+  const warnings = [];
+  if (!formatAddress(recipient.address).length) warnings.push('Recipient address missing; add it before mailing');
+
+  return {
+    letter: {
+      type: letterType,
+      law: type.law,
+      date: date.format('YYYY-MM-DD'),
+      sender: { name: profile.name, address: formatAddress(profile.address), phone: profile.phone || null },
+      recipient: { name: recipient.name, address: formatAddress(recipient.address), type: type.recipientType, directory_key: recipient.key },
+      items: items.map(({ creditor, account_number, type: findingType, description, reason }) => ({
+        creditor, account_number, finding_type: findingType, description, reason
+      })),
+      enclosures,
+      exhibits: exhibitReferences(collected.findings),
+      sections: toSections(text),
+      text,
+      mailing: USPSIntegration.getMailingRecommendations(type.mailingKey),
+      warnings,
+      metadata: {
+        analysis_id: input.analysisId || null,
+        case_id: input.caseId || null,
+        reasons_source: source,
+        model
+      }
+    }
+  };
+}
+
+// Render, store and sign; exhibit problems become warnings rather than errors
+async function renderAndStore(supabase, userId, letter, exhibitRefs) {
+  const loaded = await loadExhibits(supabase, userId, exhibitRefs);
+  const rendered = await renderLetterPdf(letter, { exhibits: loaded.exhibits });
+  const stored = await storeLetterPdf(supabase, userId, rendered.buffer, letter.type);
+  if (stored.error) return stored;
+  return {
+    pdf: {
+      ...stored,
+      pageCount: rendered.pageCount,
+      exhibits: rendered.exhibits,
+      warnings: [...loaded.warnings, ...rendered.warnings]
+    }
+  };
+}
+
+/**
+ * Generate a letter (same input as generateLetter) and store it as a PDF.
+ * Report pages holding the findings' evidence are attached as exhibits unless
+ * `attachExhibits` is false; with a caseId the PDF is also linked to the case.
+ * @returns {Promise<{ letter?: Object, pdf?: Object, error?: string, status?: number }>}
+ */
+async function generateLetterPdf(supabase, userId, input = {}, options = {}) {
+  const { letter, error, status } = await generateLetter(supabase, userId, input, options);
+  if (error) return { error, status };
+
+  const result = await renderAndStore(supabase, userId, letter, input.attachExhibits === false ? [] : letter.exhibits);
+  if (result.error) return result;
+
+  if (input.caseId) {
+    const linked = await linkLetter(supabase, userId, input.caseId, {
+      type: letter.type,
+      title: `${letter.law} letter to ${letter.recipient.name}`,
+      storagePath: result.pdf.path
+    });
+    if (linked.error) result.pdf.warnings.push(`Not linked to case: ${linked.error}`);
+  }
+  return { letter, pdf: result.pdf };
+}
+
+/**
+ * Store free-form letter text (e.g. an AI-written follow-up) as a PDF with the
+ * user's letterhead when a profile exists.
+ * @returns {Promise<{ pdf?: Object, error?: string, status?: number }>}
+ */
+async function storeTextLetterPdf(supabase, userId, text, { type = 'letter' } = {}) {
+  const profile = await loadProfile(supabase, userId);
+  const letter = {
+    type,
+    sender: profile ? { name: profile.name, address: formatAddress(profile.address), phone: profile.phone } : {},
+    sections: toSections(String(text || '').trim())
+  };
+  return renderAndStore(supabase, userId, letter, []);
+}
+
+// Findings from the user's latest analysis: FCRA violations for bureau disputes,
+// collection accounts for validation requests
+async function latestAnalysisSelection(supabase, userId, letterType) {
+  const { data, error } = await supabase.from('report_analyses').select('id, analysis')
+    .eq('user_id', userId).order('processed_at', { ascending: false }).limit(5);
+  if (error) return { error: error.message };
+  const section = letterType === 'fdcpa_validation' ? 'collection_accounts' : 'fcra_violations';
+  const row = (data || []).map(r => (r.analysis ? unwrapAnalysis(r) : r))
+    .find(r => r.analysis && Array.isArray(r.analysis[section]) && r.analysis[section].length);
+  if (!row) return { error: `No ${section.replace('_', ' ')} found in your analyzed reports` };
+  return {
+    analysisId: row.id,
+    findings: row.analysis[section].slice(0, MAX_ITEMS).map((f, index) => ({ section, index }))
+  };
+}
+
+/**
+ * Tool for the letter agent. Input: JSON with the POST /letters/generate fields,
+ * or a letter type ('fcra_dispute' / 'fdcpa_validation') to use the latest analysis.
+ */
+function createGenerateLetterTool(supabase, userId) {
+  return new DynamicTool({
+    name: 'generate_dispute_letter',
+    description: 'Generate a dispute (fcra_dispute) or debt validation (fdcpa_validation) letter from the user\'s analyzed credit report findings. Input: a letter type, or JSON {"letterType", "analysisId", "findings": [{"section", "index"}], "caseId", "recipient"}',
+    func: async (input) => {
+      let request;
+      try {
+        request = input && input.trim().startsWith('{') ? JSON.parse(input) : { letterType: (input || '').trim() || 'fcra_dispute' };
+      } catch (e) {
+        return 'Invalid input: expected a letter type or JSON.';
+      }
+      if (!request.caseId && !request.analysisId) {
+        const selection = await latestAnalysisSelection(supabase, userId, request.letterType || 'fcra_dispute');
+        if (selection.error) return `Unable to generate letter: ${selection.error}`;
+        Object.assign(request, selection);
+      }
+      const { letter, error } = await generateLetter(supabase, userId, request);
+      if (error) return `Unable to generate letter: ${error}`;
+      return JSON.stringify(letter);
+    }
+  });
+}
+
+module.exports = {
+  generateLetter,
+  generateLetterPdf,
+  storeTextLetterPdf,
+  signLetterUrl,
+  loadProfile,
+  generateReasons,
+  createGenerateLetterTool,
+  LETTER_TYPES
+};
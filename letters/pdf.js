@@ -0,0 +1,198 @@
+// Mailing-ready PDF layout for generated letters. pdfkit draws the letter itself;
+// pdf-lib appends exhibit pages copied from the user's uploaded report.
+const PDFDocument = require('pdfkit');
+const { PDFDocument: PDFLibDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const PAGE = { size: 'LETTER', margin: 72 };
+const FONTS = { regular: 'Times-Roman', bold: 'Times-Bold' };
+const LETTER_WIDTH = 612;
+const LETTER_HEIGHT = 792;
+
+const exhibitLabel = (i) => `Exhibit ${String.fromCharCode(65 + (i % 26))}${i >= 26 ? Math.floor(i / 26) + 1 : ''}`;
+
+// "Enclosures: a; b" from the filled template, as a list
+function enclosureLines(letter, exhibits) {
+  const listed = Array.isArray(letter.enclosures) && letter.enclosures.length
+    ? letter.enclosures
+    : ((letter.sections || []).find(s => s.type === 'enclosures') || { text: '' }).text
+      .replace(/^Enclosures:\s*/, '').split(';').map(s => s.trim()).filter(Boolean);
+  return [...listed, ...exhibits.map(e => `${e.label}: ${e.title}${e.pages.length ? `, page${e.pages.length > 1 ? 's' : ''} ${e.pages.join(', ')}` : ''}`)];
+}
+
+function drawLetterhead(doc, sender) {
+  if (!sender.name) return;
+  doc.font(FONTS.bold).fontSize(14).text(sender.name || '', { align: 'center' });
+  const contact = [...(sender.address || []), sender.phone].filter(Boolean).join('  |  ');
+  if (contact) doc.font(FONTS.regular).fontSize(9).text(contact, { align: 'center' });
+  const y = doc.y + 6;
+  doc.moveTo(PAGE.margin, y).lineTo(LETTER_WIDTH - PAGE.margin, y).lineWidth(0.75).stroke();
+  doc.y = y + 18;
+}
+
+function drawList(doc, text) {
+  const [heading, ...lines] = text.split('\n');
+  doc.font(FONTS.bold).text(heading);
+  doc.moveDown(0.3);
+  for (const line of lines) {
+    doc.font(FONTS.regular).text(line, PAGE.margin + 18, doc.y, {
+      width: LETTER_WIDTH - PAGE.margin * 2 - 18,
+      indent: -10,
+      paragraphGap: 4
+    });
+  }
+  doc.x = PAGE.margin;
+}
+
+// Closing word, room to sign, signature line, then the printed name and address
+function drawClosing(doc, text) {
+  const [closing, name, ...rest] = text.split('\n');
+  doc.text(closing);
+  doc.moveDown(2.5);
+  const y = doc.y;
+  doc.moveTo(PAGE.margin, y).lineTo(PAGE.margin + 200, y).lineWidth(0.5).stroke();
+  doc.y = y + 4;
+  doc.text(name || '');
+  if (rest.length) doc.fontSize(10).text(rest.join('\n')).fontSize(11);
+}
+
+// Collect the document stream; resolves once doc.end() is called
+function collect(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+async function renderLetterBody(letter, exhibits) {
+  const doc = new PDFDocument({
+    size: PAGE.size,
+    margin: PAGE.margin,
+    info: {
+      Title: ((letter.sections || []).find(s => s.type === 'subject') || {}).text || 'Dispute letter',
+      Author: (letter.sender && letter.sender.name) || ''
+    }
+  });
+  const done = collect(doc);
+
+  drawLetterhead(doc, letter.sender || {});
+  doc.font(FONTS.regular).fontSize(11);
+
+  for (const section of letter.sections || []) {
+    // Keep short blocks (recipient, closing) from splitting across pages
+    if (['recipient', 'closing'].includes(section.type) && doc.y > LETTER_HEIGHT - PAGE.margin - 110) doc.addPage();
+    switch (section.type) {
+      case 'subject':
+        doc.font(FONTS.bold).text(section.text).font(FONTS.regular);
+        break;
+      case 'list':
+        drawList(doc, section.text);
+        break;
+      case 'closing':
+        drawClosing(doc, section.text);
+        break;
+      case 'enclosures':
+        // Drawn below with the exhibits added
+        continue;
+      default:
+        doc.text(section.text, { align: section.type === 'paragraph' ? 'justify' : 'left' });
+    }
+    doc.moveDown();
+  }
+
+  const enclosures = enclosureLines(letter, exhibits);
+  if (enclosures.length) {
+    doc.moveDown(0.5);
+    doc.font(FONTS.bold).fontSize(10).text('Enclosures:');
+    doc.font(FONTS.regular).list(enclosures, { bulletRadius: 1.5, textIndent: 12 });
+  }
+
+  doc.end();
+  return done;
+}
+
+// Label across the top of an exhibit page, over a white band so it stays legible
+function stampExhibit(page, font, label) {
+  const { width, height } = page.getSize();
+  page.drawRectangle({ x: 0, y: height - 22, width, height: 22, color: rgb(1, 1, 1) });
+  page.drawText(label, { x: 24, y: height - 16, size: 10, font, color: rgb(0, 0, 0) });
+}
+
+// Load each exhibit and keep the pages that exist, so the enclosure list only
+// names what is actually attached
+async function prepareExhibits(exhibits, warnings) {
+  const prepared = [];
+  for (const exhibit of exhibits) {
+    const label = exhibitLabel(prepared.length);
+    const type = exhibit.contentType || '';
+    try {
+      if (type === 'application/pdf') {
+        const source = await PDFLibDocument.load(exhibit.data, { ignoreEncryption: true });
+        const count = source.getPageCount();
+        const pages = (exhibit.pages && exhibit.pages.length ? exhibit.pages : [1]).filter(p => {
+          if (p >= 1 && p <= count) return true;
+          warnings.push(`${exhibit.title}: page ${p} is outside the ${count}-page report`);
+          return false;
+        });
+        if (pages.length) prepared.push({ ...exhibit, label, source, pages, pageTotal: count });
+      } else if (type === 'image/png' || type === 'image/jpeg') {
+        prepared.push({ ...exhibit, label, pages: [] });
+      } else {
+        warnings.push(`${exhibit.title}: cannot attach ${type || 'unknown'} files`);
+      }
+    } catch (error) {
+      warnings.push(`${exhibit.title}: could not be read (${error.message})`);
+    }
+  }
+  return prepared;
+}
+
+async function appendExhibit(pdf, font, exhibit) {
+  if (exhibit.source) {
+    const copied = await pdf.copyPages(exhibit.source, exhibit.pages.map(p => p - 1));
+    copied.forEach((page, i) => {
+      pdf.addPage(page);
+      stampExhibit(page, font, `${exhibit.label} - ${exhibit.title} (page ${exhibit.pages[i]} of ${exhibit.pageTotal})`);
+    });
+    return;
+  }
+
+  const image = exhibit.contentType === 'image/png' ? await pdf.embedPng(exhibit.data) : await pdf.embedJpg(exhibit.data);
+  const page = pdf.addPage([LETTER_WIDTH, LETTER_HEIGHT]);
+  const scaled = image.scaleToFit(LETTER_WIDTH - 72, LETTER_HEIGHT - 96);
+  page.drawImage(image, {
+    x: (LETTER_WIDTH - scaled.width) / 2,
+    y: (LETTER_HEIGHT - 36 - scaled.height) / 2,
+    width: scaled.width,
+    height: scaled.height
+  });
+  stampExhibit(page, font, `${exhibit.label} - ${exhibit.title}`);
+}
+
+/**
+ * Render a letter from generateLetter as a PDF.
+ * @param {Object} letter - { sender, sections, enclosures }
+ * @param {Object} [options]
+ * @param {Array<{ title: string, data: Buffer, contentType: string, pages?: number[] }>} [options.exhibits]
+ *   Report files to attach; `pages` are 1-based pages of a PDF (images attach whole)
+ * @returns {Promise<{ buffer: Buffer, pageCount: number, exhibits: Array, warnings: string[] }>}
+ */
+async function renderLetterPdf(letter, { exhibits = [] } = {}) {
+  const warnings = [];
+  const prepared = await prepareExhibits(exhibits, warnings);
+  const body = await renderLetterBody(letter, prepared);
+  const pdf = await PDFLibDocument.load(body);
+  if (!prepared.length) return { buffer: body, pageCount: pdf.getPageCount(), exhibits: [], warnings };
+
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  for (const exhibit of prepared) await appendExhibit(pdf, font, exhibit);
+  return {
+    buffer: Buffer.from(await pdf.save()),
+    pageCount: pdf.getPageCount(),
+    exhibits: prepared.map(({ label, title, pages }) => ({ label, title, pages })),
+    warnings
+  };
+}
+
+module.exports = { renderLetterPdf, exhibitLabel };
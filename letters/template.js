@@ -0,0 +1,119 @@
+// Deterministic filling of the FCRA/FDCPA letter templates in agents/templates.js.
+// Every placeholder is replaced from the profile, recipient and items; only the
+// per-item reasons come from the model (see letters/index.js).
+const moment = require('moment');
+const { FDCPA_TEMPLATE, FCRA_TEMPLATE } = require('../agents/templates');
+
+const LETTER_TYPES = {
+  fcra_dispute: {
+    template: FCRA_TEMPLATE,
+    law: 'FCRA',
+    recipientType: 'bureau',
+    mailingKey: 'FCRA_dispute'
+  },
+  fdcpa_validation: {
+    template: FDCPA_TEMPLATE,
+    law: 'FDCPA',
+    recipientType: 'collector',
+    mailingKey: 'FDCPA_validation'
+  }
+};
+
+/**
+ * Address as lines. Accepts a string (newline or comma separated) or
+ * { line1, line2, city, state, zip }.
+ * @returns {string[]}
+ */
+function formatAddress(address) {
+  if (!address) return [];
+  if (typeof address === 'string') return address.split(/\n/).map(l => l.trim()).filter(Boolean);
+  const cityLine = [address.city, [address.state, address.zip || address.postal_code].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return [address.line1 || address.street, address.line2, cityLine].filter(Boolean);
+}
+
+const itemLabel = (item) => `${item.creditor || 'Unknown account'}${item.account_number ? ` (Account ${item.account_number})` : ''}`;
+
+// Exact template sentences that are instructions to the writer, with their replacement
+function fcraReplacements(enclosures) {
+  return [
+    ['This item is (inaccurate or incomplete) because [describe what is inaccurate or incomplete and why]. I am requesting that the item be removed (or request another specific change) to correct the information.',
+      'Each item listed below is inaccurate or incomplete for the reason given. I am requesting that each item be deleted or corrected.'],
+    ['Enclosed are copies of [use this sentence if applicable and describe any enclosed documentation, such as payment records and court documents] supporting my position. ',
+      enclosures.length ? `Enclosed are copies of ${enclosures.join(', ')} supporting my position. ` : ''],
+    ['Please reinvestigate this (these) matter(s) and (delete or correct) the disputed item(s) as soon as possible.',
+      'Please reinvestigate these matters and delete or correct the disputed items as soon as possible.']
+  ];
+}
+
+/**
+ * Fill a template.
+ * @param {string} letterType - Key of LETTER_TYPES
+ * @param {Object} data
+ * @param {string} data.date - YYYY-MM-DD
+ * @param {{ name: string, address: Object|string, phone?: string }} data.profile
+ * @param {{ name: string, address: Object|string }} data.recipient
+ * @param {Array<{ creditor: string, account_number?: string, reason: string }>} data.items
+ * @param {string[]} [data.enclosures]
+ * @param {string} [data.noticeDate] - FDCPA: date of the collector's notice
+ * @returns {string}
+ */
+function fillTemplate(letterType, { date, profile, recipient, items, enclosures = [], noticeDate = null }) {
+  const type = LETTER_TYPES[letterType];
+  if (!type) throw new Error(`Unknown letter type: ${letterType}`);
+
+  const senderLines = formatAddress(profile.address);
+  const recipientBlock = [recipient.name, ...formatAddress(recipient.address)].join('\n');
+  const itemLines = items.map(item => `• ${itemLabel(item)}: ${item.reason}`).join('\n');
+  let text = type.template.trim();
+
+  if (letterType === 'fcra_dispute') {
+    for (const [from, to] of fcraReplacements(enclosures)) text = text.replace(from, to);
+    text = text
+      .replace('[Credit Bureau Name]\n[Address]', recipientBlock)
+      .replace(/• \[Item 1\][^\n]*\n• \[Item 2\][^\n]*\n• \[Item 3\][^\n]*/, itemLines)
+      .replace('[Your Address]\n[City, State, ZIP Code]', senderLines.join('\n'))
+      .replace('[Phone Number]', profile.phone || '')
+      .replace('Enclosures: [List what you are enclosing]', enclosures.length ? `Enclosures: ${enclosures.join('; ')}` : '');
+  } else {
+    const accounts = [...new Set(items.map(i => i.account_number).filter(Boolean))];
+    text = text
+      .replace('[Debt Collector Name]\n[Address]', recipientBlock)
+      .replace('Account Number: [Account Number]', accounts.length ? `Account Number: ${accounts.join(', ')}` : `Account: ${items.map(i => i.creditor).join(', ')}`)
+      .replace(' on [Date].', noticeDate ? ` on ${moment(noticeDate).format('MMMM D, YYYY')}.` : '.')
+      // The disputed items go before the closing, with the requested validation
+      .replace('\nSincerely,', `\nDisputed items:\n${itemLines}\n\nSincerely,`)
+      .replace('[Your Name]', [profile.name, ...senderLines].join('\n'));
+  }
+
+  text = text
+    .replace('[Date]', moment(date).format('MMMM D, YYYY'))
+    .replace('[Your Name]', profile.name)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  const leftover = text.match(/\[[^\]]+\]/);
+  if (leftover) throw new Error(`Unfilled placeholder in ${letterType} letter: ${leftover[0]}`);
+  return text;
+}
+
+/**
+ * Split a filled letter into typed sections for rendering.
+ * @returns {Array<{ type: string, text: string }>}
+ */
+function toSections(text) {
+  const blocks = text.split(/\n\s*\n/).map(b => b.trim()).filter(Boolean);
+  return blocks.map((block, i) => {
+    let type = 'paragraph';
+    if (i === 0) type = 'date';
+    else if (i === 1) type = 'recipient';
+    else if (/^Re:/.test(block)) type = 'subject';
+    else if (/^Dear /.test(block)) type = 'salutation';
+    else if (/^(Disputed items|Disputed Items):/.test(block) || /^Please provide me with the following:/.test(block)) type = 'list';
+    else if (/^Sincerely,/.test(block)) type = 'closing';
+    else if (/^Enclosures:/.test(block)) type = 'enclosures';
+    return { type, text: block };
+  });
+}
+
+module.exports = { LETTER_TYPES, fillTemplate, toSections, formatAddress, itemLabel };
@@ -0,0 +1,70 @@
+// Per-provider circuit breaker: after `failureThreshold` consecutive failures the
+// provider is skipped for `cooldownMs`, then one trial request decides whether it
+// closes again.
+
+const BREAKER_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=3] - Consecutive failures that open the breaker
+   * @param {number} [options.cooldownMs=60000] - How long an open breaker skips the provider
+   * @param {() => number} [options.now] - Clock (tests)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60 * 1000;
+    this.now = options.now || Date.now;
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may go to the provider now. Moving from open to half-open
+   * lets exactly one trial request through.
+   */
+  canRequest() {
+    if (this.state === BREAKER_STATES.CLOSED) return true;
+    if (this.state === BREAKER_STATES.OPEN) {
+      if (this.now() - this.openedAt < this.cooldownMs) return false;
+      this.state = BREAKER_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.state = BREAKER_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === BREAKER_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = BREAKER_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === BREAKER_STATES.OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, BREAKER_STATES };
@@ -0,0 +1,209 @@
+// LLM gateway: sends each request through the task's routing policy, skipping
+// providers that are not configured or whose circuit breaker is open, and keeps
+// per-provider latency and error stats for GET /admin/providers.
+const { CircuitBreaker } = require('./circuitBreaker');
+const { resolvePolicy, POLICIES } = require('./policies');
+
+const LATENCY_WINDOW = 100;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+class ProviderStats {
+  constructor() {
+    this.requests = 0;
+    this.successes = 0;
+    this.failures = 0;
+    this.latencies = [];
+    this.byTask = {};
+    this.lastError = null;
+    this.lastErrorAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  record(task, { ok, latencyMs, error }) {
+    this.requests++;
+    const taskStats = this.byTask[task] || (this.byTask[task] = { requests: 0, failures: 0 });
+    taskStats.requests++;
+    if (ok) {
+      this.successes++;
+      this.lastSuccessAt = new Date().toISOString();
+      this.latencies.push(latencyMs);
+      if (this.latencies.length > LATENCY_WINDOW) this.latencies.shift();
+    } else {
+      this.failures++;
+      taskStats.failures++;
+      this.lastError = error;
+      this.lastErrorAt = new Date().toISOString();
+    }
+  }
+
+  snapshot() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const avg = sorted.length ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null;
+    return {
+      requests: this.requests,
+      successes: this.successes,
+      failures: this.failures,
+      error_rate: this.requests ? Math.round((this.failures / this.requests) * 1000) / 1000 : 0,
+      latency_ms: { avg, p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), samples: sorted.length },
+      by_task: this.byTask,
+      last_error: this.lastError,
+      last_error_at: this.lastErrorAt,
+      last_success_at: this.lastSuccessAt
+    };
+  }
+}
+
+class LlmGateway {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold] - Consecutive failures that open a provider's breaker
+   * @param {number} [options.cooldownMs] - How long an open breaker skips the provider
+   * @param {Object} [options.env] - Environment for policy overrides (tests)
+   */
+  constructor(options = {}) {
+    this.breakerOptions = { failureThreshold: options.failureThreshold, cooldownMs: options.cooldownMs };
+    this.env = options.env || process.env;
+    this.providers = new Map();
+  }
+
+  /**
+   * Add a provider adapter (see llm/providers.js).
+   */
+  register(provider) {
+    this.providers.set(provider.name, {
+      provider,
+      breaker: new CircuitBreaker(this.breakerOptions),
+      stats: new ProviderStats()
+    });
+    return this;
+  }
+
+  getProvider(name) {
+    const entry = this.providers.get(name);
+    return entry ? entry.provider : null;
+  }
+
+  // Providers in policy order that are registered and configured
+  candidates(policy) {
+    const list = [];
+    for (const [name, model] of policy.route) {
+      const entry = this.providers.get(name);
+      if (!entry || !entry.provider.isConfigured()) continue;
+      list.push({ ...entry, model: model || entry.provider.defaultModel });
+    }
+    return list;
+  }
+
+  /**
+   * Send messages to the first provider in the task's route that answers.
+   * With `onToken`, providers that can stream forward each chunk; others send the
+   * whole reply as one chunk. Once a chunk has been sent a failure is not retried
+   * on the next provider, since the client would see the text twice.
+   *
+   * @param {Array} messages - LangChain messages or { role, content } objects
+   * @param {Object} [options]
+   * @param {string} [options.task='chat'] - routing, chat, extraction, analysis or summarization
+   * @param {(token: string) => void} [options.onToken]
+   * @param {number} [options.temperature] - Overrides the policy
+   * @param {number} [options.maxTokens] - Overrides the policy
+   * @param {number} [options.timeoutMs] - Overrides the policy's per-attempt timeout
+   * @returns {Promise<{ response: { content: string }, model: string, provider: string, task: string }>}
+   */
+  async chat(messages, options = {}) {
+    const policy = resolvePolicy(options.task, this.env);
+    const settings = {
+      temperature: options.temperature !== undefined ? options.temperature : policy.temperature,
+      maxTokens: options.maxTokens || policy.maxTokens
+    };
+    const timeoutMs = options.timeoutMs || policy.timeoutMs;
+    const onToken = typeof options.onToken === 'function' ? options.onToken : null;
+    const candidates = this.candidates(policy);
+    if (!candidates.length) {
+      throw new Error(`No LLM provider configured for ${policy.task} (route: ${policy.route.map(r => r[0]).join(', ')})`);
+    }
+
+    const failures = [];
+    for (const { provider, breaker, stats, model } of candidates) {
+      if (!breaker.canRequest()) {
+        failures.push(`${provider.name}: circuit open`);
+        continue;
+      }
+      const started = Date.now();
+      let streamed = false;
+      // A timed-out or failed attempt is aborted, and any chunk it still produces is dropped
+      // so it cannot mix with the next provider's reply
+      let active = true;
+      const controller = new AbortController();
+      const forward = onToken ? (text) => {
+        if (!active) return;
+        streamed = true;
+        onToken(text);
+      } : null;
+      const callOptions = { model, task: policy.task, ...settings, signal: controller.signal };
+      try {
+        const call = forward && provider.stream
+          ? provider.stream(messages, callOptions, forward)
+          : provider.chat(messages, callOptions);
+        const content = await withTimeout(call, timeoutMs, `${provider.name} ${model}`);
+        if (!content) throw new Error('Empty response');
+        if (forward && !streamed) forward(content);
+        breaker.recordSuccess();
+        stats.record(policy.task, { ok: true, latencyMs: Date.now() - started });
+        return { response: { content }, model, provider: provider.name, task: policy.task };
+      } catch (error) {
+        active = false;
+        controller.abort();
+        breaker.recordFailure();
+        stats.record(policy.task, { ok: false, error: error.message });
+        console.warn(`⚠️ LLM ${provider.name} (${model}) failed for ${policy.task}:`, error.message);
+        if (streamed) throw error;
+        failures.push(`${provider.name}: ${error.message}`);
+      }
+    }
+    throw new Error(`All LLM providers failed for ${policy.task}: ${failures.join('; ')}`);
+  }
+
+  /**
+   * Provider health for GET /admin/providers: configuration, breaker state and stats,
+   * plus the routing policies as currently resolved.
+   */
+  health() {
+    const providers = [...this.providers.values()].map(({ provider, breaker, stats }) => ({
+      name: provider.name,
+      configured: !!provider.isConfigured(),
+      default_model: provider.defaultModel,
+      streaming: typeof provider.stream === 'function',
+      breaker: breaker.snapshot(),
+      stats: stats.snapshot()
+    }));
+    const policies = Object.keys(POLICIES).map(task => {
+      const policy = resolvePolicy(task, this.env);
+      return {
+        task,
+        description: policy.description,
+        route: policy.route.map(([name, model]) => {
+          const entry = this.providers.get(name);
+          return { provider: name, model: model || (entry ? entry.provider.defaultModel : null), available: !!entry && !!entry.provider.isConfigured() };
+        }),
+        temperature: policy.temperature,
+        max_tokens: policy.maxTokens,
+        timeout_ms: policy.timeoutMs
+      };
+    });
+    return { providers, policies };
+  }
+}
+
+module.exports = { LlmGateway, ProviderStats };
@@ -0,0 +1,64 @@
+/**
+ * Shared LLM gateway. Every model call in the app goes through `chat` with a task
+ * name; the task's policy (llm/policies.js) picks the providers and settings.
+ *
+ * Environment variables:
+ * - GOOGLE_API_KEY / GOOGLE_AI_API_KEY: Gemini
+ * - MISTRAL_API_KEY: Mistral
+ * - HF_TOKEN, HF_MODEL: Hugging Face Inference Providers (default meta-llama/Llama-3.1-8B-Instruct)
+ * - LLM_PROVIDER=mock: answer every task with the mock provider (tests, offline runs)
+ * - LLM_ROUTE_<TASK>: override a task's route, e.g. LLM_ROUTE_CHAT=mistral,gemini
+ * - LLM_BREAKER_FAILURES: consecutive failures that open a provider's breaker (default 3)
+ * - LLM_BREAKER_COOLDOWN_MS: how long an open breaker skips the provider (default 60000)
+ * - LLM_STRUCTURED_ATTEMPTS: model calls per structured request, including repairs (default 3)
+ */
+const { LlmGateway } = require('./gateway');
+const { CircuitBreaker, BREAKER_STATES } = require('./circuitBreaker');
+const { POLICIES, resolvePolicy } = require('./policies');
+const structured = require('./structured');
+const {
+  createGeminiProvider,
+  createMistralProvider,
+  createHuggingFaceProvider,
+  createMockProvider
+} = require('./providers');
+
+function createGateway(options = {}) {
+  return new LlmGateway({
+    failureThreshold: parseInt(process.env.LLM_BREAKER_FAILURES, 10) || 3,
+    cooldownMs: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS, 10) || 60 * 1000,
+    ...options
+  })
+    .register(createGeminiProvider())
+    .register(createMistralProvider())
+    .register(createHuggingFaceProvider())
+    .register(createMockProvider());
+}
+
+const gateway = createGateway();
+
+/**
+ * @param {Array} messages
+ * @param {Object} [options] - { task, onToken, temperature, maxTokens, timeoutMs }
+ * @returns {Promise<{ response: { content: string }, model: string, provider: string, task: string }>}
+ */
+const chat = (messages, options) => gateway.chat(messages, options);
+
+/**
+ * JSON output validated against a schema in /schemas, with repair prompts on failure.
+ * See llm/structured.js for the options.
+ * @returns {Promise<import('./structured').StructuredResult>}
+ */
+const chatStructured = (messages, options) => structured.chatStructured(chat, messages, options);
+
+module.exports = {
+  gateway,
+  chat,
+  chatStructured,
+  createGateway,
+  LlmGateway,
+  CircuitBreaker,
+  BREAKER_STATES,
+  POLICIES,
+  resolvePolicy
+};
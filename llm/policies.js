@@ -0,0 +1,70 @@
+// Routing policies: which providers and models serve each kind of task, in order,
+// with the sampling settings and per-attempt timeout for that task.
+//
+// LLM_ROUTE_<TASK> overrides a route, e.g. LLM_ROUTE_ANALYSIS=mistral:mistral-large-latest,gemini
+// (a provider without a model uses its default). LLM_PROVIDER=mock sends every task
+// to the mock provider.
+
+const POLICIES = {
+  routing: {
+    description: 'Agent routing and one-word classifications',
+    route: [['gemini', 'gemini-2.5-flash'], ['mistral', 'mistral-small-latest'], ['huggingface']],
+    temperature: 0,
+    maxTokens: 256,
+    timeoutMs: 10 * 1000
+  },
+  chat: {
+    description: 'Conversational answers in chat and the agents',
+    route: [['gemini', 'gemini-2.5-flash'], ['mistral', 'mistral-small-latest'], ['huggingface']],
+    temperature: 0.7,
+    maxTokens: 2048,
+    timeoutMs: 30 * 1000
+  },
+  extraction: {
+    description: 'JSON extraction from letters and documents, letter reasons',
+    route: [['gemini', 'gemini-2.5-flash'], ['mistral', 'mistral-small-latest'], ['huggingface']],
+    temperature: 0,
+    maxTokens: 4096,
+    timeoutMs: 60 * 1000
+  },
+  analysis: {
+    // Whole credit reports: Gemini's 1M-token context first, then Mistral Large (128k)
+    description: 'Long-context credit report analysis',
+    route: [['gemini', 'gemini-2.5-flash'], ['mistral', 'mistral-large-latest'], ['huggingface']],
+    temperature: 0.1,
+    maxTokens: 8192,
+    timeoutMs: 120 * 1000
+  },
+  summarization: {
+    description: 'Summaries of scraped legal content',
+    route: [['mistral', 'mistral-small-latest'], ['gemini', 'gemini-2.5-flash'], ['huggingface']],
+    temperature: 0.3,
+    maxTokens: 2048,
+    timeoutMs: 45 * 1000
+  }
+};
+
+const DEFAULT_TASK = 'chat';
+
+function parseRoute(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [provider, ...model] = entry.split(':');
+    return model.length ? [provider, model.join(':')] : [provider];
+  });
+}
+
+/**
+ * The policy for a task, with environment overrides applied. Unknown tasks use `chat`.
+ * @param {string} task
+ * @param {Object} [env]
+ * @returns {{ task: string, description: string, route: Array<[string, string?]>, temperature: number, maxTokens: number, timeoutMs: number }}
+ */
+function resolvePolicy(task, env = process.env) {
+  const name = POLICIES[task] ? task : DEFAULT_TASK;
+  const policy = { task: name, ...POLICIES[name] };
+  if (env.LLM_PROVIDER === 'mock') return { ...policy, route: [['mock']] };
+  const override = env[`LLM_ROUTE_${name.toUpperCase()}`];
+  return override ? { ...policy, route: parseRoute(override) } : policy;
+}
+
+module.exports = { POLICIES, DEFAULT_TASK, resolvePolicy };
@@ -0,0 +1,168 @@
+// Provider adapters for the LLM gateway. Each adapter sends chat messages to one
+// provider and returns the reply text; the gateway decides the order, timeouts and
+// when a provider is skipped.
+//
+// Adapter shape: { name, defaultModel, isConfigured(), chat(messages, options), stream?(messages, options, onToken) }
+// where options are { model, task, temperature, maxTokens, signal } and both calls resolve with the reply text.
+// `signal` is aborted when the gateway gives up on the call (timeout or failover).
+const axios = require('axios');
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+const { Mistral } = require('@mistralai/mistralai');
+const { HumanMessage, SystemMessage, AIMessage } = require('@langchain/core/messages');
+const { configureTracingForModels } = require('../langsmithConfig');
+const { chunkText } = require('../utils/tokenStream');
+
+const HF_CHAT_URL = 'https://router.huggingface.co/v1/chat/completions';
+const HF_DEFAULT_MODEL = 'meta-llama/Llama-3.1-8B-Instruct';
+
+const ROLES = { system: 'system', human: 'user', user: 'user', ai: 'assistant', assistant: 'assistant' };
+
+// Callers pass LangChain messages, { role, content } objects or bare { content } prompts
+function messageRole(message) {
+  const type = message && typeof message._getType === 'function' ? message._getType() : message && message.role;
+  return ROLES[type] || 'user';
+}
+
+function toRoleMessages(messages) {
+  return messages.map(message => ({ role: messageRole(message), content: chunkText(message) }));
+}
+
+function toLangChainMessages(messages) {
+  return toRoleMessages(messages).map(({ role, content }) => {
+    if (role === 'system') return new SystemMessage(content);
+    if (role === 'assistant') return new AIMessage(content);
+    return new HumanMessage(content);
+  });
+}
+
+function createGeminiProvider({ apiKey = process.env.GOOGLE_API_KEY || process.env.GOOGLE_AI_API_KEY } = {}) {
+  const models = new Map();
+  // One LangChain model per model name and sampling settings, traced through LangSmith
+  const modelFor = ({ model, temperature, maxTokens }) => {
+    const key = `${model}:${temperature}:${maxTokens}`;
+    if (!models.has(key)) {
+      const chatModel = new ChatGoogleGenerativeAI({
+        apiKey,
+        model,
+        temperature,
+        maxRetries: 1,
+        maxOutputTokens: maxTokens,
+        topP: 0.95,
+        safetySettings: [
+          { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+          { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+        ]
+      });
+      configureTracingForModels(chatModel);
+      models.set(key, chatModel);
+    }
+    return models.get(key);
+  };
+
+  return {
+    name: 'gemini',
+    defaultModel: 'gemini-2.5-flash',
+    isConfigured: () => !!apiKey,
+    async chat(messages, options) {
+      const result = await modelFor(options).invoke(toLangChainMessages(messages), { signal: options.signal });
+      return chunkText(result);
+    },
+    async stream(messages, options, onToken) {
+      let content = '';
+      const stream = await modelFor(options).stream(toLangChainMessages(messages), { signal: options.signal });
+      for await (const chunk of stream) {
+        const text = chunkText(chunk);
+        if (!text) continue;
+        content += text;
+        onToken(text);
+      }
+      return content;
+    }
+  };
+}
+
+function createMistralProvider({ apiKey = process.env.MISTRAL_API_KEY } = {}) {
+  let client = null;
+  const getClient = () => client || (client = new Mistral({ apiKey }));
+  const request = (messages, { model, temperature, maxTokens }) => ({
+    model,
+    messages: toRoleMessages(messages),
+    temperature,
+    maxTokens
+  });
+
+  return {
+    name: 'mistral',
+    defaultModel: 'mistral-small-latest',
+    isConfigured: () => !!apiKey,
+    async chat(messages, options) {
+      const result = await getClient().chat.complete(request(messages, options), { signal: options.signal });
+      return chunkText(result.choices && result.choices[0] && result.choices[0].message);
+    },
+    async stream(messages, options, onToken) {
+      let content = '';
+      const stream = await getClient().chat.stream(request(messages, options), { signal: options.signal });
+      for await (const event of stream) {
+        const delta = event.data && event.data.choices && event.data.choices[0] && event.data.choices[0].delta;
+        const text = chunkText(delta);
+        if (!text) continue;
+        content += text;
+        onToken(text);
+      }
+      return content;
+    }
+  };
+}
+
+// Hugging Face Inference Providers through the OpenAI-compatible router
+function createHuggingFaceProvider({ token = process.env.HF_TOKEN, model = process.env.HF_MODEL || HF_DEFAULT_MODEL } = {}) {
+  return {
+    name: 'huggingface',
+    defaultModel: model,
+    isConfigured: () => !!token,
+    async chat(messages, { model: requested, temperature, maxTokens, signal }) {
+      const { data } = await axios.post(HF_CHAT_URL, {
+        model: requested,
+        messages: toRoleMessages(messages),
+        temperature,
+        max_tokens: maxTokens
+      }, { headers: { Authorization: `Bearer ${token}` }, signal });
+      return chunkText(data.choices && data.choices[0] && data.choices[0].message);
+    }
+  };
+}
+
+/**
+ * Deterministic provider for tests and offline runs (LLM_PROVIDER=mock). Replies
+ * come from `setResponder(fn)`, where fn(messages, options) returns the text (or
+ * throws to simulate an outage) and options.task names the policy; the default
+ * echoes the last user message.
+ */
+function createMockProvider({ enabled = () => process.env.LLM_PROVIDER === 'mock' } = {}) {
+  const defaultResponder = (messages) => {
+    const last = [...toRoleMessages(messages)].reverse().find(m => m.role === 'user');
+    return `[mock] ${last ? last.content.slice(0, 200) : ''}`;
+  };
+  let responder = defaultResponder;
+
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    isConfigured: enabled,
+    setResponder(fn) {
+      responder = typeof fn === 'function' ? fn : defaultResponder;
+    },
+    async chat(messages, options) {
+      return String(await responder(messages, options));
+    }
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+  createMistralProvider,
+  createHuggingFaceProvider,
+  createMockProvider,
+  toRoleMessages,
+  toLangChainMessages
+};
@@ -0,0 +1,194 @@
+// Structured output: asks for JSON matching a schema from /schemas, validates the reply
+// with AJV and, while it fails, sends repair prompts listing the exact errors. The best
+// attempt is returned with a trace of every attempt.
+const { validate, getSchema } = require('../utils/ajvValidate');
+const { renderPrompt, promptVersion } = require('../prompts');
+const { toRoleMessages } = require('./providers');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.LLM_STRUCTURED_ATTEMPTS, 10) || 3;
+const MAX_ERRORS_IN_PROMPT = 20;
+
+/**
+ * JSON object from a model reply: strips markdown fences and surrounding text.
+ * @returns {{ data: Object|null, error: string|null }}
+ */
+function parseJson(text) {
+  let json = String(text || '').trim().replace(/```json\n?|\n?```/g, '').trim();
+  // Replies sometimes arrive as one escaped JSON string
+  if (json.startsWith('"') && json.endsWith('"')) {
+    json = json.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+  }
+  const asObject = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : null);
+  try {
+    const data = asObject(JSON.parse(json));
+    if (data) return { data, error: null };
+  } catch (err) {
+    // fall through to the embedded-object match
+  }
+  const match = json.match(/\{[\s\S]*\}/);
+  if (!match) return { data: null, error: 'no JSON object found in the reply' };
+  try {
+    const data = asObject(JSON.parse(match[0]));
+    return data ? { data, error: null } : { data: null, error: 'the reply is not a JSON object' };
+  } catch (err) {
+    return { data: null, error: err.message };
+  }
+}
+
+// The schema as shown to the model, without properties the server fills in
+function schemaForPrompt(schemaName, omit = []) {
+  const { $schema, ...schema } = getSchema(schemaName);
+  if (!omit.length) return JSON.stringify(schema);
+  const properties = { ...schema.properties };
+  for (const key of omit) delete properties[key];
+  return JSON.stringify({ ...schema, properties, required: (schema.required || []).filter(k => !omit.includes(k)) });
+}
+
+// camelCase top-level keys renamed to the schema's snake_case names
+function alignKeys(data, schemaName) {
+  const properties = getSchema(schemaName).properties || {};
+  for (const key of Object.keys(data)) {
+    if (properties[key]) continue;
+    const snake = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    if (snake !== key && properties[snake] && data[snake] === undefined) {
+      data[snake] = data[key];
+      delete data[key];
+    }
+  }
+  return data;
+}
+
+// Instruction appended to the system message (providers expect a single leading system message)
+function withInstruction(messages, instruction) {
+  const conversation = toRoleMessages(messages);
+  if (conversation[0] && conversation[0].role === 'system') {
+    conversation[0] = { role: 'system', content: `${conversation[0].content}\n\n${instruction}` };
+  } else {
+    conversation.unshift({ role: 'system', content: instruction });
+  }
+  return conversation;
+}
+
+// Lower is better: unparseable, then schema errors, then check issues; ties go to the later attempt
+function rank(step) {
+  return [step.parse_error ? 1 : 0, step.errors.length, step.issues.length];
+}
+
+function isBetter(step, best) {
+  if (!best) return true;
+  const a = rank(step);
+  const b = rank(best.step);
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] < b[i];
+  }
+  return true;
+}
+
+function problemList(problems) {
+  const shown = problems.slice(0, MAX_ERRORS_IN_PROMPT).map(p => `- ${p}`);
+  if (problems.length > MAX_ERRORS_IN_PROMPT) shown.push(`- ...and ${problems.length - MAX_ERRORS_IN_PROMPT} more`);
+  return shown.join('\n');
+}
+
+/**
+ * @typedef {Object} StructuredResult
+ * @property {Object|null} data - Best parsed object (null when no attempt produced JSON)
+ * @property {boolean} valid - Whether `data` passes the schema
+ * @property {string[]} errors - Schema or parse errors for `data`
+ * @property {string[]} issues - `check` issues still open for `data`
+ * @property {string} raw - Model reply `data` came from
+ * @property {number} attempts
+ * @property {string[]} models - Model used for each attempt
+ * @property {Array<Object>} trace - Per attempt: { attempt, kind, provider, model, duration_ms, valid, parse_error, errors, issues }
+ * @property {Array<Object>} prompts - Prompt versions used ({ name, version, variant })
+ */
+
+/**
+ * Ask for JSON matching a schema and repair the reply until it validates.
+ *
+ * `check` reports problems the schema cannot express (e.g. sections left empty). Those
+ * get a single repair round, since an empty section can be the right answer; schema
+ * and parse errors are repaired until `maxAttempts` is reached.
+ *
+ * @param {Function} chat - Gateway chat(messages, options)
+ * @param {Array} messages - LangChain messages or { role, content } objects
+ * @param {Object} options
+ * @param {string} options.schema - File name under /schemas, e.g. 'analysis.schema.json'
+ * @param {string} [options.task='extraction'] - Gateway task
+ * @param {string[]} [options.omit] - Top-level properties the server fills in, hidden from the model
+ * @param {(data: Object) => string[]} [options.check] - Extra problems to repair
+ * @param {number} [options.maxAttempts] - Total model calls, including the first (default LLM_STRUCTURED_ATTEMPTS or 3)
+ * @param {string} [options.promptKey] - A/B assignment key for the instruction and repair prompts
+ * @returns {Promise<StructuredResult>}
+ */
+async function chatStructured(chat, messages, options = {}) {
+  const { schema, task = 'extraction', omit = [], check = null, promptKey } = options;
+  const maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+  const instruction = renderPrompt('structured-output', { schema: schemaForPrompt(schema, omit) }, { key: promptKey });
+  const conversation = withInstruction(messages, instruction.text);
+  const prompts = [promptVersion(instruction)];
+  const trace = [];
+  let best = null;
+  let checkRepaired = false;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const kind = attempt === 1 ? 'initial' : 'repair';
+    const started = Date.now();
+    let reply;
+    try {
+      reply = await chat(conversation, { task });
+    } catch (error) {
+      // Without any reply there is nothing to return; otherwise keep the best attempt so far
+      if (!best) throw error;
+      trace.push({ attempt, kind, provider: null, model: null, duration_ms: Date.now() - started, error: error.message });
+      break;
+    }
+
+    const raw = String((reply.response && reply.response.content) || '');
+    const { data, error: parseError } = parseJson(raw);
+    if (data) alignKeys(data, schema);
+    const errors = data ? validate(schema, data).errors : [];
+    const issues = data && check ? check(data) : [];
+    const step = {
+      attempt,
+      kind,
+      provider: reply.provider,
+      model: reply.model,
+      duration_ms: Date.now() - started,
+      valid: !!data && errors.length === 0,
+      parse_error: parseError,
+      errors,
+      issues
+    };
+    trace.push(step);
+    if (isBetter(step, best)) best = { data, raw, step };
+
+    let problems = [];
+    if (parseError) problems = [`The reply was not a valid JSON object (${parseError}).`];
+    else if (errors.length) problems = errors;
+    else if (issues.length && !checkRepaired) {
+      problems = issues;
+      checkRepaired = true;
+    }
+    if (!problems.length || attempt === maxAttempts) break;
+
+    console.log(`🔧 Structured output for ${schema}: repairing ${problems.length} problem(s), attempt ${attempt + 1}/${maxAttempts}`);
+    const repair = renderPrompt('structured-repair', { errors: problemList(problems) }, { key: promptKey });
+    if (!prompts.some(p => p.name === repair.name)) prompts.push(promptVersion(repair));
+    conversation.push({ role: 'assistant', content: raw }, { role: 'user', content: repair.text });
+  }
+
+  return {
+    data: best.data,
+    valid: best.step.valid,
+    errors: best.step.parse_error ? [best.step.parse_error] : best.step.errors,
+    issues: best.step.issues,
+    raw: best.raw,
+    attempts: trace.length,
+    models: trace.map(t => t.model).filter(Boolean),
+    trace,
+    prompts
+  };
+}
+
+module.exports = { chatStructured, parseJson, alignKeys };
@@ -0,0 +1,135 @@
+/**
+ * Supabase JWT authentication
+ *
+ * Verifies the access token Supabase issues to signed-in users and derives the
+ * user id from its `sub` claim instead of trusting ids sent by the client.
+ *
+ * Environment variables:
+ * - SUPABASE_JWT_SECRET: project JWT secret (HS256). Preferred when set.
+ * - SUPABASE_JWKS_URL: JWKS endpoint for asymmetric keys. Defaults to
+ *   `${SUPABASE_URL}/auth/v1/.well-known/jwks.json` when no secret is set.
+ * - SUPABASE_JWT_AUDIENCE: expected `aud` claim (default 'authenticated').
+ * - AUTH_TEST_MODE: 'true' lets requests carrying `x-test-mode: true` skip
+ *   verification. Never enable this in production.
+ * - ADMIN_USER_IDS: comma-separated user ids allowed through requireAdmin, in
+ *   addition to users whose `app_metadata.role` is 'admin'.
+ */
+const { jwtVerify, createRemoteJWKSet } = require('jose');
+
+let remoteJwks = null;
+let remoteJwksUrl = null;
+
+function getJwks() {
+  const url = process.env.SUPABASE_JWKS_URL ||
+    (process.env.SUPABASE_URL ? `${process.env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1/.well-known/jwks.json` : null);
+  if (!url) return null;
+  if (!remoteJwks || remoteJwksUrl !== url) {
+    remoteJwks = createRemoteJWKSet(new URL(url));
+    remoteJwksUrl = url;
+  }
+  return remoteJwks;
+}
+
+/**
+ * Verify a Supabase access token
+ * @param {string} token - Raw JWT (without the "Bearer " prefix)
+ * @returns {Promise<{id: string, email: string|null, role: string|null, claims: Object}>}
+ */
+async function verifyToken(token) {
+  if (!token) throw new Error('Missing access token');
+
+  const options = { audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated' };
+  let result;
+  if (process.env.SUPABASE_JWT_SECRET) {
+    const secret = new TextEncoder().encode(process.env.SUPABASE_JWT_SECRET);
+    result = await jwtVerify(token, secret, { ...options, algorithms: ['HS256'] });
+  } else {
+    const jwks = getJwks();
+    if (!jwks) throw new Error('JWT verification not configured (set SUPABASE_JWT_SECRET or SUPABASE_JWKS_URL)');
+    result = await jwtVerify(token, jwks, options);
+  }
+
+  const claims = result.payload;
+  if (!claims.sub) throw new Error('Token has no subject');
+  return { id: claims.sub, email: claims.email || null, role: claims.role || null, claims };
+}
+
+function isTestModeEnabled() {
+  return process.env.AUTH_TEST_MODE === 'true';
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// The user id a client sent explicitly, wherever the legacy API accepted it
+function claimedUserId(req) {
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  return body.userId || body.user_id || req.query.userId || req.query.user_id || req.headers['user-id'] || null;
+}
+
+async function resolveUser(req) {
+  if (isTestModeEnabled() && req.headers['x-test-mode'] === 'true') {
+    const userId = claimedUserId(req);
+    return userId ? { id: userId, email: null, role: null, claims: {}, testMode: true } : null;
+  }
+  return verifyToken(bearerToken(req));
+}
+
+function attachUser(req, user) {
+  req.user = user;
+  req.userId = user.id;
+  req.isTestMode = !!user.testMode;
+}
+
+/**
+ * Require a verified user. Sets `req.user` and `req.userId`, and rejects the
+ * request when the client also sent a userId that belongs to someone else.
+ */
+async function requireUser(req, res, next) {
+  let user;
+  try {
+    user = await resolveUser(req);
+  } catch (err) {
+    return res.status(401).json({ error: 'User authentication required', details: err.message });
+  }
+  if (!user) return res.status(401).json({ error: 'User authentication required' });
+
+  const claimed = claimedUserId(req);
+  if (claimed && claimed !== user.id) {
+    console.warn(`Rejected request: claimed userId ${claimed} does not match token subject ${user.id}`);
+    return res.status(403).json({ error: 'userId does not match authenticated user' });
+  }
+
+  attachUser(req, user);
+  next();
+}
+
+/**
+ * Attach the user when a valid token is present, otherwise continue anonymously.
+ * A token that fails verification is still rejected.
+ */
+async function optionalUser(req, res, next) {
+  if (!bearerToken(req) && !(isTestModeEnabled() && req.headers['x-test-mode'] === 'true')) return next();
+  return requireUser(req, res, next);
+}
+
+function isAdmin(user) {
+  const ids = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  const appMetadata = (user.claims && user.claims.app_metadata) || {};
+  return ids.includes(user.id) || appMetadata.role === 'admin';
+}
+
+/**
+ * Require a verified user who is an admin (see ADMIN_USER_IDS).
+ */
+async function requireAdmin(req, res, next) {
+  return requireUser(req, res, () => {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Admin access required' });
+    next();
+  });
+}
+
+module.exports = { verifyToken, requireUser, optionalUser, requireAdmin, isTestModeEnabled };
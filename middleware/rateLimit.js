@@ -0,0 +1,31 @@
+// Simple rate limiter implementation (fallback)
+let rateLimitMap = new Map();
+
+const apiLimiter = (req, res, next) => {
+  const ip = req.ip || req.connection.remoteAddress;
+  const now = Date.now();
+  const windowMs = 60 * 1000; // 1 minute
+  const max = 30; // 30 requests per minute
+
+  if (!rateLimitMap.has(ip)) {
+    rateLimitMap.set(ip, { count: 1, resetTime: now + windowMs });
+    return next();
+  }
+
+  const data = rateLimitMap.get(ip);
+  if (now > data.resetTime) {
+    rateLimitMap.set(ip, { count: 1, resetTime: now + windowMs });
+    return next();
+  }
+
+  if (data.count >= max) {
+    return res.status(429).json({
+      error: 'Too many requests from this IP, please try again later'
+    });
+  }
+
+  data.count++;
+  next();
+};
+
+module.exports = { apiLimiter };
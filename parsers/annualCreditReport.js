@@ -0,0 +1,18 @@
+// Reports downloaded through annualcreditreport.com: one bureau's report in the site's
+// common layout, with "Account Name:" blocks. The bureau comes from the report itself.
+module.exports = {
+  id: 'annualcreditreport',
+  bureau: null,
+  signature: /annual\s*credit\s*report\.com/i,
+  sections: [
+    { kind: 'accounts', pattern: /^((adverse|satisfactory|negative) accounts|accounts in good standing)$/ },
+    { kind: 'hard_inquiries', pattern: /^(regular inquiries|inquiries that may affect your credit( \(hard\))?)$/ },
+    { kind: 'soft_inquiries', pattern: /^((promotional|account review) inquiries|inquiries shared only with you( \(soft\))?)$/ }
+  ],
+  labels: {
+    status: ['pay status'],
+    date_reported: ['status updated', 'reported'],
+    date_of_first_delinquency: ['date of 1st delinquency'],
+    remarks: ['additional information']
+  }
+};
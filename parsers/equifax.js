@@ -0,0 +1,16 @@
+// Equifax credit file layout (myEquifax and annualcreditreport.com downloads)
+module.exports = {
+  id: 'equifax',
+  bureau: 'Equifax',
+  signature: /\bequifax\b/i,
+  sections: [
+    { kind: 'accounts', pattern: /^(revolving|installment|mortgage|other) accounts$/ },
+    { kind: 'soft_inquiries', pattern: /^(promotional|account review|soft) inquiries$/ }
+  ],
+  labels: {
+    date_of_first_delinquency: ['date of 1st delinquency', 'dofd'],
+    date_reported: ['reported'],
+    original_balance: ['high credit'],
+    remarks: ['narrative code(s)', 'narrative codes', 'activity designator', 'comments - contact']
+  }
+};
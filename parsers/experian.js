@@ -0,0 +1,17 @@
+// Experian credit report layout ("Accounts in collection", hard/soft inquiry headings)
+module.exports = {
+  id: 'experian',
+  bureau: 'Experian',
+  signature: /\bexperian\b/i,
+  sections: [
+    { kind: 'hard_inquiries', pattern: /^(inquiries that may affect your credit( \(hard\))?|requests viewed by others)$/ },
+    { kind: 'soft_inquiries', pattern: /^(inquiries shared only with you( \(soft\))?|requests viewed only by you)$/ },
+    { kind: 'accounts', pattern: /^(potentially negative items|accounts in good standing|account info)$/ }
+  ],
+  labels: {
+    date_reported: ['status updated', 'balance updated'],
+    original_balance: ['original balance'],
+    remarks: ['status details', 'company sold'],
+    last_payment_date: ['recent payment']
+  }
+};
@@ -0,0 +1,135 @@
+// Deterministic credit report parsers for the Equifax, Experian, TransUnion and
+// annualcreditreport.com layouts. When a layout is recognized, the LLM is not asked to
+// extract accounts; it only reports findings on the parsed tradelines, which fill
+// analysis.tradelines, collection_accounts and inquiries, so the rules engine, bureau
+// comparison and report history see the same data for the same report.
+// Reports in a layout no parser recognizes keep the LLM extraction.
+const { parseLayout } = require('./layout');
+const { normalizeTradeline, normalizeInquiry, normalizePublicRecord, parseReportDate } = require('../utils/tradelines');
+const { detectBureau } = require('../utils/bureauCompare');
+const { sameAccount } = require('../utils/analysisMerge');
+const equifax = require('./equifax');
+const experian = require('./experian');
+const transunion = require('./transunion');
+const annualCreditReport = require('./annualCreditReport');
+
+const BUREAU_LAYOUTS = [equifax, experian, transunion];
+const LAYOUTS = [annualCreditReport, ...BUREAU_LAYOUTS];
+
+// Bureaus name each other in dispute instructions, so only the title area identifies a layout
+const HEAD_CHARS = 3000;
+
+/**
+ * Layout and bureau of a report, or null when it is not in a known layout.
+ * @returns {{ layout: Object, bureau: string|null } | null}
+ */
+function detectLayout(text) {
+  const head = String(text || '').slice(0, HEAD_CHARS);
+  const bureau = detectBureau({ extracted_text: text });
+  if (annualCreditReport.signature.test(head)) return { layout: annualCreditReport, bureau };
+  const titled = BUREAU_LAYOUTS.filter(l => l.signature.test(head));
+  if (!titled.length) return null;
+  const layout = titled.find(l => l.bureau === bureau) || titled[0];
+  return { layout, bureau: layout.bureau };
+}
+
+/**
+ * Parse a credit report's text (OCR markdown or pdf-parse output) into normalized tradelines.
+ * @param {string} text
+ * @returns {{ layout: string, bureau: string|null, accounts: Object[], inquiries: Object[], public_records: Object[], skipped_blocks: number } | null}
+ *   null when no layout matched or the matched layout yielded no accounts or inquiries
+ */
+function parseCreditReport(text) {
+  const detected = detectLayout(text);
+  if (!detected) return null;
+  const { layout, bureau } = detected;
+  const parsed = parseLayout(text, layout);
+  if (!parsed.accounts.length && !parsed.inquiries.length) return null;
+
+  return {
+    layout: layout.id,
+    bureau,
+    accounts: parsed.accounts.map(({ section, ...raw }) =>
+      normalizeTradeline(raw, section === 'collections' ? { bureau, is_collection: true } : { bureau })),
+    inquiries: parsed.inquiries.map(({ hard, ...raw }) => ({ ...normalizeInquiry(raw, hard), bureau })),
+    public_records: parsed.public_records.map(raw => ({ ...normalizePublicRecord(raw), bureau })),
+    skipped_blocks: parsed.skipped
+  };
+}
+
+// Drop empty values so the entries validate against the analysis schema
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
+
+/**
+ * Put a parsed report's data into an analysis. Collections and inquiries are rebuilt from
+ * the parser; the model's annotations on the same account (FDCPA violations,
+ * recommendations, evidence quotes, inquiry issues) are kept. `_parser` records what
+ * the parser found.
+ * @param {Object} analysis - From analyzeText
+ * @param {Object} report - From parseCreditReport
+ * @returns {Object} The same analysis
+ */
+function applyParsedReport(analysis, report) {
+  const llmCollections = Array.isArray(analysis.collection_accounts) ? analysis.collection_accounts : [];
+  const llmInquiries = Array.isArray(analysis.inquiries) ? analysis.inquiries : [];
+  const used = new Set();
+  const annotations = (list, matches) => {
+    const match = list.find(item => item && typeof item === 'object' && !used.has(item) && matches(item));
+    if (!match) return {};
+    used.add(match);
+    return match;
+  };
+
+  analysis.collection_accounts = report.accounts.filter(t => t.is_collection).map(t => {
+    const agency = t.collection_agency || t.creditor;
+    const model = annotations(llmCollections, c => sameAccount(c.collection_agency || c.creditor_name, c.account_number, agency, t.account_number));
+    return compact({
+      evidence: t.evidence,
+      ...model,
+      creditor_name: t.original_creditor || t.creditor,
+      collection_agency: agency,
+      account_number: t.account_number,
+      original_balance: t.raw.original_balance,
+      current_balance: t.raw.balance
+    });
+  });
+
+  analysis.inquiries = report.inquiries.map(i => {
+    const model = annotations(llmInquiries, q => sameAccount(q.creditor_name, null, i.creditor, null) &&
+      (parseReportDate(q.date) || q.date) === (i.date || i.raw.date));
+    const purpose = i.purpose || String(model.purpose || '').replace(/\s*\((hard|soft) pull\)\s*$/i, '');
+    return compact({
+      evidence: i.evidence,
+      ...model,
+      creditor_name: i.creditor,
+      date: i.raw.date,
+      purpose: `${purpose ? `${purpose} ` : ''}(${i.hard ? 'hard' : 'soft'} pull)`
+    });
+  });
+
+  analysis.tradelines = {
+    bureau: report.bureau,
+    layout: report.layout,
+    accounts: report.accounts,
+    inquiries: report.inquiries,
+    public_records: report.public_records
+  };
+  if (report.bureau && !analysis.bureau) analysis.bureau = report.bureau;
+  analysis._parser = {
+    layout: report.layout,
+    bureau: report.bureau,
+    accounts: report.accounts.length,
+    collections: analysis.collection_accounts.length,
+    inquiries: report.inquiries.length,
+    public_records: report.public_records.length,
+    skipped_blocks: report.skipped_blocks,
+    // Model findings the parser did not confirm; a high count suggests a layout change
+    unmatched_llm_collections: llmCollections.filter(c => !used.has(c)).length,
+    unmatched_llm_inquiries: llmInquiries.filter(q => !used.has(q)).length
+  };
+  return analysis;
+}
+
+module.exports = { parseCreditReport, applyParsedReport, detectLayout, LAYOUTS };
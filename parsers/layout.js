@@ -0,0 +1,287 @@
+// Shared engine for the bureau layouts. A layout lists its section headings and field
+// labels; the engine splits the report into sections, splits account sections into one
+// block per account and reads each block's labelled fields. Works on Mistral OCR markdown
+// (headings, tables, collapsed spacing) and on pdf-parse text alike.
+const { parsePaymentGrid, normalizeCode } = require('../utils/paymentGrid');
+
+// Section headings every layout shares; layouts add their own in front of these
+const SECTIONS = [
+  { kind: 'collections', pattern: /^(collections?|collection accounts|accounts in collection)$/ },
+  { kind: 'public_records', pattern: /^(public records?( information)?|bankruptcies|judgments)$/ },
+  { kind: 'soft_inquiries', pattern: /^(soft inquiries|inquiries that do not (affect|impact) your (credit|score))$/ },
+  { kind: 'hard_inquiries', pattern: /^(hard inquiries|credit inquiries|inquiries)$/ },
+  { kind: 'accounts', pattern: /^((credit|other|open|closed|revolving|installment|mortgage|negative|real estate) accounts|accounts|account information|account details|account history|tradelines)$/ },
+  { kind: 'personal', pattern: /^(personal (identifying )?information|personal info|identification information|consumer information|employment( history| information)?|addresses)$/ },
+  { kind: 'other', pattern: /^(summary|report summary|credit summary|consumer statements?|personal statements?|contact information|dispute information|(your )?credit scores?|messages|important information)$/ }
+];
+
+const BLOCK_SECTIONS = ['accounts', 'collections', 'public_records'];
+
+// Field -> label aliases (case-insensitive, followed by ":"); layouts extend these
+const FIELD_LABELS = {
+  creditor_name: ['account name', 'creditor name', 'company name'],
+  account_number: ['account number', 'account #', 'acct #', 'account no'],
+  account_type: ['account type', 'loan type', 'type of account'],
+  original_creditor: ['original creditor', 'original creditor name'],
+  status: ['status', 'account status', 'payment status', 'current status'],
+  condition: ['open/closed', 'condition'],
+  balance: ['balance', 'current balance', 'balance owed'],
+  original_balance: ['original balance', 'original amount', 'high balance', 'high credit'],
+  credit_limit: ['credit limit', 'limit'],
+  date_opened: ['date opened', 'opened', 'open date'],
+  date_closed: ['date closed', 'closed date'],
+  date_of_first_delinquency: ['date of first delinquency', 'first delinquency'],
+  last_payment_date: ['last payment', 'date of last payment', 'last payment date'],
+  date_reported: ['date reported', 'last reported', 'date updated'],
+  date_assigned: ['date assigned', 'placed for collection'],
+  monthly_payment: ['monthly payment', 'scheduled payment'],
+  responsibility: ['responsibility'],
+  remarks: ['remarks', 'remark', 'comments', 'comment', 'note', 'creditor remarks', 'special comment'],
+  payment_history: ['payment history'],
+  record_type: ['record type'],
+  court: ['court', 'court name'],
+  date_filed: ['date filed', 'filed'],
+  date_resolved: ['date resolved', 'date discharged', 'discharged']
+};
+
+const INQUIRY_LABELS = {
+  date: ['inquiry date', 'date of inquiry', 'requested on', 'date'],
+  purpose: ['purpose', 'permissible purpose', 'inquiry type', 'type of inquiry']
+};
+
+const AMOUNT_FIELDS = ['balance', 'original_balance', 'credit_limit', 'monthly_payment'];
+const DATE_FIELDS = ['date_opened', 'date_closed', 'date_of_first_delinquency', 'last_payment_date', 'date_reported', 'date_assigned', 'date_filed', 'date_resolved'];
+
+const AMOUNT_RE = /-?\$\s?[\d,]+(\.\d+)?|-?\b\d[\d,]*(\.\d+)?\b/;
+const DATE_RE = /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b|\b\d{1,2}\/\d{4}\b|\b\d{4}-\d{2}(-\d{2})?\b|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2},\s+)?\d{4}\b/i;
+const ACCOUNT_NUMBER_RE = /^[0-9Xx*#-]*\d[0-9Xx*#-]*|^[Xx*]{4,}[0-9Xx*#-]*/;
+const ACCOUNT_TYPE_RE = /\b(revolving|installment(\s*\([^)]*\))?|credit card|charge card|auto loan|student loan|mortgage|line of credit|open account|personal loan|secured loan)\b.*$/i;
+
+const MONTH_RE = /^(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*$/i;
+const STATUS_LINE_RE = /^(pays? as agreed|paid|current|open|closed|never late|charged? off|in collection|transferred|ok)\b/i;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex finding every "Label:" of a label set; longer aliases win over their suffixes
+function labelMatcher(labels) {
+  const aliases = [];
+  for (const [field, names] of Object.entries(labels)) {
+    for (const name of names) aliases.push({ field, name: name.toLowerCase() });
+  }
+  aliases.sort((a, b) => b.name.length - a.name.length);
+  const byName = new Map(aliases.map(a => [a.name, a.field]));
+  const re = new RegExp(`(^|[\\s|(])(${aliases.map(a => escapeRe(a.name)).join('|')})\\s*(\\([^)]*\\))?\\s*:`, 'gi');
+  return { re, fieldFor: (name) => byName.get(name.toLowerCase()), names: byName };
+}
+
+/**
+ * Text before the first label and the labelled values of one line.
+ * "WELLS FARGO  Account number: 4465XXXX  Revolving" -> { prefix: 'WELLS FARGO', fields: [{ field: 'account_number', value: '4465XXXX  Revolving' }] }
+ */
+function readFields(line, matcher) {
+  const matches = [...line.matchAll(matcher.re)];
+  if (!matches.length) return { prefix: line.trim(), fields: [] };
+  const fields = matches.map((m, i) => {
+    const start = m.index + m[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : line.length;
+    return { field: matcher.fieldFor(m[2]), value: line.slice(start, end).trim() };
+  });
+  return { prefix: line.slice(0, matches[0].index).trim(), fields };
+}
+
+// Markdown emphasis, heading marks and stray table pipes
+// (bold markers only next to words, so masked numbers like 5178**** keep their asterisks)
+const stripMarkdown = (line) => line
+  .replace(/^\s*#{1,6}\s*/, '')
+  .replace(/\*\*(?=[A-Za-z])|(?<=[A-Za-z:.)])\*\*/g, '')
+  .replace(/^\s*\|\s*|\s*\|\s*$/g, '')
+  .trim();
+
+const headingText = (line) => stripMarkdown(line).replace(/[:.]\s*$/, '').replace(/\s+/g, ' ').toLowerCase();
+
+function sectionOf(line, sections) {
+  const text = headingText(line);
+  if (!text || text.length > 80) return null;
+  const match = sections.find(s => s.pattern.test(text));
+  return match ? match.kind : null;
+}
+
+// "| Balance | $412 |" -> "Balance: $412" when the first cell is a known label
+function tableRowAsFields(line, matcher) {
+  if (!line.trim().startsWith('|')) return line;
+  const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+  if (cells.length === 2 && matcher.names.has(cells[0].replace(/:$/, '').toLowerCase())) {
+    return `${cells[0].replace(/:$/, '')}: ${cells[1]}`;
+  }
+  return line;
+}
+
+// Creditor names are printed in capitals. Payment grid rows ("OK OK 30", "JAN FEB MAR")
+// and status lines ("PAYS AS AGREED") are in capitals too, but are not names.
+function looksLikeName(text) {
+  const letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length < 2 || /^\d/.test(text) || text.includes('|')) return false;
+  const tokens = text.split(/\s+/);
+  if (tokens.every(token => normalizeCode(token) !== null)) return false;
+  if (tokens.filter(token => MONTH_RE.test(token)).length >= 6) return false;
+  if (STATUS_LINE_RE.test(text)) return false;
+  return letters === letters.toUpperCase();
+}
+
+// First value of a field ("$1,284 past due" -> "$1,284") and the text left over
+function takeValue(field, value) {
+  const re = AMOUNT_FIELDS.includes(field) ? AMOUNT_RE
+    : DATE_FIELDS.includes(field) ? DATE_RE
+      : field === 'account_number' ? ACCOUNT_NUMBER_RE
+        : null;
+  if (!re) return { value, rest: '' };
+  const match = value.match(re);
+  if (!match) return { value: null, rest: value };
+  return { value: match[0].trim(), rest: (value.slice(0, match.index) + value.slice(match.index + match[0].length)).trim() };
+}
+
+// "DISCOVER BANK   Revolving" -> name and type; TransUnion headings also carry the number ("CAPITAL ONE #517812****")
+function splitHeader(prefix) {
+  let name = stripMarkdown(prefix).replace(/[\s,;:-]+$/, '');
+  const number = name.match(/\s#\s*([0-9Xx*]{4,})\s*$/);
+  if (number) name = name.slice(0, number.index).trim();
+  const type = name.match(ACCOUNT_TYPE_RE);
+  const header = !type || type.index === 0
+    ? { name, type: null }
+    : { name: name.slice(0, type.index).trim(), type: type[0].trim() };
+  return { ...header, number: number ? number[1] : null };
+}
+
+function parseBlock(block, matcher) {
+  const raw = { creditor_name: block.name };
+  if (block.type) raw.account_type = block.type;
+  if (block.number) raw.account_number = block.number;
+  const remarks = [];
+  let history = null;
+  for (const { fields } of block.lines.map(line => readFields(tableRowAsFields(line, matcher), matcher))) {
+    for (const { field, value } of fields) {
+      if (!value) continue;
+      if (field === 'remarks') {
+        remarks.push(value);
+        continue;
+      }
+      if (field === 'payment_history') {
+        history = value;
+        continue;
+      }
+      const { value: taken, rest } = takeValue(field, value);
+      if (taken && raw[field] === undefined) raw[field] = taken;
+      // Bureaus print the account type after the number ("4465XXXX   Revolving")
+      const type = rest.match(ACCOUNT_TYPE_RE);
+      if (type && !raw.account_type) raw.account_type = type[0].trim();
+    }
+  }
+  // TransUnion marks negative values as ">Charged Off<"
+  if (raw.status) raw.status = raw.status.replace(/[<>]/g, '').trim();
+  if (raw.condition) {
+    raw.status = raw.status ? `${raw.condition}. ${raw.status}` : raw.condition;
+    delete raw.condition;
+  }
+  raw.remarks = remarks;
+  raw.payment_history = parsePaymentGrid(block.lines, history);
+  raw.evidence = block.evidence;
+  return raw;
+}
+
+function parseInquiryLine(line, matcher) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('|')) {
+    const cells = trimmed.replace(/^\||\|$/g, '').split('|').map(c => c.trim()).filter(Boolean);
+    const dateCell = cells.find(c => DATE_RE.test(c) && c.match(DATE_RE)[0].length >= c.length - 1);
+    if (!dateCell) return { name: null, date: null };
+    const others = cells.filter(c => c !== dateCell);
+    return { name: others[0] || null, date: dateCell.match(DATE_RE)[0], purpose: others.slice(1).join(' ') || null };
+  }
+  const { prefix, fields } = readFields(stripMarkdown(trimmed), matcher);
+  const value = (field) => (fields.find(f => f.field === field) || {}).value || null;
+  const dated = value('date') || trimmed;
+  const date = dated.match(DATE_RE);
+  const name = prefix.replace(DATE_RE, '').replace(/[\s,;:-]+$/, '').trim();
+  return { name: name && looksLikeName(name) ? name : null, date: date ? date[0] : null, purpose: value('purpose') };
+}
+
+/**
+ * Raw accounts, inquiries and public records of a report in the given layout.
+ * @param {string} text
+ * @param {Object} layout - { sections, labels, inquiryLabels } from a layout module
+ * @returns {{ accounts: Object[], inquiries: Object[], public_records: Object[], skipped: number }}
+ */
+function parseLayout(text, layout) {
+  const sections = [...(layout.sections || []), ...SECTIONS];
+  const labels = { ...FIELD_LABELS };
+  for (const [field, names] of Object.entries(layout.labels || {})) labels[field] = [...(labels[field] || []), ...names];
+  const matcher = labelMatcher(labels);
+  const inquiryLabels = { ...INQUIRY_LABELS };
+  for (const [field, names] of Object.entries(layout.inquiryLabels || {})) inquiryLabels[field] = [...inquiryLabels[field], ...names];
+  const inquiryMatcher = labelMatcher(inquiryLabels);
+
+  const blocks = [];
+  const inquiries = [];
+  let section = 'other';
+  let block = null;
+  let pendingInquiry = null;
+
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) continue;
+    const kind = sectionOf(line, sections);
+    if (kind) {
+      section = kind;
+      block = null;
+      pendingInquiry = null;
+      continue;
+    }
+
+    if (section === 'hard_inquiries' || section === 'soft_inquiries') {
+      const inquiry = parseInquiryLine(line, inquiryMatcher);
+      // Names and dates sometimes wrap onto separate lines
+      if (inquiry.name && !inquiry.date) {
+        pendingInquiry = inquiry;
+        continue;
+      }
+      if (!inquiry.name && inquiry.date && pendingInquiry) inquiry.name = pendingInquiry.name;
+      pendingInquiry = null;
+      if (inquiry.name && inquiry.date) {
+        inquiries.push({ creditor_name: inquiry.name, date: inquiry.date, purpose: inquiry.purpose || null, hard: section === 'hard_inquiries', evidence: stripMarkdown(line) });
+      }
+      continue;
+    }
+
+    if (!BLOCK_SECTIONS.includes(section)) continue;
+    const row = tableRowAsFields(line, matcher);
+    const { prefix, fields } = readFields(stripMarkdown(row), matcher);
+    const named = fields.find(f => f.field === 'creditor_name');
+    const heading = /^\s*(#{1,6}\s|\*\*[^*]+\*\*\s*$)/.test(line);
+    const header = named ? { name: named.value, type: null } : splitHeader(prefix);
+    if (header.name && (named || heading || looksLikeName(header.name))) {
+      block = { section, name: header.name, type: header.type, number: header.number, lines: [], evidence: stripMarkdown(line) };
+      blocks.push(block);
+    }
+    if (block) block.lines.push(line);
+  }
+
+  const accounts = [];
+  const publicRecords = [];
+  let skipped = 0;
+  for (const b of blocks) {
+    const raw = parseBlock(b, matcher);
+    if (b.section === 'public_records') {
+      publicRecords.push({ type: raw.record_type || raw.creditor_name, court: raw.court || null, status: raw.status || null, date_filed: raw.date_filed || null, date_resolved: raw.date_resolved || null, evidence: raw.evidence });
+      continue;
+    }
+    // A name without any account details is a page header or a wrapped line, not an account
+    if (!raw.account_number && !raw.balance && !raw.date_opened && !raw.status) {
+      skipped++;
+      continue;
+    }
+    if (b.section === 'collections') raw.collection_agency = raw.creditor_name;
+    accounts.push({ ...raw, section: b.section });
+  }
+  return { accounts, inquiries, public_records: publicRecords, skipped };
+}
+
+module.exports = { parseLayout, readFields, labelMatcher, FIELD_LABELS, SECTIONS };
@@ -0,0 +1,17 @@
+// TransUnion personal credit report layout ("Pay status", adverse/satisfactory accounts,
+// regular, promotional and account review inquiries)
+module.exports = {
+  id: 'transunion',
+  bureau: 'TransUnion',
+  signature: /\btrans\s*union\b/i,
+  sections: [
+    { kind: 'accounts', pattern: /^(adverse|satisfactory) accounts$/ },
+    { kind: 'hard_inquiries', pattern: /^regular inquiries$/ },
+    { kind: 'soft_inquiries', pattern: /^(promotional|account review) inquiries$/ }
+  ],
+  labels: {
+    status: ['pay status'],
+    date_reported: ['date updated'],
+    remarks: ['estimated month and year this item will be removed']
+  }
+};
@@ -0,0 +1,107 @@
+// Offline comparison of prompt versions from stored analyses. Each analysis records the
+// prompts that produced it in `_prompt_versions`; rows are grouped by the version of one
+// prompt and summarized with outcome metrics that do not need a labelled answer.
+const { unwrapAnalysis } = require('../reportComparison');
+
+const FINDING_SECTIONS = ['fcra_violations', 'collection_accounts', 'account_issues', 'personal_info_issues', 'inquiries', 'dispute_letters_needed'];
+
+const round = (n) => Math.round(n * 1000) / 1000;
+const rate = (count, total) => (total ? round(count / total) : null);
+const mean = (values) => (values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+function newGroup(version) {
+  return {
+    version,
+    variants: {},
+    analyses: 0,
+    parse_failures: 0,
+    validated: 0,
+    validation_passed: 0,
+    missing_sections: [],
+    repaired: 0,
+    attempts: [],
+    findings: Object.fromEntries(FINDING_SECTIONS.map(s => [s, []])),
+    evidence: { total: 0, located: 0 },
+    models: {}
+  };
+}
+
+function record(group, analysis, entry) {
+  group.analyses++;
+  group.variants[entry.variant || 'active'] = (group.variants[entry.variant || 'active'] || 0) + 1;
+  if (analysis._parsing_failed || analysis.error) group.parse_failures++;
+  if (analysis._validation) {
+    group.validated++;
+    if (analysis._validation.valid) group.validation_passed++;
+  }
+  if (Array.isArray(analysis._missing_sections)) group.missing_sections.push(analysis._missing_sections.length);
+  // Repair rounds from the structured-output layer (one trace per chunk for long reports);
+  // older analyses recorded a follow-up prompt instead
+  if (Array.isArray(analysis._repair_trace)) {
+    group.attempts.push(analysis._repair_trace.length);
+    if (analysis._repair_trace.some(t => t.kind === 'repair')) group.repaired++;
+  } else if ((analysis._prompt_versions || []).some(p => p && p.name === 'credit-report-followup')) {
+    group.repaired++;
+  }
+  for (const section of FINDING_SECTIONS) {
+    if (Array.isArray(analysis[section])) group.findings[section].push(analysis[section].length);
+  }
+  if (analysis._evidence_stats) {
+    group.evidence.total += analysis._evidence_stats.total || 0;
+    group.evidence.located += analysis._evidence_stats.located || 0;
+  }
+  for (const model of analysis._analysis_models || []) {
+    const key = model || 'unknown';
+    group.models[key] = (group.models[key] || 0) + 1;
+  }
+}
+
+function summarize(group) {
+  return {
+    version: group.version,
+    variants: group.variants,
+    analyses: group.analyses,
+    parse_failure_rate: rate(group.parse_failures, group.analyses),
+    validation_pass_rate: rate(group.validation_passed, group.validated),
+    avg_missing_sections: mean(group.missing_sections),
+    repair_rate: rate(group.repaired, group.analyses),
+    avg_attempts: mean(group.attempts),
+    avg_findings: Object.fromEntries(FINDING_SECTIONS.map(s => [s, mean(group.findings[s])])),
+    evidence_located_rate: rate(group.evidence.located, group.evidence.total),
+    models: group.models
+  };
+}
+
+/**
+ * Outcome metrics per version of one prompt.
+ * @param {Array<Object>} rows - report_analyses rows ({ analysis }) or bare analyses
+ * @param {string} name - Prompt name, e.g. 'credit-report-analysis'
+ * @returns {{ prompt: string, analyses: number, unversioned: number, versions: Array<Object> }}
+ */
+function comparePromptVersions(rows, name) {
+  const groups = new Map();
+  let unversioned = 0;
+  let matched = 0;
+
+  for (const row of rows || []) {
+    const analysis = row && row.analysis ? unwrapAnalysis(row).analysis : row;
+    if (!analysis || typeof analysis !== 'object') continue;
+    const entry = (analysis._prompt_versions || []).find(p => p && p.name === name);
+    if (!entry) {
+      unversioned++;
+      continue;
+    }
+    matched++;
+    if (!groups.has(entry.version)) groups.set(entry.version, newGroup(entry.version));
+    record(groups.get(entry.version), analysis, entry);
+  }
+
+  return {
+    prompt: name,
+    analyses: matched,
+    unversioned,
+    versions: [...groups.values()].map(summarize).sort((a, b) => a.version.localeCompare(b.version))
+  };
+}
+
+module.exports = { comparePromptVersions, FINDING_SECTIONS };
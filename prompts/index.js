@@ -0,0 +1,140 @@
+// Prompt registry. Each prompt has versioned templates at prompts/<name>/<version>.txt
+// and an entry in prompts/registry.json naming the active version, its variables and,
+// optionally, a candidate version that receives a percentage of traffic.
+//
+// Templates use {{variable}} placeholders. Callers record `promptVersion(rendered)` with
+// whatever the prompt produced so versions can be compared offline (prompts/compare.js).
+//
+// PROMPT_CANDIDATE_<NAME>=<version>:<percent> overrides the registry's candidate, e.g.
+// PROMPT_CANDIDATE_CREDIT_REPORT_ANALYSIS=v2:10; PROMPT_CANDIDATE_<NAME>=off disables it.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPTS_DIR = __dirname;
+const REGISTRY = require('./registry.json');
+const PLACEHOLDER_RE = /\{\{\s*([a-z0-9_]+)\s*\}\}/gi;
+
+const templates = new Map();
+
+function entryFor(name) {
+  const entry = REGISTRY[name];
+  if (!entry) throw new Error(`Unknown prompt: ${name}`);
+  return entry;
+}
+
+/**
+ * A prompt version's template and declared variables. Defaults to the active version.
+ * @returns {{ name: string, version: string, description: string, variables: string[], template: string }}
+ */
+function getPrompt(name, version = null) {
+  const entry = entryFor(name);
+  const id = version || entry.active;
+  const meta = entry.versions[id];
+  if (!meta) throw new Error(`Unknown version ${id} for prompt ${name}`);
+
+  const key = `${name}@${id}`;
+  if (!templates.has(key)) {
+    const file = path.join(PROMPTS_DIR, name, `${id}.txt`);
+    templates.set(key, fs.readFileSync(file, 'utf8').replace(/\s+$/, ''));
+  }
+  return { name, version: id, description: entry.description, variables: meta.variables || [], template: templates.get(key) };
+}
+
+function envKey(name) {
+  return `PROMPT_CANDIDATE_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * The candidate version and its traffic share, with the environment override applied.
+ * @returns {{ version: string, percent: number } | null}
+ */
+function candidateFor(name, env = process.env) {
+  const entry = entryFor(name);
+  const override = env[envKey(name)];
+  let version = entry.candidate;
+  let percent = entry.candidate_percent || 0;
+  if (override) {
+    if (override === 'off') return null;
+    const [id, share] = override.split(':');
+    version = id;
+    percent = share === undefined ? 100 : Number(share);
+  }
+  if (!version || version === entry.active || !entry.versions[version]) return null;
+  percent = Math.max(0, Math.min(100, Number(percent) || 0));
+  return percent > 0 ? { version, percent } : null;
+}
+
+// Stable 0-99 bucket for a key, so the same user or document keeps its variant
+function bucket(name, key) {
+  if (key === undefined || key === null || key === '') return Math.floor(Math.random() * 100);
+  const hash = crypto.createHash('sha256').update(`${name}:${key}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Pick the version for one request: the candidate for its share of traffic, else the active version.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} [options.key] - Assignment key (user id, document hash); random when omitted
+ * @param {Object} [options.env]
+ * @returns {{ version: string, variant: 'active'|'candidate' }}
+ */
+function selectVersion(name, { key, env = process.env } = {}) {
+  const entry = entryFor(name);
+  const candidate = candidateFor(name, env);
+  if (candidate && bucket(name, key) < candidate.percent) {
+    return { version: candidate.version, variant: 'candidate' };
+  }
+  return { version: entry.active, variant: 'active' };
+}
+
+/**
+ * Fill a prompt's template. Every declared variable must be provided.
+ * @param {string} name
+ * @param {Object} [variables]
+ * @param {Object} [options] - { key, env } for A/B selection, or { version } to pin one
+ * @returns {{ name: string, version: string, variant: string, text: string }}
+ */
+function renderPrompt(name, variables = {}, options = {}) {
+  const selected = options.version
+    ? { version: options.version, variant: options.version === entryFor(name).active ? 'active' : 'pinned' }
+    : selectVersion(name, options);
+  const prompt = getPrompt(name, selected.version);
+
+  const missing = prompt.variables.filter(v => variables[v] === undefined || variables[v] === null);
+  if (missing.length) throw new Error(`Prompt ${name}@${prompt.version} is missing variables: ${missing.join(', ')}`);
+
+  const text = prompt.template.replace(PLACEHOLDER_RE, (match, variable) => (
+    variables[variable] === undefined ? match : String(variables[variable])
+  ));
+  return { name, version: prompt.version, variant: selected.variant, text };
+}
+
+/**
+ * The metadata stored with results: { name, version, variant }.
+ */
+function promptVersion(rendered) {
+  return { name: rendered.name, version: rendered.version, variant: rendered.variant };
+}
+
+/**
+ * Every registered prompt with its versions and current rollout.
+ */
+function listPrompts(env = process.env) {
+  return Object.entries(REGISTRY).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    active: entry.active,
+    candidate: candidateFor(name, env),
+    versions: Object.entries(entry.versions).map(([version, meta]) => ({ version, ...meta }))
+  }));
+}
+
+module.exports = {
+  getPrompt,
+  selectVersion,
+  renderPrompt,
+  promptVersion,
+  listPrompts
+};
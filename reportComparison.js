@@ -0,0 +1,128 @@
+const { DynamicTool } = require('@langchain/core/tools');
+const { compareReports, detectBureau } = require('./utils/bureauCompare');
+
+const MIN_REPORTS = 2;
+const MAX_REPORTS = 3;
+
+const ANALYSIS_COLUMNS = 'id, file_path, file_name, processed_at, analysis, extracted_text';
+
+// Rows saved by the report agent keep the full analysis as a JSON string in detailed_analysis
+function unwrapAnalysis(row) {
+  const analysis = row.analysis;
+  if (analysis && typeof analysis.detailed_analysis === 'string') {
+    try {
+      const parsed = JSON.parse(analysis.detailed_analysis);
+      if (parsed && typeof parsed === 'object') return { ...row, analysis: parsed };
+    } catch (e) {
+      // Plain-text detailed analysis; use the row as stored
+    }
+  }
+  return row;
+}
+
+/**
+ * Load the analyses to compare. Explicit ids or file paths win; otherwise the most
+ * recent analysis for each bureau is used.
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {{ analysisIds?: string[], filePaths?: string[] }} [selection]
+ * @returns {Promise<{ rows?: Object[], error?: string, status?: number }>}
+ */
+async function loadReportsForComparison(supabase, userId, { analysisIds, filePaths } = {}) {
+  const requested = (analysisIds && analysisIds.length) ? analysisIds : filePaths;
+  if (requested && (requested.length < MIN_REPORTS || requested.length > MAX_REPORTS)) {
+    return { error: `Provide ${MIN_REPORTS} to ${MAX_REPORTS} reports to compare`, status: 400 };
+  }
+
+  let query = supabase.from('report_analyses').select(ANALYSIS_COLUMNS).eq('user_id', userId);
+  if (analysisIds && analysisIds.length) query = query.in('id', analysisIds);
+  else if (filePaths && filePaths.length) query = query.in('file_path', filePaths);
+  const { data, error } = await query.order('processed_at', { ascending: false }).limit(requested ? 20 : 50);
+  if (error) return { error: error.message, status: 500 };
+
+  const analyzed = (data || []).filter(r => r.analysis).map(unwrapAnalysis);
+
+  if (requested) {
+    const key = (analysisIds && analysisIds.length) ? 'id' : 'file_path';
+    // Latest analysis per requested id/path, in the order requested
+    const rows = requested.map(value => analyzed.find(r => r[key] === value)).filter(Boolean);
+    if (rows.length !== requested.length) {
+      const missing = requested.filter(value => !analyzed.some(r => r[key] === value));
+      return { error: `No completed analysis found for: ${missing.join(', ')}`, status: 404 };
+    }
+    return { rows };
+  }
+
+  const latestByBureau = new Map();
+  for (const row of analyzed) {
+    const bureau = detectBureau(row);
+    if (bureau && !latestByBureau.has(bureau)) latestByBureau.set(bureau, { ...row, bureau });
+  }
+  const rows = [...latestByBureau.values()];
+  if (rows.length < MIN_REPORTS) {
+    return { error: `Need analyzed reports from at least ${MIN_REPORTS} bureaus to compare; found ${rows.length}`, status: 400 };
+  }
+  return { rows };
+}
+
+/**
+ * Load and compare a user's bureau reports.
+ * @returns {Promise<{ comparison?: Object, error?: string, status?: number }>}
+ */
+async function compareUserReports(supabase, userId, selection = {}) {
+  const { rows, error, status } = await loadReportsForComparison(supabase, userId, selection);
+  if (error) return { error, status };
+  return { comparison: compareReports(rows) };
+}
+
+// Short chat-friendly rendering of a comparison
+function formatComparison(comparison) {
+  const { reports, discrepancies, summary } = comparison;
+  const order = { high: 0, medium: 1, low: 2 };
+  const top = [...discrepancies].sort((a, b) => order[a.severity] - order[b.severity]).slice(0, 15);
+  let text = `🔎 **Cross-Bureau Comparison** (${reports.map(r => r.label).join(' vs ')})\n\n`;
+  text += `${summary.total_accounts} accounts, ${summary.matched_on_all} reported by every bureau, ${summary.single_bureau_accounts} on only one.\n`;
+  text += `${summary.total_discrepancies} discrepancies (${summary.high_severity} high severity).\n\n`;
+  if (top.length) {
+    text += top.map((d, i) => `${i + 1}. ${d.severity === 'high' ? '🚨' : '⚠️'} ${d.description}`).join('\n');
+    if (discrepancies.length > top.length) text += `\n…and ${discrepancies.length - top.length} more.`;
+    text += `\n\n✅ Inconsistent reporting across bureaus is strong grounds for an FCRA accuracy dispute (15 U.S.C. § 1681e(b)).`;
+  } else {
+    text += '✅ The bureaus report these accounts consistently.';
+  }
+  return text;
+}
+
+/**
+ * Tool the report agent uses to compare bureau reports. Input may be empty (latest
+ * report per bureau) or JSON with analysisIds or filePaths.
+ */
+function createCompareReportsTool(supabase, userId) {
+  return new DynamicTool({
+    name: 'compare_bureau_reports',
+    description: 'Compare the user\'s Equifax, Experian and TransUnion reports and list accounts that differ between bureaus or appear on only one. Input: optional JSON {"analysisIds": [...]} or {"filePaths": [...]}',
+    func: async (input) => {
+      let selection = {};
+      if (input && input.trim().startsWith('{')) {
+        try {
+          selection = JSON.parse(input);
+        } catch (e) {
+          return 'Invalid input: expected JSON with analysisIds or filePaths.';
+        }
+      }
+      const { comparison, error } = await compareUserReports(supabase, userId, selection);
+      if (error) return `Unable to compare reports: ${error}`;
+      return formatComparison(comparison);
+    }
+  });
+}
+
+module.exports = {
+  compareUserReports,
+  unwrapAnalysis,
+  loadReportsForComparison,
+  formatComparison,
+  createCompareReportsTool,
+  MIN_REPORTS,
+  MAX_REPORTS
+};
@@ -0,0 +1,88 @@
+const { detectBureau } = require('./utils/bureauCompare');
+const { diffAnalyses } = require('./utils/analysisDiff');
+const { unwrapAnalysis } = require('./reportComparison');
+
+const ANALYSIS_COLUMNS = 'id, file_path, file_name, processed_at, analysis, extracted_text';
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const diffUrl = (fromId, toId) => `/api/report/diff?from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`;
+
+async function loadAnalysisRow(supabase, userId, id) {
+  if (!UUID_RE.test(String(id))) return { row: null };
+  const { data, error } = await supabase.from('report_analyses').select(ANALYSIS_COLUMNS)
+    .eq('user_id', userId).eq('id', id).limit(1);
+  if (error) return { error: error.message };
+  const row = data && data[0];
+  return { row: row && row.analysis ? unwrapAnalysis(row) : null };
+}
+
+/**
+ * Most recent earlier analysis of a report from the same bureau.
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {Object} row - report_analyses row (extracted_text helps bureau detection)
+ * @returns {Promise<Object|null>}
+ */
+async function findPreviousCounterpart(supabase, userId, row) {
+  const bureau = detectBureau(row);
+  if (!bureau) return null;
+  let query = supabase.from('report_analyses').select(ANALYSIS_COLUMNS).eq('user_id', userId);
+  if (row.processed_at) query = query.lt('processed_at', row.processed_at);
+  const { data, error } = await query.order('processed_at', { ascending: false }).limit(50);
+  if (error || !data) return null;
+  const previous = data.find(r => r.id !== row.id && r.analysis && r.file_path !== row.file_path && detectBureau(r) === bureau);
+  return previous ? { ...unwrapAnalysis(previous), bureau } : null;
+}
+
+/**
+ * Diff two of a user's analyses. Without `from`, the previous report from the
+ * same bureau as `to` is used.
+ * @returns {Promise<{ diff?: Object, error?: string, status?: number }>}
+ */
+async function diffUserReports(supabase, userId, { from, to }) {
+  const target = await loadAnalysisRow(supabase, userId, to);
+  if (target.error) return { error: target.error, status: 500 };
+  if (!target.row) return { error: `No completed analysis found for: ${to}`, status: 404 };
+
+  let previous;
+  if (from) {
+    const loaded = await loadAnalysisRow(supabase, userId, from);
+    if (loaded.error) return { error: loaded.error, status: 500 };
+    if (!loaded.row) return { error: `No completed analysis found for: ${from}`, status: 404 };
+    previous = loaded.row;
+  } else {
+    previous = await findPreviousCounterpart(supabase, userId, target.row);
+    if (!previous) return { error: 'No earlier report from the same bureau to compare against', status: 404 };
+  }
+
+  const bureau = detectBureau(target.row);
+  return { diff: diffAnalyses({ ...previous, bureau: detectBureau(previous) }, { ...target.row, bureau }) };
+}
+
+/**
+ * After a report is analyzed, tell the user how it differs from their previous
+ * report from the same bureau (socket event `report-diff-available`).
+ * @returns {Promise<Object|null>} The diff summary, or null when there is no counterpart
+ */
+async function notifyReportDiff(supabase, userId, row) {
+  if (!supabase || !userId || !row || !row.id) return null;
+  const previous = await findPreviousCounterpart(supabase, userId, row);
+  if (!previous) return null;
+
+  const bureau = detectBureau(row);
+  const diff = diffAnalyses(previous, { ...row, bureau });
+  if (global.emitToUser) {
+    global.emitToUser(userId, 'report-diff-available', {
+      analysisId: row.id,
+      previousAnalysisId: previous.id,
+      bureau,
+      previousProcessedAt: previous.processed_at,
+      summary: diff.summary,
+      diffUrl: diffUrl(previous.id, row.id),
+      timestamp: new Date().toISOString()
+    });
+  }
+  return diff.summary;
+}
+
+module.exports = { diffUserReports, findPreviousCounterpart, notifyReportDiff, diffUrl };
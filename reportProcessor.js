@@ -5,33 +5,27 @@ const path = require('path');
 const axios = require('axios');
 const pdfParse = require('pdf-parse');
 const { Mistral } = require('@mistralai/mistralai');
-
-// Initialize Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const { annotateEvidence } = require('./utils/evidenceLocator');
+const { applyRules } = require('./utils/reportRules');
+const { checkValidationNotice, locateComplianceEvidence } = require('./utils/regFCheck');
+const { validate } = require('./utils/ajvValidate');
+const { chunkReport, splitSections, describePages, SECTION_LABELS } = require('./utils/reportSections');
+const { mergeAnalyses } = require('./utils/analysisMerge');
+const { parseCreditReport, applyParsedReport } = require('./parsers');
+
+// Initialize Supabase client (absent in offline runs such as the eval harness)
+const supabase = process.env.SUPABASE_URL
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY)
+  : null;
 
 // Initialize Mistral client for OCR
 const mistral = new Mistral({
   apiKey: process.env.MISTRAL_API_KEY,
 });
 
-let chatWithFallback;
-try {
-  chatWithFallback = require('./temp/aiUtils').chatWithFallback;
-} catch (error) {
-  console.warn('Failed to load ./temp/aiUtils, trying ./aiUtils:', error.message);
-  try {
-    chatWithFallback = require('./aiUtils').chatWithFallback;
-  } catch (fallbackError) {
-    console.error('Failed to load aiUtils from both locations:', fallbackError.message);
-    // Provide a minimal fallback function
-    chatWithFallback = async (messages) => {
-      throw new Error('AI utilities not available - check aiUtils.js file');
-    };
-  }
-}
+// Model calls go through the LLM gateway with a task per kind of call
+const llm = require('./llm');
+const { renderPrompt, promptVersion } = require('./prompts');
 
 /**
  * Download file from Supabase storage
@@ -39,6 +33,7 @@ try {
  * @returns {Promise<Buffer>} - File buffer
  */
 async function downloadFromStorage(filePath) {
+  if (!supabase) throw new Error('Supabase client not initialized');
   try {
     // Try buckets in order of likelihood based on actual structure
     const buckets = ['users-file-storage', 'credit-reports', 'uploads', 'documents'];
@@ -191,10 +186,10 @@ async function classifyDocumentType(text) {
   // Fallback to LLM few-shot classification
   try {
     const system = `You are a document classifier. Return ONLY one token indicating document type from: credit-report, debt-letter, cfpb-complaint, other`;
-    const { response } = await chatWithFallback([
+    const { response } = await llm.chat([
       new SystemMessage(system),
       new HumanMessage("Classify this document and return only the type token (no extra text):\n\n" + (text.substring(0, 2000)))
-    ]);
+    ], { task: 'routing' });
     const txt = (response.content || response).trim().toLowerCase();
     if (txt.includes('credit')) return 'credit-report';
     if (txt.includes('debt')) return 'debt-letter';
@@ -209,55 +204,47 @@ async function classifyDocumentType(text) {
 /**
  * Analyze debt collection letters for key fields using an LLM and validate output
  */
-async function analyzeDebtLetter(text) {
-  const systemPrompt = `You are an expert at reading debt collection letters and extracting structured data. Return ONLY JSON matching the debt-letter schema. Include creditor_name, date_received (YYYY-MM-DD if possible), account_id_masked, balance_claimed, validation_notice_present (boolean), validation_notice_text (string if present), evidence (array of quotes), recommended_actions (array of strings), severity (low|medium|high).`;
+async function analyzeDebtLetter(text, options = {}) {
+  const prompt = renderPrompt('debt-letter-extraction', {}, { key: options.promptKey || text });
+  const systemPrompt = prompt.text;
+  // Regulation F checks read the letter itself, so they run even when the model fails
+  const checkRegF = (fields) => checkValidationNotice(text, { ...options, fields });
 
   try {
-    const { response } = await chatWithFallback([
+    // reg_f_compliance is filled from the letter text below, so the model does not see it
+    const result = await llm.chatStructured([
       new SystemMessage(systemPrompt),
       new HumanMessage(`Extract from this document:
 \n${text.substring(0, 80000)}`)
-    ]);
-
-    let analysisText = (response.content || response) ? String(response.content || response).trim() : '';
-    analysisText = analysisText.replace(/```json\n?|\n?```/g, '').trim();
-
-    let parsed = null;
-    try { parsed = JSON.parse(analysisText); } catch (err) {
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) parsed = JSON.parse(jsonMatch[0]);
-    }
+    ], { task: 'extraction', schema: 'debt-letter.schema.json', omit: ['reg_f_compliance'], promptKey: options.promptKey || text });
+    const promptVersions = [promptVersion(prompt), ...result.prompts];
 
-    // Validate against debt-letter schema
-    const { validate } = require('./utils/ajvValidate');
+    const parsed = result.data;
     if (parsed) {
+      parsed.reg_f_compliance = checkRegF(parsed);
       const { valid, errors } = validate('debt-letter.schema.json', parsed);
       parsed._validation = { valid, errors };
+      parsed._repair_trace = result.trace;
+      parsed._prompt_versions = promptVersions;
       return parsed;
     }
 
-    return { summary: analysisText, _validation: { valid: false, errors: ['Parsing failed'] } };
+    return { summary: result.raw, reg_f_compliance: checkRegF({}), _validation: { valid: false, errors: result.errors }, _repair_trace: result.trace, _prompt_versions: promptVersions };
   } catch (error) {
     console.error('Error analyzing debt letter:', error.message);
-    return { summary: 'Analysis failed', error: error.message };
+    return { summary: 'Analysis failed', reg_f_compliance: checkRegF({}), error: error.message };
   }
 }
 
 async function analyzeGenericDocument(text) {
   const systemPrompt = `You are a consumer law analyst. Given this document, return JSON with keys: summary, issues (array of {type, description, evidence}), recommended_actions (array of strings). Return ONLY JSON.`;
   try {
-    const { response } = await chatWithFallback([
+    const result = await llm.chatStructured([
       new SystemMessage(systemPrompt),
       new HumanMessage(`Analyze this document:\n\n${text.substring(0, 80000)}`)
-    ]);
-    let analysisText = (response.content || response) ? String(response.content || response).trim() : '';
-    analysisText = analysisText.replace(/```json\n?|\n?```/g, '').trim();
-    let parsed = null;
-    try { parsed = JSON.parse(analysisText); } catch (err) {
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) parsed = JSON.parse(jsonMatch[0]);
-    }
-    return parsed || { summary: analysisText };
+    ], { task: 'extraction', schema: 'generic-document.schema.json' });
+    if (!result.data) return { summary: result.raw, _repair_trace: result.trace };
+    return { ...result.data, _validation: { valid: result.valid, errors: result.errors }, _repair_trace: result.trace };
   } catch (err) {
     console.error('Generic analysis error:', err.message);
     return { summary: 'Analysis failed', error: err.message };
@@ -288,7 +275,7 @@ async function processDocument(filePath, userId = null) {
 
     let analysis = null;
     if (docType === 'credit-report') {
-      analysis = await analyzeText(extractedText);
+      analysis = await analyzeText(extractedText, { ocrPages });
     } else if (docType === 'debt-letter') {
       analysis = await analyzeDebtLetter(extractedText);
     } else if (docType === 'cfpb-complaint') {
@@ -297,6 +284,22 @@ async function processDocument(filePath, userId = null) {
       analysis = await analyzeGenericDocument(extractedText);
     }
 
+    // Deterministic checks (reporting periods, duplicates, dates) merged into fcra_violations
+    if (docType === 'credit-report' && analysis && !analysis.error) {
+      applyRules(analysis);
+      console.log('📏 Rule-based findings:', analysis._rules.findings);
+    }
+
+    // Resolve evidence quotes to OCR page positions so findings link back to the PDF
+    if (docType === 'credit-report' && ocrPages && analysis) {
+      annotateEvidence(analysis, ocrPages);
+      console.log('📍 Evidence located:', analysis._evidence_stats);
+    }
+    if (docType === 'debt-letter' && analysis && analysis.reg_f_compliance) {
+      if (ocrPages) locateComplianceEvidence(analysis.reg_f_compliance, ocrPages);
+      console.log('📋 Regulation F check:', analysis.reg_f_compliance.summary);
+    }
+
     return {
       filePath,
       extractedText,
@@ -398,12 +401,90 @@ async function classifyWithEmbeddings(text, k = 5, minScore = 0.7) {
   }
 }
 
+const REQUIRED_SECTIONS = ['personal_info_issues', 'account_issues', 'collection_accounts', 'inquiries', 'fcra_violations', 'overall_assessment', 'dispute_letters_needed'];
+
+// Reports longer than this are analyzed section by section (see analyzeInSections)
+const SINGLE_PASS_CHARS = parseInt(process.env.ANALYSIS_SINGLE_PASS_CHARS, 10) || 80000;
+const CHUNK_CHARS = parseInt(process.env.ANALYSIS_CHUNK_CHARS, 10) || 30000;
+const CHUNK_CONCURRENCY = parseInt(process.env.ANALYSIS_CHUNK_CONCURRENCY, 10) || 3;
+
+// Required analysis sections that are absent or empty
+function missingSections(analysis) {
+  return REQUIRED_SECTIONS.filter(k => {
+    const v = analysis[k];
+    if (!v) return true;
+    if (Array.isArray(v)) return v.length === 0;
+    if (typeof v === 'object') return Object.keys(v).length === 0;
+    return false;
+  });
+}
+
+// Defaults so downstream code can rely on every section (a failed repair can leave gaps)
+function withDefaultSections(parsed) {
+  parsed.summary = parsed.summary || 'Analysis completed';
+  parsed.personal_info_issues = parsed.personal_info_issues || [];
+  parsed.account_issues = parsed.account_issues || [];
+  parsed.collection_accounts = parsed.collection_accounts || [];
+  parsed.inquiries = parsed.inquiries || [];
+  parsed.fcra_violations = parsed.fcra_violations || [];
+  parsed.overall_assessment = parsed.overall_assessment || {
+    credit_score_impact: 'unknown',
+    total_accounts_affected: 0,
+    total_violations_found: 0,
+    overall_risk_level: 'unknown',
+    priority_actions: []
+  };
+  parsed.dispute_letters_needed = parsed.dispute_letters_needed || [];
+  parsed._missing_sections = missingSections(parsed);
+
+  console.log('📊 Field Counts: personal_info=' + parsed.personal_info_issues.length + ' account_issues=' + parsed.account_issues.length + ' inquiries=' + parsed.inquiries.length + ' collections=' + parsed.collection_accounts.length + ' fcra=' + parsed.fcra_violations.length + ' disputes=' + parsed.dispute_letters_needed.length);
+  return parsed;
+}
+
+// Empty analysis returned when no model output could be used
+function emptyAnalysis(summary, extra = {}) {
+  return {
+    summary,
+    personal_info_issues: [],
+    account_issues: [],
+    collection_accounts: [],
+    inquiries: [],
+    fcra_violations: [],
+    overall_assessment: {
+      credit_score_impact: "unknown",
+      total_accounts_affected: 0,
+      total_violations_found: 0,
+      overall_risk_level: "unknown",
+      priority_actions: []
+    },
+    dispute_letters_needed: [],
+    ...extra
+  };
+}
+
+// Like Promise.all over items, with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
 /**
  * Analyze extracted text for errors and violations using LLM(s) (prefer Mistral)
  * @param {string} text - Extracted text
- * @returns {Promise<Object>} - Structured analysis
+ * @param {Object} [options]
+ * @param {string} [options.promptKey] - Assignment key for prompt A/B tests (defaults to the text)
+ * @param {Array<Object>} [options.ocrPages] - OCR pages, used to split long reports by section
+ * @returns {Promise<Object>} - Structured analysis; `tradelines` and `_parser` when a bureau layout was parsed
  */
-async function analyzeText(text) {
+async function analyzeText(text, options = {}) {
   // Handle empty or very short text
   if (!text || text.trim().length < 50) {
     return {
@@ -419,312 +500,201 @@ async function analyzeText(text) {
     };
   }
 
-  // Truncate text to fit within AI token limits (approx 100k characters for 128k tokens)
-  const maxLength = 80000;
-  const truncatedText = text.length > maxLength ? 
-    text.substring(0, maxLength) + '\n\n[Text truncated for analysis due to length...]' : 
-    text;
-  
-  console.log(`Analyzing text of length: ${truncatedText.length} characters (original: ${text.length})`);
-
-  const systemPrompt = `You are a credit report analysis expert. Analyze this ENTIRE credit report text and return ONLY a JSON object.
-
-CRITICAL ANALYSIS REQUIREMENTS:
-1. PERSONAL INFO: List ALL names, addresses, SSNs, DOBs found. If multiple versions exist, flag as identity issues.
-2. COLLECTION ACCOUNTS: Identify ANY account marked as "collection", "charged off", "sent to collections", or with collection agency names.
-3. INQUIRIES: Count and categorize ALL inquiries as hard pulls vs soft pulls. Show exact counts.
-4. ACCOUNT DETAILS: Extract complete info for EVERY account (name, number, balance, status, payment history).
-5. VIOLATIONS: Identify specific FCRA/FDCPA violations with exact evidence quotes.
-
-Extract and analyze ALL information including:
-- Every account name, number, creditor, balance, status
-- All collection agencies and their contact information  
-- All personal information (names, addresses, SSN, DOB)
-- All inquiries with dates and purposes
-- All violations and errors
-
-Return ONLY this JSON structure:
-{
-  "summary": "Comprehensive summary highlighting key issues and total counts",
-  "personal_info_analysis": {
-    "names_found": ["List every name variation found"],
-    "addresses_found": ["List every address found"],
-    "ssn_variations": ["List any SSN variations"],
-    "dob_variations": ["List any DOB variations"],
-    "identity_issues": [
-      {"type": "multiple_names|multiple_addresses|ssn_mismatch|dob_mismatch", "description": "Details", "evidence": "Exact quote", "severity": "high/medium/low"}
-    ]
-  },
-  "inquiry_analysis": {
-    "total_hard_pulls": 0,
-    "total_soft_pulls": 0,
-    "hard_pull_details": [
-      {"creditor_name": "Name", "date": "Date", "purpose": "Purpose", "evidence": "Quote"}
-    ],
-    "soft_pull_details": [
-      {"creditor_name": "Name", "date": "Date", "purpose": "Purpose", "evidence": "Quote"}
-    ],
-    "inquiry_issues": [
-      {"issue_type": "too_many_hard_pulls|unauthorized_inquiry|old_inquiry", "description": "Details", "evidence": "Quote", "severity": "high/medium/low"}
-    ]
-  },
-  "collection_accounts_analysis": {
-    "total_collections_found": 0,
-    "collection_accounts": [
-      {
-        "original_creditor": "Original creditor name",
-        "collection_agency": "Collection agency name and contact info",
-        "account_number": "Full or partial account number",
-        "original_balance": "Original amount owed",
-        "current_balance": "Current balance",
-        "date_opened": "Date account opened",
-        "date_of_first_delinquency": "DOFD if available",
-        "status": "Current status (collection, charged off, etc.)",
-        "payment_history": "Payment history details",
-        "fdcpa_violations": [
-          {"violation": "Specific FDCPA violation", "evidence": "Quote", "severity": "high/medium/low"}
-        ],
-        "fcra_violations": [
-          {"violation": "Specific FCRA violation", "evidence": "Quote", "severity": "high/medium/low"}
-        ],
-        "recommended_action": "Specific action to take"
-      }
-    ]
-  },
-  "regular_accounts": [
-    {"account_name": "Creditor name", "account_number": "Number", "account_type": "Credit card/loan/etc", "status": "Status", "balance": "Balance", "credit_limit": "Limit", "payment_history": "History", "issues": ["List any issues"], "evidence": "Quotes"}
-  ],
-  "fcra_violations": [
-    {
-      "violation_type": "inaccurate_reporting|outdated_info|unverified_info|mixed_files|etc",
-      "description": "Detailed violation description",
-      "affected_accounts": ["List of affected account names"],
-      "evidence": "Exact quotes from report",
-      "cra_responsible": "Equifax/Experian/TransUnion if identifiable",
-      "severity": "high/medium/low",
-      "dispute_strategy": "How to dispute this violation"
-    }
-  ],
-  "overall_assessment": {
-    "total_accounts": 0,
-    "total_collections": 0,
-    "total_hard_inquiries": 0,
-    "total_soft_inquiries": 0,
-    "total_violations_found": 0,
-    "credit_score_impact": "high/medium/low negative impact",
-    "overall_risk_level": "clean/minor_issues/significant_issues/serious_violations",
-    "priority_actions": ["Top 3 most important actions to take immediately"]
-  },
-  "dispute_letters_needed": [
-    {
-      "type": "account_investigation|personal_info_correction|fcra_violation|fdpca_complaint",
-      "target": "CRA name or creditor name",
-      "accounts_involved": ["Account names"],
-      "evidence_needed": ["What evidence to include"],
-      "timeline": "How long to wait for response"
-    }
-  ]
+  // Bureau layouts the parsers recognize supply the tradelines; the model only reports findings on them
+  let report = null;
+  try {
+    report = parseCreditReport(text);
+  } catch (err) {
+    console.warn('⚠️ Credit report parser failed:', err.message);
+  }
+  if (!report) {
+    console.log('🧾 No bureau layout recognized; tradelines come from the AI analysis');
+    return text.length > SINGLE_PASS_CHARS
+      ? analyzeInSections(text, options)
+      : analyzeSinglePass(text, options);
+  }
+
+  const analysis = await analyzeParsedReport(text, report, options);
+  applyParsedReport(analysis, report);
+  analysis._missing_sections = missingSections(analysis);
+  // Validate what is returned, not the model reply the parsed data was merged into
+  const validation = validate('analysis.schema.json', analysis);
+  analysis._validation = { valid: validation.valid, errors: validation.errors };
+  console.log(`🧾 Parsed ${report.layout} layout (${report.bureau || 'unknown bureau'}):`, analysis._parser);
+  return analysis;
 }
 
-IMPORTANT INSTRUCTIONS:
-- Count EVERY inquiry and categorize as hard/soft pull based on context
-- Identify ALL collection accounts even if not explicitly labeled (look for charged off, collection agency names, etc.)
-- List EVERY name/address variation found - multiple versions indicate identity issues
-- Extract complete account details including balances, limits, payment history
-- Provide exact quotes as evidence for every finding
-- Be thorough - analyze every section of the credit report
-- Return ONLY the JSON object with no additional text`;
+// Analysis from a structured model reply, or an empty analysis when it could not be parsed
+function structuredAnalysis(result, prompt) {
+  const parsed = result.data;
+  if (parsed) {
+    parsed._raw_response_snippet = result.raw.substring(0, 2000);
+    parsed._analysis_models = result.models;
+    parsed._prompt_versions = [promptVersion(prompt), ...result.prompts];
+    parsed._validation = { valid: result.valid, errors: result.errors };
+    parsed._repair_trace = result.trace;
+    return withDefaultSections(parsed);
+  }
 
-  try {
-      const { response, model: analysis_model } = await chatWithFallback([
-        new SystemMessage(systemPrompt),
-        new HumanMessage(`Analyze this credit report text:\n\n${truncatedText}`)
-      ]);
-
-      // Parse the JSON response and capture raw snippet + model
-      const analysisText = (response && (response.content || response)) ? String(response.content || response).trim() : '';
-      const rawSnippet = analysisText.substring(0, 2000);
-      console.log('🤖 AI Response received, length:', analysisText.length, 'chars');
-
-      // Remove markdown code blocks if present
-      let jsonText = analysisText.replace(/```json\n?|\n?```/g, '').trim();
-      
-      // Handle cases where JSON is wrapped in extra quotes or has escape characters
-      if (jsonText.startsWith('"') && jsonText.endsWith('"')) {
-        jsonText = jsonText.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
-      }
+  // Fallback: return a structured response wrapping raw AI output
+  return emptyAnalysis(result.raw.substring(0, 500) || "Analysis completed but parsing encountered issues", {
+    _prompt_versions: [promptVersion(prompt), ...result.prompts],
+    _validation: { valid: false, errors: result.errors },
+    _repair_trace: result.trace,
+    _parsing_failed: true
+  });
+}
 
-      let parsed = null;
-      try {
-        parsed = JSON.parse(jsonText);
-        console.log('✅ JSON parsed successfully');
-      } catch (parseError) {
-        console.error('❌ JSON parse error, trying to extract...');
-        const jsonMatch = jsonText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          try {
-            parsed = JSON.parse(jsonMatch[0]);
-            console.log('✅ JSON extracted and parsed');
-          } catch (secondParseError) {
-            console.error('❌ Cannot parse JSON:', secondParseError.message);
-          }
-        }
-      }
+// Report sections the parsers read, and the analysis sections rebuilt from them
+const PARSED_REPORT_SECTIONS = ['accounts', 'collections', 'inquiries'];
+const PARSED_ANALYSIS_SECTIONS = ['collection_accounts', 'inquiries'];
 
-      // If parsed, attempt to fill missing sections with one targeted follow-up prompt
-      if (parsed) {
-        // Annotate with metadata
-        parsed._raw_response_snippet = rawSnippet;
-        parsed._analysis_models = [analysis_model || null];
-
-        const fieldMap = {
-          'personalinfoanalysis': 'personal_info_issues',
-          'inquiryanalysis': 'inquiries',
-          'collectionaccountsanalysis': 'collection_accounts',
-          'regularaccounts': 'account_issues',
-          'overallassessment': 'overall_assessment',
-          'disputelettersneeded': 'dispute_letters_needed'
-        };
-        
-        for (const [camel, snake] of Object.entries(fieldMap)) {
-          if (parsed[camel] && !parsed[snake]) {
-            parsed[snake] = parsed[camel];
-            delete parsed[camel];
-          }
-        }
+/**
+ * Findings for a report a bureau parser recognized. The model gets the parsed tradelines
+ * as JSON in place of the account, collection and inquiry sections, plus the rest of the
+ * report text, and reports issues, violations and letters without extracting the accounts
+ * again. analyzeText then merges its reply with the parsed data (applyParsedReport).
+ * @param {string} text
+ * @param {Object} report - From parseCreditReport
+ * @param {Object} [options] - Same as analyzeText
+ * @returns {Promise<Object>}
+ */
+async function analyzeParsedReport(text, report, options = {}) {
+  const key = options.promptKey || text;
+  const rest = splitSections(text, options.ocrPages)
+    .filter(s => !PARSED_REPORT_SECTIONS.includes(s.section))
+    .map(s => s.text)
+    .join('\n\n');
+  // The normalized fields only; `raw` repeats them as printed
+  const tradelines = JSON.stringify({
+    accounts: report.accounts,
+    inquiries: report.inquiries,
+    public_records: report.public_records
+  }, (k, v) => (k === 'raw' || k === 'creditor_key' || v === null ? undefined : v), 2);
+  console.log(`🧾 Analyzing parsed ${report.layout} report: ${report.accounts.length} account(s), ${report.inquiries.length} inquiry(ies), ${rest.length} characters of other text`);
+
+  const prompt = renderPrompt('credit-report-findings', { bureau: report.bureau || 'bureau', layout: report.layout }, { key });
+  try {
+    const result = await llm.chatStructured([
+      new SystemMessage(prompt.text),
+      new HumanMessage(`Parsed tradelines:\n\n${tradelines}\n\nRest of the credit report text:\n\n${rest}`)
+    ], {
+      task: 'analysis',
+      schema: 'analysis.schema.json',
+      promptKey: key,
+      // Collections and inquiries come from the parser, so only findings sections get a repair round
+      check: (data) => missingSections(data)
+        .filter(section => !PARSED_ANALYSIS_SECTIONS.includes(section))
+        .map(section => `/${section} is empty. Re-check the parsed tradelines and the report text and fill it in if there are any; keep it [] only if there are none.`)
+    });
+    console.log('🤖 AI findings received after', result.attempts, 'attempt(s), valid:', result.valid);
+    return structuredAnalysis(result, prompt);
+  } catch (error) {
+    console.error('❌ Error analyzing parsed report:', error.message);
+    return emptyAnalysis("Analysis encountered a technical error. Please try again.", { _error: error.message });
+  }
+}
 
-        // Ensure all required fields exist (pre-merge defaults)
-        parsed.summary = parsed.summary || 'Analysis completed';
-        parsed.personal_info_issues = parsed.personal_info_issues || [];
-        parsed.account_issues = parsed.account_issues || [];
-        parsed.collection_accounts = parsed.collection_accounts || [];
-        parsed.inquiries = parsed.inquiries || [];
-        parsed.fcra_violations = parsed.fcra_violations || [];
-        parsed.overall_assessment = parsed.overall_assessment || {
-          credit_score_impact: 'unknown',
-          total_accounts_affected: 0,
-          total_violations_found: 0,
-          overall_risk_level: 'unknown',
-          priority_actions: []
-        };
-        parsed.dispute_letters_needed = parsed.dispute_letters_needed || [];
-
-        // Compute missing required sections
-        const required = ['personal_info_issues','account_issues','collection_accounts','inquiries','fcra_violations','overall_assessment','dispute_letters_needed'];
-        const missing = required.filter(k => {
-          const v = parsed[k];
-          if (!v) return true;
-          if (Array.isArray(v)) return v.length === 0;
-          if (typeof v === 'object') return Object.keys(v).length === 0;
-          return false;
-        });
-
-        parsed._missing_sections = missing;
-
-        // If some sections are missing, perform ONE targeted follow-up query to retrieve them
-        if (missing.length > 0) {
-          try {
-            console.log('🔁 Missing sections detected:', missing.join(', '), '- requesting targeted follow-up');
-            const followupPrompt = `The previous JSON response omitted or left empty the following sections: ${missing.join(', ')}. Return ONLY a JSON object containing these fields populated (use same field names as earlier response). Include evidence quotes where possible.`;
-            const { response: followResp, model: followModel } = await chatWithFallback([
-              new SystemMessage(systemPrompt),
-              new HumanMessage(followupPrompt + '\n\n' + truncatedText)
-            ]);
-
-            const followText = (followResp && (followResp.content || followResp)) ? String(followResp.content || followResp).trim() : '';
-            const followJsonText = followText.replace(/```json\n?|\n?```/g, '').trim();
-            let followParsed = null;
-            try { followParsed = JSON.parse(followJsonText); } catch (e) {
-              const m = followJsonText.match(/\{[\s\S]*\}/);
-              if (m) {
-                try { followParsed = JSON.parse(m[0]); } catch (e2) { followParsed = null; }
-              }
-            }
-
-            if (followParsed) {
-              // Normalize camelCase fields from follow-up and merge into parsed
-              for (const [camel, snake] of Object.entries(fieldMap)) {
-                if (followParsed[camel] && !followParsed[snake]) {
-                  followParsed[snake] = followParsed[camel];
-                  delete followParsed[camel];
-                }
-              }
-
-              for (const key of Object.keys(followParsed)) {
-                if (required.includes(key)) {
-                  // If originally empty, replace with follow-up result
-                  parsed[key] = followParsed[key] || parsed[key];
-                } else {
-                  parsed[key] = parsed[key] || followParsed[key];
-                }
-              }
-
-              parsed._analysis_models.push(followModel || null);
-              parsed._raw_response_snippet = (parsed._raw_response_snippet || '') + '\n\n[followup_snippet]\n' + followText.substring(0, 2000);
-
-              // Recompute missing sections
-              const missingAfter = required.filter(k => {
-                const v = parsed[k];
-                if (!v) return true;
-                if (Array.isArray(v)) return v.length === 0;
-                if (typeof v === 'object') return Object.keys(v).length === 0;
-                return false;
-              });
-              parsed._missing_sections = missingAfter;
-              console.log('🔍 After follow-up, missing sections:', parsed._missing_sections);
-            } else {
-              console.warn('⚠️ Follow-up parsing failed or returned no JSON');
-            }
-          } catch (err) {
-            console.warn('⚠️ Follow-up request failed:', err.message);
-          }
-        }
+// One model call over the whole report (with repair rounds)
+async function analyzeSinglePass(text, options = {}) {
+  console.log(`Analyzing text of length: ${text.length} characters`);
 
-        console.log('📊 Field Counts: personal_info=' + parsed.personal_info_issues.length + ' account_issues=' + parsed.account_issues.length + ' inquiries=' + parsed.inquiries.length + ' collections=' + parsed.collection_accounts.length + ' fcra=' + parsed.fcra_violations.length + ' disputes=' + parsed.dispute_letters_needed.length);
-        
-        return parsed;
-      }
+  // Versioned prompt from the registry; the document text is the A/B key so re-analyses keep their variant
+  const prompt = renderPrompt('credit-report-analysis', {}, { key: options.promptKey || text });
+  const systemPrompt = prompt.text;
 
-    // Fallback: return a structured response wrapping raw AI output
-    return {
-      summary: analysisText.substring(0, 500) || "Analysis completed but parsing encountered issues",
-      personal_info_issues: [],
-      account_issues: [],
-      collection_accounts: [],
-      inquiries: [],
-      fcra_violations: [],
-      overall_assessment: {
-        credit_score_impact: "unknown",
-        total_accounts_affected: 0,
-        total_violations_found: 0,
-        overall_risk_level: "unknown",
-        priority_actions: []
-      },
-      dispute_letters_needed: [],
-      _parsing_failed: true
-    };
+  try {
+    // Empty sections get one repair round asking the model to re-check the report
+    const result = await llm.chatStructured([
+      new SystemMessage(systemPrompt),
+      new HumanMessage(`Analyze this credit report text:\n\n${text}`)
+    ], {
+      task: 'analysis',
+      schema: 'analysis.schema.json',
+      promptKey: options.promptKey || text,
+      check: (data) => missingSections(data).map(section => `/${section} is empty. Re-check the whole report and fill it in if the report has any; keep it [] only if there are none.`)
+    });
+    console.log('🤖 AI analysis received after', result.attempts, 'attempt(s), valid:', result.valid);
+    return structuredAnalysis(result, prompt);
   } catch (error) {
     console.error('❌ Error analyzing text:', error.message);
-    return {
-      summary: "Analysis encountered a technical error. Please try again.",
-      personal_info_issues: [],
-      account_issues: [],
-      collection_accounts: [],
-      inquiries: [],
-      fcra_violations: [],
-      overall_assessment: {
-        credit_score_impact: "unknown",
-        total_accounts_affected: 0,
-        total_violations_found: 0,
-        overall_risk_level: "unknown",
-        priority_actions: []
-      },
-      dispute_letters_needed: [],
-      _error: error.message
-    };
+    return emptyAnalysis("Analysis encountered a technical error. Please try again.", { _error: error.message });
   }
 }
 
+/**
+ * Map-reduce analysis for reports too long for one call: the report is split by section
+ * (personal info, accounts, collections, public records, inquiries), each chunk is
+ * analyzed with bounded concurrency, and the results are merged with duplicate accounts
+ * and findings folded together. A chunk that fails is recorded in `_chunks` and the
+ * rest of the report is still returned.
+ * @param {string} text
+ * @param {Object} [options] - Same as analyzeText
+ * @returns {Promise<Object>}
+ */
+async function analyzeInSections(text, options = {}) {
+  const chunks = chunkReport(text, options.ocrPages, { maxChars: CHUNK_CHARS });
+  const key = options.promptKey || text;
+  console.log(`🧩 Analyzing ${text.length} characters in ${chunks.length} chunk(s) by section (concurrency ${CHUNK_CONCURRENCY})`);
+
+  const prompt = renderPrompt('credit-report-analysis', {}, { key });
+  const results = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk) => {
+    const pages = describePages(chunk.pages);
+    const part = renderPrompt('credit-report-chunk', {
+      part: chunk.index + 1,
+      parts: chunks.length,
+      pages: pages ? ` (${pages})` : '',
+      sections: chunk.sections.map(s => SECTION_LABELS[s] || s).join(', ')
+    }, { key });
+    try {
+      const result = await llm.chatStructured([
+        new SystemMessage(prompt.text),
+        new HumanMessage(`${part.text}\n\nAnalyze this credit report text:\n\n${chunk.text}`)
+      ], { task: 'analysis', schema: 'analysis.schema.json', promptKey: key });
+      console.log(`🧩 Chunk ${chunk.index + 1}/${chunks.length} (${chunk.sections.join(', ')}) analyzed after ${result.attempts} attempt(s), valid: ${result.valid}`);
+      return { chunk, part, result };
+    } catch (error) {
+      console.error(`❌ Chunk ${chunk.index + 1}/${chunks.length} failed:`, error.message);
+      return { chunk, part, error };
+    }
+  });
+
+  const chunkInfo = results.map(({ chunk, result, error }) => ({
+    index: chunk.index,
+    sections: chunk.sections,
+    pages: chunk.pages,
+    chars: chunk.text.length,
+    attempts: result ? result.attempts : 0,
+    valid: result ? result.valid : false,
+    error: error ? error.message : (result && !result.data ? 'unparseable response' : null)
+  }));
+  const promptVersions = [promptVersion(prompt)];
+  for (const p of [promptVersion(results[0].part), ...results.flatMap(r => (r.result ? r.result.prompts : []))]) {
+    if (!promptVersions.some(v => v.name === p.name && v.version === p.version)) promptVersions.push(p);
+  }
+  const repairTrace = results.flatMap(({ chunk, result }) => (result ? result.trace.map(t => ({ chunk: chunk.index, ...t })) : []));
+
+  const analyzed = results.filter(r => r.result && r.result.data);
+  if (!analyzed.length) {
+    const failure = results.find(r => r.error);
+    return emptyAnalysis("Analysis encountered a technical error. Please try again.", {
+      _prompt_versions: promptVersions,
+      _repair_trace: repairTrace,
+      _chunks: chunkInfo,
+      ...(failure ? { _error: failure.error.message } : { _parsing_failed: true })
+    });
+  }
+
+  const merged = mergeAnalyses(analyzed.map(r => r.result.data));
+  const validation = validate('analysis.schema.json', merged);
+  merged._analysis_models = [...new Set(analyzed.flatMap(r => r.result.models))];
+  merged._prompt_versions = promptVersions;
+  merged._validation = { valid: validation.valid, errors: validation.errors };
+  merged._repair_trace = repairTrace;
+  merged._chunks = chunkInfo;
+  return withDefaultSections(merged);
+}
+
 /**
  * Process a credit report file from storage
  * @param {string} filePath - Path to file in storage
@@ -747,6 +717,7 @@ module.exports = {
   downloadFromStorage,
   extractText,
   analyzeText,
+  analyzeInSections,
   classifyDocumentType,
   analyzeDebtLetter,
   analyzeGenericDocument,
@@ -0,0 +1,31 @@
+const express = require('express');
+const { route, respond } = require('./helpers');
+const { requireUser, requireAdmin } = require('../middleware/auth');
+const addresses = require('../addresses');
+
+// Recipient address directory: lookup for users, additions and overrides for admins
+module.exports = function createAddressesRouter(ctx) {
+  const router = express.Router();
+
+  // ?type=bureau|specialty|collector|furnisher, ?q=<name or alias> for a single lookup
+  route(router, '/addresses', {
+    get: [requireUser, async (req, res) => {
+      return respond(res, await addresses.listRecipients(ctx.supabase, { type: req.query.type, q: req.query.q }));
+    }]
+  });
+
+  // Body: { key, name, type, aliases, address: { line1, line2, city, state, zip }, phone, website, notes, active }
+  route(router, '/admin/addresses', {
+    post: [requireAdmin, async (req, res) => {
+      return respond(res, await addresses.saveRecipient(ctx.supabase, req.body || {}, req.userId));
+    }]
+  });
+
+  route(router, '/admin/addresses/:key', {
+    delete: [requireAdmin, async (req, res) => {
+      return respond(res, await addresses.deleteRecipientOverride(ctx.supabase, req.params.key));
+    }]
+  });
+
+  return router;
+};
@@ -0,0 +1,137 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireAdmin } = require('../middleware/auth');
+const llm = require('../llm');
+
+// Server-side diagnostics (schema checks, connectivity tests and LLM provider health)
+module.exports = function createAdminRouter(ctx) {
+  const router = express.Router();
+
+  // Admin DB schema & permissions check (server-side only)
+  route(router, '/admin/db-check', {
+    get: async (req, res) => {
+      const supabase = ctx.supabase;
+      console.log('supabase object:', typeof supabase, supabase ? 'has rpc:' + typeof supabase.rpc : 'no supabase');
+      if (!supabase) return res.status(500).json({ error: 'Supabase not configured' });
+      try {
+        const required = {
+          tables: ['ocr_artifacts', 'report_analyses'],
+          report_analyses_cols: ['ocr_artifact_id', 'doc_type']
+        };
+
+        const results = { tables: {}, columns: {}, notes: [] };
+
+        // Prefer using ctx.pgPool to query information_schema correctly (avoids using supabase.from('information_schema.*'))
+        if (ctx.pgPool) {
+          try {
+            const tableNames = ['ocr_artifacts', 'report_analyses'];
+            for (const t of tableNames) {
+              try {
+                const q = `SELECT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_schema='public' AND table_name=$1) AS exists`;
+                const r = await ctx.pgPool.query(q, [t]);
+                results.tables[t] = r && r.rows && r.rows[0] && r.rows[0].exists === true;
+              } catch (err) {
+                results.tables[t] = false;
+                results.notes.push(`information_schema query for ${t} failed: ${err.message}`);
+              }
+            }
+
+            const cols = ['ocr_artifact_id', 'doc_type'];
+            for (const c of cols) {
+              try {
+                const qc = `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_schema='public' AND table_name='report_analyses' AND column_name=$1) AS exists`;
+                const rc = await ctx.pgPool.query(qc, [c]);
+                results.columns[c] = rc && rc.rows && rc.rows[0] && rc.rows[0].exists === true;
+              } catch (err) {
+                results.columns[c] = false;
+                results.notes.push(`information_schema query for column ${c} failed: ${err.message}`);
+              }
+            }
+          } catch (err) {
+            results.notes.push('ctx.pgPool information_schema checks failed: ' + (err.message || err));
+          }
+        } else {
+          // Fallback: Check tables/columns by performing harmless selects via Supabase client
+          const tableChecks = [
+            { name: 'ocr_artifacts', query: () => supabase.from('ocr_artifacts').select('id').limit(1) },
+            { name: 'report_analyses', query: () => supabase.from('report_analyses').select('id').limit(1) }
+          ];
+
+          for (const { name, query } of tableChecks) {
+            try {
+              const { data, error } = await query();
+              results.tables[name] = !error;
+              if (error) results.notes.push(`Table ${name} check failed: ${error.message}`);
+            } catch (err) {
+              results.tables[name] = false;
+              results.notes.push(`Table ${name} check error: ${err.message}`);
+            }
+          }
+
+          // Check columns by trying selects
+          const columnChecks = [
+            { name: 'ocr_artifact_id', query: () => supabase.from('report_analyses').select('ocr_artifact_id').limit(1) },
+            { name: 'doc_type', query: () => supabase.from('report_analyses').select('doc_type').limit(1) }
+          ];
+
+          for (const { name, query } of columnChecks) {
+            try {
+              const { data, error } = await query();
+              results.columns[name] = !error;
+              if (error) results.notes.push(`Column ${name} check failed: ${error.message}`);
+            } catch (err) {
+              results.columns[name] = false;
+              results.notes.push(`Column ${name} check error: ${err.message}`);
+            }
+          }
+        }
+
+        // Permission hint: try a harmless select on ocr_artifacts
+        try {
+          await supabase.from('ocr_artifacts').select('id').limit(1);
+          results.notes.push('Select on ocr_artifacts succeeded');
+        } catch (err) {
+          results.notes.push('Select on ocr_artifacts failed: ' + (err.message || err));
+        }
+
+        return res.status(200).json({ ok: true, results });
+      } catch (err) {
+        console.error('admin/db-check error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'DB check failed' });
+      }
+    }
+  });
+
+  // Test database access endpoint
+  route(router, '/test/db-access', {
+    get: async (req, res) => {
+      try {
+        const { testDatabaseAccess } = require('../temp/test-db-access');
+        const results = await testDatabaseAccess();
+        return res.status(200).json({ success: true, results });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  // Test email access endpoint
+  route(router, '/test/email-access', {
+    get: async (req, res) => {
+      try {
+        const { testEmailAccess } = require('../temp/test-email-access');
+        const results = await testEmailAccess();
+        return res.status(200).json({ success: true, results });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  // LLM provider health: configuration, circuit breakers, latency/error stats and routing policies
+  route(router, '/admin/providers', {
+    get: [requireAdmin, (req, res) => res.json(llm.gateway.health())]
+  });
+
+  return router;
+};
@@ -0,0 +1,135 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+
+// Credits, usage limits and daily bonuses
+module.exports = function createBillingRouter(ctx) {
+  const router = express.Router();
+
+  // Daily login bonus endpoint
+  route(router, '/daily-login-bonus', {
+    post: [requireUser, async (req, res) => {
+      const userId = req.userId;
+
+      const supabase = ctx.supabase;
+      try {
+        // Simple daily bonus logic
+        const today = new Date().toISOString().split('T')[0];
+
+        if (supabase) {
+          // Check if user already claimed today
+          const { data: existing } = await supabase
+            .from('daily_bonuses')
+            .select('*')
+            .eq('user_id', userId)
+            .eq('date_claimed', today)
+            .single();
+
+          if (existing) {
+            return res.status(200).json({
+              success: false,
+              message: 'Already claimed today',
+              nextClaimDate: new Date(Date.now() + 24*60*60*1000).toISOString()
+            });
+          }
+
+          // Award bonus
+          await supabase.from('daily_bonuses').insert({
+            user_id: userId,
+            date_claimed: today,
+            bonus_amount: 1
+          });
+
+          // Update user credits
+          const { data: metrics } = await supabase
+            .from('user_metrics')
+            .select('daily_limit')
+            .eq('user_id', userId)
+            .single();
+
+          await supabase.from('user_metrics').upsert({
+            user_id: userId,
+            daily_limit: (metrics?.daily_limit || 5) + 1,
+            last_updated: new Date().toISOString()
+          });
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Daily bonus claimed!',
+          bonusAmount: 1,
+          nextClaimDate: new Date(Date.now() + 24*60*60*1000).toISOString()
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  // User stats endpoint
+  route(router, '/user/stats', {
+    get: [requireUser, async (req, res) => {
+      const userId = req.userId;
+
+      const supabase = ctx.supabase;
+      if (!supabase) {
+        return res.status(200).json({
+          dailyLimit: 5,
+          chatsUsed: 0,
+          remaining: 5
+        });
+      }
+
+      const { data, error } = await supabase
+        .from('user_metrics')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        return res.status(500).json({ error: error.message });
+      }
+
+      const metrics = data || {
+        dailyLimit: 5,
+        chatsUsed: 0,
+        remaining: 5
+      };
+
+      return res.status(200).json({
+        dailyLimit: metrics.daily_limit || 5,
+        chatsUsed: metrics.chats_used || 0,
+        remaining: Math.max(0, (metrics.daily_limit || 5) - (metrics.chats_used || 0))
+      });
+    }]
+  });
+
+  // User credits endpoint
+  route(router, '/user/credits', {
+    get: [requireUser, async (req, res) => {
+      const userId = req.userId;
+
+      const supabase = ctx.supabase;
+      if (!supabase) {
+        return res.status(200).json({ credits: 5 });
+      }
+
+      const { data, error } = await supabase
+        .from('user_metrics')
+        .select('daily_limit, chats_used')
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') {
+        return res.status(500).json({ error: error.message });
+      }
+
+      const metrics = data || { daily_limit: 5, chats_used: 0 };
+      return res.status(200).json({
+        credits: Math.max(0, metrics.daily_limit - metrics.chats_used)
+      });
+    }]
+  });
+
+  return router;
+};
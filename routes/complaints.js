@@ -0,0 +1,25 @@
+const express = require('express');
+const { route, respond } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const complaints = require('../complaints');
+
+// CFPB complaint drafts built from dispute cases
+module.exports = function createComplaintsRouter(ctx) {
+  const router = express.Router();
+
+  // Body: { caseId, debtType, narrative, desiredResolution, date }
+  route(router, '/complaints/cfpb', {
+    post: [requireUser, async (req, res) => {
+      return respond(res, await complaints.buildCfpbComplaint(ctx.supabase, req.userId, req.body || {}));
+    }]
+  });
+
+  // Same body plus attachExhibits (default true); the PDF is linked to the case
+  route(router, '/complaints/cfpb/pdf', {
+    post: [requireUser, async (req, res) => {
+      return respond(res, await complaints.exportCfpbComplaintPdf(ctx.supabase, req.userId, req.body || {}), 201);
+    }]
+  });
+
+  return router;
+};
@@ -0,0 +1,56 @@
+const express = require('express');
+const { route, respond } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const contacts = require('../contacts');
+
+// Collector contact log, cease / workplace notices and the FDCPA harassment check
+module.exports = function createContactsRouter(ctx) {
+  const router = express.Router();
+
+  // Query: collector, since (YYYY-MM-DD)
+  route(router, '/contacts/analysis', {
+    get: [requireUser, async (req, res) => {
+      const { collector, since } = req.query;
+      return respond(res, await contacts.analyzeContacts(ctx.supabase, req.userId, { collector, since }));
+    }]
+  });
+
+  // Body: { noticeType, collector, certifiedMailId, effectiveAt, notes }
+  route(router, '/contacts/notices', {
+    get: [requireUser, async (req, res) => {
+      return respond(res, await contacts.listNotices(ctx.supabase, req.userId));
+    }],
+    post: [requireUser, async (req, res) => {
+      return respond(res, await contacts.addNotice(ctx.supabase, req.userId, req.body || {}), 201);
+    }]
+  });
+
+  route(router, '/contacts/notices/:id', {
+    delete: [requireUser, async (req, res) => {
+      return respond(res, await contacts.deleteNotice(ctx.supabase, req.userId, req.params.id));
+    }]
+  });
+
+  // Body: { collector, channel, occurredAt, timezone, initiatedBy, location, phoneNumber,
+  //   conversation, durationMinutes, summary, notes, disputeCaseId }
+  route(router, '/contacts', {
+    get: [requireUser, async (req, res) => {
+      const { collector, since } = req.query;
+      return respond(res, await contacts.listContacts(ctx.supabase, req.userId, { collector, since }));
+    }],
+    post: [requireUser, async (req, res) => {
+      return respond(res, await contacts.logContact(ctx.supabase, req.userId, req.body || {}), 201);
+    }]
+  });
+
+  route(router, '/contacts/:id', {
+    patch: [requireUser, async (req, res) => {
+      return respond(res, await contacts.updateContact(ctx.supabase, req.userId, req.params.id, req.body || {}));
+    }],
+    delete: [requireUser, async (req, res) => {
+      return respond(res, await contacts.deleteContact(ctx.supabase, req.userId, req.params.id));
+    }]
+  });
+
+  return router;
+};
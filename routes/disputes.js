@@ -0,0 +1,66 @@
+const express = require('express');
+const { route, respond } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const disputes = require('../disputes');
+const { enqueueCaseExport, serializeJob } = require('../jobs');
+
+// Dispute case lifecycle: CRUD, state transitions, linked letters, assessments and exports
+module.exports = function createDisputesRouter(ctx) {
+  const router = express.Router();
+
+  route(router, '/disputes', {
+    get: [requireUser, async (req, res) => {
+      return respond(res, await disputes.listCases(ctx.supabase, req.userId, { state: req.query.state }));
+    }],
+    post: [requireUser, async (req, res) => {
+      return respond(res, await disputes.createCase(ctx.supabase, req.userId, req.body || {}), 201);
+    }]
+  });
+
+  route(router, '/disputes/:id', {
+    get: [requireUser, async (req, res) => {
+      return respond(res, await disputes.getCase(ctx.supabase, req.userId, req.params.id));
+    }],
+    patch: [requireUser, async (req, res) => {
+      return respond(res, await disputes.updateCase(ctx.supabase, req.userId, req.params.id, req.body || {}));
+    }],
+    delete: [requireUser, async (req, res) => {
+      return respond(res, await disputes.deleteCase(ctx.supabase, req.userId, req.params.id));
+    }]
+  });
+
+  // Body: { to, date, method, trackingNumber, outcome, notes }
+  route(router, '/disputes/:id/transition', {
+    post: [requireUser, async (req, res) => {
+      const { to } = req.body || {};
+      if (!to) return res.status(400).json({ error: 'Missing to (target state)' });
+      return respond(res, await disputes.transitionCase(ctx.supabase, req.userId, req.params.id, req.body));
+    }]
+  });
+
+  route(router, '/disputes/:id/letters', {
+    post: [requireUser, async (req, res) => {
+      return respond(res, await disputes.linkLetter(ctx.supabase, req.userId, req.params.id, req.body || {}));
+    }]
+  });
+
+  // FCRA / FDCPA claims, damage ranges, evidence strength and missing evidence.
+  // Served under /cases like the export; /disputes/:id/assessment is kept as an alias.
+  route(router, ['/cases/:id/assessment', '/disputes/:id/assessment'], {
+    get: [requireUser, async (req, res) => {
+      return respond(res, await disputes.getAssessment(ctx.supabase, req.userId, req.params.id));
+    }]
+  });
+
+  // Attorney referral packet: queues a ZIP export; poll GET /jobs/:id for the signed link
+  route(router, '/cases/:id/export', {
+    post: [requireUser, async (req, res) => {
+      const found = await disputes.getCase(ctx.supabase, req.userId, req.params.id);
+      if (found.error) return respond(res, found);
+      const { job, created } = await enqueueCaseExport(ctx.jobQueue, { caseId: req.params.id, userId: req.userId });
+      return res.status(202).json({ jobId: job.id, created, job: serializeJob(job) });
+    }]
+  });
+
+  return router;
+};
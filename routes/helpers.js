@@ -0,0 +1,103 @@
+// Shared helpers for the API route modules
+
+// Wrap an async handler so rejected promises reach the error middleware
+const asyncHandler = (fn) => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+const methodNotAllowed = (req, res) => res.status(405).json({ error: 'Method not allowed' });
+
+/**
+ * Register handlers for a path keyed by HTTP method. Any method without a
+ * handler gets the standard 405 response.
+ * @param {import('express').Router} router
+ * @param {string|string[]} path - Express path, may contain params (e.g. '/jobs/:id'), or several aliases
+ * @param {Object<string, Function|Function[]>} handlers - e.g. { get: fn, post: [middleware, fn] }
+ */
+function route(router, path, handlers) {
+  const r = router.route(path);
+  for (const [method, fns] of Object.entries(handlers)) {
+    r[method](...[].concat(fns).map(asyncHandler));
+  }
+  r.all(methodNotAllowed);
+  return r;
+}
+
+// Send a service result: `{ error, status }` or the payload
+function respond(res, result, successStatus = 200) {
+  if (result.error) return res.status(result.status || 500).json({ error: result.error });
+  return res.status(successStatus).json(result);
+}
+
+// Log every API request the same way the old single handler did
+function logRequest(req, res, next) {
+  console.log(`[API Router] Routing request to: ${req.path.replace(/^\//, '')}`);
+  next();
+}
+
+function notFound(req, res) {
+  const path = req.path.replace(/^\//, '');
+  return res.status(404).json({
+    error: { message: `API endpoint /${path} not found`, code: 'NOT_FOUND' }
+  });
+}
+
+// True when the client asked for a Server-Sent Events response
+function wantsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Switch the response to Server-Sent Events.
+ * @returns {{ send: (event: string, data: any) => void, end: () => void, isClosed: () => boolean }}
+ */
+function openEventStream(req, res) {
+  let closed = false;
+  // The response closes when the client disconnects; the request's 'close' fires as soon
+  // as its body has been read
+  res.on('close', () => { closed = true; });
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!res.writableEnded) res.end();
+      closed = true;
+    },
+    isClosed: () => closed
+  };
+}
+
+// Express recognises error middleware by its four arguments
+function errorHandler(error, req, res, next) {
+  console.error(`[API Router] Unexpected error:`, error);
+  if (res.headersSent) return;
+  return res.status(500).json({
+    error: {
+      message: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    }
+  });
+}
+
+module.exports = {
+  asyncHandler,
+  methodNotAllowed,
+  route,
+  respond,
+  logRequest,
+  notFound,
+  errorHandler,
+  wantsEventStream,
+  openEventStream
+};
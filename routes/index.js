@@ -0,0 +1,56 @@
+const express = require('express');
+const { logRequest, notFound, errorHandler } = require('./helpers');
+const { apiLimiter } = require('../middleware/rateLimit');
+
+const createWebhooksRouter = require('./webhooks');
+const createChatRouter = require('./chat');
+const createReportRouter = require('./report');
+const createStorageRouter = require('./storage');
+const createUserActionsRouter = require('./userActions');
+const createBillingRouter = require('./billing');
+const createJobsRouter = require('./jobs');
+const createDisputesRouter = require('./disputes');
+const createLettersRouter = require('./letters');
+const createContactsRouter = require('./contacts');
+const createComplaintsRouter = require('./complaints');
+const createAddressesRouter = require('./addresses');
+const createAdminRouter = require('./admin');
+
+/**
+ * Build the `/api` router. Each domain module receives the shared service
+ * context (Supabase, Stripe, chat processing) and registers its own routes.
+ * @param {Object} ctx - Shared services exposed by api.js
+ * @returns {import('express').Router}
+ */
+function createApiRouter(ctx) {
+  const router = express.Router();
+
+  router.use(logRequest);
+  router.options('*', (req, res) => res.status(204).end());
+
+  // Webhooks parse their own bodies (Stripe needs the raw payload) and are not rate limited
+  router.use(createWebhooksRouter(ctx));
+
+  router.use(express.json());
+  router.use(apiLimiter);
+
+  router.use(createChatRouter(ctx));
+  router.use(createReportRouter(ctx));
+  router.use(createStorageRouter(ctx));
+  router.use(createUserActionsRouter(ctx));
+  router.use(createBillingRouter(ctx));
+  router.use(createJobsRouter(ctx));
+  router.use(createDisputesRouter(ctx));
+  router.use(createLettersRouter(ctx));
+  router.use(createContactsRouter(ctx));
+  router.use(createComplaintsRouter(ctx));
+  router.use(createAddressesRouter(ctx));
+  router.use(createAdminRouter(ctx));
+
+  router.use(notFound);
+  router.use(errorHandler);
+
+  return router;
+}
+
+module.exports = { createApiRouter };
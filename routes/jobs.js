@@ -0,0 +1,28 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const { serializeJob } = require('../jobs');
+
+// Background job status
+module.exports = function createJobsRouter(ctx) {
+  const router = express.Router();
+
+  // Job status - referenced by the analysis-started/complete/error socket events
+  route(router, '/jobs/:id', {
+    get: [requireUser, async (req, res) => {
+      try {
+        const job = await ctx.jobQueue.getJob(req.params.id);
+        // Other users' jobs are reported as missing rather than forbidden
+        if (!job || job.user_id !== req.userId) {
+          return res.status(404).json({ error: 'Job not found' });
+        }
+        return res.status(200).json({ job: serializeJob(job) });
+      } catch (err) {
+        console.error('jobs/:id error:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+    }]
+  });
+
+  return router;
+};
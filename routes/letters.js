@@ -0,0 +1,50 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const { generateLetter, generateLetterPdf, signLetterUrl } = require('../letters');
+
+// Structured dispute/validation letters built from stored findings
+module.exports = function createLettersRouter(ctx) {
+  const router = express.Router();
+
+  // Body: { letterType, analysisId + findings | caseId, profile, recipient, enclosures, date, noticeDate }
+  route(router, '/letters/generate', {
+    post: [requireUser, async (req, res) => {
+      try {
+        const { letter, error, status } = await generateLetter(ctx.supabase, req.userId, req.body || {});
+        if (error) return res.status(status || 500).json({ error });
+        return res.status(200).json({ letter });
+      } catch (err) {
+        console.error('letters/generate error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to generate letter' });
+      }
+    }]
+  });
+
+  // Same body as /letters/generate plus attachExhibits (default true).
+  // GET re-signs a stored letter: ?path=<userId>/letters/<file>.pdf
+  route(router, '/letters/pdf', {
+    post: [requireUser, async (req, res) => {
+      try {
+        const { letter, pdf, error, status } = await generateLetterPdf(ctx.supabase, req.userId, req.body || {});
+        if (error) return res.status(status || 500).json({ error });
+        return res.status(201).json({ letter, pdf });
+      } catch (err) {
+        console.error('letters/pdf error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to render letter' });
+      }
+    }],
+    get: [requireUser, async (req, res) => {
+      try {
+        const { url, expiresAt, error, status } = await signLetterUrl(ctx.supabase, req.userId, req.query.path);
+        if (error) return res.status(status || 500).json({ error });
+        return res.status(200).json({ path: req.query.path, url, expiresAt });
+      } catch (err) {
+        console.error('letters/pdf link error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to sign letter link' });
+      }
+    }]
+  });
+
+  return router;
+};
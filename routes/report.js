@@ -0,0 +1,349 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser, optionalUser } = require('../middleware/auth');
+const { enqueueDocumentAnalysis, serializeJob, JOB_STATES } = require('../jobs');
+const { locateQuote, buildPageIndex, pageSnippet, EVIDENCE_SECTIONS } = require('../utils/evidenceLocator');
+const { compareUserReports, unwrapAnalysis } = require('../reportComparison');
+const { checkValidationNotice, locateComplianceEvidence } = require('../utils/regFCheck');
+const { diffUserReports } = require('../reportHistory');
+
+// How long POST /report/analyze waits for its job before answering 202
+const ANALYZE_WAIT_MS = 120000;
+
+// Stored analysis for a file plus its OCR artifact (when one was saved)
+async function loadAnalysisWithOcr(supabase, userId, filePath) {
+  const { data: rows, error } = await supabase.from('report_analyses').select('*').eq('user_id', userId).eq('file_path', filePath).limit(1);
+  if (error) return { error };
+  if (!rows || rows.length === 0) return { row: null, ocr: null };
+  const row = rows[0];
+  let ocr = null;
+  if (row.ocr_artifact_id) {
+    const { data: ocrRows, error: oErr } = await supabase.from('ocr_artifacts').select('*').eq('id', row.ocr_artifact_id).limit(1);
+    if (!oErr && ocrRows && ocrRows.length > 0) ocr = ocrRows[0];
+  }
+  return { row, ocr };
+}
+
+// Report analysis, previews, stored analyses and labeled samples
+module.exports = function createReportRouter(ctx) {
+  const router = express.Router();
+
+  // Report analysis endpoint
+  route(router, '/report/analyze', {
+    post: [requireUser, async (req, res) => {
+      const { filePath } = req.body;
+      const userId = req.userId;
+      if (!filePath) {
+        return res.status(400).json({ error: 'Missing filePath' });
+      }
+
+      try {
+        console.log('📋 Processing credit report:', filePath);
+        // Runs through the job queue so a concurrent upload of the same file is not analyzed twice
+        const { job: queued } = await enqueueDocumentAnalysis(ctx.jobQueue, { filePath, userId, source: 'api' });
+        const job = await ctx.jobQueue.waitFor(queued.id, ANALYZE_WAIT_MS);
+
+        if (job.state === JOB_STATES.FAILED) {
+          return res.status(500).json({ error: job.error, jobId: job.id });
+        }
+        if (job.state !== JOB_STATES.COMPLETED) {
+          // Still running or waiting to retry: the client can poll the job
+          return res.status(202).json({ jobId: job.id, job: serializeJob(job) });
+        }
+
+        const result = job.result;
+
+        // Log analysis field counts
+        if (result.analysis) {
+          console.log('📊 API: Analysis has fields:');
+          console.log('  - personal_info_issues:', (result.analysis.personal_info_issues || []).length);
+          console.log('  - account_issues:', (result.analysis.account_issues || []).length);
+          console.log('  - inquiries:', (result.analysis.inquiries || []).length);
+          console.log('  - collection_accounts:', (result.analysis.collection_accounts || []).length);
+          console.log('  - fcra_violations:', (result.analysis.fcra_violations || []).length);
+          console.log('  - dispute_letters_needed:', (result.analysis.dispute_letters_needed || []).length);
+        }
+
+        return res.status(200).json({ ...result, jobId: job.id });
+      } catch (error) {
+        console.error('❌ Report analysis error:', error);
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  // Fetch stored analysis + OCR evidence for a file
+  route(router, '/report/analysis', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const filePath = req.query.filePath || req.query.file_path;
+      const userId = req.userId;
+      if (!filePath) return res.status(400).json({ error: 'Missing filePath' });
+      try {
+        const { row, ocr, error } = await loadAnalysisWithOcr(supabase, userId, filePath);
+        if (error) return res.status(500).json({ error: error.message });
+        if (!row) return res.status(404).json({ error: 'No analysis found' });
+        return res.status(200).json({ analysis: row.analysis, ocr });
+      } catch (err) {
+        console.error('report/analysis error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to fetch analysis' });
+      }
+    }]
+  });
+
+  // Page snippet for a finding's evidence. Identify the finding with `section` + `index`
+  // (e.g. section=fcra_violations&index=2), or pass `page` + `charStart` + `charEnd`,
+  // or a free-text `quote` to locate on the fly.
+  route(router, '/report/evidence', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const { filePath, section, index, charStart, charEnd, quote } = req.query;
+      const pageNumber = req.query.page;
+      if (!filePath) return res.status(400).json({ error: 'Missing filePath' });
+      if (section && !EVIDENCE_SECTIONS.includes(section)) {
+        return res.status(400).json({ error: `section must be one of: ${EVIDENCE_SECTIONS.join(', ')}` });
+      }
+      try {
+        const { row, ocr, error } = await loadAnalysisWithOcr(supabase, req.userId, filePath);
+        if (error) return res.status(500).json({ error: error.message });
+        if (!row) return res.status(404).json({ error: 'No analysis found' });
+        if (!ocr || !Array.isArray(ocr.ocr_pages)) {
+          return res.status(404).json({ error: 'No OCR pages stored for this file' });
+        }
+
+        let finding = null;
+        let location = null;
+        if (section) {
+          finding = (row.analysis?.[section] || [])[parseInt(index, 10)];
+          if (!finding) return res.status(404).json({ error: `No finding at ${section}[${index}]` });
+          // Analyses stored before evidence locations existed are resolved now
+          location = finding.evidence_location || locateQuote(String(finding.evidence || ''), buildPageIndex(ocr.ocr_pages));
+        } else if (pageNumber && charStart !== undefined && charEnd !== undefined) {
+          location = { page: parseInt(pageNumber, 10), char_start: parseInt(charStart, 10), char_end: parseInt(charEnd, 10), bbox: null };
+        } else if (quote) {
+          location = locateQuote(String(quote), buildPageIndex(ocr.ocr_pages));
+        } else {
+          return res.status(400).json({ error: 'Provide section and index, page with charStart and charEnd, or quote' });
+        }
+
+        if (!location) return res.status(404).json({ error: 'Evidence could not be located in the OCR pages', evidence: finding?.evidence || quote || null });
+        const page = pageSnippet(ocr.ocr_pages, location.page, location.char_start, location.char_end);
+        if (!page) return res.status(404).json({ error: `Page ${location.page} not found` });
+
+        return res.status(200).json({
+          filePath,
+          evidence: finding?.evidence || quote || null,
+          location,
+          snippet: page.snippet,
+          context_before: page.context_before,
+          context_after: page.context_after,
+          dimensions: page.dimensions
+        });
+      } catch (err) {
+        console.error('report/evidence error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to fetch evidence' });
+      }
+    }]
+  });
+
+  // Compare 2-3 bureau reports: align tradelines and list discrepancies
+  route(router, '/report/compare', {
+    post: [requireUser, async (req, res) => {
+      const { analysisIds, filePaths } = req.body || {};
+      for (const [name, value] of [['analysisIds', analysisIds], ['filePaths', filePaths]]) {
+        if (value !== undefined && !(Array.isArray(value) && value.every(v => typeof v === 'string'))) {
+          return res.status(400).json({ error: `${name} must be an array of strings` });
+        }
+      }
+      try {
+        const { comparison, error, status } = await compareUserReports(ctx.supabase, req.userId, { analysisIds, filePaths });
+        if (error) return res.status(status || 500).json({ error });
+        return res.status(200).json(comparison);
+      } catch (err) {
+        console.error('report/compare error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to compare reports' });
+      }
+    }]
+  });
+
+  // Changelog between two analyses of the same bureau's report
+  route(router, '/report/diff', {
+    get: [requireUser, async (req, res) => {
+      const { from, to } = req.query;
+      if (!to) return res.status(400).json({ error: 'Missing to (analysis id)' });
+      try {
+        const { diff, error, status } = await diffUserReports(ctx.supabase, req.userId, { from, to });
+        if (error) return res.status(status || 500).json({ error });
+        return res.status(200).json(diff);
+      } catch (err) {
+        console.error('report/diff error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to diff reports' });
+      }
+    }]
+  });
+
+  // Regulation F validation notice check for a collection letter, from pasted text or a stored upload
+  route(router, '/report/reg-f-check', {
+    post: [requireUser, async (req, res) => {
+      const { text, filePath, letterDate, state, debtDate, debtType, timeBarred } = req.body || {};
+      if (!text && !filePath) return res.status(400).json({ error: 'Provide text or filePath' });
+      if (text !== undefined && typeof text !== 'string') return res.status(400).json({ error: 'text must be a string' });
+      if (timeBarred !== undefined && typeof timeBarred !== 'boolean') return res.status(400).json({ error: 'timeBarred must be a boolean' });
+      try {
+        let letterText = text;
+        let fields = {};
+        let ocrPages = null;
+        const warnings = [];
+        if (!letterText) {
+          const { row, ocr, error } = await loadAnalysisWithOcr(ctx.supabase, req.userId, filePath);
+          if (error) return res.status(500).json({ error: error.message });
+          if (!row) return res.status(404).json({ error: 'No analysis found' });
+          fields = unwrapAnalysis(row).analysis || {};
+          ocrPages = ocr && Array.isArray(ocr.ocr_pages) ? ocr.ocr_pages : null;
+          letterText = ocrPages ? ocrPages.map(p => p.markdown || p.text || '').join('\n') : row.extracted_text;
+          if (!letterText) return res.status(404).json({ error: 'No text stored for this file' });
+          if (!ocrPages) warnings.push('Checked the stored text preview; elements past the first 2000 characters may be missed.');
+        }
+        const result = checkValidationNotice(letterText, { letterDate, state, debtDate, debtType, timeBarred, fields });
+        if (ocrPages) locateComplianceEvidence(result, ocrPages);
+        return res.status(200).json({ filePath: filePath || null, ...result, warnings });
+      } catch (err) {
+        console.error('report/reg-f-check error:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Failed to check letter' });
+      }
+    }]
+  });
+
+  // Preview + validation endpoint for frontend snapshots and CI
+  route(router, '/report/preview', {
+    post: async (req, res) => {
+      const analysis = req.body.analysis;
+      if (!analysis) return res.status(400).json({ error: 'Missing analysis JSON in body.analysis' });
+
+      try {
+        const { renderAnalysisPreview } = require('../utils/analysisPreview');
+        const { valid, errors, html } = renderAnalysisPreview(analysis);
+        return res.status(200).json({ valid, errors, html });
+      } catch (err) {
+        console.error('Preview endpoint error:', err);
+        return res.status(500).json({ error: err.message });
+      }
+    }
+  });
+
+  // Debug endpoint: Get last analysis with full breakdown
+  route(router, '/debug/last-analysis', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const userId = req.userId;
+
+      try {
+        const { data } = await supabase
+          .from('report_analyses')
+          .select('*')
+          .eq('user_id', userId)
+          .order('processed_at', { ascending: false })
+          .limit(1);
+
+        if (!data || data.length === 0) {
+          return res.status(404).json({ error: 'No analysis found' });
+        }
+
+        const analysis = data[0].analysis;
+        return res.status(200).json({
+          processed_at: data[0].processed_at,
+          file_path: data[0].file_path,
+          field_counts: {
+            summary: !!analysis.summary,
+            personal_info_issues: (analysis.personal_info_issues || []).length,
+            account_issues: (analysis.account_issues || []).length,
+            inquiries: (analysis.inquiries || []).length,
+            collection_accounts: (analysis.collection_accounts || []).length,
+            fcra_violations: (analysis.fcra_violations || []).length,
+            overall_assessment: !!analysis.overall_assessment,
+            dispute_letters_needed: (analysis.dispute_letters_needed || []).length
+          },
+          raw_response_snippet: analysis._raw_response_snippet || null,
+          missing_sections: analysis._missing_sections || [],
+          validation: analysis._validation || null,
+          analysis_models: analysis._analysis_models || [],
+          prompt_versions: analysis._prompt_versions || [],
+          full_analysis: analysis
+        });
+      } catch (err) {
+        console.error('debug error:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+    }]
+  });
+
+  // User files endpoint - get last 3 files
+  route(router, '/user/files', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const userId = req.userId;
+
+      console.log('User files request - userId:', userId, 'supabase available:', !!supabase);
+
+      if (!supabase) {
+        console.log('No supabase connection, returning empty files');
+        return res.status(200).json({ files: [] });
+      }
+
+      try {
+        console.log('Querying report_analyses for user:', userId);
+        const { data, error } = await supabase
+          .from('report_analyses')
+          .select('file_name, file_path, processed_at, analysis')
+          .eq('user_id', userId)
+          .order('processed_at', { ascending: false })
+          .limit(3);
+
+        console.log('Query result - data:', data, 'error:', error);
+
+        if (error) {
+          console.error('Database error:', error);
+          return res.status(500).json({ error: error.message });
+        }
+
+        const files = (data || []).map(file => {
+          const processedDate = file.processed_at ? new Date(file.processed_at) : new Date();
+          return {
+            name: file.file_name || 'Unknown file',
+            path: file.file_path,
+            date: processedDate.toISOString(),
+            dateFormatted: processedDate.toLocaleDateString(),
+            status: file.analysis ? 'analyzed' : 'processing',
+            violations: file.analysis?.violations?.length || 0,
+            errors: file.analysis?.errors?.length || 0
+          };
+        });
+
+        console.log('Returning files:', files);
+        return res.status(200).json({ files });
+      } catch (err) {
+        console.error('User files endpoint error:', err);
+        return res.status(500).json({ error: err.message });
+      }
+    }]
+  });
+
+  // Labeled samples - add labeled example (server-side; requires SUPABASE_SERVICE_ROLE_KEY)
+  route(router, '/labels', {
+    post: [optionalUser, async (req, res) => {
+      const { label, snippet, filePath } = req.body || {};
+      const userId = req.userId;
+      if (!label || !snippet) return res.status(400).json({ error: 'Missing label or snippet' });
+      try {
+        const rp = require('../reportProcessor');
+        const inserted = await rp.addLabeledSample(userId || null, label, snippet, filePath || null);
+        return res.status(200).json({ success: true, inserted });
+      } catch (err) {
+        console.error('Failed to insert labeled sample via API:', err.message || err);
+        return res.status(500).json({ error: err.message || 'Insert failed' });
+      }
+    }]
+  });
+
+  return router;
+};
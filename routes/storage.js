@@ -0,0 +1,204 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const { enqueueDocumentAnalysis, serializeJob } = require('../jobs');
+
+// Storage limits and the upload verification endpoint
+module.exports = function createStorageRouter(ctx) {
+  const router = express.Router();
+
+  // Ensure storage limits endpoint - creates defaults if missing
+  const ensureStorageLimits = async (req, res) => {
+    const userId = req.userId;
+
+    try {
+      const row = await ctx.ensureDefaultStorageLimits(userId);
+      return res.status(200).json({ data: row });
+    } catch (err) {
+      console.error('storage/ensure error:', err);
+      return res.status(500).json({ error: err.message });
+    }
+  };
+  route(router, '/storage/ensure', {
+    get: [requireUser, ensureStorageLimits],
+    post: [requireUser, ensureStorageLimits]
+  });
+
+  // File upload endpoint - associates files with authenticated users
+  route(router, '/upload', {
+    post: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const userId = req.userId;
+
+      try {
+        // Check storage limits before upload
+        await ctx.ensureDefaultStorageLimits(userId);
+        const { data: limits, error: limitsError } = await supabase
+          .from('storage_limits')
+          .select('*')
+          .eq('user_id', userId)
+          .single();
+
+        if (limitsError && limitsError.code !== 'PGRST116') {
+          console.error('Error checking storage limits:', limitsError);
+          return res.status(500).json({ error: 'Failed to check storage limits' });
+        }
+
+        const currentLimits = limits || {
+          max_storage_bytes: 1073741824, // 1GB default
+          used_storage_bytes: 0,
+          max_files: 200,
+          used_files: 0
+        };
+
+        // Check file count limit
+        if (currentLimits.used_files >= currentLimits.max_files) {
+          return res.status(400).json({
+            error: 'File limit exceeded',
+            details: `Maximum ${currentLimits.max_files} files allowed`
+          });
+        }
+
+        // For now, expect file to be uploaded directly to Supabase storage
+        // Frontend should upload to credit-reports/{userId}/filename
+        // This endpoint just validates and triggers processing
+        const { filePath, fileName } = req.body;
+
+        if (!filePath || !fileName) {
+          return res.status(400).json({
+            error: 'Missing file information',
+            details: 'filePath and fileName are required'
+          });
+        }
+
+        // Validate file path format (should be userId/filename)
+        const expectedPrefix = `${userId}/`;
+        if (!filePath.startsWith(expectedPrefix)) {
+          return res.status(400).json({
+            error: 'Invalid file path',
+            details: `File path must start with user ID: ${expectedPrefix}`
+          });
+        }
+
+        // Verify file exists in storage - check multiple buckets with correct paths
+        const buckets = ['users-file-storage', 'credit-reports', 'uploads', 'documents'];
+        let fileExists = false;
+        let fileInfo = null;
+        let foundBucket = null;
+
+        for (const bucket of buckets) {
+          try {
+            let listPath = userId;
+
+            // For users-file-storage bucket, files are stored under credit-reports/userId/
+            if (bucket === 'users-file-storage') {
+              listPath = `credit-reports/${userId}`;
+            }
+
+            const { data: fileData, error: fileError } = await supabase.storage
+              .from(bucket)
+              .list(listPath, { limit: 1000 });
+
+            if (!fileError && fileData) {
+              const foundFile = fileData.find(file => file.name === fileName);
+              if (foundFile) {
+                fileExists = true;
+                fileInfo = foundFile;
+                foundBucket = bucket;
+                break;
+              }
+            }
+          } catch (bucketError) {
+            console.log(`Skipping bucket ${bucket} during verification:`, bucketError.message);
+          }
+        }
+
+        if (!fileExists) {
+          return res.status(404).json({
+            error: 'File not found',
+            details: 'File was not successfully uploaded to storage'
+          });
+        }
+
+        // Queue report processing; the job emits analysis-started/complete/error with its id.
+        // A repeated call while the file is still queued or running returns the existing job.
+        const { job, created } = await enqueueDocumentAnalysis(ctx.jobQueue, {
+          filePath,
+          userId,
+          bucket: foundBucket,
+          fileName,
+          source: 'upload'
+        });
+
+        // Update storage usage (once per file)
+        if (created) {
+          const fileSize = fileInfo?.metadata?.size || 0;
+
+          await supabase.from('storage_limits').update({
+            used_files: (currentLimits.used_files || 0) + 1,
+            used_storage_bytes: (currentLimits.used_storage_bytes || 0) + fileSize,
+            updated_at: new Date().toISOString()
+          }).eq('user_id', userId);
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: created ? 'File uploaded and processing started' : 'File is already being processed',
+          filePath,
+          fileName,
+          userId,
+          jobId: job.id,
+          job: serializeJob(job)
+        });
+
+      } catch (error) {
+        console.error('Upload processing error:', error);
+        return res.status(500).json({
+          error: 'Failed to process upload',
+          details: error.message
+        });
+      }
+    }]
+  });
+
+  // Storage limits lookup for the signed-in user (safe to call from frontend)
+  route(router, '/storage/limits', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const userId = req.userId;
+
+      try {
+        // Use maybeSingle to avoid PostgREST PGRST116 when no row exists
+        const { data, error } = await supabase
+          .from('storage_limits')
+          .select('*')
+          .eq('user_id', userId)
+          .maybeSingle();
+
+        if (error) {
+          console.error('Error fetching storage limits:', error);
+          return res.status(500).json({ error: error.message });
+        }
+
+        // If no limits found, return sensible defaults rather than a 406/404
+        if (!data) {
+          return res.status(200).json({
+            user_id: userId,
+            max_storage_bytes: 0,
+            used_storage_bytes: 0,
+            max_files: 0,
+            used_files: 0,
+            is_premium: false
+          });
+        }
+
+        return res.status(200).json(data);
+      } catch (err) {
+        console.error('Unexpected error fetching storage limits:', err);
+        return res.status(500).json({ error: err.message });
+      }
+    }]
+  });
+
+  return router;
+};
@@ -0,0 +1,366 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { requireUser } = require('../middleware/auth');
+const { storeTextLetterPdf } = require('../letters');
+const { findRecipient } = require('../addresses');
+const moment = require('moment');
+const ConsumerLawDeadlines = require('../utils/consumerLawDeadlines');
+const LegalCalendar = require('../utils/legalCalendar');
+const llm = require('../llm');
+
+// Letter tracking, reminders, follow-ups and the automation queue
+module.exports = function createUserActionsRouter(ctx) {
+  const router = express.Router();
+
+  // Simple user action endpoints
+  route(router, '/user-actions/mailed-letter', {
+    post: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const { letterType, mailedDate, recipient, method } = req.body;
+      const userId = req.userId;
+      if (!mailedDate) return res.status(400).json({ error: 'Missing mailedDate' });
+      const response = ConsumerLawDeadlines.calculateResponseDeadline(mailedDate, { days: 30, method: method || 'mail' });
+      if (response.error) return res.status(400).json({ error: 'mailedDate must be a date (YYYY-MM-DD)' });
+
+      try {
+        // 1. Save to database, with the directory's mailing name for known bureaus and collectors
+        const directoryEntry = await findRecipient(supabase, recipient);
+        const { data: mail } = await supabase.from('certified_mail').insert({
+          user_id: userId,
+          recipient: directoryEntry ? directoryEntry.name : (recipient || 'Credit Bureau'),
+          description: `${letterType || 'Dispute'} letter mailed`,
+          date_mailed: mailedDate,
+          status: 'mailed',
+          tracking_number: `PENDING-${Date.now()}`
+        }).select('id').single();
+
+        // 2. Deadline: 30 days from presumed receipt, on a business day
+        const deadline = moment(response.deadline);
+
+        // 3. Create reminder
+        await supabase.from('calendar_events').insert({
+          user_id: userId,
+          title: `Follow up on ${letterType || 'dispute'} letter`,
+          description: `30-day deadline to receive response. ${response.details.deadline.reasoning}`,
+          event_date: deadline.toISOString(),
+          event_type: 'deadline',
+          related_type: 'certified_mail',
+          related_id: mail ? mail.id : null
+        });
+
+        // 4. Send confirmation email (if email configured)
+        if (process.env.SMTP_HOST) {
+          const { sendEmailTool } = require('../emailTools');
+          await sendEmailTool.invoke(JSON.stringify({
+            to: 'user@example.com', // Replace with actual user email
+            subject: 'Letter Tracking Confirmed',
+            body: `Your ${letterType || 'dispute'} letter mailed on ${mailedDate} is now being tracked. Presumed received: ${response.receivedDate}. Follow-up deadline: ${deadline.format('ddd MMM D YYYY')}`
+          }));
+        }
+
+        return res.status(200).json({
+          success: true,
+          message: 'Letter tracked and reminder set',
+          deadline: deadline.toISOString(),
+          receivedDate: response.receivedDate,
+          details: response.details
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  route(router, '/user-actions/set-reminder', {
+    post: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const { title, days, description, businessDays } = req.body;
+      const userId = req.userId;
+      if (!title || !days) return res.status(400).json({ error: 'Missing required fields' });
+
+      try {
+        const today = moment().format('YYYY-MM-DD');
+        const reminderDate = moment(businessDays
+          ? LegalCalendar.addBusinessDays(today, parseInt(days))
+          : LegalCalendar.calendarDeadline(today, parseInt(days)).date);
+
+        await supabase.from('calendar_events').insert({
+          user_id: userId,
+          title: title,
+          description: description || 'User reminder',
+          event_date: reminderDate.toISOString(),
+          event_type: 'reminder'
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: 'Reminder set',
+          reminderDate: reminderDate.toISOString()
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  route(router, '/user-actions/get-timeline', {
+    get: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const userId = req.userId;
+
+      try {
+        const { data: events } = await supabase
+          .from('calendar_events')
+          .select('*')
+          .eq('user_id', userId)
+          .gte('event_date', new Date().toISOString())
+          .order('event_date', { ascending: true })
+          .limit(10);
+
+        return res.status(200).json({ events: events || [] });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  // Auto-generate follow-up email
+  route(router, '/user-actions/auto-followup', {
+    post: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const { disputeId } = req.body;
+      const userId = req.userId;
+      if (!disputeId) return res.status(400).json({ error: 'Missing disputeId' });
+
+      try {
+        // Check user credits
+        const { data: userMetrics } = await supabase
+          .from('user_metrics')
+          .select('daily_limit, chats_used')
+          .eq('user_id', userId)
+          .single();
+
+        const creditsLeft = (userMetrics?.daily_limit || 5) - (userMetrics?.chats_used || 0);
+        if (creditsLeft < 5) {
+          return res.status(400).json({ error: 'Insufficient credits. Need 5 credits.' });
+        }
+
+        // Get dispute details
+        const { data: dispute } = await supabase
+          .from('disputes')
+          .select('*')
+          .eq('id', disputeId)
+          .eq('user_id', userId)
+          .single();
+
+        if (!dispute) {
+          return res.status(404).json({ error: 'Dispute not found' });
+        }
+
+        // Generate follow-up letter using AI
+        const aiPrompt = `Generate a professional FCRA follow-up letter for:
+        - Dispute: ${dispute.title}
+        - Bureau: ${dispute.bureau}
+        - Date sent: ${dispute.date_sent}
+        - Tracking: ${dispute.tracking_number}
+
+        Make it firm but professional. Reference the 30-day investigation period.`;
+
+        const { response } = await llm.chat([{ content: aiPrompt }], { task: 'chat' });
+
+        // Printable PDF of the letter; the email still goes out if rendering fails
+        let pdf = null;
+        try {
+          const stored = await storeTextLetterPdf(supabase, userId, response.content, { type: 'fcra_followup' });
+          if (stored.error) console.warn('⚠️ Follow-up letter PDF not stored:', stored.error);
+          else pdf = { path: stored.pdf.path, url: stored.pdf.url, expiresAt: stored.pdf.expiresAt };
+        } catch (pdfError) {
+          console.warn('⚠️ Follow-up letter PDF failed:', pdfError.message);
+        }
+
+        // Send email with generated letter
+        if (process.env.SMTP_HOST) {
+          const { sendEmailTool } = require('../emailTools');
+          await sendEmailTool.invoke(JSON.stringify({
+            to: 'user@example.com', // Replace with actual user email
+            subject: `Follow-up Letter for ${dispute.title}`,
+            body: `<h3>Your Follow-up Letter</h3><pre>${response.content}</pre>${pdf ? `<p><a href="${pdf.url}">Download the printable PDF</a> (link expires ${pdf.expiresAt})</p>` : ''}<p><strong>Instructions:</strong> Print this letter and send via certified mail to ${dispute.bureau}.</p>`
+          }));
+        }
+
+        // Log email sent
+        await supabase.rpc('log_email_sent', {
+          p_user_id: userId,
+          p_email_type: 'followup_letter',
+          p_recipient_email: 'user@example.com',
+          p_subject: `Follow-up Letter for ${dispute.title}`,
+          p_related_id: disputeId,
+          p_related_type: 'dispute',
+          p_credits_charged: 5
+        });
+
+        // Deduct credits
+        await supabase
+          .from('user_metrics')
+          .update({ chats_used: (userMetrics?.chats_used || 0) + 5 })
+          .eq('user_id', userId);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Follow-up letter generated and sent',
+          pdf,
+          creditsUsed: 5,
+          creditsRemaining: creditsLeft - 5
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  // Trigger automation when user updates mail status
+  route(router, '/user-actions/update-mail-status', {
+    post: [requireUser, async (req, res) => {
+      const supabase = ctx.supabase;
+      const { mailId, status, deliveryDate } = req.body;
+      const userId = req.userId;
+
+      try {
+        const { data: current, error: readError } = await supabase
+          .from('certified_mail')
+          .select('id, status')
+          .eq('id', mailId)
+          .eq('user_id', userId)
+          .maybeSingle();
+        if (readError) return res.status(500).json({ error: readError.message });
+        if (!current) return res.status(404).json({ error: 'Mail not found' });
+
+        // Update mail status
+        const { data: updated, error: updateError } = await supabase
+          .from('certified_mail')
+          .update({
+            status: status,
+            date_delivered: deliveryDate,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', mailId)
+          .eq('user_id', userId)
+          .select('id');
+        if (updateError) return res.status(500).json({ error: updateError.message });
+        if (!updated || !updated.length) return res.status(404).json({ error: 'Mail not found' });
+
+        // Delivery confirms receipt, so the response clock restarts from the delivery date.
+        // Only the first delivery replaces the letter's deadline; repeat calls leave it alone.
+        const response = status === 'delivered' && current.status !== 'delivered' && deliveryDate
+          ? ConsumerLawDeadlines.calculateResponseDeadline(deliveryDate, { days: 30, received: true })
+          : null;
+        if (response && !response.error) {
+          const { error: deleteError } = await supabase
+            .from('calendar_events')
+            .delete()
+            .eq('user_id', userId)
+            .eq('related_type', 'certified_mail')
+            .eq('related_id', mailId);
+          const { error: insertError } = deleteError ? {} : await supabase.from('calendar_events').insert({
+            user_id: userId,
+            title: 'Response due on delivered letter',
+            description: `30-day deadline to receive response. ${response.details.deadline.reasoning}`,
+            event_date: moment(response.deadline).toISOString(),
+            event_type: 'deadline',
+            related_type: 'certified_mail',
+            related_id: mailId
+          });
+          const calendarError = deleteError || insertError;
+          if (calendarError) console.error('❌ Failed to replace the mail deadline on the calendar:', calendarError.message);
+        }
+
+        // Process any triggered automation
+        await supabase.rpc('process_automation_queue');
+
+        // Immediately process the queue
+        setTimeout(async () => {
+          await fetch(`${req.protocol}://${req.get('host')}/api/automation/process-queue`, {
+            method: 'POST'
+          });
+        }, 1000);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Mail status updated and automation triggered',
+          deadline: response && !response.error ? response.deadline : null
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }]
+  });
+
+  // Process automation queue (triggered by user actions or webhooks)
+  route(router, '/automation/process-queue', {
+    post: async (req, res) => {
+      const supabase = ctx.supabase;
+      try {
+        // Get tasks ready for API processing
+        const { data: tasks } = await supabase
+          .from('automation_queue')
+          .select('*')
+          .eq('status', 'ready_for_api')
+          .limit(10);
+
+        let processedCount = 0;
+        for (const task of tasks || []) {
+          try {
+            if (task.task_type === 'send_delivery_notification') {
+              // Send delivery notification
+              const { sendEmailTool } = require('../emailTools');
+              await sendEmailTool.invoke(JSON.stringify({
+                to: 'user@example.com', // Get from user profile
+                subject: 'Mail Delivered - Deadlines Created',
+                body: `Your certified mail (${task.metadata.tracking_number}) was delivered. We've automatically created your 30-day deadline reminders.`
+              }));
+
+            } else if (task.task_type === 'send_reminder_email') {
+              // Send reminder email
+              const { sendEmailTool } = require('../emailTools');
+              await sendEmailTool.invoke(JSON.stringify({
+                to: 'user@example.com', // Get from user profile
+                subject: `Reminder: ${task.metadata.event_title}`,
+                body: `<h3>${task.metadata.event_title}</h3><p>${task.metadata.event_description}</p><p><strong>Due:</strong> ${new Date(task.metadata.event_date).toLocaleDateString()}</p>`
+              }));
+            }
+
+            // Mark task as completed
+            await supabase
+              .from('automation_queue')
+              .update({
+                status: 'completed',
+                completed_at: new Date().toISOString()
+              })
+              .eq('id', task.id);
+
+            processedCount++;
+
+          } catch (taskError) {
+            // Mark task as failed
+            await supabase
+              .from('automation_queue')
+              .update({
+                status: 'failed',
+                error_message: taskError.message
+              })
+              .eq('id', task.id);
+          }
+        }
+
+        return res.status(200).json({
+          success: true,
+          processed: processedCount
+        });
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+    }
+  });
+
+  return router;
+};
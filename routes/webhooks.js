@@ -0,0 +1,137 @@
+const express = require('express');
+const { route } = require('./helpers');
+const { enqueueDocumentAnalysis } = require('../jobs');
+
+// Stripe webhooks require the raw request body for signature verification, so
+// this router is mounted before the JSON body parser.
+const rawJson = express.raw({ type: 'application/json' });
+
+module.exports = function createWebhooksRouter(ctx) {
+  const router = express.Router();
+
+  // Stripe webhook endpoint
+  route(router, '/stripe-webhook', {
+    post: [rawJson, async (req, res) => {
+      if (!ctx.stripe) {
+        return res.status(503).json({ error: 'Stripe not configured' });
+      }
+
+      const sig = req.headers['stripe-signature'];
+      try {
+        const event = ctx.stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET || '');
+        res.status(200).json({ received: true });
+        ctx.processStripeEvent(event);
+      } catch (err) {
+        console.error(`Webhook signature verification failed.`, err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+      }
+    }]
+  });
+
+  // Storage webhook endpoint
+  route(router, '/storage/webhook', {
+    post: [rawJson, async (req, res) => {
+      if (!ctx.stripe) {
+        return res.status(503).json({ error: 'Stripe not configured' });
+      }
+
+      const sig = req.headers['stripe-signature'];
+      try {
+        const event = ctx.stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET || '');
+        res.status(200).json({ received: true });
+        ctx.processStorageEvent(event);
+      } catch (err) {
+        console.error('Storage webhook signature verification failed:', err.message);
+        return res.status(400).json({ error: err.message });
+      }
+    }]
+  });
+
+  // Supabase DB / Storage webhook endpoint
+  route(router, '/supabase/webhook', {
+    post: [express.json(), async (req, res) => {
+      // Optional secret validation - configure SUPABASE_WEBHOOK_SECRET in .env
+      const authHeader = req.headers.authorization || '';
+      if (process.env.SUPABASE_WEBHOOK_SECRET) {
+        const expected = `Bearer ${process.env.SUPABASE_WEBHOOK_SECRET}`;
+        if (authHeader !== expected) {
+          console.warn('Supabase webhook rejected due to invalid Authorization header');
+          return res.status(401).json({ error: 'Invalid webhook signature' });
+        }
+      }
+
+      try {
+        const payload = req.body;
+
+        // Common Supabase DB webhook shape: { table, event, record }
+        if (payload && payload.table && payload.event && payload.record) {
+          const { table, event, record } = payload;
+          console.log(`Supabase webhook: table=${table} event=${event}`);
+
+          // Trigger automation when automation_queue gets new tasks
+          if (table === 'automation_queue' && event === 'INSERT') {
+            // Process the automation queue immediately
+            setTimeout(async () => {
+              try {
+                await fetch(`${process.env.BASE_URL || 'http://localhost:3001'}/api/automation/process-queue`, {
+                  method: 'POST'
+                });
+              } catch (err) {
+                console.error('Failed to trigger automation processing:', err);
+              }
+            }, 2000); // 2 second delay
+          }
+
+          // Handle certified_mail updates
+          if (table === 'certified_mail' && event === 'UPDATE') {
+            console.log('Mail status updated via webhook, automation will be triggered by database trigger');
+          }
+
+          // Handle calendar_events inserts
+          if (table === 'calendar_events' && event === 'INSERT') {
+            console.log('New calendar event created, reminder automation scheduled by database trigger');
+          }
+
+          // If a new file row is inserted, try to find a file path and trigger processing
+          if (event === 'INSERT') {
+            const filePath = record.file_path || record.path || record.name || record.object_key || record.url;
+            const userId = record.user_id || record.owner || null;
+            if (filePath) {
+              // Ensure storage_limits exists for this user before processing
+              if (userId) await ctx.ensureDefaultStorageLimits(userId);
+
+              // Queue processing; duplicate webhook deliveries reuse the same job
+              const { job } = await enqueueDocumentAnalysis(ctx.jobQueue, { filePath, userId, source: 'supabase-webhook' });
+              console.log('Queued report processing from Supabase webhook for file:', filePath, 'job:', job.id);
+            }
+          }
+
+          return res.status(200).json({ received: true });
+        }
+
+        // Storage (object) events may use a different shape
+        if (payload && payload.eventType && payload.data) {
+          // Example: { eventType: 'object_created', data: { bucket, name, ... } }
+          const name = payload.data.name || payload.data.path || payload.data.key;
+          const bucket = payload.data.bucket || payload.data.bucketId;
+          if (name) {
+            const filePath = `${bucket}/${name}`;
+            // No user_id in storage events, so the job analyzes the file without saving to report_analyses
+            const { job } = await enqueueDocumentAnalysis(ctx.jobQueue, { filePath, source: 'storage-webhook' });
+            console.log('Queued storage object from Supabase webhook:', filePath, 'job:', job.id);
+            return res.status(200).json({ received: true });
+          }
+        }
+
+        // Unknown payload
+        console.warn('Supabase webhook received unknown payload shape');
+        return res.status(400).json({ error: 'Unknown webhook payload' });
+      } catch (err) {
+        console.error('Error handling Supabase webhook:', err);
+        return res.status(500).json({ error: err.message });
+      }
+    }]
+  });
+
+  return router;
+};
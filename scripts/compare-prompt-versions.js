@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { comparePromptVersions } = require('../prompts/compare');
+const { listPrompts } = require('../prompts');
+
+// Compare outcomes of prompt versions over stored analyses.
+// Usage: node scripts/compare-prompt-versions.js [prompt-name] [--since YYYY-MM-DD] [--limit N]
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : null;
+  };
+  const name = args[0] && !args[0].startsWith('--') ? args[0] : 'credit-report-analysis';
+  const since = flag('--since');
+  const limit = parseInt(flag('--limit'), 10) || 1000;
+
+  const prompt = listPrompts().find(p => p.name === name);
+  if (!prompt) {
+    console.error(`Unknown prompt: ${name}. Registered: ${listPrompts().map(p => p.name).join(', ')}`);
+    process.exit(1);
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  let query = supabase
+    .from('report_analyses')
+    .select('id, processed_at, analysis')
+    .order('processed_at', { ascending: false })
+    .limit(limit);
+  if (since) query = query.gte('processed_at', since);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  console.log(`Prompt ${name}: active ${prompt.active}` + (prompt.candidate ? `, candidate ${prompt.candidate.version} at ${prompt.candidate.percent}%` : ''));
+  const result = comparePromptVersions(data || [], name);
+  console.log(`${result.analyses} analyses with a recorded version (${result.unversioned} without)\n`);
+  console.log(JSON.stringify(result.versions, null, 2));
+}
+
+main().catch(err => { console.error(err); process.exit(1); });
@@ -1,7 +1,7 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const { tools, tavilyTool, createDatabaseTools } = require('../tools');
-const { chatWithFallback } = require('../aiUtils');
+const llm = require('../llm');
 
 async function main() {
   const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
@@ -26,10 +26,10 @@ async function main() {
     `\n\nProvide a short numbered list describing when you'd use each tool and an example prompt for the tool.`;
 
   try {
-    const { response } = await chatWithFallback([
+    const { response } = await llm.chat([
       { role: 'system', content: system },
       { role: 'user', content: 'List the tools and give one example use case and example prompt for each.' }
-    ]);
+    ], { task: 'chat' });
 
     const aiText = (response && (response.content || response)) || String(response || '');
     console.log('\nAI Supervisor Response:\n');
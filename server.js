@@ -19,38 +19,8 @@ console.log('- GOOGLE_API_KEY value starts with:', process.env.GOOGLE_API_KEY?.s
 console.log('- SUPABASE_URL:', process.env.SUPABASE_URL ? 'Set' : 'Not set');
 console.log('- TAVILY_API_KEY:', process.env.TAVILY_API_KEY ? 'Set' : 'Not set');
 
-const apiHandler = require('./api');
-
-// Simple rate limiter implementation (fallback)
-let rateLimitMap = new Map();
-
-const apiLimiter = (req, res, next) => {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowMs = 60 * 1000; // 1 minute
-  const max = 30; // 30 requests per minute
-  
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + windowMs });
-    return next();
-  }
-  
-  const data = rateLimitMap.get(ip);
-  if (now > data.resetTime) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + windowMs });
-    return next();
-  }
-  
-  if (data.count >= max) {
-    return res.status(429).json({ 
-      error: 'Too many requests from this IP, please try again later' 
-    });
-  }
-  
-  data.count++;
-  next();
-};
-
+const apiRouter = require('./api');
+const { verifyToken, isTestModeEnabled } = require('./middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -83,39 +53,13 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Stripe webhooks require the raw request body for signature verification.
-// These routes must be defined *before* the global app.use(express.json()).
-app.post('/api/stripe-webhook', express.raw({ type: 'application/json' }), (req, res) => {
-  // Adjust the URL for the apiHandler to recognize the route
-  req.url = '/stripe-webhook';
-  return apiHandler(req, res);
-});
-
-app.post('/api/storage/webhook', express.raw({ type: 'application/json' }), (req, res) => {
-    // Adjust the URL for the apiHandler to recognize the route
-    req.url = '/storage/webhook';
-    return apiHandler(req, res);
-});
-
-// For all other routes, parse JSON bodies. This must come *after* the raw webhook routes.
-app.use(express.json());
-
-// Apply rate limiting to all API routes except webhooks
-app.use('/api', apiLimiter, (req, res) => {
-  // Skip rate limiting for webhook endpoints
-  if (req.url === '/api/stripe-webhook' || req.url === '/api/storage/webhook') {
-    return apiHandler(req, res);
-  }
-  
-  // Modify the URL to match what the API handler expects by removing the /api prefix
-  req.url = req.url.replace(/^\/api/, '');
-  if (req.url === '') req.url = '/';
-
-  return apiHandler(req, res);
-});
+// All API routes. The router mounts the Stripe webhooks (raw body) ahead of its
+// JSON parser and rate limiter, so no body parsing happens at the app level.
+app.use('/api', apiRouter);
 
 // Track connected users by userId -> socketId mapping
 const connectedUsers = new Map();
+global.connectedUsers = connectedUsers;
 // Helper function to emit events to specific users
 global.emitToUser = (userId, event, data) => {
   if (global.connectedUsers && global.io) {
@@ -139,19 +83,41 @@ io.on('connection', (socket) => {
   });
   
   // Handle user authentication/identification
-  socket.on('authenticate', (data) => {
-    const { userId } = data;
-    if (userId) {
-      connectedUsers.set(userId, socket.id);
-      socket.userId = userId;
-      console.log(`User ${userId} authenticated on socket ${socket.id}`);
-      
-      socket.emit('authenticated', {
-        userId,
-        socketId: socket.id,
+  // Clients send their Supabase access token; the user id is taken from the token.
+  // Without a token, a bare userId is only accepted when AUTH_TEST_MODE is enabled.
+  socket.on('authenticate', async (data = {}) => {
+    const { token, userId: claimedUserId } = data;
+    let userId;
+    try {
+      if (token) {
+        const user = await verifyToken(token);
+        if (claimedUserId && claimedUserId !== user.id) {
+          throw new Error('userId does not match authenticated user');
+        }
+        userId = user.id;
+      } else if (isTestModeEnabled() && claimedUserId) {
+        userId = claimedUserId;
+      } else {
+        throw new Error('Missing access token');
+      }
+    } catch (err) {
+      console.warn(`Socket ${socket.id} failed authentication:`, err.message);
+      socket.emit('authentication-error', {
+        error: err.message,
         timestamp: new Date().toISOString()
       });
+      return;
     }
+
+    connectedUsers.set(userId, socket.id);
+    socket.userId = userId;
+    console.log(`User ${userId} authenticated on socket ${socket.id}`);
+
+    socket.emit('authenticated', {
+      userId,
+      socketId: socket.id,
+      timestamp: new Date().toISOString()
+    });
   });
   
   // Handle disconnection
@@ -185,4 +151,5 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check available at http://localhost:${PORT}/health`);
+  apiRouter.jobQueue.start();
 });
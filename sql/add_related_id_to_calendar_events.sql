@@ -0,0 +1,5 @@
+-- Link calendar events to the row they track (e.g. the certified_mail row of a mailed letter)
+ALTER TABLE IF EXISTS calendar_events
+  ADD COLUMN IF NOT EXISTS related_id uuid;
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_related ON calendar_events(related_type, related_id);
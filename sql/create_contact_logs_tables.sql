@@ -0,0 +1,43 @@
+-- Collector contact log: calls, texts, emails and visits the user records, checked
+-- for FDCPA / Regulation F violations by contacts/analyzer.js
+CREATE TABLE IF NOT EXISTS contact_logs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  collector text NOT NULL,
+  -- Address directory key when the collector matched an entry (addresses/directory.js)
+  collector_key text,
+  channel text NOT NULL CHECK (channel IN ('call', 'voicemail', 'text', 'email', 'visit', 'letter')),
+  initiated_by text NOT NULL DEFAULT 'collector' CHECK (initiated_by IN ('collector', 'consumer')),
+  occurred_at timestamptz NOT NULL,
+  -- IANA zone the user was in (America/Chicago); convenient hours are judged in it
+  timezone text NOT NULL,
+  location text CHECK (location IN ('home', 'cell', 'work', 'other')),
+  phone_number text,
+  -- A call where the user spoke with the collector (Reg F 7-day rule after a conversation)
+  conversation boolean NOT NULL DEFAULT false,
+  duration_minutes integer,
+  summary text,
+  notes text,
+  dispute_case_id uuid REFERENCES dispute_cases(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS contact_logs_user_idx ON contact_logs (user_id, occurred_at DESC);
+
+-- Cease-communication letters and workplace objections; the analyzer flags contact
+-- after they take effect. A null collector applies to every collector.
+CREATE TABLE IF NOT EXISTS collector_notices (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  collector text,
+  collector_key text,
+  notice_type text NOT NULL CHECK (notice_type IN ('cease_communication', 'workplace_objection')),
+  -- Takes effect on delivery of the certified letter; otherwise on effective_at
+  certified_mail_id uuid,
+  effective_at date,
+  notes text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS collector_notices_user_idx ON collector_notices (user_id);
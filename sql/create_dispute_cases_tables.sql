@@ -0,0 +1,47 @@
+-- Dispute cases: ties the disputed findings, letters, certified mail and deadlines
+-- together with a state machine (see disputes/states.js)
+CREATE TABLE IF NOT EXISTS dispute_cases (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  case_type text NOT NULL DEFAULT 'fcra' CHECK (case_type IN ('fcra', 'fdcpa')),
+  recipient text NOT NULL,
+  recipient_type text NOT NULL DEFAULT 'bureau' CHECK (recipient_type IN ('bureau', 'furnisher', 'collector')),
+  state text NOT NULL DEFAULT 'draft'
+    CHECK (state IN ('draft', 'sent', 'delivered', 'under_investigation', 'responded', 'resolved', 'escalated')),
+  -- report_analyses row the findings came from; findings are snapshotted in `findings`
+  analysis_id uuid,
+  findings jsonb NOT NULL DEFAULT '[]'::jsonb,
+  letters jsonb NOT NULL DEFAULT '[]'::jsonb,
+  mail_method text,
+  tracking_number text,
+  certified_mail_id uuid,
+  deadlines jsonb NOT NULL DEFAULT '{}'::jsonb,
+  outcome text,
+  notes text,
+  sent_at date,
+  delivered_at date,
+  investigation_started_at date,
+  responded_at date,
+  resolved_at date,
+  escalated_at date,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS dispute_cases_user_idx ON dispute_cases (user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS dispute_cases_state_idx ON dispute_cases (user_id, state);
+
+-- Audit trail: creation, edits, transitions and linked letters
+CREATE TABLE IF NOT EXISTS dispute_case_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  case_id uuid NOT NULL REFERENCES dispute_cases(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE,
+  action text NOT NULL,
+  from_state text,
+  to_state text,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS dispute_case_events_case_idx ON dispute_case_events (case_id, created_at);
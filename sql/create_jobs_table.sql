@@ -0,0 +1,30 @@
+-- Durable background jobs (document analysis and other long-running work).
+-- Claimed by the Node job queue with FOR UPDATE SKIP LOCKED; see jobs/drivers/postgres.js
+CREATE TABLE IF NOT EXISTS jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  type text NOT NULL,
+  state text NOT NULL DEFAULT 'queued' CHECK (state IN ('queued', 'running', 'retrying', 'completed', 'failed')),
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  result jsonb,
+  error text,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE,
+  idempotency_key text,
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 3,
+  run_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- One live job per idempotency key; completed and failed jobs release it, so the same
+-- file can be analyzed again.
+CREATE UNIQUE INDEX IF NOT EXISTS jobs_idempotency_key_live_idx
+  ON jobs (idempotency_key)
+  WHERE state IN ('queued', 'running', 'retrying');
+
+-- Worker polling: due jobs by type
+CREATE INDEX IF NOT EXISTS jobs_due_idx ON jobs (type, run_at) WHERE state IN ('queued', 'retrying');
+
+CREATE INDEX IF NOT EXISTS jobs_user_id_idx ON jobs (user_id, created_at DESC);
@@ -0,0 +1,23 @@
+-- Admin additions and overrides for the recipient address directory
+-- (built-in entries live in addresses/directory.js; a row with the same key replaces one)
+CREATE TABLE IF NOT EXISTS recipient_addresses (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  key text NOT NULL UNIQUE,
+  name text NOT NULL,
+  type text NOT NULL CHECK (type IN ('bureau', 'specialty', 'collector', 'furnisher')),
+  aliases text[] NOT NULL DEFAULT '{}',
+  -- { line1, line2, city, state, zip }
+  address jsonb NOT NULL DEFAULT '{}'::jsonb,
+  phone text,
+  website text,
+  notes text,
+  -- false hides the built-in entry with this key
+  active boolean NOT NULL DEFAULT true,
+  updated_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Directory entry and mailing address a dispute case was addressed to
+ALTER TABLE dispute_cases ADD COLUMN IF NOT EXISTS recipient_key text;
+ALTER TABLE dispute_cases ADD COLUMN IF NOT EXISTS recipient_address jsonb;
@@ -1,3 +0,0 @@
-// Proxy file for deployment environments that place sources under /src
-// This delegates to the repository's top-level temp/aiUtils implementation.
-module.exports = require('../../temp/aiUtils');
@@ -1,6 +1,5 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
 const { createDatabaseTools } = require('./tools');
 
@@ -51,8 +50,8 @@ async function testDatabaseTools() {
 
   // Test with AI
   console.log('\n3. Testing AI with database tools...');
-  // Use centralized fallback for AI testing and call database tool directly to verify
-  const { chatWithFallback } = require('./aiUtils');
+  // Use the LLM gateway for AI testing and call database tool directly to verify
+  const llm = require('../llm');
 
   const messages = [
     new SystemMessage(
@@ -64,7 +63,7 @@ async function testDatabaseTools() {
 
   console.log('Sending message to AI: "Can you get my credit reports?"');
   try {
-    const { response } = await chatWithFallback(messages);
+    const { response } = await llm.chat(messages, { task: 'chat' });
     const content = response && (response.content || response) ? (response.content || response) : '';
     console.log('\nAI Response:');
     console.log('Content:', content);
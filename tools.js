@@ -1,5 +1,7 @@
 const { TavilySearch } = require('@langchain/tavily');
 const { DynamicTool } = require('@langchain/core/tools');
+const { createCompareReportsTool } = require('./reportComparison');
+const { createGenerateLetterTool } = require('./letters');
 
 // Initialize Tavily search tool
 const tavilyTool = new TavilySearch({
@@ -100,7 +102,7 @@ function createDatabaseTools(supabase, userId) {
     }
   });
 
-  return [getUserFilesTool, getFileAnalysisTool];
+  return [getUserFilesTool, getFileAnalysisTool, createCompareReportsTool(supabase, userId), createGenerateLetterTool(supabase, userId)];
 }
 
 const tools = [tavilyTool, legalCaseTool, consumerRightsTool, creditDisputeTool];
@@ -8,13 +8,23 @@ const ajv = new Ajv({ allErrors: true, strict: false });
 addFormats(ajv);
 
 const validators = {}; // cache compiled validators by filename
+const schemas = {}; // parsed schema JSON by filename
+
+// Parsed schema JSON from /schemas (the structured-output layer shows it to the model)
+function getSchema(name) {
+  const fileName = name || 'analysis.schema.json';
+  if (!schemas[fileName]) {
+    const schemaPath = path.join(__dirname, '..', 'schemas', fileName);
+    schemas[fileName] = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  }
+  return schemas[fileName];
+}
 
 function loadSchemaByName(name) {
   const fileName = name || 'analysis.schema.json';
   if (validators[fileName]) return validators[fileName];
   try {
-    const schemaPath = path.join(__dirname, '..', 'schemas', fileName);
-    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    const schema = getSchema(fileName);
     const validateFn = ajv.compile(schema);
     validators[fileName] = validateFn;
     return validateFn;
@@ -24,6 +34,15 @@ function loadSchemaByName(name) {
   }
 }
 
+// Error text with the allowed values spelled out, so a repair prompt can act on it
+function formatError(e) {
+  const where = e.instancePath || '/';
+  if (e.keyword === 'enum' && e.params && e.params.allowedValues) {
+    return `${where} ${e.message} (${e.params.allowedValues.map(v => JSON.stringify(v)).join(', ')})`;
+  }
+  return `${where} ${e.message}`;
+}
+
 function validate(schemaNameOrObj, maybeObj) {
   // backward-compatible: validate(obj) -> uses analysis.schema.json
   if (typeof schemaNameOrObj === 'object' && maybeObj === undefined) {
@@ -31,7 +50,7 @@ function validate(schemaNameOrObj, maybeObj) {
     if (!validateFn) return { valid: false, errors: ['Schema not loaded'] };
     const valid = validateFn(schemaNameOrObj);
     if (valid) return { valid: true, errors: [] };
-    const errors = (validateFn.errors || []).map(e => `${e.instancePath || '/'} ${e.message}`);
+    const errors = (validateFn.errors || []).map(formatError);
     return { valid: false, errors };
   }
 
@@ -42,8 +61,8 @@ function validate(schemaNameOrObj, maybeObj) {
   if (!validateFn) return { valid: false, errors: ['Schema not loaded'] };
   const valid = validateFn(obj);
   if (valid) return { valid: true, errors: [] };
-  const errors = (validateFn.errors || []).map(e => `${e.instancePath || '/'} ${e.message}`);
+  const errors = (validateFn.errors || []).map(formatError);
   return { valid: false, errors };
 }
 
-module.exports = { validate };
+module.exports = { validate, getSchema };
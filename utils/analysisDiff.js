@@ -0,0 +1,203 @@
+// Changelog between two analyses of the same bureau's report taken at different times:
+// which accounts appeared or disappeared, what changed on them, and which violations
+// were resolved. Used to show whether disputes worked.
+const moment = require('moment');
+const { extractTradelines, normalizeName } = require('./tradelines');
+const { alignTradelines, nameSimilarity, statusCategory, lateSummary } = require('./bureauCompare');
+
+const BALANCE_TOLERANCE = 1;
+const DATE_TOLERANCE_DAYS = 31;
+const MIN_ACCOUNT_SIMILARITY = 0.5;
+
+const ACCOUNT_FIELDS = [
+  {
+    field: 'balance',
+    value: t => t.balance,
+    changed: (a, b) => Math.abs(a - b) > BALANCE_TOLERANCE
+  },
+  {
+    field: 'status',
+    value: t => t.status || null,
+    changed: (a, b) => statusCategory(a) !== statusCategory(b)
+  },
+  {
+    field: 'date_of_first_delinquency',
+    value: t => t.date_of_first_delinquency,
+    changed: (a, b) => Math.abs(moment(a).diff(moment(b), 'days')) > DATE_TOLERANCE_DAYS
+  },
+  {
+    field: 'date_closed',
+    value: t => t.date_closed,
+    changed: (a, b) => Math.abs(moment(a).diff(moment(b), 'days')) > DATE_TOLERANCE_DAYS
+  },
+  {
+    field: 'late_payments',
+    value: t => lateSummary(t.payment_history),
+    changed: (a, b) => JSON.stringify(Object.entries(a).sort()) !== JSON.stringify(Object.entries(b).sort())
+  }
+];
+
+const accountSummary = (t) => ({
+  creditor: t.creditor,
+  account_number: t.account_number,
+  is_collection: t.is_collection,
+  is_negative: t.is_negative,
+  balance: t.balance,
+  status: t.status
+});
+
+// Creditor names the earlier analysis flagged or planned to dispute
+function flaggedCreditors(analysis) {
+  const names = [];
+  for (const v of Array.isArray(analysis.fcra_violations) ? analysis.fcra_violations : []) {
+    names.push(...(Array.isArray(v && v.affected_accounts) ? v.affected_accounts : []));
+  }
+  for (const issue of Array.isArray(analysis.account_issues) ? analysis.account_issues : []) {
+    if (issue && issue.account_name) names.push(issue.account_name);
+  }
+  for (const letter of Array.isArray(analysis.dispute_letters_needed) ? analysis.dispute_letters_needed : []) {
+    names.push(...(Array.isArray(letter && letter.accounts_involved) ? letter.accounts_involved : []));
+  }
+  // Rule findings describe accounts as "Creditor (acct ending 1234)"
+  return names.map(n => normalizeName(String(n).replace(/\(acct ending \d+\)/i, ''))).filter(Boolean);
+}
+
+const wasFlagged = (tradeline, flagged) =>
+  flagged.some(name => nameSimilarity(tradeline.creditor_key, name) >= MIN_ACCOUNT_SIMILARITY);
+
+function diffAccounts(fromData, toData, fromAnalysis) {
+  const fromTradelines = [...fromData.accounts, ...fromData.collections];
+  const toTradelines = [...toData.accounts, ...toData.collections];
+  const groups = alignTradelines([{ tradelines: fromTradelines }, { tradelines: toTradelines }]);
+  const flagged = flaggedCreditors(fromAnalysis);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const { members } of groups) {
+    const before = members[0];
+    const after = members[1];
+    if (!before) { added.push(accountSummary(after)); continue; }
+    if (!after) {
+      removed.push({ ...accountSummary(before), previously_disputed: wasFlagged(before, flagged) });
+      continue;
+    }
+    const changes = [];
+    for (const check of ACCOUNT_FIELDS) {
+      const a = check.value(before);
+      const b = check.value(after);
+      if (a === null || a === undefined || b === null || b === undefined) {
+        // A field appearing or disappearing is a change too (e.g. DOFD dropped)
+        if ((a === null || a === undefined) !== (b === null || b === undefined)) changes.push({ field: check.field, from: a ?? null, to: b ?? null });
+        continue;
+      }
+      if (check.changed(a, b)) changes.push({ field: check.field, from: a, to: b });
+    }
+    if (changes.length) changed.push({ creditor: after.creditor, account_number: after.account_number, changes });
+    else unchanged++;
+  }
+
+  return {
+    added,
+    removed,
+    // Negative or disputed items that no longer appear are the clearest sign a dispute worked
+    deleted_after_dispute: removed.filter(a => a.is_negative || a.previously_disputed),
+    changed,
+    unchanged_count: unchanged
+  };
+}
+
+function diffInquiries(fromData, toData) {
+  const key = (i) => `${normalizeName(i.creditor)}|${i.date || ''}`;
+  const before = new Map(fromData.inquiries.filter(i => i.hard).map(i => [key(i), i]));
+  const after = new Map(toData.inquiries.filter(i => i.hard).map(i => [key(i), i]));
+  const pick = (i) => ({ creditor: i.creditor, date: i.date });
+  return {
+    added: [...after].filter(([k]) => !before.has(k)).map(([, i]) => pick(i)),
+    removed: [...before].filter(([k]) => !after.has(k)).map(([, i]) => pick(i))
+  };
+}
+
+function violationAccounts(v) {
+  return (Array.isArray(v.affected_accounts) ? v.affected_accounts : [])
+    .map(n => normalizeName(String(n).replace(/\(acct ending \d+\)/i, '')))
+    .filter(Boolean);
+}
+
+function sameViolation(a, b) {
+  if (a.rule_id || b.rule_id ? a.rule_id !== b.rule_id : a.violation_type !== b.violation_type) return false;
+  const accountsA = violationAccounts(a);
+  const accountsB = violationAccounts(b);
+  if (!accountsA.length || !accountsB.length) return accountsA.length === accountsB.length;
+  return accountsA.some(x => accountsB.some(y => nameSimilarity(x, y) >= MIN_ACCOUNT_SIMILARITY));
+}
+
+function diffViolations(fromAnalysis, toAnalysis) {
+  const summarize = (v) => ({
+    violation_type: v.violation_type,
+    rule_id: v.rule_id || null,
+    description: v.description,
+    affected_accounts: v.affected_accounts || [],
+    severity: v.severity
+  });
+  const before = (Array.isArray(fromAnalysis.fcra_violations) ? fromAnalysis.fcra_violations : []).filter(Boolean);
+  const after = (Array.isArray(toAnalysis.fcra_violations) ? toAnalysis.fcra_violations : []).filter(Boolean);
+  const matched = new Set();
+  const resolved = [];
+  const persisting = [];
+  for (const v of before) {
+    const index = after.findIndex((w, i) => !matched.has(i) && sameViolation(v, w));
+    if (index === -1) resolved.push(summarize(v));
+    else { matched.add(index); persisting.push(summarize(after[index])); }
+  }
+  return {
+    resolved,
+    persisting,
+    new: after.filter((w, i) => !matched.has(i)).map(summarize)
+  };
+}
+
+/**
+ * Diff two analyses, oldest first.
+ * @param {{id?: string, file_path?: string, processed_at?: string, analysis: Object}} fromRow
+ * @param {{id?: string, file_path?: string, processed_at?: string, analysis: Object}} toRow
+ * @returns {Object} { from, to, accounts, inquiries, violations, summary }
+ */
+function diffAnalyses(fromRow, toRow) {
+  const fromAnalysis = fromRow.analysis || {};
+  const toAnalysis = toRow.analysis || {};
+  const fromData = extractTradelines(fromAnalysis);
+  const toData = extractTradelines(toAnalysis);
+
+  const accounts = diffAccounts(fromData, toData, fromAnalysis);
+  const inquiries = diffInquiries(fromData, toData);
+  const violations = diffViolations(fromAnalysis, toAnalysis);
+  const describe = (row) => ({
+    analysis_id: row.id || null,
+    file_path: row.file_path || null,
+    processed_at: row.processed_at || null,
+    bureau: row.bureau || null
+  });
+
+  return {
+    from: describe(fromRow),
+    to: describe(toRow),
+    accounts,
+    inquiries,
+    violations,
+    summary: {
+      accounts_added: accounts.added.length,
+      accounts_removed: accounts.removed.length,
+      deleted_after_dispute: accounts.deleted_after_dispute.length,
+      accounts_changed: accounts.changed.length,
+      inquiries_added: inquiries.added.length,
+      inquiries_removed: inquiries.removed.length,
+      violations_resolved: violations.resolved.length,
+      violations_persisting: violations.persisting.length,
+      violations_new: violations.new.length
+    }
+  };
+}
+
+module.exports = { diffAnalyses };
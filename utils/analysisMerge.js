@@ -0,0 +1,140 @@
+// Reduce step of chunked report analysis: merges the analyses of each chunk into one,
+// folding together accounts, inquiries and findings that several chunks reported (an
+// account summary page and the account detail page often describe the same tradeline).
+const { normalizeName, parseReportDate } = require('./tradelines');
+const { nameSimilarity, accountNumbersMatch } = require('./bureauCompare');
+
+const MIN_NAME_SIMILARITY = 0.5;
+const MAX_PRIORITY_ACTIONS = 5;
+const MAX_SUMMARY_LENGTH = 2000;
+
+const IMPACT_ORDER = ['unknown', 'low', 'medium', 'high'];
+const RISK_ORDER = ['unknown', 'clean', 'minor_issues', 'significant_issues', 'serious_violations'];
+
+const normalizeText = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+// Same account: similar furnisher names and account numbers that do not contradict each other
+function sameAccount(nameA, numberA, nameB, numberB) {
+  const similarity = nameSimilarity(normalizeName(nameA), normalizeName(nameB));
+  const numbers = accountNumbersMatch(numberA, numberB);
+  if (numbers === false) return false;
+  return numbers ? similarity >= MIN_NAME_SIMILARITY : similarity === 1;
+}
+
+const collectionName = (c) => c.collection_agency || c.creditor_name;
+
+const SECTION_MATCHERS = {
+  collection_accounts: (a, b) =>
+    sameAccount(collectionName(a), a.account_number, collectionName(b), b.account_number),
+  account_issues: (a, b) =>
+    a.issue_type === b.issue_type && sameAccount(a.account_name, a.account_number, b.account_name, b.account_number),
+  inquiries: (a, b) =>
+    nameSimilarity(normalizeName(a.creditor_name), normalizeName(b.creditor_name)) === 1 &&
+    (parseReportDate(a.date) || normalizeText(a.date)) === (parseReportDate(b.date) || normalizeText(b.date)),
+  personal_info_issues: (a, b) =>
+    a.type === b.type && normalizeText(a.current_info || a.evidence) === normalizeText(b.current_info || b.evidence),
+  fcra_violations: (a, b) => {
+    if (normalizeText(a.violation_type) !== normalizeText(b.violation_type)) return false;
+    const accountsA = asArray(a.affected_accounts);
+    const accountsB = asArray(b.affected_accounts);
+    if (accountsA.length && accountsB.length) {
+      return accountsA.some(x => accountsB.some(y => nameSimilarity(normalizeName(x), normalizeName(y)) >= MIN_NAME_SIMILARITY));
+    }
+    return normalizeText(a.evidence) === normalizeText(b.evidence);
+  },
+  dispute_letters_needed: (a, b) => a.type === b.type && normalizeText(a.target) === normalizeText(b.target)
+};
+
+// Union of two lists, by value for strings and by JSON for objects
+function unionList(a, b) {
+  const seen = new Set(a.map(item => (typeof item === 'string' ? normalizeText(item) : JSON.stringify(item))));
+  const merged = [...a];
+  for (const item of b) {
+    const key = typeof item === 'string' ? normalizeText(item) : JSON.stringify(item);
+    if (!seen.has(key)) {
+      seen.add(key);
+      merged.push(item);
+    }
+  }
+  return merged;
+}
+
+// Later duplicates fill fields the first report left empty; lists are combined
+function combine(kept, duplicate) {
+  for (const [key, value] of Object.entries(duplicate)) {
+    const current = kept[key];
+    if (Array.isArray(current) && Array.isArray(value)) kept[key] = unionList(current, value);
+    else if (current === undefined || current === null || current === '') kept[key] = value;
+  }
+  return kept;
+}
+
+function mergeSection(items, matches) {
+  const merged = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object') continue;
+    const existing = matches ? merged.find(m => matches(m, item)) : null;
+    if (existing) combine(existing, item);
+    else merged.push({ ...item });
+  }
+  return merged;
+}
+
+const highest = (order, values) =>
+  values.reduce((best, v) => (order.indexOf(v) > order.indexOf(best) ? v : best), order[0]);
+
+// Round-robin over each chunk's actions so every part of the report is represented
+function priorityActions(assessments) {
+  const lists = assessments.map(a => asArray(a.priority_actions));
+  const actions = [];
+  for (let i = 0; actions.length < MAX_PRIORITY_ACTIONS && lists.some(l => l[i]); i++) {
+    for (const list of lists) {
+      if (list[i] && actions.length < MAX_PRIORITY_ACTIONS) actions.push(list[i]);
+    }
+  }
+  return unionList([], actions);
+}
+
+function overallAssessment(parts, merged) {
+  const assessments = parts.map(p => p.overall_assessment).filter(a => a && typeof a === 'object');
+  const accounts = mergeSection(
+    [...merged.account_issues.map(a => ({ name: a.account_name, number: a.account_number })),
+      ...merged.collection_accounts.map(c => ({ name: collectionName(c), number: c.account_number }))],
+    (a, b) => sameAccount(a.name, a.number, b.name, b.number)
+  );
+  return {
+    credit_score_impact: highest(IMPACT_ORDER, assessments.map(a => a.credit_score_impact)),
+    total_accounts_affected: accounts.length,
+    total_violations_found: merged.fcra_violations.length,
+    overall_risk_level: highest(RISK_ORDER, assessments.map(a => a.overall_risk_level)),
+    priority_actions: priorityActions(assessments)
+  };
+}
+
+/**
+ * Merge per-chunk analyses into one analysis with duplicates folded together.
+ * Sections without a matcher (e.g. public_records from some models) are concatenated
+ * with exact duplicates dropped. Underscore metadata on the parts is not carried over.
+ * @param {Array<Object>} parts - Chunk analyses in report order
+ * @returns {Object} Merged analysis
+ */
+function mergeAnalyses(parts) {
+  const analyses = asArray(parts).filter(p => p && typeof p === 'object');
+  const merged = {};
+  const sections = new Set(analyses.flatMap(p => Object.keys(p).filter(k => !k.startsWith('_') && Array.isArray(p[k]))));
+  for (const section of [...Object.keys(SECTION_MATCHERS), ...sections]) {
+    if (merged[section]) continue;
+    const items = analyses.flatMap(p => asArray(p[section]));
+    merged[section] = SECTION_MATCHERS[section]
+      ? mergeSection(items, SECTION_MATCHERS[section])
+      : unionList([], items);
+  }
+
+  const summaries = unionList([], analyses.map(p => p.summary).filter(s => typeof s === 'string' && s.trim()));
+  merged.summary = summaries.join(' ').substring(0, MAX_SUMMARY_LENGTH);
+  merged.overall_assessment = overallAssessment(analyses, merged);
+  return merged;
+}
+
+module.exports = { mergeAnalyses, sameAccount };
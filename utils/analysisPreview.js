@@ -0,0 +1,74 @@
+// HTML preview of a stored analysis, shared by POST /report/preview and the
+// attorney referral packet.
+const { validate } = require('./ajvValidate');
+
+const escapeHtml = (s) => String(s || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Validate an analysis against the schema and render a simple HTML preview.
+ * @param {Object} analysis
+ * @returns {{ valid: boolean, errors: Array|null, html: string }}
+ */
+function renderAnalysisPreview(analysis) {
+  const { valid, errors } = validate(analysis);
+
+  const summary = analysis.summary || 'No summary provided';
+  const personalIssues = Array.isArray(analysis.personal_info_issues) ? analysis.personal_info_issues : [];
+  const accountIssues = Array.isArray(analysis.account_issues) ? analysis.account_issues : [];
+  const collectionAccounts = Array.isArray(analysis.collection_accounts) ? analysis.collection_accounts : [];
+  const fcraViolations = Array.isArray(analysis.fcra_violations) ? analysis.fcra_violations : [];
+  const overall = analysis.overall_assessment || {};
+
+  let html = `<!doctype html><html><head><meta charset="utf-8"><title>Credit Report Analysis Preview</title>
+    <style>body{font-family:Arial,Helvetica,sans-serif;padding:16px;max-width:800px;margin:0 auto} h1{font-size:24px;margin-bottom:8px} h2{font-size:18px;margin-top:24px} h3{font-size:16px;margin-top:16px} .badge{display:inline-block;padding:4px 8px;border-radius:12px;background:#eee;margin-left:8px} .high{background:#fee} .medium{background:#ffd} .low{background:#efe} .section{margin-bottom:24px} .item{margin-bottom:12px;padding:8px;border-left:4px solid #ccc} .evidence{font-style:italic;color:#666;margin-top:4px} ul{list-style:none;padding:0} li{margin-bottom:8px}</style></head><body>`;
+
+  html += `<h1>Credit Report Analysis Preview</h1>`;
+  html += `<div class="section"><h2>Summary</h2><p>${escapeHtml(summary)}</p></div>`;
+
+  if (personalIssues.length > 0) {
+    html += `<div class="section"><h2>Personal Information Issues</h2><ul>`;
+    personalIssues.slice(0, 5).forEach(issue => {
+      html += `<li class="item ${issue.severity || 'low'}"><strong>${escapeHtml(issue.type || 'Issue')}</strong> <span class="badge">${escapeHtml(issue.severity || 'unknown')}</span><div>${escapeHtml(issue.description || '')}</div><div class="evidence">${escapeHtml(issue.evidence || '')}</div></li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  if (accountIssues.length > 0) {
+    html += `<div class="section"><h2>Account Issues</h2><ul>`;
+    accountIssues.slice(0, 10).forEach(issue => {
+      html += `<li class="item ${issue.severity || 'low'}"><strong>${escapeHtml(issue.account_name || 'Unknown Account')}</strong> <span class="badge">${escapeHtml(issue.severity || 'unknown')}</span><div>${escapeHtml(issue.description || '')}</div><div class="evidence">${escapeHtml(issue.evidence || '')}</div></li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  if (collectionAccounts.length > 0) {
+    html += `<div class="section"><h2>Collection Accounts</h2><ul>`;
+    collectionAccounts.slice(0, 5).forEach(acc => {
+      html += `<li class="item"><strong>${escapeHtml(acc.collection_agency || 'Unknown Agency')}</strong><div>Original Creditor: ${escapeHtml(acc.creditor_name || '')}</div><div>Balance: ${escapeHtml(acc.current_balance || '')}</div></li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  if (fcraViolations.length > 0) {
+    html += `<div class="section"><h2>FCRA Violations</h2><ul>`;
+    fcraViolations.slice(0, 5).forEach(v => {
+      html += `<li class="item ${v.severity || 'low'}"><strong>${escapeHtml(v.violation_type || 'Violation')}</strong> <span class="badge">${escapeHtml(v.severity || 'unknown')}</span><div>${escapeHtml(v.description || '')}</div><div class="evidence">${escapeHtml(v.evidence || '')}</div></li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  if (overall.priority_actions) {
+    html += `<div class="section"><h2>Priority Actions</h2><ul>`;
+    (overall.priority_actions || []).slice(0, 5).forEach(action => {
+      html += `<li>${escapeHtml(action)}</li>`;
+    });
+    html += `</ul></div>`;
+  }
+
+  html += `<footer><small>Validation: ${valid ? '✅ Valid' : '❌ Invalid'} | Risk Level: ${escapeHtml(overall.overall_risk_level || 'unknown')}</small></footer>`;
+  html += `</body></html>`;
+
+  return { valid, errors, html };
+}
+
+module.exports = { renderAnalysisPreview };
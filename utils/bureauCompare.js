@@ -0,0 +1,313 @@
+// Align tradelines across separately analyzed bureau reports (Equifax, Experian,
+// TransUnion) and list where the bureaus disagree.
+const moment = require('moment');
+const { extractTradelines } = require('./tradelines');
+const { parsePaymentGrid, normalizeCode } = require('./paymentGrid');
+
+const BUREAUS = ['Equifax', 'Experian', 'TransUnion'];
+
+const MIN_NAME_SIMILARITY = 0.5;
+const DATE_TOLERANCE_DAYS = 31;
+const BALANCE_TOLERANCE = 1;
+
+/**
+ * Guess which bureau produced a report from explicit fields, the file name, then the text.
+ * @param {Object} row - report_analyses row
+ * @returns {string|null}
+ */
+function detectBureau(row) {
+  const analysis = (row && row.analysis) || {};
+  const explicit = analysis.bureau || (analysis.tradelines && analysis.tradelines.bureau);
+  const named = (text) => BUREAUS.find(b => new RegExp(b.replace('Union', '\\s*Union'), 'i').test(String(text || '')));
+  if (explicit && named(explicit)) return named(explicit);
+
+  const fromName = named(row && (row.file_name || row.file_path));
+  if (fromName) return fromName;
+
+  // Reports mention the other bureaus too (e.g. in dispute instructions), so take the most frequent
+  const text = `${(row && row.extracted_text) || ''} ${typeof analysis.summary === 'string' ? analysis.summary : ''}`;
+  let best = null;
+  let bestCount = 0;
+  for (const bureau of BUREAUS) {
+    const count = (text.match(new RegExp(bureau.replace('Union', '\\s*Union'), 'gi')) || []).length;
+    if (count > bestCount) { best = bureau; bestCount = count; }
+  }
+  return best;
+}
+
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b || a.startsWith(`${b} `) || b.startsWith(`${a} `)) return 1;
+  const ta = new Set(a.split(' '));
+  const tb = new Set(b.split(' '));
+  const shared = [...ta].filter(t => tb.has(t)).length;
+  return shared / new Set([...ta, ...tb]).size;
+}
+
+/**
+ * Compare two masked account numbers. Bureaus mask differently (Equifax and TransUnion
+ * usually keep the last digits, Experian the first), so only compare visible ends.
+ * @returns {boolean|null} null when the numbers cannot be compared
+ */
+function accountNumbersMatch(a, b) {
+  const x = String(a || '').replace(/[\s-]/g, '');
+  const y = String(b || '').replace(/[\s-]/g, '');
+  if (x.replace(/\D/g, '').length < 4 || y.replace(/\D/g, '').length < 4) return null;
+  if (/\d{4}$/.test(x) && /\d{4}$/.test(y)) return x.slice(-4) === y.slice(-4);
+  if (/^\d{4}/.test(x) && /^\d{4}/.test(y)) return x.slice(0, 4) === y.slice(0, 4);
+  return null;
+}
+
+function matchScore(a, b) {
+  if (a.is_collection !== b.is_collection) return 0;
+  const similarity = nameSimilarity(a.creditor_key, b.creditor_key);
+  if (similarity < MIN_NAME_SIMILARITY) return 0;
+  const numbers = accountNumbersMatch(a.account_number, b.account_number);
+  if (numbers === false) return 0;
+  return similarity + (numbers ? 0.5 : 0);
+}
+
+// Coarse status buckets so "Pays as agreed" and "Current" compare equal
+function statusCategory(status) {
+  const s = String(status || '').toLowerCase();
+  if (!s) return null;
+  if (/bankrupt|chapter\s*(7|11|13)/.test(s)) return 'bankruptcy';
+  if (/charge[\s-]?off|charged[\s-]?off|written off/.test(s)) return 'charge_off';
+  if (/collection/.test(s)) return 'collection';
+  if (/repossess|foreclos/.test(s)) return 'repossession';
+  if (/(30|60|90|120|150|180)\s*days|late|delinquen|past due/.test(s.replace(/never\s+late|no\s+late/g, ''))) return 'late';
+  if (/settled/.test(s)) return 'settled';
+  if (/paid|closed|transferred|sold|refinanced/.test(s)) return 'paid_or_closed';
+  if (/current|as agreed|open|ok\b|good standing|never late/.test(s)) return 'current';
+  return s.trim();
+}
+
+const LATE_CODES = ['30', '60', '90', '120', '150', '180'];
+
+// Payment grid codes of a history: the parser's [{ month, status }] grid, a list of codes,
+// or text that is a grid ("OK OK 30 60"); null for free text such as remarks
+function historyCodes(history) {
+  if (Array.isArray(history)) {
+    const codes = history.map(h => normalizeCode(h && typeof h === 'object' ? h.status : h));
+    return codes.some(c => c === null) ? null : codes;
+  }
+  if (typeof history !== 'string') return null;
+  const grid = parsePaymentGrid(history.split('\n'), history);
+  return grid ? grid.map(g => g.status) : null;
+}
+
+/**
+ * Count 30/60/90/... day late marks in a payment history. Only payment grid codes and
+ * "N days late" phrases count, so balances, years and day counts in remarks do not.
+ * @returns {Object|null} e.g. { 30: 2, 60: 1 }; null when the history is not readable
+ */
+function lateSummary(history) {
+  if (!history) return null;
+  const counts = {};
+  const codes = historyCodes(history);
+  if (codes) {
+    for (const code of codes) if (LATE_CODES.includes(code)) counts[code] = (counts[code] || 0) + 1;
+    return counts;
+  }
+  if (typeof history !== 'string') return null;
+  for (const m of history.matchAll(/\b(30|60|90|120|150|180)[\s-]*days?\s+(late|past\s+due|delinquent)\b/gi)) {
+    counts[m[1]] = (counts[m[1]] || 0) + 1;
+  }
+  return Object.keys(counts).length ? counts : null;
+}
+
+// Late marks one report has that another does not, summed over the 30..180 buckets
+function lateDifference(summaries) {
+  const spread = (code) => {
+    const counts = summaries.map(s => s[code] || 0);
+    return Math.max(...counts) - Math.min(...counts);
+  };
+  return {
+    total: LATE_CODES.reduce((sum, code) => sum + spread(code), 0),
+    serious: ['90', '120', '150', '180'].some(code => spread(code) > 0)
+  };
+}
+
+const sameDate = (a, b) => Math.abs(moment(a).diff(moment(b), 'days')) <= DATE_TOLERANCE_DAYS;
+
+const FIELD_CHECKS = [
+  {
+    type: 'balance_mismatch',
+    field: 'balance',
+    value: t => t.balance,
+    differs: values => Math.max(...values) - Math.min(...values) > BALANCE_TOLERANCE,
+    describe: 'Balances differ'
+  },
+  {
+    type: 'status_mismatch',
+    field: 'status',
+    value: t => t.status || null,
+    differs: (values, tradelines) => new Set(tradelines.map(t => statusCategory(t.status))).size > 1,
+    describe: 'Account status differs'
+  },
+  {
+    type: 'date_opened_mismatch',
+    field: 'date_opened',
+    value: t => t.date_opened,
+    differs: values => !values.every(v => sameDate(v, values[0])),
+    describe: 'Date opened differs'
+  },
+  {
+    type: 'dofd_mismatch',
+    field: 'date_of_first_delinquency',
+    value: t => t.date_of_first_delinquency,
+    differs: values => !values.every(v => sameDate(v, values[0])),
+    describe: 'Date of first delinquency differs'
+  },
+  {
+    type: 'payment_history_mismatch',
+    field: 'payment_history',
+    value: t => lateSummary(t.payment_history),
+    differs: values => new Set(values.map(v => JSON.stringify(Object.entries(v).sort()))).size > 1,
+    describe: 'Late payments in the payment history differ'
+  }
+];
+
+// Balance, status and DOFD conflicts on negative items are the strongest dispute grounds.
+// Payment histories rank by how many late marks differ and whether any are 90+ days.
+function severityFor(type, members, values) {
+  const negative = members.some(t => t.is_negative);
+  if (['balance_mismatch', 'status_mismatch', 'dofd_mismatch'].includes(type)) return negative ? 'high' : 'medium';
+  if (type === 'payment_history_mismatch') {
+    const { total, serious } = lateDifference(Object.values(values));
+    if (serious || total >= 3) return 'high';
+    return total === 2 ? 'medium' : 'low';
+  }
+  return negative ? 'medium' : 'low';
+}
+
+/**
+ * Greedily match each report's tradelines onto the groups built so far,
+ * best-scoring pairs first, at most one tradeline per report in a group.
+ */
+function alignTradelines(reports) {
+  const groups = [];
+  reports.forEach((report, reportIndex) => {
+    const candidates = [];
+    report.tradelines.forEach((t, ti) => {
+      groups.forEach((group, gi) => {
+        if (group.members[reportIndex]) return;
+        const score = Math.max(...Object.values(group.members).map(m => matchScore(t, m)));
+        if (score > 0) candidates.push({ ti, gi, score });
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score);
+    const used = new Set();
+    for (const { ti, gi, score } of candidates) {
+      if (used.has(ti) || groups[gi].members[reportIndex]) continue;
+      groups[gi].members[reportIndex] = report.tradelines[ti];
+      groups[gi].scores.push(score);
+      used.add(ti);
+    }
+    report.tradelines.forEach((t, ti) => {
+      if (!used.has(ti)) groups.push({ members: { [reportIndex]: t }, scores: [] });
+    });
+  });
+  return groups;
+}
+
+/**
+ * Compare 2-3 analyzed reports.
+ * @param {Array<{id?: string, file_path?: string, file_name?: string, processed_at?: string, analysis: Object, extracted_text?: string, bureau?: string}>} rows
+ * @returns {{ reports: Object[], accounts: Object[], discrepancies: Object[], summary: Object }}
+ */
+function compareReports(rows) {
+  const labels = new Set();
+  const reports = rows.map((row, i) => {
+    let label = row.bureau || detectBureau(row) || `Report ${i + 1}`;
+    // Two reports from the same bureau (e.g. different dates) still need distinct labels
+    if (labels.has(label)) label = `${label} (${i + 1})`;
+    labels.add(label);
+    const { accounts, collections } = extractTradelines(row.analysis);
+    return {
+      label,
+      row,
+      tradelines: [...accounts, ...collections].map(t => ({ ...t, bureau: label }))
+    };
+  });
+
+  const groups = alignTradelines(reports);
+  const discrepancies = [];
+  const accounts = groups.map((group) => {
+    const entries = Object.entries(group.members).map(([ri, t]) => [reports[ri].label, t]);
+    const members = entries.map(([, t]) => t);
+    const first = members[0];
+    const presentOn = entries.map(([label]) => label);
+    const account = {
+      creditor: first.creditor,
+      account_number: first.account_number,
+      is_collection: first.is_collection,
+      is_negative: members.some(t => t.is_negative),
+      present_on: presentOn,
+      missing_from: reports.map(r => r.label).filter(l => !presentOn.includes(l)),
+      match_score: group.scores.length ? Math.round(Math.min(...group.scores) * 100) / 100 : null,
+      bureaus: Object.fromEntries(entries.map(([label, t]) => [label, {
+        creditor: t.creditor,
+        account_number: t.account_number,
+        balance: t.balance,
+        status: t.status,
+        date_opened: t.date_opened,
+        date_of_first_delinquency: t.date_of_first_delinquency,
+        payment_history: t.payment_history,
+        evidence: t.evidence
+      }])),
+      discrepancies: []
+    };
+
+    const add = (type, field, values, description) => {
+      const item = {
+        type,
+        field,
+        creditor: account.creditor,
+        account_number: account.account_number,
+        values,
+        severity: severityFor(type, members, values),
+        description
+      };
+      account.discrepancies.push(item);
+      discrepancies.push(item);
+    };
+
+    if (account.missing_from.length) {
+      add('missing_on_bureau', null, Object.fromEntries(reports.map(r => [r.label, presentOn.includes(r.label)])),
+        `${account.creditor} is reported by ${presentOn.join(', ')} but not by ${account.missing_from.join(', ')}`);
+    }
+
+    for (const check of FIELD_CHECKS) {
+      const reported = entries
+        .map(([label, t]) => ({ label, t, value: check.value(t) }))
+        .filter(r => r.value !== null && r.value !== undefined && r.value !== '');
+      if (reported.length < 2 || !check.differs(reported.map(r => r.value), reported.map(r => r.t))) continue;
+      add(check.type, check.field, Object.fromEntries(reported.map(r => [r.label, r.value])),
+        `${check.describe} for ${account.creditor}: ${reported.map(r => `${r.label} ${typeof r.value === 'object' ? JSON.stringify(r.value) : r.value}`).join(', ')}`);
+    }
+    return account;
+  });
+
+  return {
+    reports: reports.map(r => ({
+      label: r.label,
+      analysis_id: r.row.id || null,
+      file_path: r.row.file_path || null,
+      processed_at: r.row.processed_at || null,
+      tradeline_count: r.tradelines.length
+    })),
+    accounts,
+    discrepancies,
+    summary: {
+      total_accounts: accounts.length,
+      matched_on_all: accounts.filter(a => a.missing_from.length === 0).length,
+      single_bureau_accounts: accounts.filter(a => a.present_on.length === 1).length,
+      accounts_with_discrepancies: accounts.filter(a => a.discrepancies.length > 0).length,
+      total_discrepancies: discrepancies.length,
+      high_severity: discrepancies.filter(d => d.severity === 'high').length
+    }
+  };
+}
+
+module.exports = { compareReports, alignTradelines, detectBureau, accountNumbersMatch, nameSimilarity, statusCategory, lateSummary, BUREAUS };
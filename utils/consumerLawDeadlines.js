@@ -1,47 +1,120 @@
 // Consumer Law Deadline Calculator
 const moment = require('moment');
+const { STATES, DEBT_TYPES, FEDERAL, normalizeState, normalizeDebtType } = require('./statuteOfLimitations');
+const LegalCalendar = require('./legalCalendar');
+
+// Revival rules vary by state; this is what we can say without one
+const DEFAULT_REVIVAL_NOTE = {
+  rule: 'varies_by_state',
+  citation: null,
+  note: 'In most states a payment or written acknowledgment restarts the limitation period.'
+};
 
 class ConsumerLawDeadlines {
   
-  // FDCPA Validation Request Deadlines
+  /**
+   * FDCPA validation deadlines, counted from when the collector first made contact
+   * (the validation notice is usually part of that first letter).
+   * @param {string} initialContactDate
+   * @param {boolean} [certifiedMailSent] - The consumer's dispute goes by certified mail
+   * @returns {Object} Dates as YYYY-MM-DD, with `details` giving the rule and reasoning for each
+   */
   static calculateFDCPADeadlines(initialContactDate, certifiedMailSent = false) {
-    const contact = moment(initialContactDate);
-    
+    if (!LegalCalendar.toDay(initialContactDate)) return { error: `Invalid date: ${initialContactDate}` };
+    const noticeDue = LegalCalendar.calendarDeadline(initialContactDate, 5, {
+      rule: 'The collector must send the validation notice within 5 days of the initial communication',
+      citation: '15 U.S.C. § 1692g(a)',
+      fromLabel: 'initial contact'
+    });
+    const noticeReceived = LegalCalendar.validationNoticeReceipt(initialContactDate);
+    const validationEnds = LegalCalendar.calendarDeadline(noticeReceived.date, 30, {
+      rule: 'The consumer has 30 days from receiving the validation notice to dispute the debt or request the original creditor',
+      citation: '15 U.S.C. § 1692g(a)(3)-(5); 12 C.F.R. § 1006.34(b)(5)',
+      fromLabel: 'the notice was assumed received'
+    });
+    const mailBy = LegalCalendar.mailByDate(validationEnds.date, {
+      rule: 'Mail the dispute early enough that it is presumed received within the validation period'
+    });
+
     return {
-      // Debt collector must provide validation notice within 5 days
-      validationNoticeDeadline: contact.clone().add(5, 'days').format('YYYY-MM-DD'),
-      
-      // Consumer has 30 days to request validation
-      consumerValidationDeadline: contact.clone().add(30, 'days').format('YYYY-MM-DD'),
-      
-      // If certified mail sent, add delivery confirmation time
-      effectiveDeadline: certifiedMailSent 
-        ? contact.clone().add(33, 'days').format('YYYY-MM-DD') // 30 days + 3 for delivery
-        : contact.clone().add(30, 'days').format('YYYY-MM-DD'),
-        
-      // Collection must cease during validation period
-      collectionCeaseDate: contact.clone().add(30, 'days').format('YYYY-MM-DD'),
-      
+      validationNoticeDeadline: noticeDue.date,
+      noticeReceivedDate: noticeReceived.date,
+
+      // Consumer has 30 days from receipt of the notice to request validation
+      consumerValidationDeadline: validationEnds.date,
+
+      // Last day to mail a request so it arrives within the validation period
+      effectiveDeadline: mailBy.date,
+
+      // A dispute in writing within the period stops collection until the debt is verified
+      collectionCeaseDate: validationEnds.date,
+
+      details: {
+        validationNoticeDeadline: noticeDue,
+        noticeReceivedDate: noticeReceived,
+        consumerValidationDeadline: validationEnds,
+        effectiveDeadline: mailBy
+      },
+
       advice: certifiedMailSent 
         ? "✅ Good! Certified mail provides proof of delivery. Keep your receipt."
         : "⚠️ Consider sending via certified mail for proof of delivery."
     };
   }
 
-  // FCRA Dispute Deadlines
-  static calculateFCRADeadlines(disputeDate, method = 'mail') {
-    const dispute = moment(disputeDate);
-    
+  /**
+   * FCRA dispute deadlines. The 30 days run from when the bureau receives the
+   * dispute: a mailed dispute is presumed received under the mailbox rule unless
+   * `received` says `disputeDate` is the delivery date.
+   * @param {string} disputeDate - Date mailed (or submitted online), or delivered
+   * @param {string} [method] - certified, mail or online
+   * @param {Object} [options] - { received }
+   * @returns {Object} Dates as YYYY-MM-DD, with `details` giving the rule and reasoning for each
+   */
+  static calculateFCRADeadlines(disputeDate, method = 'mail', { received = false } = {}) {
+    if (!LegalCalendar.toDay(disputeDate)) return { error: `Invalid date: ${disputeDate}` };
+    const receipt = LegalCalendar.presumedReceipt(disputeDate, { method, received });
+    const investigation = LegalCalendar.calendarDeadline(receipt.date, 30, {
+      rule: 'The bureau must finish its reinvestigation within 30 days of receiving the dispute',
+      citation: '15 U.S.C. § 1681i(a)(1)(A)',
+      fromLabel: 'receipt'
+    });
+    const extended = LegalCalendar.calendarDeadline(receipt.date, 45, {
+      rule: 'Up to 15 more days if the consumer sends relevant information during the 30 days, or the dispute follows a free annual report',
+      citation: '15 U.S.C. § 1681i(a)(1)(B); § 1681j(a)(3)',
+      fromLabel: 'receipt'
+    });
+    const results = LegalCalendar.businessDeadline(investigation.date, 5, {
+      rule: 'Results must be sent within 5 business days of completing the reinvestigation',
+      citation: '15 U.S.C. § 1681i(a)(6)(A)',
+      fromLabel: 'the investigation deadline'
+    });
+    const frivolous = LegalCalendar.businessDeadline(receipt.date, 5, {
+      rule: 'A bureau that finds the dispute frivolous must say so within 5 business days of deciding; counted here from receipt',
+      citation: '15 U.S.C. § 1681i(a)(3)(B)',
+      fromLabel: 'receipt'
+    });
+
     const deadlines = {
+      receivedDate: receipt.date,
+
       // Credit bureau has 30 days to investigate (45 if additional info provided)
-      investigationDeadline: dispute.clone().add(30, 'days').format('YYYY-MM-DD'),
-      extendedDeadline: dispute.clone().add(45, 'days').format('YYYY-MM-DD'),
+      investigationDeadline: investigation.date,
+      extendedDeadline: extended.date,
       
-      // Must provide results within 5 days of completion
-      resultsDeadline: dispute.clone().add(35, 'days').format('YYYY-MM-DD'),
+      // Must provide results within 5 business days of completion
+      resultsDeadline: results.date,
       
-      // If dispute is frivolous, they have 5 days to notify
-      frivolousNoticeDeadline: dispute.clone().add(5, 'days').format('YYYY-MM-DD')
+      // If dispute is frivolous, they have 5 business days to notify
+      frivolousNoticeDeadline: frivolous.date,
+
+      details: {
+        receivedDate: receipt,
+        investigationDeadline: investigation,
+        extendedDeadline: extended,
+        resultsDeadline: results,
+        frivolousNoticeDeadline: frivolous
+      }
     };
 
     if (method === 'certified') {
@@ -55,51 +128,179 @@ class ConsumerLawDeadlines {
     return deadlines;
   }
 
-  // Calculate when to follow up if no response
-  static calculateFollowUpDates(originalDate, type = 'FDCPA') {
-    const original = moment(originalDate);
-    
+  /**
+   * When to follow up if no response. Counts from the response due date: a
+   * mailed reply gets the mailbox-rule days to arrive, and follow-ups land on
+   * business days.
+   * @param {string} originalDate - Date the dispute was mailed, or delivered when `received`
+   * @param {string} [type] - FDCPA or FCRA
+   * @param {Object} [options] - { method, received }
+   */
+  static calculateFollowUpDates(originalDate, type = 'FDCPA', { method = 'mail', received = false } = {}) {
+    if (!LegalCalendar.toDay(originalDate)) return { error: `Invalid date: ${originalDate}` };
+    let responseDue;
     if (type === 'FDCPA') {
-      return {
-        firstFollowUp: original.clone().add(35, 'days').format('YYYY-MM-DD'),
-        secondFollowUp: original.clone().add(45, 'days').format('YYYY-MM-DD'),
-        legalAction: original.clone().add(60, 'days').format('YYYY-MM-DD'),
-        advice: "If no response after 30 days, they may be in violation. Document everything!"
-      };
-    } else { // FCRA
-      return {
-        firstFollowUp: original.clone().add(35, 'days').format('YYYY-MM-DD'),
-        secondFollowUp: original.clone().add(50, 'days').format('YYYY-MM-DD'),
-        legalAction: original.clone().add(65, 'days').format('YYYY-MM-DD'),
-        advice: "No response after 30 days? File a complaint with CFPB and consider legal action."
-      };
+      // The FDCPA sets no reply deadline; 30 days from receipt is the usual expectation
+      const receipt = LegalCalendar.presumedReceipt(originalDate, { method, received });
+      responseDue = LegalCalendar.calendarDeadline(receipt.date, 30, {
+        rule: 'No statutory reply deadline; a collector that has not verified the debt must stop collecting, so 30 days from receipt is used',
+        citation: '15 U.S.C. § 1692g(b)',
+        fromLabel: 'receipt'
+      });
+    } else {
+      const fcra = ConsumerLawDeadlines.calculateFCRADeadlines(originalDate, method, { received });
+      responseDue = fcra.details.resultsDeadline;
     }
+
+    const replyArrives = LegalCalendar.addUspsDeliveryDays(responseDue.date, LegalCalendar.MAILBOX_RULE_DAYS);
+    const firstFollowUp = LegalCalendar.businessDeadline(replyArrives, 1, {
+      rule: 'Follow up on the first business day after a reply mailed on the due date would have arrived',
+      fromLabel: `a reply mailed ${responseDue.date} would arrive`
+    });
+    const secondFollowUp = LegalCalendar.businessDeadline(firstFollowUp.date, 10, {
+      rule: 'Second follow-up two weeks after the first',
+      fromLabel: 'the first follow-up'
+    });
+    const legalAction = LegalCalendar.calendarDeadline(responseDue.date, 30, {
+      rollForward: true,
+      rule: 'Consider a CFPB complaint or legal action 30 days past the response deadline',
+      fromLabel: 'the response deadline'
+    });
+
+    return {
+      responseDue: responseDue.date,
+      firstFollowUp: firstFollowUp.date,
+      secondFollowUp: secondFollowUp.date,
+      legalAction: legalAction.date,
+      details: { responseDue, firstFollowUp, secondFollowUp, legalAction },
+      advice: type === 'FDCPA'
+        ? "If no response after 30 days, they may be in violation. Document everything!"
+        : "No response after 30 days? File a complaint with CFPB and consider legal action."
+    };
   }
 
-  // Statute of Limitations Calculator
-  static calculateSOL(debtDate, state = 'general') {
-    const debt = moment(debtDate);
-    
-    // Common SOL periods by type (simplified)
-    const solPeriods = {
-      'credit_card': { years: 6, type: 'written contract' },
-      'medical': { years: 6, type: 'written contract' },
-      'auto_loan': { years: 4, type: 'written contract' },
-      'personal_loan': { years: 6, type: 'written contract' }
+  /**
+   * Generic response deadline for a mailed letter: `days` after it is presumed received.
+   * @param {string} mailedDate
+   * @param {Object} [options] - { days, method, received }
+   * @returns {{ receivedDate: string, deadline: string, details: Object }|{ error: string }}
+   */
+  static calculateResponseDeadline(mailedDate, { days = 30, method = 'mail', received = false } = {}) {
+    const receipt = LegalCalendar.presumedReceipt(mailedDate, { method, received });
+    if (!receipt) return { error: `Invalid date: ${mailedDate}` };
+    const due = LegalCalendar.calendarDeadline(receipt.date, days, {
+      rollForward: true,
+      rule: `Response expected within ${days} days of receipt`,
+      fromLabel: 'receipt'
+    });
+    return { receivedDate: receipt.date, deadline: due.date, details: { receivedDate: receipt, deadline: due } };
+  }
+
+  /**
+   * Statute of limitations for suing on a debt, with the credit reporting limit.
+   * @param {string} debtDate - Default or last activity date that starts the clock (YYYY-MM-DD)
+   * @param {Object|string} [options] - Options, or a state for the old (debtDate, state) form
+   * @param {string} [options.state] - Two-letter code or name
+   * @param {string} [options.debtType] - written_contract, oral_contract, promissory_note,
+   *   open_account, or an everyday name (credit_card, medical, auto_loan, federal_student_loan)
+   * @param {string} [options.lastPaymentDate] - Restarts the clock where state law allows
+   * @param {string} [options.dateOfFirstDelinquency] - For the FCRA reporting limit; defaults to debtDate
+   * @param {string} [options.asOf] - Date to measure from; defaults to today
+   * @returns {Object|{ error: string }} `{ error }` when a date cannot be parsed
+   */
+  static calculateSOL(debtDate, options = {}) {
+    const { state, debtType, lastPaymentDate, dateOfFirstDelinquency, asOf } =
+      typeof options === 'string' ? { state: options } : (options || {});
+    const debt = LegalCalendar.toDay(debtDate);
+    if (!debt) return { error: `Invalid date: ${debtDate}` };
+    const today = asOf ? LegalCalendar.toDay(asOf) : moment();
+    if (!today) return { error: `Invalid date: ${asOf}` };
+
+    const reportingStart = dateOfFirstDelinquency ? LegalCalendar.toDay(dateOfFirstDelinquency) : debt.clone();
+    if (!reportingStart) return { error: `Invalid date: ${dateOfFirstDelinquency}` };
+    const removalDate = reportingStart.clone().add(FEDERAL.creditReporting.extraDays, 'days').add(FEDERAL.creditReporting.years, 'years');
+    const creditReporting = {
+      dateOfFirstDelinquency: reportingStart.format('YYYY-MM-DD'),
+      removalDate: removalDate.format('YYYY-MM-DD'),
+      isPastRemovalDate: !today.isBefore(removalDate, 'day'),
+      citation: FEDERAL.creditReporting.citation,
+      note: FEDERAL.creditReporting.note
     };
 
-    const generalSOL = 6; // Most common for written contracts
-    const expirationDate = debt.clone().add(generalSOL, 'years');
-    const daysRemaining = expirationDate.diff(moment(), 'days');
+    if (/^(federal_)?student_loan$/.test(String(debtType || '').toLowerCase().replace(/[\s-]+/g, '_'))) {
+      return {
+        originalDebtDate: debt.format('YYYY-MM-DD'),
+        solExpirationDate: null,
+        daysRemaining: null,
+        isExpired: false,
+        debtType: 'federal_student_loan',
+        rule: FEDERAL.federalStudentLoans.note,
+        citation: FEDERAL.federalStudentLoans.citation,
+        creditReporting,
+        advice: "⚠️ Federal student loans never expire for collection. Look at rehabilitation, consolidation or income-driven repayment instead."
+      };
+    }
+
+    const code = normalizeState(state);
+    const jurisdiction = code ? STATES[code] : null;
+    let type = normalizeDebtType(debtType);
+    let typeAssumed = false;
+    if (!type && jurisdiction) {
+      // Unknown debt type: assume the longest period so the debt is never called expired too early
+      type = DEBT_TYPES.reduce((a, b) => (jurisdiction.years[b] > jurisdiction.years[a] ? b : a));
+      typeAssumed = true;
+    }
+
+    let years = 6; // Most common period for written contracts when no state is known
+    let citation = null;
+    let rule = 'No state given: using the common 6-year period for written contracts. Limits range from 3 to 10 years by state.';
+    if (jurisdiction) {
+      const override = jurisdiction.consumerOverride && jurisdiction.consumerOverride.appliesTo.includes(type)
+        ? jurisdiction.consumerOverride
+        : null;
+      years = override ? override.years : jurisdiction.years[type];
+      citation = override ? override.citation : jurisdiction.citation;
+      rule = `${jurisdiction.name}: ${years}-year limit for ${override ? 'consumer credit debt' : type.replace(/_/g, ' ')}${typeAssumed ? ' (debt type not given; longest period assumed)' : ''}`;
+    }
+
+    // A later payment restarts the clock unless the state forbids revival
+    const revival = jurisdiction ? jurisdiction.revival : null;
+    const payment = LegalCalendar.toDay(lastPaymentDate);
+    const canRestart = !revival || revival.rule === 'payment_or_acknowledgment';
+    const clockRestarted = !!(payment && payment.isAfter(debt) && canRestart);
+    const clockStart = clockRestarted ? payment : debt;
+
+    const expirationDate = clockStart.clone().add(years, 'years');
+    const daysRemaining = expirationDate.diff(today, 'days');
+    const isExpired = daysRemaining <= 0;
+
+    // Where payments cannot restart the clock, `revival.note` says so instead
+    let advice = isExpired
+      ? `🚨 SOL appears to have expired on ${expirationDate.format('YYYY-MM-DD')}. Collectors may not sue or threaten to sue on a time-barred debt (${FEDERAL.timeBarredSuits.citation}).`
+      : `⏰ SOL expires in ${daysRemaining} days (${expirationDate.format('YYYY-MM-DD')}).`;
+    if (canRestart) {
+      advice += isExpired
+        ? " Don't make a payment or sign anything acknowledging the debt - it can restart the clock."
+        : " Don't restart the clock by making payments or acknowledging the debt in writing!";
+    }
 
     return {
       originalDebtDate: debt.format('YYYY-MM-DD'),
       solExpirationDate: expirationDate.format('YYYY-MM-DD'),
       daysRemaining: Math.max(0, daysRemaining),
-      isExpired: daysRemaining <= 0,
-      advice: daysRemaining <= 0 
-        ? "🚨 SOL may be expired! This is a strong defense against collection."
-        : `⏰ SOL expires in ${daysRemaining} days. Don't restart the clock by making payments!`
+      isExpired,
+      state: code,
+      stateName: jurisdiction ? jurisdiction.name : null,
+      debtType: type || null,
+      debtTypeAssumed: typeAssumed,
+      years,
+      rule,
+      citation,
+      clockStart: clockStart.format('YYYY-MM-DD'),
+      clockRestarted,
+      revival: revival ? { ...revival, citation: revival.citation || null } : { ...DEFAULT_REVIVAL_NOTE },
+      creditReporting,
+      advice
     };
   }
 }
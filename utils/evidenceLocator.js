@@ -0,0 +1,255 @@
+// Resolve the free-text `evidence` quotes in an analysis to positions in the OCR pages,
+// so reviewers can jump from a finding to its location in the original PDF.
+
+// Analysis sections whose findings carry `evidence` quotes
+const EVIDENCE_SECTIONS = ['fcra_violations', 'account_issues', 'collection_accounts', 'personal_info_issues'];
+
+// Nested findings inside collection accounts
+const NESTED_EVIDENCE_KEYS = ['fdpca_violations', 'fdcpa_violations', 'fcra_violations'];
+
+const MIN_QUOTE_LENGTH = 4;
+const MIN_FUZZY_SCORE = 0.6;
+
+/**
+ * Normalize text for matching while remembering where each kept character came
+ * from. Lowercases, drops markdown/table punctuation and collapses whitespace.
+ * @returns {{ text: string, offsets: number[] }} offsets[i] = index in the original string
+ */
+function normalizeWithOffsets(input) {
+  const source = String(input || '');
+  let text = '';
+  const offsets = [];
+  let pendingSpace = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i].toLowerCase();
+    if (/[a-z0-9$%.,/@&-]/.test(ch)) {
+      if (pendingSpace && text.length) {
+        text += ' ';
+        offsets.push(i);
+      }
+      text += ch;
+      offsets.push(i);
+      pendingSpace = false;
+    } else {
+      pendingSpace = true;
+    }
+  }
+  return { text, offsets };
+}
+
+function tokenize(normalized) {
+  const tokens = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(normalized)) !== null) {
+    tokens.push({ value: m[0].replace(/[.,]+$/, ''), start: m.index, end: m.index + m[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Prepare OCR pages (Mistral `ocrPages`: { index, markdown, dimensions, ... }) for matching.
+ * Pages that carry line-level layout (`lines: [{ text, bbox }]`) get bounding boxes.
+ */
+function buildPageIndex(ocrPages) {
+  return (Array.isArray(ocrPages) ? ocrPages : []).map((page, i) => {
+    const markdown = String(page.markdown || page.text || '');
+    const normalized = normalizeWithOffsets(markdown);
+    return {
+      pageIndex: typeof page.index === 'number' ? page.index : i,
+      markdown,
+      normalized,
+      tokens: tokenize(normalized.text),
+      lines: Array.isArray(page.lines) ? page.lines : null,
+      dimensions: page.dimensions || null
+    };
+  });
+}
+
+// Map a [start, end) range in normalized text back to the original page markdown
+function toOriginalRange(page, start, end) {
+  const { offsets } = page.normalized;
+  return { char_start: offsets[start], char_end: offsets[end - 1] + 1 };
+}
+
+function findExact(page, quote) {
+  const at = page.normalized.text.indexOf(quote);
+  return at === -1 ? null : { start: at, end: at + quote.length, score: 1 };
+}
+
+/**
+ * Slide a window the size of the quote over the page tokens and keep the window
+ * sharing the most tokens with the quote (multiset overlap, updated incrementally).
+ */
+function findFuzzy(page, quoteTokens) {
+  const n = quoteTokens.length;
+  const tokens = page.tokens;
+  if (!n || tokens.length < n) return null;
+
+  const wanted = new Map();
+  for (const t of quoteTokens) wanted.set(t, (wanted.get(t) || 0) + 1);
+
+  const inWindow = new Map();
+  let overlap = 0;
+  const add = (value) => {
+    const have = inWindow.get(value) || 0;
+    if (have < (wanted.get(value) || 0)) overlap++;
+    inWindow.set(value, have + 1);
+  };
+  const remove = (value) => {
+    const have = inWindow.get(value);
+    inWindow.set(value, have - 1);
+    if (have <= (wanted.get(value) || 0)) overlap--;
+  };
+
+  let best = null;
+  for (let i = 0; i < tokens.length; i++) {
+    add(tokens[i].value);
+    if (i >= n) remove(tokens[i - n].value);
+    if (i >= n - 1 && (!best || overlap > best.overlap)) {
+      best = { overlap, first: i - n + 1, last: i };
+    }
+  }
+  if (!best) return null;
+
+  const score = best.overlap / n;
+  if (score < MIN_FUZZY_SCORE) return null;
+
+  // Trim window edges that are not part of the quote
+  let { first, last } = best;
+  while (first < last && !wanted.has(tokens[first].value)) first++;
+  while (last > first && !wanted.has(tokens[last].value)) last--;
+  return { start: tokens[first].start, end: tokens[last].end, score: Math.round(score * 100) / 100 };
+}
+
+// Union of the bounding boxes of layout lines inside the matched text
+function boundingBox(page, matchedNormalized) {
+  if (!page.lines) return null;
+  let box = null;
+  for (const line of page.lines) {
+    const bbox = line && line.bbox;
+    const lineText = normalizeWithOffsets(line && line.text).text;
+    if (!bbox || !lineText || !matchedNormalized.includes(lineText)) continue;
+    const [x0, y0, x1, y1] = Array.isArray(bbox) ? bbox : [bbox.x0, bbox.y0, bbox.x1, bbox.y1];
+    box = box
+      ? [Math.min(box[0], x0), Math.min(box[1], y0), Math.max(box[2], x1), Math.max(box[3], y1)]
+      : [x0, y0, x1, y1];
+  }
+  return box ? { x0: box[0], y0: box[1], x1: box[2], y1: box[3] } : null;
+}
+
+/**
+ * Find where a quote appears in the OCR pages.
+ * @param {string} quote - Evidence quote from the analysis
+ * @param {Array} pageIndex - Result of buildPageIndex
+ * @returns {{page: number, page_index: number, char_start: number, char_end: number, match_score: number, bbox: Object|null}|null}
+ *   `page` is 1-based; char offsets index into that page's OCR markdown.
+ */
+function locateQuote(quote, pageIndex) {
+  const normalizedQuote = normalizeWithOffsets(quote).text;
+  if (normalizedQuote.length < MIN_QUOTE_LENGTH || !pageIndex.length) return null;
+
+  // Exact match on any page wins; otherwise take the best fuzzy window
+  let best = null;
+  for (const page of pageIndex) {
+    const hit = findExact(page, normalizedQuote);
+    if (hit) { best = { page, hit }; break; }
+  }
+  if (!best) {
+    const quoteTokens = tokenize(normalizedQuote).map(t => t.value);
+    for (const page of pageIndex) {
+      const hit = findFuzzy(page, quoteTokens);
+      if (hit && (!best || hit.score > best.hit.score)) best = { page, hit };
+    }
+  }
+
+  // Quotes stitched together with ellipses: fall back to the longest fragment
+  if (!best) {
+    const fragments = String(quote).split(/\.{3}|…|\n|"\s*[,;]\s*"/).map(f => f.trim()).filter(Boolean);
+    if (fragments.length > 1) {
+      const longest = fragments.sort((a, b) => b.length - a.length)[0];
+      return locateQuote(longest, pageIndex);
+    }
+    return null;
+  }
+
+  const { page, hit } = best;
+  return {
+    page: page.pageIndex + 1,
+    page_index: page.pageIndex,
+    ...toOriginalRange(page, hit.start, hit.end),
+    match_score: hit.score,
+    bbox: boundingBox(page, page.normalized.text.slice(hit.start, hit.end))
+  };
+}
+
+function locateEvidence(evidence, pageIndex) {
+  const quotes = Array.isArray(evidence) ? evidence : [evidence];
+  for (const quote of quotes) {
+    if (typeof quote !== 'string') continue;
+    const location = locateQuote(quote, pageIndex);
+    if (location) return location;
+  }
+  return null;
+}
+
+/**
+ * Add `evidence_location` to every finding with an `evidence` quote in the
+ * fcra_violations, account_issues, collection_accounts and personal_info_issues
+ * sections (including violations nested in collection accounts).
+ * @param {Object} analysis - Parsed analysis (modified in place)
+ * @param {Array} ocrPages - Mistral OCR pages
+ * @returns {Object} The same analysis, with `_evidence_stats`
+ */
+function annotateEvidence(analysis, ocrPages) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+  const pageIndex = buildPageIndex(ocrPages);
+  const stats = { total: 0, located: 0 };
+
+  const annotate = (finding) => {
+    if (!finding || typeof finding !== 'object' || !finding.evidence) return;
+    stats.total++;
+    finding.evidence_location = locateEvidence(finding.evidence, pageIndex);
+    if (finding.evidence_location) stats.located++;
+  };
+
+  for (const section of EVIDENCE_SECTIONS) {
+    const findings = analysis[section];
+    if (!Array.isArray(findings)) continue;
+    for (const finding of findings) {
+      annotate(finding);
+      if (section === 'collection_accounts' && finding) {
+        for (const key of NESTED_EVIDENCE_KEYS) {
+          if (Array.isArray(finding[key])) finding[key].forEach(annotate);
+        }
+      }
+    }
+  }
+
+  analysis._evidence_stats = stats;
+  return analysis;
+}
+
+/**
+ * Slice a page snippet with surrounding context for display.
+ * @returns {{page: number, char_start: number, char_end: number, snippet: string, context_before: string, context_after: string}|null}
+ */
+function pageSnippet(ocrPages, page, charStart, charEnd, contextChars = 200) {
+  const pages = Array.isArray(ocrPages) ? ocrPages : [];
+  const ocrPage = pages.find((p, i) => (typeof p.index === 'number' ? p.index : i) === page - 1);
+  if (!ocrPage) return null;
+  const markdown = String(ocrPage.markdown || ocrPage.text || '');
+  const start = Math.max(0, Math.min(charStart, markdown.length));
+  const end = Math.max(start, Math.min(charEnd, markdown.length));
+  return {
+    page,
+    char_start: start,
+    char_end: end,
+    snippet: markdown.slice(start, end),
+    context_before: markdown.slice(Math.max(0, start - contextChars), start),
+    context_after: markdown.slice(end, end + contextChars),
+    dimensions: ocrPage.dimensions || null
+  };
+}
+
+module.exports = { annotateEvidence, locateQuote, buildPageIndex, pageSnippet, EVIDENCE_SECTIONS };
@@ -0,0 +1,318 @@
+// Calendar for legal deadlines: federal holidays, business days, USPS delivery
+// days, and the presumptions that turn a mailing date into a receipt date.
+// ConsumerLawDeadlines counts every deadline through here so weekends and
+// holidays are treated the same way everywhere.
+//
+// Dates go in as YYYY-MM-DD (or MM/DD/YYYY, a Date or a moment) and come out as
+// YYYY-MM-DD strings.
+const moment = require('moment');
+
+const FORMAT = 'YYYY-MM-DD';
+const INPUT_FORMATS = [FORMAT, 'MM/DD/YYYY', 'M/D/YYYY', 'MM-DD-YYYY', 'M-D-YYYY', 'MM/DD/YY', 'M/D/YY', 'YYYY/MM/DD', moment.ISO_8601];
+
+// Mail is presumed to arrive 3 days after mailing; counted in USPS delivery days
+const MAILBOX_RULE_DAYS = 3;
+const MAILBOX_RULE_CITATION = 'Hagner v. United States, 285 U.S. 427 (1932); cf. Fed. R. Civ. P. 6(d)';
+
+// A collector may assume a mailed validation notice arrives within 5 business days
+const REG_F_RECEIPT_DAYS = 5;
+const REG_F_RECEIPT_CITATION = '12 C.F.R. § 1006.34(b)(5)';
+
+// Methods where the recipient has the letter the day it is sent
+const SAME_DAY_METHODS = ['online', 'email', 'fax', 'hand'];
+
+/**
+ * Parse a date to the start of its day.
+ * @returns {moment.Moment|null}
+ */
+function toDay(date) {
+  if (!date) return null;
+  const day = moment.isMoment(date) || date instanceof Date
+    ? moment(date)
+    : moment(String(date).trim(), INPUT_FORMATS, true);
+  return day.isValid() ? day.clone().startOf('day') : null;
+}
+
+const format = (day) => day.format(FORMAT);
+const describe = (day) => day.format('ddd YYYY-MM-DD');
+
+// n = 1..5 for the nth weekday of the month, -1 for the last
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    const last = moment({ year, month }).endOf('month').startOf('day');
+    return last.subtract((last.day() - weekday + 7) % 7, 'days');
+  }
+  const first = moment({ year, month, day: 1 });
+  return first.add(((weekday - first.day() + 7) % 7) + (n - 1) * 7, 'days');
+}
+
+// Saturday holidays are observed the Friday before, Sunday holidays the Monday after
+function observedDate(day) {
+  if (day.day() === 6) return day.clone().subtract(1, 'day');
+  if (day.day() === 0) return day.clone().add(1, 'day');
+  return day.clone();
+}
+
+const holidayCache = new Map();
+
+/**
+ * Legal public holidays (5 U.S.C. § 6103(a)) for a year, with the weekday each
+ * is observed on.
+ * @returns {Array<{ name: string, date: string, observed: string }>}
+ */
+function federalHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const fixed = (month, day) => moment({ year, month, day });
+  const holidays = [
+    ["New Year's Day", fixed(0, 1)],
+    ['Birthday of Martin Luther King, Jr.', nthWeekday(year, 0, 1, 3)],
+    ["Washington's Birthday", nthWeekday(year, 1, 1, 3)],
+    ['Memorial Day', nthWeekday(year, 4, 1, -1)],
+    ...(year >= 2021 ? [['Juneteenth National Independence Day', fixed(5, 19)]] : []),
+    ['Independence Day', fixed(6, 4)],
+    ['Labor Day', nthWeekday(year, 8, 1, 1)],
+    ['Columbus Day', nthWeekday(year, 9, 1, 2)],
+    ['Veterans Day', fixed(10, 11)],
+    ['Thanksgiving Day', nthWeekday(year, 10, 4, 4)],
+    ['Christmas Day', fixed(11, 25)]
+  ].map(([name, day]) => ({ name, date: format(day), observed: format(observedDate(day)) }));
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+// Holidays that could fall on `day`; New Year's Day can be observed on December 31
+function holidaysAround(day) {
+  return [...federalHolidays(day.year()), ...federalHolidays(day.year() + 1)];
+}
+
+/**
+ * Federal offices and courts are closed: the observed date of a holiday.
+ * @returns {string|null} Holiday name
+ */
+function federalHolidayOn(date) {
+  const day = toDay(date);
+  if (!day) return null;
+  const match = holidaysAround(day).find(h => h.observed === format(day));
+  return match ? match.name : null;
+}
+
+/**
+ * The Postal Service does not deliver: the holiday itself, or the Monday after
+ * one that falls on a Sunday. Post offices stay open the Friday before a
+ * Saturday holiday.
+ * @returns {string|null} Holiday name
+ */
+function postalHolidayOn(date) {
+  const day = toDay(date);
+  if (!day) return null;
+  const key = format(day);
+  const match = holidaysAround(day).find(h => h.date === key || (h.observed === key && moment(h.date).day() === 0));
+  return match ? match.name : null;
+}
+
+// Why a day is not a business day, or null when it is
+function nonBusinessReason(day) {
+  if (day.day() === 0) return 'Sunday';
+  if (day.day() === 6) return 'Saturday';
+  return federalHolidayOn(day);
+}
+
+// Why the mail does not move on a day, or null when it does
+function nonDeliveryReason(day) {
+  if (day.day() === 0) return 'Sunday';
+  return postalHolidayOn(day);
+}
+
+const isBusinessDay = (date) => { const day = toDay(date); return !!day && !nonBusinessReason(day); };
+const isUspsDeliveryDay = (date) => { const day = toDay(date); return !!day && !nonDeliveryReason(day); };
+
+// Step `n` counted days forward (or back, for negative n), noting the holidays passed over
+function countDays(start, n, skipReason) {
+  const day = start.clone();
+  const holidays = [];
+  const step = n < 0 ? -1 : 1;
+  let left = Math.abs(n);
+  while (left > 0) {
+    day.add(step, 'day');
+    const reason = skipReason(day);
+    if (!reason) left--;
+    else if (!['Saturday', 'Sunday'].includes(reason)) holidays.push(`${describe(day)} (${reason})`);
+  }
+  return { day, holidays };
+}
+
+// First day on or after `start` that is not skipped
+function rollForward(start, skipReason) {
+  const day = start.clone();
+  while (skipReason(day)) day.add(1, 'day');
+  return day;
+}
+
+const skippedNote = (holidays) => (holidays.length ? `, skipping ${holidays.join(', ')}` : '');
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+const closedNote = (reason) => (['Saturday', 'Sunday'].includes(reason) ? `a ${reason}` : reason);
+
+/**
+ * @param {string} date
+ * @param {number} n - Business days to add (negative to go back)
+ * @returns {string|null}
+ */
+function addBusinessDays(date, n) {
+  const day = toDay(date);
+  return day ? format(countDays(day, n, nonBusinessReason).day) : null;
+}
+
+/**
+ * @param {string} date
+ * @param {number} n - USPS delivery days to add (negative to go back)
+ * @returns {string|null}
+ */
+function addUspsDeliveryDays(date, n) {
+  const day = toDay(date);
+  return day ? format(countDays(day, n, nonDeliveryReason).day) : null;
+}
+
+/**
+ * The date itself when it is a business day, otherwise the next one.
+ * @returns {string|null}
+ */
+function nextBusinessDay(date) {
+  const day = toDay(date);
+  return day ? format(rollForward(day, nonBusinessReason)) : null;
+}
+
+/**
+ * A deadline with how it was reached.
+ * @typedef {Object} Deadline
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} from - Date the count started from
+ * @property {string} rule - The rule applied, in a sentence
+ * @property {string|null} citation
+ * @property {string} reasoning - How the date was counted
+ * @property {string} [actBy] - Last business day on or before `date`, when a period that is
+ *   not extended ends on a weekend or holiday
+ */
+
+/**
+ * `days` calendar days after `date`.
+ * @param {Object} [options]
+ * @param {boolean} [options.rollForward] - Move a weekend or holiday result to the next business day
+ * @param {string} [options.rule]
+ * @param {string} [options.citation]
+ * @param {string} [options.fromLabel] - What `date` is, for the reasoning ("received")
+ * @returns {Deadline|null}
+ */
+function calendarDeadline(date, days, { rollForward: roll = false, rule = '', citation = null, fromLabel = 'start' } = {}) {
+  const start = toDay(date);
+  if (!start) return null;
+  const end = start.clone().add(days, 'days');
+  let reasoning = `${plural(days, 'calendar day')} after ${fromLabel} (${describe(start)}) is ${describe(end)}`;
+  let due = end;
+  const closed = nonBusinessReason(end);
+  if (closed && roll) {
+    due = rollForward(end, nonBusinessReason);
+    reasoning += `, ${closedNote(closed)}; moved to the next business day, ${describe(due)}`;
+  } else if (closed) {
+    const actBy = countDays(end, -1, nonBusinessReason).day;
+    reasoning += `, ${closedNote(closed)}. The period is not extended, so act by the business day before, ${describe(actBy)}`;
+    return { date: format(due), from: format(start), rule, citation, reasoning, actBy: format(actBy) };
+  }
+  return { date: format(due), from: format(start), rule, citation, reasoning };
+}
+
+/**
+ * `days` business days after `date`: Saturdays, Sundays and federal holidays
+ * are not counted.
+ * @returns {Deadline|null}
+ */
+function businessDeadline(date, days, { rule = '', citation = null, fromLabel = 'start' } = {}) {
+  const start = toDay(date);
+  if (!start) return null;
+  const { day, holidays } = countDays(start, days, nonBusinessReason);
+  return {
+    date: format(day),
+    from: format(start),
+    rule,
+    citation,
+    reasoning: `${plural(days, 'business day')} after ${fromLabel} (${describe(start)})${skippedNote(holidays)}: ${describe(day)}`
+  };
+}
+
+/**
+ * When a letter is received. Mail is presumed delivered MAILBOX_RULE_DAYS USPS
+ * delivery days after mailing (Sundays and postal holidays do not count);
+ * online, email, fax and hand-delivered disputes arrive the same day; a
+ * confirmed delivery date is used as-is.
+ * @param {string} date - Mailing date, or the delivery date when `received` is set
+ * @param {Object} [options]
+ * @param {string} [options.method] - certified, mail, online, email, fax, hand
+ * @param {boolean} [options.received] - `date` is a confirmed delivery date
+ * @returns {Deadline|null}
+ */
+function presumedReceipt(date, { method = 'mail', received = false } = {}) {
+  const start = toDay(date);
+  if (!start) return null;
+  if (received) {
+    return { date: format(start), from: format(start), rule: 'Confirmed delivery date', citation: null, reasoning: `Delivered ${describe(start)}` };
+  }
+  if (SAME_DAY_METHODS.includes(method)) {
+    return { date: format(start), from: format(start), rule: `Sent ${method}: received the same day`, citation: null, reasoning: `Sent ${method} on ${describe(start)}` };
+  }
+  const { day, holidays } = countDays(start, MAILBOX_RULE_DAYS, nonDeliveryReason);
+  return {
+    date: format(day),
+    from: format(start),
+    rule: `Mailbox rule: properly mailed letters are presumed received ${MAILBOX_RULE_DAYS} days after mailing`,
+    citation: MAILBOX_RULE_CITATION,
+    reasoning: `Mailed ${describe(start)}; ${MAILBOX_RULE_DAYS} USPS delivery days later (Sundays and postal holidays do not count${skippedNote(holidays)}) is ${describe(day)}. Use the delivery date from tracking when you have it`
+  };
+}
+
+/**
+ * Last day to mail a letter so it is presumed received by `date`.
+ * @returns {Deadline|null}
+ */
+function mailByDate(date, { rule = '', citation = MAILBOX_RULE_CITATION } = {}) {
+  const due = toDay(date);
+  if (!due) return null;
+  const { day, holidays } = countDays(due, -MAILBOX_RULE_DAYS, nonDeliveryReason);
+  return {
+    date: format(day),
+    from: format(due),
+    rule,
+    citation,
+    reasoning: `To be presumed received by ${describe(due)}, mail ${MAILBOX_RULE_DAYS} USPS delivery days earlier${skippedNote(holidays)}: ${describe(day)}`
+  };
+}
+
+/**
+ * When a debt collector may assume a validation notice was received: 5 days
+ * after it was provided, not counting Saturdays, Sundays or legal public holidays.
+ * @returns {Deadline|null}
+ */
+function validationNoticeReceipt(date) {
+  return businessDeadline(date, REG_F_RECEIPT_DAYS, {
+    rule: `Regulation F: a validation notice is assumed received ${REG_F_RECEIPT_DAYS} business days after the collector provides it`,
+    citation: REG_F_RECEIPT_CITATION,
+    fromLabel: 'the notice was provided'
+  });
+}
+
+module.exports = {
+  toDay,
+  federalHolidays,
+  federalHolidayOn,
+  postalHolidayOn,
+  isBusinessDay,
+  isUspsDeliveryDay,
+  addBusinessDays,
+  addUspsDeliveryDays,
+  nextBusinessDay,
+  calendarDeadline,
+  businessDeadline,
+  presumedReceipt,
+  mailByDate,
+  validationNoticeReceipt,
+  MAILBOX_RULE_DAYS,
+  REG_F_RECEIPT_DAYS
+};
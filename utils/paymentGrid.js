@@ -0,0 +1,127 @@
+// 24-month payment grids as bureaus print them: a labelled row of codes, one row per
+// year under a Jan..Dec header, or a row of MM/YY columns above a row of codes. Markdown
+// tables from the OCR keep empty cells, so months without data stay in place.
+
+const GRID_MONTHS = 24;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CODES = [
+  { code: 'OK', pattern: /^(ok|c|cur|current|0|00|✓|✔)$/i },
+  { code: null, pattern: /^(30|60|90|120|150|180)$/ },
+  { code: 'CO', pattern: /^(co|c\/o|chg|charge-?off)$/i },
+  { code: 'COL', pattern: /^(col|ca|coll)$/i },
+  { code: 'RP', pattern: /^(rp|rpo|repo)$/i },
+  { code: 'FC', pattern: /^(fc|foreclosure)$/i },
+  { code: 'VS', pattern: /^(vs|vol)$/i },
+  { code: 'BK', pattern: /^(bk|b)$/i },
+  { code: 'ND', pattern: /^(nd|n\/a|-|--|x)$/i }
+];
+
+// Bureau code normalized to OK, 30..180, CO, COL, RP, FC, VS, BK or ND (no data); null if not a code
+function normalizeCode(token) {
+  const value = String(token || '').trim();
+  if (!value) return 'ND';
+  const match = CODES.find(c => c.pattern.test(value));
+  if (!match) return null;
+  return match.code || value;
+}
+
+// Cells of a markdown table row, or whitespace-separated tokens of a plain line
+function cellsOf(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('|')) return trimmed.replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+  return trimmed.split(/\s+/);
+}
+
+const isSeparatorRow = (line) => /^\s*\|?[\s:|-]+\|?\s*$/.test(line) && line.includes('-');
+
+// Month columns (0-11) of a "Jan Feb ... Dec" header row (one label cell allowed)
+function monthHeader(cells) {
+  const months = cells.map(c => MONTHS.indexOf(c.toLowerCase().slice(0, 3))).filter(m => m >= 0);
+  return months.length >= 6 && months.length >= cells.length - 1 ? months : null;
+}
+
+// "03/25" columns -> '2025-03'
+function monthYearHeader(cells) {
+  const months = [];
+  for (const cell of cells) {
+    const m = cell.match(/^(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (!m || Number(m[1]) < 1 || Number(m[1]) > 12) continue;
+    months.push(`${m[2].length === 2 ? `20${m[2]}` : m[2]}-${m[1].padStart(2, '0')}`);
+  }
+  return months.length >= 3 && months.length >= cells.length - 1 ? months : null;
+}
+
+// Codes of a row, or null when any non-empty cell is not a payment code
+function codesOf(cells) {
+  const codes = cells.map(normalizeCode);
+  return codes.some(c => c === null) ? null : codes;
+}
+
+// Newest first, starting at the latest month with data (rows print future months empty)
+function newestFirst(grid) {
+  const sorted = grid.sort((a, b) => b.month.localeCompare(a.month));
+  const latest = sorted.findIndex(g => g.status !== 'ND');
+  return latest < 0 ? null : sorted.slice(latest, latest + GRID_MONTHS);
+}
+
+/**
+ * Payment grid from an account block's lines.
+ * @param {string[]} lines - Lines of one account block
+ * @param {string|null} [inline] - Value of a "Payment history:" field, when the block has one
+ * @returns {Array<{ month: string|null, status: string }>|null} Newest first, at most 24 months;
+ *   month is YYYY-MM when the layout prints it, null for an unlabelled row of codes
+ */
+function parsePaymentGrid(lines, inline = null) {
+  const grid = [];
+  let months = null;
+  let columns = null;
+
+  for (const line of lines) {
+    if (isSeparatorRow(line)) continue;
+    const cells = cellsOf(line);
+    if (!cells.length) continue;
+
+    const header = monthHeader(cells);
+    if (header) {
+      months = header;
+      continue;
+    }
+    const dated = monthYearHeader(cells);
+    if (dated) {
+      columns = dated;
+      continue;
+    }
+
+    // "2024 | OK | OK | 30 | ..." under a month header (Jan..Dec when the layout has none)
+    if (/^(19|20)\d{2}$/.test(cells[0])) {
+      const codes = codesOf(cells.slice(1));
+      if (!codes) continue;
+      const order = months || MONTHS.map((_, i) => i);
+      codes.forEach((status, i) => {
+        if (order[i] !== undefined) grid.push({ month: `${cells[0]}-${String(order[i] + 1).padStart(2, '0')}`, status });
+      });
+      continue;
+    }
+
+    // "Rating | OK | OK | ..." under MM/YY columns
+    if (columns) {
+      const labelled = normalizeCode(cells[0]) === null;
+      const codes = codesOf(labelled ? cells.slice(1) : cells);
+      if (!codes) continue;
+      codes.forEach((status, i) => {
+        if (columns[i]) grid.push({ month: columns[i], status });
+      });
+      columns = null;
+    }
+  }
+
+  if (!grid.length && inline) {
+    const codes = codesOf(inline.trim().split(/[\s,]+/));
+    if (codes) return codes.filter(c => c !== 'ND').slice(0, GRID_MONTHS).map(status => ({ month: null, status }));
+  }
+  return grid.length ? newestFirst(grid) : null;
+}
+
+module.exports = { parsePaymentGrid, normalizeCode };
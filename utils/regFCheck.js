@@ -0,0 +1,353 @@
+// Regulation F (12 C.F.R. part 1006) checks for a debt collector's validation
+// notice. Each element of the CFPB model notice is looked for in the letter text
+// and reported as pass, fail or not_applicable with the lines it was found on,
+// so the result is reproducible without a model.
+const moment = require('moment');
+const ConsumerLawDeadlines = require('./consumerLawDeadlines');
+const { normalizeState } = require('./statuteOfLimitations');
+const { locateQuote, buildPageIndex } = require('./evidenceLocator');
+
+const CHECKER_VERSION = 1;
+
+// Cents of rounding allowed when the itemization is added up
+const SUM_TOLERANCE = 0.01;
+// A letter date is only read from the top of the letter
+const HEADER_LINES = 15;
+const MAX_QUOTE_LENGTH = 240;
+
+const MONEY_RE = /([-–−+]?)\s*\$\s?(\d[\d,]*(?:\.\d{1,2})?)/g;
+const DATE_RE = /\b((?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{4}-\d{2}-\d{2})\b/i;
+const NAMED_DATE_FORMATS = ['MMMM D, YYYY', 'MMMM D YYYY', 'MMM D, YYYY', 'MMM D YYYY'];
+
+const TIME_BARRED_DISCLOSURE = /because of the age of (your|this) debt|law limits how long you can be sued|(we|the creditor) (will|can|cannot|may) not sue you|time[- ]barred/i;
+const SUIT_THREAT = /\b(lawsuit|sue you|file (a )?suit|legal action|take you to court|court judgment)\b/i;
+
+// States that require their own notice on time-barred debt
+const STATE_TIME_BARRED_NOTICES = {
+  CA: 'Cal. Civ. Code § 1788.14(d)',
+  MA: '940 Mass. Code Regs. 7.07(24)',
+  NY: 'N.Y. Comp. Codes R. & Regs. tit. 23, § 1.3',
+  TX: 'Tex. Fin. Code § 392.307(e)',
+  WV: 'W. Va. Code § 46A-2-128(f)'
+};
+
+const DISPUTE_FORM_MARKERS = [
+  /how do you want to respond/i,
+  /i want to dispute the debt/i,
+  /check all that apply/i,
+  /mail this form to/i,
+  /name and address of the original creditor/i,
+  /i enclosed this amount/i
+];
+
+// Lines with markdown/table punctuation stripped, remembering the original for quotes
+function splitLines(text) {
+  return String(text || '').split(/\r?\n/)
+    .map(raw => ({ raw: raw.trim(), text: raw.replace(/[|*#>_]+/g, ' ').replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.text);
+}
+
+const quote = (line) => ({ quote: line.raw.length > MAX_QUOTE_LENGTH ? `${line.raw.slice(0, MAX_QUOTE_LENGTH)}…` : line.raw });
+
+function parseDate(value) {
+  if (!value) return null;
+  const cleaned = String(value).trim().replace(/^sept/i, 'Sep').replace(/^([a-z]{3})[a-z]*\./i, '$1');
+  const numeric = moment(cleaned, ['YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY'], true);
+  if (numeric.isValid()) return numeric;
+  const named = moment(cleaned, NAMED_DATE_FORMATS, true);
+  return named.isValid() ? named : null;
+}
+
+function dateIn(text) {
+  const match = String(text || '').match(DATE_RE);
+  return match ? parseDate(match[1]) : null;
+}
+
+// Last dollar amount on a line, signed when the line marks it + or -
+function amountIn(text) {
+  const matches = [...String(text || '').matchAll(MONEY_RE)];
+  if (!matches.length) return null;
+  const [, sign, digits] = matches[matches.length - 1];
+  const value = parseFloat(digits.replace(/,/g, ''));
+  return /[-–−]/.test(sign) ? -value : value;
+}
+
+/**
+ * First line matching `pattern`. With `amount`, the line must carry a dollar
+ * amount, taken from the next line when OCR split the label from the figure.
+ */
+function findLine(lines, pattern, { amount = false, exclude = null } = {}) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!pattern.test(line.text) || (exclude && exclude.test(line.text))) continue;
+    if (!amount) return { line, value: null };
+    const value = amountIn(line.text);
+    if (value !== null) return { line, value };
+    const next = lines[i + 1];
+    if (next && /^[-–−+]?\s*\$/.test(next.text)) {
+      return { line: { raw: `${line.raw} ${next.raw}`, text: `${line.text} ${next.text}` }, value: amountIn(next.text) };
+    }
+  }
+  return null;
+}
+
+function element(id, label, citation, { status, required = true, evidence = [], note = null, details }) {
+  return { id, label, citation, required, status, evidence, note, ...(details ? { details } : {}) };
+}
+
+function checkCollectorDisclosure(lines) {
+  const statement = findLine(lines, /\bis a debt collector\b|\bwe are a debt collector\b|\bfrom a debt collector\b/i);
+  const attempt = findLine(lines, /(trying|attempting|attempt) to collect a debt/i);
+  const found = [statement, attempt].filter(Boolean);
+  return element('debt_collector_disclosure', 'Debt collector statement', '12 C.F.R. § 1006.34(c)(1); 15 U.S.C. § 1692e(11)', {
+    status: statement ? 'pass' : 'fail',
+    evidence: found.map(f => quote(f.line)),
+    note: statement ? null : 'The notice must state that it is from a debt collector.'
+  });
+}
+
+function checkCreditors(lines) {
+  const current = findLine(lines, /(debt (that )?you owe to|current creditor|creditor to whom the debt is (now )?owed)/i);
+  const original = findLine(lines, /(original creditor|creditor as of|as of .{0,40}you owed .{0,60}\bto\b|account with|\byou had an? .{0,80}\bfrom)\b/i, { exclude: /name and address of the original creditor/i });
+  const found = [current, original].filter(Boolean);
+  return element('creditor_names', 'Current creditor and creditor on the itemization date', '12 C.F.R. § 1006.34(c)(2)(iii), (v)', {
+    status: current ? 'pass' : 'fail',
+    evidence: found.map(f => quote(f.line)),
+    note: current
+      ? (original ? null : 'The creditor on the itemization date was not named separately; acceptable only if it is the current creditor.')
+      : 'The notice must name the creditor the debt is currently owed to.'
+  });
+}
+
+function checkItemizationDate(lines) {
+  const hit = findLine(lines, /\bas of\b.{0,40}\b(you owed|owed|the balance was)\b/i) ||
+    findLine(lines, /\b(last statement|charge[- ]?off|last payment|transaction) date\b/i);
+  const date = hit ? dateIn(hit.line.text) : null;
+  return element('itemization_date', 'Itemization date', '12 C.F.R. § 1006.34(b)(3), (c)(2)(vi)', {
+    status: hit && date ? 'pass' : 'fail',
+    evidence: hit ? [quote(hit.line)] : [],
+    note: hit && date
+      ? null
+      : 'The notice must give the itemization date: the last statement, charge-off, last payment, transaction or judgment date.',
+    details: { itemization_date: date ? date.format('YYYY-MM-DD') : null }
+  });
+}
+
+function checkItemization(lines) {
+  const parts = {
+    amount_on_itemization_date: findLine(lines, /\bas of\b.{0,40}\b(you owed|owed)\b/i, { amount: true }),
+    interest: findLine(lines, /\binterest\b/i, { amount: true, exclude: /\binterest rate\b/i }),
+    fees: findLine(lines, /\bfees?\b/i, { amount: true }),
+    payments_and_credits: findLine(lines, /\b(paid or were credited|payments?|credits?|credited)\b/i, { amount: true, exclude: /\b(interest|fees?|credit report|creditor)\b/i }),
+    current_amount: findLine(lines, /(total amount of the debt now|amount of the debt now|current (balance|amount)|total (amount )?due|balance due|now owe)/i, { amount: true })
+  };
+  const missing = Object.keys(parts).filter(key => !parts[key]);
+  const values = Object.fromEntries(Object.entries(parts).map(([key, hit]) => [key, hit ? hit.value : null]));
+
+  let note = missing.length ? `Missing: ${missing.map(k => k.replace(/_/g, ' ')).join(', ')}.` : null;
+  if (!missing.length) {
+    // Payments and credits reduce the debt whether or not the letter prints a minus sign
+    const expected = values.amount_on_itemization_date + values.interest + values.fees - Math.abs(values.payments_and_credits);
+    if (Math.abs(expected - values.current_amount) > SUM_TOLERANCE) {
+      note = `The itemization does not add up: ${expected.toFixed(2)} expected, ${values.current_amount.toFixed(2)} stated.`;
+    }
+  }
+  return element('itemization', 'Itemized interest, fees, payments and credits since the itemization date', '12 C.F.R. § 1006.34(c)(2)(vii)-(ix)', {
+    status: note ? 'fail' : 'pass',
+    evidence: Object.values(parts).filter(Boolean).map(hit => quote(hit.line)),
+    note,
+    details: values
+  });
+}
+
+function checkValidationPeriod(lines, letterDate) {
+  let hit = null;
+  let end = null;
+  for (let i = 0; i < lines.length && !hit; i++) {
+    const match = lines[i].text.match(new RegExp(`\\b(by|before|until|no later than)\\s+${DATE_RE.source}`, 'i'));
+    const context = `${lines[i - 1] ? lines[i - 1].text : ''} ${lines[i].text}`;
+    if (match && /\bdispute|write to us|call or write|respond\b/i.test(context)) {
+      hit = lines[i];
+      end = parseDate(match[2]);
+    }
+  }
+
+  const details = { validation_period_end: end ? end.format('YYYY-MM-DD') : null, earliest_permitted_end: null };
+  if (!hit || !end) {
+    return element('validation_period_end', 'Validation period end date', '12 C.F.R. § 1006.34(b)(5), (c)(3)(i)-(iii)', {
+      status: 'fail',
+      evidence: hit ? [quote(hit)] : [],
+      note: 'The notice must give the date the validation period ends, for disputes and original-creditor requests.',
+      details
+    });
+  }
+
+  // The period ends no sooner than 30 days after the notice is assumed received
+  let note = null;
+  let status = 'pass';
+  if (letterDate) {
+    const earliest = ConsumerLawDeadlines.calculateFDCPADeadlines(letterDate.format('YYYY-MM-DD'));
+    details.earliest_permitted_end = earliest.consumerValidationDeadline;
+    if (end.isBefore(earliest.consumerValidationDeadline, 'day')) {
+      status = 'fail';
+      note = `Ends ${details.validation_period_end}, before the earliest permitted date ${earliest.consumerValidationDeadline} ` +
+        `(${earliest.details.consumerValidationDeadline.reasoning}).`;
+    }
+  } else {
+    note = 'Letter date unknown, so the end date could not be checked against the 30-day minimum.';
+  }
+  return element('validation_period_end', 'Validation period end date', '12 C.F.R. § 1006.34(b)(5), (c)(3)(i)-(iii)', {
+    status,
+    evidence: [quote(hit)],
+    note,
+    details
+  });
+}
+
+function checkCfpbReference(lines) {
+  const hit = findLine(lines, /(cfpb\.gov\/debt-collection|consumerfinance\.gov)/i);
+  return element('cfpb_website', 'CFPB website reference', '12 C.F.R. § 1006.34(c)(3)(iv)', {
+    status: hit ? 'pass' : 'fail',
+    evidence: hit ? [quote(hit.line)] : [],
+    note: hit ? null : 'The notice must refer the consumer to the CFPB website (www.cfpb.gov/debt-collection).'
+  });
+}
+
+function checkDisputeForm(lines) {
+  const hits = DISPUTE_FORM_MARKERS.map(marker => findLine(lines, marker)).filter(Boolean);
+  return element('dispute_form', 'Consumer-response (tear-off) dispute form', '12 C.F.R. § 1006.34(c)(4)', {
+    status: hits.length >= 2 ? 'pass' : 'fail',
+    evidence: hits.map(hit => quote(hit.line)),
+    note: hits.length >= 2
+      ? null
+      : `${hits.length ? 'Only part of the' : 'No'} response form was found; it must list the dispute prompts and where to mail the form.`
+  });
+}
+
+function checkSpanishDisclosure(lines) {
+  const hit = findLine(lines, /p[óo]ngase en contacto con nosotros|en espa[ñn]ol/i);
+  return element('spanish_disclosure', 'Spanish-language disclosure', '12 C.F.R. § 1006.34(d)(3)(vi)', {
+    status: hit ? 'pass' : 'not_applicable',
+    required: false,
+    evidence: hit ? [quote(hit.line)] : [],
+    note: hit ? null : 'Optional: the notice may offer a Spanish-language copy; none was offered.'
+  });
+}
+
+// Time-barred when the caller says so, or when the SOL has run as of the letter date
+function isTimeBarred({ timeBarred, debtDate, debtType, state }, letterDate) {
+  if (typeof timeBarred === 'boolean') return { timeBarred, basis: 'provided' };
+  if (!debtDate || !state) return { timeBarred: null, basis: null };
+  const sol = ConsumerLawDeadlines.calculateSOL(debtDate, { state, debtType, asOf: letterDate ? letterDate.format('YYYY-MM-DD') : undefined });
+  if (sol.error) return { timeBarred: null, basis: sol.error };
+  return { timeBarred: sol.isExpired, basis: `${sol.rule}; expired ${sol.solExpirationDate}` };
+}
+
+function checkTimeBarred(lines, options, letterDate) {
+  const citation = '12 C.F.R. § 1006.26(b)';
+  const disclosure = findLine(lines, TIME_BARRED_DISCLOSURE);
+  const threat = findLine(lines, SUIT_THREAT);
+  const state = normalizeState(options.state);
+  const stateRule = state ? STATE_TIME_BARRED_NOTICES[state] : null;
+  const { timeBarred, basis } = isTimeBarred({ ...options, state }, letterDate);
+  const details = { time_barred: timeBarred, basis, state };
+  const evidence = [disclosure, threat].filter(Boolean).map(hit => quote(hit.line));
+
+  if (timeBarred && threat && !disclosure) {
+    return element('time_barred_disclosure', 'Time-barred debt disclosure', citation, {
+      status: 'fail', evidence, details,
+      note: 'The debt appears time-barred and the letter mentions suit; a collector may not sue or threaten to sue on a time-barred debt.'
+    });
+  }
+  if (disclosure) {
+    return element('time_barred_disclosure', 'Time-barred debt disclosure', stateRule ? `${citation}; ${stateRule}` : citation, {
+      status: 'pass', evidence, details, note: null
+    });
+  }
+  if (timeBarred && stateRule) {
+    return element('time_barred_disclosure', 'Time-barred debt disclosure', `${citation}; ${stateRule}`, {
+      status: 'fail', evidence, details,
+      note: `The debt appears time-barred and ${state} requires a notice that the collector cannot sue.`
+    });
+  }
+  return element('time_barred_disclosure', 'Time-barred debt disclosure', citation, {
+    status: 'not_applicable',
+    required: false,
+    evidence,
+    details,
+    note: timeBarred === null
+      ? 'Give the state and the date the limitation period started (or timeBarred) to check this.'
+      : (timeBarred
+        ? 'The debt appears time-barred. Federal law requires no disclosure, but the collector may not sue or threaten to.'
+        : 'The debt is within the limitation period.')
+  });
+}
+
+/**
+ * Check a collection letter against the Regulation F model validation notice.
+ * @param {string} text - Letter text (OCR markdown is fine)
+ * @param {Object} [options]
+ * @param {string} [options.letterDate] - Date the notice was sent; read from the letter heading when missing
+ * @param {string} [options.state] - Consumer's state, for time-barred notices
+ * @param {string} [options.debtDate] - Date the limitation period started (e.g. last payment)
+ * @param {string} [options.debtType] - For the SOL lookup
+ * @param {boolean} [options.timeBarred] - Known time-barred status; skips the SOL lookup
+ * @param {Object} [options.fields] - Fields extracted by analyzeDebtLetter (letter_date, consumer_state)
+ * @returns {Object} { checker_version, letter_date, elements, summary, compliant }
+ */
+function checkValidationNotice(text, options = {}) {
+  const lines = splitLines(text);
+  const fields = options.fields || {};
+
+  let letterDate = parseDate(options.letterDate) || parseDate(fields.letter_date);
+  let letterDateSource = letterDate ? 'provided' : null;
+  if (!letterDate) {
+    const header = lines.slice(0, HEADER_LINES).find(line => dateIn(line.text) && !/\bas of\b|\bby\b/i.test(line.text));
+    letterDate = header ? dateIn(header.text) : null;
+    letterDateSource = letterDate ? 'letter heading' : null;
+  }
+  const checkOptions = { ...options, state: options.state || fields.consumer_state };
+
+  const elements = [
+    checkCollectorDisclosure(lines),
+    checkCreditors(lines),
+    checkItemizationDate(lines),
+    checkItemization(lines),
+    checkValidationPeriod(lines, letterDate),
+    checkCfpbReference(lines),
+    checkDisputeForm(lines),
+    checkSpanishDisclosure(lines),
+    checkTimeBarred(lines, checkOptions, letterDate)
+  ];
+
+  const summary = { pass: 0, fail: 0, not_applicable: 0 };
+  for (const e of elements) summary[e.status]++;
+  return {
+    checker_version: CHECKER_VERSION,
+    checked_at: new Date().toISOString(),
+    letter_date: letterDate ? letterDate.format('YYYY-MM-DD') : null,
+    letter_date_source: letterDateSource,
+    elements,
+    summary,
+    compliant: elements.every(e => e.status !== 'fail')
+  };
+}
+
+/**
+ * Add `page` and `location` to each evidence quote, resolved in the OCR pages.
+ * @param {Object} result - checkValidationNotice result (modified in place)
+ * @param {Array} ocrPages
+ */
+function locateComplianceEvidence(result, ocrPages) {
+  if (!result || !Array.isArray(result.elements) || !Array.isArray(ocrPages)) return result;
+  const pageIndex = buildPageIndex(ocrPages);
+  for (const e of result.elements) {
+    for (const item of e.evidence) {
+      const location = locateQuote(item.quote, pageIndex);
+      if (location) Object.assign(item, { page: location.page, location });
+    }
+  }
+  return result;
+}
+
+module.exports = { checkValidationNotice, locateComplianceEvidence, STATE_TIME_BARRED_NOTICES, CHECKER_VERSION };
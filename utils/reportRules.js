@@ -0,0 +1,353 @@
+// Deterministic FCRA checks over the tradelines extracted from a credit report.
+// Findings are merged into `fcra_violations` with `source: 'rule'` and the rule id, so
+// they are reproducible and testable without a model.
+const moment = require('moment');
+const { extractTradelines, normalizeName } = require('./tradelines');
+
+const ENGINE_VERSION = 2;
+
+// Days of tolerance when comparing dates reported as month/year only
+const DATE_TOLERANCE_DAYS = 31;
+
+const describeAccount = (t) => `${t.creditor || 'Unknown creditor'}${t.account_suffix ? ` (acct ending ${t.account_suffix})` : ''}`;
+
+// Use the report's own quote when there is one; otherwise cite the fields the rule used
+function evidenceFor(t, fields) {
+  if (t.evidence) return t.evidence;
+  const parts = fields.filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+  return `${describeAccount(t)} - ${parts.join(', ')}`;
+}
+
+// `needs_review` marks findings the rule could not establish from the report alone;
+// disputes and claim assessments do not count them as rule-checked
+function finding(rule, { description, accounts, evidence, severity, details, violationType, disputeStrategy, needsReview }) {
+  return {
+    violation_type: violationType || rule.violation_type,
+    description,
+    affected_accounts: accounts.map(describeAccount),
+    evidence,
+    cra_responsible: accounts.map(a => a.bureau).find(Boolean) || undefined,
+    severity: severity || rule.severity,
+    dispute_strategy: disputeStrategy || rule.dispute_strategy,
+    source: 'rule',
+    rule_id: rule.id,
+    citation: rule.citation,
+    needs_review: needsReview || undefined,
+    details
+  };
+}
+
+const before = (date, other, toleranceDays = 0) =>
+  moment(date).isBefore(moment(other).subtract(toleranceDays, 'days'), 'day');
+
+// Collections matched to the original creditor's own tradeline, when both appear
+function matchOriginals(data) {
+  const pairs = [];
+  for (const collection of data.collections) {
+    const originalKey = normalizeName(collection.original_creditor);
+    if (!originalKey) continue;
+    const original = data.accounts.find(a => a.creditor_key && a.creditor_key === originalKey &&
+      (!collection.bureau || !a.bureau || a.bureau === collection.bureau));
+    if (original) pairs.push({ collection, original });
+  }
+  return pairs;
+}
+
+const RULES = [
+  {
+    id: 'FCRA-605A-7YR',
+    violation_type: 'obsolete_negative_item',
+    citation: '15 U.S.C. § 1681c(a)(4), (c)(1)',
+    severity: 'high',
+    dispute_strategy: 'Dispute with the bureau as obsolete information that must be deleted; include the date of first delinquency.',
+    check(data, asOf) {
+      const results = [];
+      for (const t of [...data.accounts, ...data.collections]) {
+        if (!t.is_negative || t.is_bankruptcy) continue;
+        // The 7-year period runs from 180 days after the date of first delinquency
+        const dofd = t.date_of_first_delinquency;
+        if (dofd) {
+          const obsoleteAfter = moment(dofd).add(180, 'days').add(7, 'years');
+          if (!obsoleteAfter.isBefore(asOf, 'day')) continue;
+          results.push(finding(this, {
+            description: `Negative item from ${describeAccount(t)} is older than the 7-year reporting limit (reportable until ${obsoleteAfter.format('YYYY-MM-DD')}).`,
+            accounts: [t],
+            evidence: evidenceFor(t, [['Status', t.status], ['DOFD', dofd]]),
+            details: { anchor_field: 'date_of_first_delinquency', anchor_date: dofd, obsolete_after: obsoleteAfter.format('YYYY-MM-DD') }
+          }));
+          continue;
+        }
+        // Without a DOFD the item cannot be shown to be obsolete: the last payment and
+        // closing dates usually precede the first delinquency. When they are old enough
+        // that it may be, ask for the DOFD instead of reporting a violation.
+        const hintField = ['last_payment_date', 'date_closed'].find(f => t[f]);
+        if (!hintField || !moment(t[hintField]).add(180, 'days').add(7, 'years').isBefore(asOf, 'day')) continue;
+        results.push(finding(this, {
+          violationType: 'missing_dofd',
+          description: `Negative item from ${describeAccount(t)} has no date of first delinquency; its ${hintField === 'last_payment_date' ? 'last payment' : 'closing date'} (${t[hintField]}) suggests it may be past the 7-year reporting limit. Verify the DOFD.`,
+          accounts: [t],
+          evidence: evidenceFor(t, [['Status', t.status], ['Last payment', t.last_payment_date], ['Closed', t.date_closed]]),
+          severity: 'low',
+          disputeStrategy: 'Ask the bureau and furnisher for the date of first delinquency; if it is more than 7 years and 180 days ago, dispute the item as obsolete.',
+          needsReview: true,
+          details: { anchor_field: hintField, anchor_date: t[hintField] }
+        }));
+      }
+      return results;
+    }
+  },
+  {
+    id: 'FCRA-605A-BK-10YR',
+    violation_type: 'obsolete_bankruptcy',
+    citation: '15 U.S.C. § 1681c(a)(1)',
+    severity: 'high',
+    dispute_strategy: 'Dispute the bankruptcy record as obsolete; cases under title 11 may be reported for 10 years from the order for relief.',
+    check(data, asOf) {
+      const results = [];
+      const records = [
+        ...data.publicRecords.filter(r => r.is_bankruptcy).map(r => ({ record: r, date: r.date_filed })),
+        ...data.accounts.filter(a => a.is_bankruptcy && /bankrupt/i.test(String(a.account_type || ''))).map(a => ({ record: a, date: a.date_opened }))
+      ];
+      for (const { record, date } of records) {
+        if (!date) continue;
+        const obsoleteAfter = moment(date).add(10, 'years');
+        if (!obsoleteAfter.isBefore(asOf, 'day')) continue;
+        const label = record.type || record.creditor || 'Bankruptcy';
+        results.push(finding(this, {
+          description: `${label} filed ${date} is older than the 10-year reporting limit (reportable until ${obsoleteAfter.format('YYYY-MM-DD')}).`,
+          accounts: [{ creditor: label, bureau: record.bureau || null }],
+          evidence: record.evidence || `${label} - Filed: ${date}${record.court ? `, Court: ${record.court}` : ''}`,
+          details: { date_filed: date, obsolete_after: obsoleteAfter.format('YYYY-MM-DD') }
+        }));
+      }
+      return results;
+    }
+  },
+  {
+    id: 'FCRA-INQ-2YR',
+    violation_type: 'outdated_inquiry',
+    citation: '15 U.S.C. § 1681g(a)(3); bureaus display hard inquiries for 2 years',
+    severity: 'low',
+    dispute_strategy: 'Ask the bureau to remove hard inquiries older than two years.',
+    check(data, asOf) {
+      return data.inquiries
+        .filter(i => i.hard && i.date && moment(i.date).add(2, 'years').isBefore(asOf, 'day'))
+        .map(i => finding(this, {
+          description: `Hard inquiry by ${i.creditor || 'unknown creditor'} on ${i.date} is more than 2 years old.`,
+          accounts: [{ creditor: i.creditor, bureau: i.bureau || null }],
+          evidence: i.evidence || `${i.creditor || 'Inquiry'} - Date: ${i.date}`,
+          details: { inquiry_date: i.date }
+        }));
+    }
+  },
+  {
+    id: 'DUPLICATE-TRADELINE',
+    violation_type: 'duplicate_reporting',
+    citation: '15 U.S.C. § 1681e(b)',
+    severity: 'high',
+    dispute_strategy: 'Dispute the duplicate entry; the same debt may only be reported once with a balance.',
+    check(data) {
+      const results = [];
+      const groups = new Map();
+      for (const t of [...data.accounts, ...data.collections]) {
+        if (!t.creditor_key || !t.account_suffix) continue;
+        const key = `${t.bureau || ''}|${t.creditor_key}|${t.account_suffix}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+      }
+      for (const group of groups.values()) {
+        if (group.length < 2) continue;
+        results.push(finding(this, {
+          description: `${describeAccount(group[0])} appears ${group.length} times on the same report.`,
+          accounts: group,
+          evidence: evidenceFor(group[0], [['Status', group[0].status], ['Balance', group[0].balance]]),
+          details: { kind: 'same_tradeline', count: group.length }
+        }));
+      }
+      // The original creditor and the collector both reporting a balance double-counts the debt
+      for (const { collection, original } of matchOriginals(data)) {
+        if (!(collection.balance > 0 && original.balance > 0)) continue;
+        results.push(finding(this, {
+          description: `The debt is reported with a balance by both ${original.creditor} ($${original.balance}) and collector ${collection.creditor} ($${collection.balance}).`,
+          accounts: [original, collection],
+          evidence: evidenceFor(original, [['Balance', original.balance], ['Status', original.status]]),
+          severity: 'medium',
+          details: { kind: 'original_and_collector_balance', original_balance: original.balance, collection_balance: collection.balance }
+        }));
+      }
+      return results;
+    }
+  },
+  {
+    id: 'PAID-CLOSED-BALANCE',
+    violation_type: 'inaccurate_balance',
+    citation: '15 U.S.C. § 1681s-2(a)(1); § 1681e(b)',
+    severity: 'medium',
+    dispute_strategy: 'Dispute the balance with the bureau and furnisher; include proof of payment, settlement or transfer.',
+    check(data) {
+      return [...data.accounts, ...data.collections]
+        .filter(t => t.is_paid_or_closed && t.balance > 0)
+        .map(t => {
+          // A closed account can still legitimately carry a balance; paid/settled/transferred cannot
+          const closedOnly = !/\b(paid|settled|transferred|sold|refinanced)\b/i.test(t.status);
+          return finding(this, {
+            description: `${describeAccount(t)} is reported as "${t.status}" but still shows a $${t.balance} balance.`,
+            accounts: [t],
+            evidence: evidenceFor(t, [['Status', t.status], ['Balance', t.balance]]),
+            severity: closedOnly ? 'low' : 'high',
+            details: { status: t.status, balance: t.balance }
+          });
+        });
+    }
+  },
+  {
+    id: 'DOFD-INCONSISTENT',
+    violation_type: 'inconsistent_dates',
+    citation: '15 U.S.C. § 1681s-2(a)(5); § 1681e(b)',
+    severity: 'medium',
+    dispute_strategy: 'Dispute the date of first delinquency and ask the furnisher to report the accurate date.',
+    check(data, asOf) {
+      const results = [];
+      const all = [...data.accounts, ...data.collections];
+      for (const t of all) {
+        const dofd = t.date_of_first_delinquency;
+        if (!dofd) continue;
+        let problem = null;
+        if (moment(dofd).isAfter(asOf, 'day')) problem = `a date of first delinquency in the future (${dofd})`;
+        // For the original creditor, delinquency cannot precede the account opening
+        else if (!t.is_collection && t.date_opened && before(dofd, t.date_opened, DATE_TOLERANCE_DAYS)) {
+          problem = `a date of first delinquency (${dofd}) before the account was opened (${t.date_opened})`;
+        }
+        if (problem) {
+          results.push(finding(this, {
+            description: `${describeAccount(t)} reports ${problem}.`,
+            accounts: [t],
+            evidence: evidenceFor(t, [['DOFD', dofd], ['Opened', t.date_opened]]),
+            details: { date_of_first_delinquency: dofd, date_opened: t.date_opened }
+          }));
+        }
+      }
+      // The same tradeline reported by different bureaus with different DOFDs
+      const byAccount = new Map();
+      for (const t of all) {
+        if (!t.date_of_first_delinquency || !t.creditor_key || !t.account_suffix || !t.bureau) continue;
+        const key = `${t.creditor_key}|${t.account_suffix}`;
+        if (!byAccount.has(key)) byAccount.set(key, []);
+        byAccount.get(key).push(t);
+      }
+      for (const group of byAccount.values()) {
+        const dates = group.map(t => t.date_of_first_delinquency).sort();
+        if (group.length < 2 || !before(dates[0], dates[dates.length - 1], DATE_TOLERANCE_DAYS)) continue;
+        results.push(finding(this, {
+          description: `${describeAccount(group[0])} has different dates of first delinquency across bureaus (${group.map(t => `${t.bureau}: ${t.date_of_first_delinquency}`).join(', ')}).`,
+          accounts: group,
+          evidence: evidenceFor(group[0], [['DOFD', group[0].date_of_first_delinquency]]),
+          details: { dofds: group.map(t => ({ bureau: t.bureau, date_of_first_delinquency: t.date_of_first_delinquency })) }
+        }));
+      }
+      // A collection's DOFD earlier than the original creditor's
+      for (const { collection, original } of matchOriginals(data)) {
+        const c = collection.date_of_first_delinquency;
+        const o = original.date_of_first_delinquency;
+        if (!c || !o || !before(c, o, DATE_TOLERANCE_DAYS)) continue;
+        results.push(finding(this, {
+          description: `Collector ${collection.creditor} reports a date of first delinquency (${c}) earlier than the original creditor ${original.creditor} (${o}).`,
+          accounts: [collection, original],
+          evidence: evidenceFor(collection, [['DOFD', c]]),
+          details: { collection_dofd: c, original_dofd: o }
+        }));
+      }
+      return results;
+    }
+  },
+  {
+    id: 'REAGED-COLLECTION',
+    violation_type: 're_aged_debt',
+    citation: '15 U.S.C. § 1681s-2(a)(5); 15 U.S.C. § 1692e(2)(A)',
+    severity: 'high',
+    dispute_strategy: 'Dispute the collection as re-aged; the collector must report the original date of first delinquency, which also shortens the reporting period.',
+    check(data) {
+      const results = [];
+      const flagged = new Set();
+      // Collector DOFD later than the original creditor's DOFD
+      for (const { collection, original } of matchOriginals(data)) {
+        const c = collection.date_of_first_delinquency;
+        const o = original.date_of_first_delinquency;
+        if (!c || !o || !before(o, c, DATE_TOLERANCE_DAYS)) continue;
+        flagged.add(collection);
+        results.push(finding(this, {
+          description: `Collector ${collection.creditor} reports a date of first delinquency (${c}) later than the original creditor ${original.creditor} (${o}), extending how long the debt is reported.`,
+          accounts: [collection, original],
+          evidence: evidenceFor(collection, [['DOFD', c], ['Opened', collection.date_opened]]),
+          details: { collection_dofd: c, original_dofd: o }
+        }));
+      }
+      // A debt is already delinquent when it is placed for collection, so a DOFD on or
+      // after the placement date means the collector reported its own date instead
+      for (const collection of data.collections) {
+        const c = collection.date_of_first_delinquency;
+        if (flagged.has(collection) || !c || !collection.date_opened) continue;
+        if (before(c, collection.date_opened)) continue;
+        results.push(finding(this, {
+          description: `Collection by ${collection.creditor} reports a date of first delinquency (${c}) on or after the date it was opened (${collection.date_opened}).`,
+          accounts: [collection],
+          evidence: evidenceFor(collection, [['DOFD', c], ['Opened', collection.date_opened]]),
+          severity: 'medium',
+          details: { collection_dofd: c, date_opened: collection.date_opened }
+        }));
+      }
+      return results;
+    }
+  }
+];
+
+/**
+ * Run every rule over normalized tradeline data.
+ * @param {{accounts: Object[], collections: Object[], inquiries: Object[], publicRecords: Object[]}} data
+ * @param {Object} [options]
+ * @param {string|Date} [options.asOf] - Date to evaluate reporting periods against (default today)
+ * @returns {Object[]} fcra_violations entries with source 'rule'
+ */
+function runRules(data, { asOf } = {}) {
+  const reference = moment(asOf || undefined);
+  const results = [];
+  for (const rule of RULES) {
+    try {
+      results.push(...rule.check(data, reference));
+    } catch (err) {
+      console.error(`Report rule ${rule.id} failed:`, err.message);
+    }
+  }
+  return results;
+}
+
+/**
+ * Run the rules over an analysis and merge the findings into `fcra_violations`.
+ * Earlier rule findings are replaced, so re-running is idempotent.
+ * @param {Object} analysis - Parsed analysis (modified in place)
+ * @param {Object} [options] - { asOf }
+ * @returns {Object} The same analysis, with `_rules` metadata
+ */
+function applyRules(analysis, options = {}) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+  const findings = runRules(extractTradelines(analysis), options);
+
+  const existing = Array.isArray(analysis.fcra_violations) ? analysis.fcra_violations : [];
+  const previousRuleCount = existing.filter(v => v && v.source === 'rule').length;
+  analysis.fcra_violations = [...existing.filter(v => !v || v.source !== 'rule'), ...findings];
+
+  const assessment = analysis.overall_assessment;
+  if (assessment && typeof assessment.total_violations_found === 'number') {
+    assessment.total_violations_found += findings.length - previousRuleCount;
+  }
+
+  analysis._rules = {
+    engine_version: ENGINE_VERSION,
+    as_of: moment(options.asOf || undefined).format('YYYY-MM-DD'),
+    rules: RULES.map(r => r.id),
+    findings: findings.length
+  };
+  return analysis;
+}
+
+module.exports = { applyRules, runRules, RULES, ENGINE_VERSION };
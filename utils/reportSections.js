@@ -0,0 +1,132 @@
+// Splits credit report text into its sections (personal info, accounts, collections, public
+// records, inquiries) and packs them into chunks small enough for one analysis call each,
+// so long tri-merge reports are analyzed in full instead of being truncated.
+
+const SECTION_HEADINGS = [
+  { section: 'inquiries', pattern: /inquir/i },
+  { section: 'public_records', pattern: /public\s+records?|bankruptc|judgments?|tax\s+liens?/i },
+  { section: 'collections', pattern: /collection/i },
+  { section: 'personal_info', pattern: /personal|identif|consumer\s+information|also\s+known|addresses|employ/i },
+  { section: 'accounts', pattern: /accounts?\b|tradelines?|revolving|installment|mortgage|credit\s+(history|items)|adverse|satisfactory|negative/i },
+  { section: 'other', pattern: /summary|consumer\s+statements?|scores?|disputes?|contact|messages|disclosure/i }
+];
+
+const SECTION_LABELS = {
+  personal_info: 'personal information',
+  accounts: 'accounts',
+  collections: 'collections',
+  public_records: 'public records',
+  inquiries: 'inquiries',
+  other: 'report summary and other details'
+};
+
+const MAX_HEADING_LENGTH = 60;
+const MAX_PLAIN_HEADING_LENGTH = 40;
+
+/**
+ * Section a line starts, or null when it is not a section heading. Markdown headings
+ * and bold lines count; plain lines only when short and upper case, since creditor names
+ * ("ABC COLLECTION SERVICES  Account number: ...") also appear in capitals.
+ */
+function headingSection(line) {
+  const trimmed = line.trim();
+  const markdown = /^(#{1,6}\s|\*\*.+\*\*:?$)/.test(trimmed);
+  const label = trimmed.replace(/^#{1,6}\s*/, '').replace(/[*_|:]/g, '').trim();
+  if (!label || label.length > MAX_HEADING_LENGTH) return null;
+  if (!markdown) {
+    const letters = label.replace(/[^A-Za-z]/g, '');
+    if (label.length > MAX_PLAIN_HEADING_LENGTH || /\d/.test(label) || letters.length < 4 || letters !== letters.toUpperCase()) return null;
+  }
+  const match = SECTION_HEADINGS.find(h => h.pattern.test(label));
+  return match ? match.section : null;
+}
+
+// OCR pages when available, otherwise the text split on form feeds (pdf-parse output)
+function toPages(text, ocrPages) {
+  if (Array.isArray(ocrPages) && ocrPages.length) {
+    return ocrPages.map((page, i) => ({
+      number: (typeof page.index === 'number' ? page.index : i) + 1,
+      text: String(page.markdown || page.text || '')
+    }));
+  }
+  const pages = String(text || '').split('\f');
+  return pages.map((pageText, i) => ({ number: pages.length > 1 ? i + 1 : null, text: pageText }));
+}
+
+/**
+ * Report text as consecutive sections. Text before the first heading is 'other'.
+ * @param {string} text - Extracted text (used when there are no OCR pages)
+ * @param {Array<Object>} [ocrPages] - Mistral OCR pages ({ index, markdown })
+ * @returns {Array<{ section: string, pages: number[], text: string }>}
+ */
+function splitSections(text, ocrPages) {
+  const sections = [];
+  let current = null;
+  for (const page of toPages(text, ocrPages)) {
+    for (const line of page.text.split('\n')) {
+      const section = headingSection(line);
+      if (!current || (section && section !== current.section)) {
+        current = { section: section || (current ? current.section : 'other'), pages: [], lines: [] };
+        sections.push(current);
+      }
+      if (page.number && !current.pages.includes(page.number)) current.pages.push(page.number);
+      current.lines.push(line);
+    }
+  }
+  return sections
+    .map(({ section, pages, lines }) => ({ section, pages, text: lines.join('\n').trim() }))
+    .filter(s => s.text);
+}
+
+// Pieces of at most maxChars, cut at blank lines where possible, else at line ends
+function splitText(text, maxChars) {
+  if (text.length <= maxChars) return [text];
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < maxChars / 2) cut = window.lastIndexOf('\n');
+    if (cut < maxChars / 2) cut = maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Pack sections into analysis chunks. Small neighbouring sections share a chunk; a
+ * section longer than maxChars is split across several.
+ * @param {string} text
+ * @param {Array<Object>} [ocrPages]
+ * @param {Object} [options] - { maxChars } characters of report text per chunk (default 30000)
+ * @returns {Array<{ index: number, sections: string[], pages: number[], text: string }>}
+ */
+function chunkReport(text, ocrPages, options = {}) {
+  const maxChars = options.maxChars || 30000;
+  const chunks = [];
+  let current = null;
+  for (const { section, pages, text: sectionText } of splitSections(text, ocrPages)) {
+    for (const piece of splitText(sectionText, maxChars)) {
+      if (!current || current.text.length + piece.length + 2 > maxChars) {
+        current = { index: chunks.length, sections: [], pages: [], text: '' };
+        chunks.push(current);
+      }
+      if (!current.sections.includes(section)) current.sections.push(section);
+      for (const page of pages) if (!current.pages.includes(page)) current.pages.push(page);
+      current.text = current.text ? `${current.text}\n\n${piece}` : piece;
+    }
+  }
+  return chunks;
+}
+
+// "pages 3-7" / "page 3" / "" for a chunk's page list
+function describePages(pages) {
+  if (!pages.length) return '';
+  const first = Math.min(...pages);
+  const last = Math.max(...pages);
+  return first === last ? `page ${first}` : `pages ${first}-${last}`;
+}
+
+module.exports = { splitSections, chunkReport, headingSection, describePages, SECTION_LABELS };
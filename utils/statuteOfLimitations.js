@@ -0,0 +1,184 @@
+// Statutes of limitations for debt collection suits, by state and debt type, plus
+// the rules on whether a payment restarts the clock. Used by
+// ConsumerLawDeadlines.calculateSOL. Periods are in years.
+//
+// These are the general limitation periods; courts sometimes classify a debt
+// differently (a credit card as a written contract rather than an open account),
+// and legislatures change them, so results are a starting point and cite the
+// statute to check. Review the table when a state amends its code.
+
+const TABLE_REVIEWED = '2026-10-19';
+
+const DEBT_TYPES = ['written_contract', 'oral_contract', 'promissory_note', 'open_account'];
+
+// Everyday debt names mapped to the legal category usually applied to them
+const DEBT_TYPE_ALIASES = {
+  written: 'written_contract',
+  contract: 'written_contract',
+  auto_loan: 'written_contract',
+  mortgage: 'written_contract',
+  oral: 'oral_contract',
+  promissory: 'promissory_note',
+  personal_loan: 'promissory_note',
+  private_student_loan: 'promissory_note',
+  open: 'open_account',
+  credit_card: 'open_account',
+  medical: 'open_account',
+  utility: 'open_account',
+  store_card: 'open_account'
+};
+
+// [code, name, written, oral, promissory note, open account, citation]
+const ROWS = [
+  ['AL', 'Alabama', 6, 6, 6, 3, 'Ala. Code §§ 6-2-34, 6-2-37'],
+  ['AK', 'Alaska', 3, 3, 3, 3, 'Alaska Stat. § 09.10.053'],
+  ['AZ', 'Arizona', 6, 3, 6, 3, 'Ariz. Rev. Stat. §§ 12-543, 12-548'],
+  ['AR', 'Arkansas', 5, 3, 5, 3, 'Ark. Code §§ 16-56-105, 16-56-111'],
+  ['CA', 'California', 4, 2, 4, 4, 'Cal. Civ. Proc. Code §§ 337, 339'],
+  ['CO', 'Colorado', 6, 6, 6, 3, 'Colo. Rev. Stat. §§ 13-80-101, 13-80-103.5'],
+  ['CT', 'Connecticut', 6, 3, 6, 6, 'Conn. Gen. Stat. §§ 52-576, 52-581'],
+  ['DE', 'Delaware', 3, 3, 6, 4, 'Del. Code tit. 10, § 8106'],
+  ['DC', 'District of Columbia', 3, 3, 3, 3, 'D.C. Code § 12-301'],
+  ['FL', 'Florida', 5, 4, 5, 4, 'Fla. Stat. § 95.11'],
+  ['GA', 'Georgia', 6, 4, 6, 4, 'Ga. Code §§ 9-3-24, 9-3-25'],
+  ['HI', 'Hawaii', 6, 6, 6, 6, 'Haw. Rev. Stat. § 657-1'],
+  ['ID', 'Idaho', 5, 4, 5, 4, 'Idaho Code §§ 5-216, 5-217'],
+  ['IL', 'Illinois', 10, 5, 10, 5, '735 ILCS 5/13-205, 5/13-206'],
+  ['IN', 'Indiana', 6, 6, 6, 6, 'Ind. Code §§ 34-11-2-7, 34-11-2-9'],
+  ['IA', 'Iowa', 10, 5, 5, 5, 'Iowa Code § 614.1'],
+  ['KS', 'Kansas', 5, 3, 5, 3, 'Kan. Stat. §§ 60-511, 60-512'],
+  ['KY', 'Kentucky', 10, 5, 10, 5, 'Ky. Rev. Stat. §§ 413.090, 413.120, 413.160'],
+  ['LA', 'Louisiana', 10, 10, 5, 3, 'La. Civ. Code arts. 3494, 3498, 3499'],
+  ['ME', 'Maine', 6, 6, 6, 6, 'Me. Rev. Stat. tit. 14, § 752'],
+  ['MD', 'Maryland', 3, 3, 6, 3, 'Md. Code, Cts. & Jud. Proc. §§ 5-101, 5-102'],
+  ['MA', 'Massachusetts', 6, 6, 6, 6, 'Mass. Gen. Laws ch. 260, § 2'],
+  ['MI', 'Michigan', 6, 6, 6, 6, 'Mich. Comp. Laws § 600.5807'],
+  ['MN', 'Minnesota', 6, 6, 6, 6, 'Minn. Stat. § 541.05'],
+  ['MS', 'Mississippi', 3, 3, 3, 3, 'Miss. Code §§ 15-1-29, 15-1-49'],
+  ['MO', 'Missouri', 10, 5, 10, 5, 'Mo. Rev. Stat. §§ 516.110, 516.120'],
+  ['MT', 'Montana', 8, 5, 8, 5, 'Mont. Code § 27-2-202'],
+  ['NE', 'Nebraska', 5, 4, 5, 4, 'Neb. Rev. Stat. §§ 25-205, 25-206'],
+  ['NV', 'Nevada', 6, 4, 6, 4, 'Nev. Rev. Stat. § 11.190'],
+  ['NH', 'New Hampshire', 3, 3, 6, 3, 'N.H. Rev. Stat. § 508:4'],
+  ['NJ', 'New Jersey', 6, 6, 6, 6, 'N.J. Stat. § 2A:14-1'],
+  ['NM', 'New Mexico', 6, 4, 6, 4, 'N.M. Stat. §§ 37-1-3, 37-1-4'],
+  ['NY', 'New York', 6, 6, 6, 6, 'N.Y. C.P.L.R. § 213'],
+  ['NC', 'North Carolina', 3, 3, 5, 3, 'N.C. Gen. Stat. §§ 1-47, 1-52'],
+  ['ND', 'North Dakota', 6, 6, 6, 6, 'N.D. Cent. Code § 28-01-16'],
+  ['OH', 'Ohio', 6, 4, 6, 4, 'Ohio Rev. Code §§ 2305.06, 2305.07'],
+  ['OK', 'Oklahoma', 5, 3, 5, 3, 'Okla. Stat. tit. 12, § 95'],
+  ['OR', 'Oregon', 6, 6, 6, 6, 'Or. Rev. Stat. § 12.080'],
+  ['PA', 'Pennsylvania', 4, 4, 4, 4, '42 Pa. Cons. Stat. § 5525'],
+  ['RI', 'Rhode Island', 10, 10, 10, 10, 'R.I. Gen. Laws § 9-1-13'],
+  ['SC', 'South Carolina', 3, 3, 3, 3, 'S.C. Code § 15-3-530'],
+  ['SD', 'South Dakota', 6, 6, 6, 6, 'S.D. Codified Laws § 15-2-13'],
+  ['TN', 'Tennessee', 6, 6, 6, 6, 'Tenn. Code § 28-3-109'],
+  ['TX', 'Texas', 4, 4, 4, 4, 'Tex. Civ. Prac. & Rem. Code §§ 16.004, 16.051'],
+  ['UT', 'Utah', 6, 4, 6, 4, 'Utah Code §§ 78B-2-307, 78B-2-309'],
+  ['VT', 'Vermont', 6, 6, 5, 6, 'Vt. Stat. tit. 12, § 511'],
+  ['VA', 'Virginia', 5, 3, 6, 3, 'Va. Code § 8.01-246'],
+  ['WA', 'Washington', 6, 3, 6, 3, 'Wash. Rev. Code §§ 4.16.040, 4.16.080'],
+  ['WV', 'West Virginia', 10, 5, 6, 5, 'W. Va. Code § 55-2-6'],
+  ['WI', 'Wisconsin', 6, 6, 10, 6, 'Wis. Stat. §§ 893.43, 893.05'],
+  ['WY', 'Wyoming', 10, 8, 10, 8, 'Wyo. Stat. § 1-3-105']
+];
+
+// Periods that replace the table for consumer debt in particular states
+const CONSUMER_DEBT_OVERRIDES = {
+  NY: { years: 3, citation: 'N.Y. C.P.L.R. § 214-i (Consumer Credit Fairness Act)', appliesTo: ['written_contract', 'promissory_note', 'open_account'] }
+};
+
+const DEFAULT_REVIVAL = {
+  rule: 'payment_or_acknowledgment',
+  note: 'A payment, or a written acknowledgment or promise to pay, can restart the limitation period.'
+};
+
+// States where a payment does not revive or extend a time-barred consumer debt
+const REVIVAL_RULES = {
+  NY: { rule: 'no_revival', citation: 'N.Y. C.P.L.R. § 214-i', note: 'A payment or acknowledgment does not revive or extend the limitation period on a consumer credit debt.' },
+  TX: { rule: 'no_revival', citation: 'Tex. Fin. Code § 392.307', note: 'A payment on a time-barred consumer debt does not revive it or restart the limitation period.' },
+  WI: { rule: 'extinguished', citation: 'Wis. Stat. § 893.05', note: 'Once the period runs, the debt itself is extinguished, not just the right to sue.' },
+  MS: { rule: 'extinguished', citation: 'Miss. Code § 15-1-3', note: 'Once the period runs, the debt itself is extinguished, not just the right to sue.' }
+};
+
+const STATES = {};
+for (const [code, name, written, oral, promissory, open, citation] of ROWS) {
+  STATES[code] = {
+    code,
+    name,
+    years: { written_contract: written, oral_contract: oral, promissory_note: promissory, open_account: open },
+    citation,
+    consumerOverride: CONSUMER_DEBT_OVERRIDES[code] || null,
+    revival: REVIVAL_RULES[code] || DEFAULT_REVIVAL
+  };
+}
+
+// Federal limits that hold in every state
+const FEDERAL = {
+  creditReporting: {
+    years: 7,
+    extraDays: 180,
+    citation: '15 U.S.C. § 1681c(a)(4), (c)',
+    note: 'Collections and charge-offs come off credit reports 7 years after the 180-day mark following the date of first delinquency, whatever the state limitation period; paying or restarting the SOL does not change this date.'
+  },
+  timeBarredSuits: {
+    citation: '12 C.F.R. § 1006.26(b)',
+    note: 'A debt collector may not sue or threaten to sue on a time-barred debt.'
+  },
+  federalStudentLoans: {
+    citation: '20 U.S.C. § 1091a',
+    note: 'Federal student loans have no statute of limitations.'
+  }
+};
+
+/**
+ * Normalize a state given as a code or full name.
+ * @returns {string|null} Two-letter code
+ */
+function normalizeState(state) {
+  if (!state) return null;
+  const value = String(state).trim();
+  if (STATES[value.toUpperCase()]) return value.toUpperCase();
+  const byName = ROWS.find(row => row[1].toLowerCase() === value.toLowerCase().replace(/^state of /, ''));
+  return byName ? byName[0] : null;
+}
+
+/**
+ * Normalize a debt type, accepting everyday names ("credit_card", "medical").
+ * @returns {string|null}
+ */
+function normalizeDebtType(debtType) {
+  if (!debtType) return null;
+  const key = String(debtType).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (DEBT_TYPES.includes(key)) return key;
+  return DEBT_TYPE_ALIASES[key] || null;
+}
+
+// Ambiguous two-letter codes that are also common words are only matched as full names
+const AMBIGUOUS_CODES = new Set(['IN', 'OR', 'ME', 'OK', 'HI', 'OH', 'DE', 'PA', 'MA', 'LA', 'AL', 'CO', 'ID']);
+
+/**
+ * Find a state mentioned in free text ("I live in Texas", "debt from NY").
+ * @returns {string|null} Two-letter code
+ */
+function findStateInText(text) {
+  const value = String(text || '');
+  const lower = value.toLowerCase();
+  // Longest names first so "West Virginia" wins over "Virginia"
+  const byName = [...ROWS].sort((a, b) => b[1].length - a[1].length)
+    .find(row => new RegExp(`\\b${row[1].toLowerCase()}\\b`).test(lower));
+  if (byName) return byName[0];
+  const code = (value.match(/\b[A-Z]{2}\b/g) || []).find(c => STATES[c] && !AMBIGUOUS_CODES.has(c));
+  return code || null;
+}
+
+module.exports = {
+  STATES,
+  DEBT_TYPES,
+  DEBT_TYPE_ALIASES,
+  FEDERAL,
+  TABLE_REVIEWED,
+  normalizeState,
+  normalizeDebtType,
+  findStateInText
+};
@@ -0,0 +1,13 @@
+// Helpers for reading model output chunk-by-chunk (llm/ streams it to SSE and Socket.IO clients)
+
+// LangChain chunks carry either a string or an array of content parts
+function chunkText(chunk) {
+  const content = chunk && chunk.content !== undefined ? chunk.content : chunk;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part && part.text) || '').join('');
+  }
+  return '';
+}
+
+module.exports = { chunkText };
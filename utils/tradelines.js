@@ -0,0 +1,198 @@
+// Normalized tradeline model shared by the rules engine and report comparisons.
+// The LLM analysis has used several shapes over time (regular_accounts vs account_issues,
+// collection_accounts_analysis vs collection_accounts), so extraction accepts all of them.
+const moment = require('moment');
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD', 'MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY', 'MM/YYYY', 'M/YYYY', 'MM-YYYY',
+  'YYYY-MM', 'MMM YYYY', 'MMMM YYYY', 'MMM D, YYYY', 'MMMM D, YYYY', 'MMM DD, YYYY', 'YYYY'
+];
+
+const NEGATIVE_STATUS = /(collection|charge[\s-]?off|charged[\s-]?off|late|delinquen|past due|repossess|foreclos|judgment|default|written off|settled for less|30 days|60 days|90 days|120 days)/i;
+const BANKRUPTCY = /(bankrupt|chapter\s*(7|11|13))/i;
+const PAID_OR_CLOSED = /\b(paid|closed|settled|transferred|sold|refinanced)\b/i;
+const NOT_PAID = /\b(unpaid|not paid)\b/i;
+
+/**
+ * Parse the date formats credit reports use ("03/2015", "Mar 2015", "2015-03-01", ...).
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseReportDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const cleaned = value.trim();
+  if (!/\d{4}|\d{1,2}\/\d{2}$/.test(cleaned)) return null;
+  const m = moment(cleaned, DATE_FORMATS, true);
+  return m.isValid() ? m.format('YYYY-MM-DD') : null;
+}
+
+// "$1,234.56" -> 1234.56; null when no number present
+function parseAmount(value) {
+  if (typeof value === 'number') return value;
+  if (!value || typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Lowercase, strip punctuation and corporate suffixes for name comparison
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\b(inc|llc|corp|corporation|co|na|n a|bank|financial|services|svcs|company)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Last four digits of an (often masked) account number
+function accountSuffix(accountNumber) {
+  const digits = String(accountNumber || '').replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && obj[key] !== '') return obj[key];
+  }
+  return null;
+}
+
+// Remarks as a list ("Account closed by consumer; Disputed by consumer" -> two entries)
+function asRemarks(value) {
+  return (Array.isArray(value) ? value : [value])
+    .filter(r => typeof r === 'string')
+    .flatMap(r => r.split(/\s*;\s*/))
+    .map(r => r.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize one account from the analysis (or a bureau parser) into a tradeline.
+ * @param {Object} raw
+ * @param {Object} [defaults] - e.g. { is_collection: true, bureau: 'Equifax' }
+ */
+function normalizeTradeline(raw, defaults = {}) {
+  const status = String(pick(raw, ['status', 'account_status', 'payment_status']) || '');
+  const isCollection = defaults.is_collection ||
+    /collection/i.test(status) || /collection/i.test(String(raw.account_type || ''));
+  // Collection entries name the agency as the furnisher; creditor_name is then the original creditor
+  const creditor = isCollection && raw.collection_agency
+    ? raw.collection_agency
+    : pick(raw, ['account_name', 'creditor_name', 'creditor', 'name', 'original_creditor']);
+  const originalCreditor = pick(raw, ['original_creditor']) ||
+    (isCollection && raw.collection_agency ? pick(raw, ['creditor_name', 'account_name']) : null);
+  const negativeText = [status, ...(Array.isArray(raw.issues) ? raw.issues : [])]
+    .map(t => String(t).replace(/never\s+late|no\s+late/gi, ''))
+    .join(' ');
+
+  const tradeline = {
+    creditor,
+    creditor_key: normalizeName(creditor),
+    original_creditor: originalCreditor,
+    collection_agency: pick(raw, ['collection_agency']),
+    account_number: pick(raw, ['account_number', 'account_id', 'account_id_masked']),
+    account_suffix: accountSuffix(pick(raw, ['account_number', 'account_id', 'account_id_masked'])),
+    account_type: pick(raw, ['account_type', 'type']),
+    status,
+    balance: parseAmount(pick(raw, ['current_balance', 'balance', 'balance_claimed'])),
+    original_balance: parseAmount(pick(raw, ['original_balance', 'high_balance', 'original_amount'])),
+    credit_limit: parseAmount(pick(raw, ['credit_limit', 'limit'])),
+    date_opened: parseReportDate(pick(raw, ['date_opened', 'opened', 'open_date'])),
+    date_closed: parseReportDate(pick(raw, ['date_closed', 'closed', 'closed_date'])),
+    date_of_first_delinquency: parseReportDate(pick(raw, ['date_of_first_delinquency', 'dofd', 'first_delinquency'])),
+    last_payment_date: parseReportDate(pick(raw, ['last_payment_date', 'date_of_last_payment'])),
+    date_reported: parseReportDate(pick(raw, ['date_reported', 'last_reported', 'reported'])),
+    payment_history: pick(raw, ['payment_history']),
+    remarks: asRemarks(pick(raw, ['remarks', 'comments'])),
+    bureau: pick(raw, ['bureau', 'cra', 'cra_responsible']) || defaults.bureau || null,
+    is_collection: !!isCollection,
+    is_negative: !!isCollection || NEGATIVE_STATUS.test(negativeText),
+    is_bankruptcy: BANKRUPTCY.test(status) || BANKRUPTCY.test(String(raw.account_type || raw.type || '')),
+    is_paid_or_closed: PAID_OR_CLOSED.test(status) && !NOT_PAID.test(status),
+    evidence: typeof raw.evidence === 'string' ? raw.evidence : null,
+    raw
+  };
+  return { ...tradeline, ...defaults, is_collection: tradeline.is_collection };
+}
+
+function normalizePublicRecord(raw) {
+  const type = String(pick(raw, ['type', 'record_type']) || '');
+  return {
+    type,
+    court: pick(raw, ['court', 'court_name']),
+    status: pick(raw, ['status']),
+    date_filed: parseReportDate(pick(raw, ['date_filed', 'filed', 'date'])),
+    date_resolved: parseReportDate(pick(raw, ['date_resolved', 'date_discharged', 'discharged'])),
+    is_bankruptcy: BANKRUPTCY.test(type) || BANKRUPTCY.test(String(raw.status || '')),
+    evidence: typeof raw.evidence === 'string' ? raw.evidence : null,
+    raw
+  };
+}
+
+function normalizeInquiry(raw, hard = true) {
+  return {
+    creditor: pick(raw, ['creditor_name', 'creditor', 'name']),
+    date: parseReportDate(pick(raw, ['date', 'inquiry_date'])),
+    purpose: pick(raw, ['purpose']),
+    hard: raw.type ? !/soft/i.test(String(raw.type)) : hard,
+    evidence: typeof raw.evidence === 'string' ? raw.evidence : null,
+    raw
+  };
+}
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+/**
+ * Pull tradelines, collections, inquiries and public records out of an analysis.
+ * Bureau parsers may set `analysis.tradelines` directly; that takes precedence.
+ * @returns {{ accounts: Object[], collections: Object[], inquiries: Object[], publicRecords: Object[] }}
+ */
+function extractTradelines(analysis) {
+  if (!analysis || typeof analysis !== 'object') {
+    return { accounts: [], collections: [], inquiries: [], publicRecords: [] };
+  }
+
+  if (analysis.tradelines && Array.isArray(analysis.tradelines.accounts)) {
+    const t = analysis.tradelines;
+    return {
+      accounts: t.accounts.filter(a => !a.is_collection),
+      collections: t.accounts.filter(a => a.is_collection),
+      inquiries: asArray(t.inquiries),
+      publicRecords: asArray(t.public_records)
+    };
+  }
+
+  const collectionsSection = analysis.collection_accounts_analysis || analysis.collection_accounts;
+  const collectionsRaw = Array.isArray(collectionsSection)
+    ? collectionsSection
+    : asArray(collectionsSection && collectionsSection.collection_accounts);
+
+  const inquirySection = analysis.inquiry_analysis || analysis.inquiries;
+  const hardRaw = Array.isArray(inquirySection) ? inquirySection : asArray(inquirySection && inquirySection.hard_pull_details);
+
+  const isObject = (r) => r && typeof r === 'object';
+  const accounts = asArray(analysis.regular_accounts).filter(isObject).map(r => normalizeTradeline(r));
+  // account_issues usually repeats accounts already listed in regular_accounts
+  const listed = new Set(accounts.map(a => `${a.creditor_key}|${a.account_suffix || ''}`));
+  for (const raw of asArray(analysis.account_issues).filter(isObject)) {
+    const tradeline = normalizeTradeline(raw);
+    if (!listed.has(`${tradeline.creditor_key}|${tradeline.account_suffix || ''}`)) accounts.push(tradeline);
+  }
+
+  return {
+    accounts,
+    collections: collectionsRaw.filter(isObject).map(r => normalizeTradeline(r, { is_collection: true })),
+    inquiries: hardRaw.filter(isObject).map(r => normalizeInquiry(r, true)),
+    publicRecords: asArray(analysis.public_records).filter(isObject).map(normalizePublicRecord)
+  };
+}
+
+module.exports = {
+  extractTradelines,
+  normalizeTradeline,
+  normalizeInquiry,
+  normalizePublicRecord,
+  parseReportDate,
+  parseAmount,
+  normalizeName,
+  accountSuffix
+};